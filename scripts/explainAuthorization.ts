@@ -0,0 +1,54 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+
+/*
+This script dry-runs the authorization of a request with `SMARTHandler.explain` and prints the trace: which scopes were
+usable, why the others were discarded, which reference granted access to the resource and the final verdict.
+
+It is recommended to install ts-node to execute .ts files in the command line
+> npm install -g ts-node
+
+The fixture is a JSON file with:
+- config: the SMARTConfig; the options holding functions, like `getConsents`, cannot be given in JSON
+- apiUrl: the FHIR service base URL
+- fhirVersion: defaults to 4.0.1
+- adminAccessTypes, bulkDataAccessTypes & isUserScopeAllowedForSystemExport: default to the ones of the SMARTHandler
+- request: the ExplainRequest; the decoded claims of the access_token and the operation, resourceType, resource or
+  Bundle entries (`requests`) to explain
+
+Run the script:
+> cd to this current directory
+> ts-node explainAuthorization.ts <fixture.json>
+*/
+
+import * as fs from 'fs';
+import { SMARTHandler } from '../src/smartHandler';
+import getComponentLogger from '../src/loggerBuilder';
+
+const logger = getComponentLogger();
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    if (!args[0]) {
+        logger.error('Error. Missing fixture parameter');
+        logger.error('Usage: ts-node explainAuthorization.ts <fixture.json>');
+        return;
+    }
+    const fixture = JSON.parse(fs.readFileSync(args[0], { encoding: 'utf8' }));
+    const handler = new SMARTHandler(
+        fixture.config,
+        fixture.apiUrl,
+        fixture.fhirVersion ?? '4.0.1',
+        fixture.adminAccessTypes,
+        fixture.bulkDataAccessTypes,
+        fixture.isUserScopeAllowedForSystemExport,
+    );
+    const trace = await handler.explain(fixture.request);
+    // the trace is the output of the script, it is printed as is for other tools to read
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify(trace, null, 2));
+};
+
+run().catch(logger.error);
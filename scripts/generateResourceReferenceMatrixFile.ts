@@ -4,7 +4,7 @@
  */
 
 /*
-This scripts generates the JSON files at src/schema. Before running the script download the JSON FHIR definition package and copy
+This scripts generates the JSON files at src/schema: the resource references matrix and the list of resource types. Before running the script download the JSON FHIR definition package and copy
 the profiles-resources.json file into this directory.
 
 It is recommended to install ts-node to execute .ts files in the command line
@@ -15,6 +15,16 @@ You can download the latest FHIR definition from https://www.hl7.org/fhir/downlo
 Run the script:
 > cd to this current directory
 > ts-node generateResourceReferenceMatrixFile.ts <fhirVersion>
+
+The script also generates the compartment reference file used when `referenceResolution` is set to `compartment` if the
+following files are present in this directory:
+- <fhirVersion>-search-parameters.json: the search-parameters.json Bundle of the FHIR definition package
+- <fhirVersion>-compartmentdefinition-<code>.json: the CompartmentDefinition resources, i.e. compartmentdefinition-patient.json
+
+The R4B (4.3.0) files come from the `hl7.fhir.r4b.core` package, which has one file per resource: bundle its base resource
+StructureDefinition-*.json (`derivation` `specialization`) into 4.3.0-profiles-resources.json and its SearchParameter-*.json
+into 4.3.0-search-parameters.json. Its CompartmentDefinitions list the same parameters as the R4 ones, so the compartment
+reference files of both versions are identical.
 */
 
 import * as fs from 'fs';
@@ -35,6 +45,11 @@ interface PathMap {
     [sourceResourceType: string]: { [requestorResourceType: string]: string[] };
 }
 
+interface CompartmentDefinition {
+    code: string;
+    resource: { code: string; param?: string[] }[];
+}
+
 const readProfileFile = (path: string): any[] => {
     const data = JSON.parse(fs.readFileSync(path, { encoding: 'utf8' }));
     return data.entry.map((x: any) => x.resource);
@@ -77,6 +92,68 @@ const compile = (resources: any[]) => {
     return pathMap;
 };
 
+const compileResourceList = (resources: any[]): string[] => {
+    return resources
+        .filter((resource) => resource.kind === 'resource' && !resource.abstract)
+        .map((resource) => resource.type)
+        .sort();
+};
+
+/**
+ * Converts a search parameter FHIRPath expression into the element paths it covers for a resourceType
+ * @example 'Observation.subject.where(resolve() is Patient) | Observation.performer' => ['subject', 'performer']
+ * @example '(Observation.value as Reference)' => ['valueReference']
+ */
+const getPathsFromExpression = (expression: string, resourceType: string): string[] => {
+    return expression
+        .split('|')
+        .map((part) =>
+            part
+                .trim()
+                .replace(/^\((.*) as (\w+)\)$/, (_match, path: string, type: string) => `${path}${type}`)
+                .replace(/\.as\((\w+)\)/g, (_match, type: string) => type)
+                .replace(/\.where\(.*\)$/, ''),
+        )
+        .filter((part) => part.startsWith(`${resourceType}.`))
+        .map((part) => part.replace(`${resourceType}.`, ''))
+        .filter((path) => /^[a-zA-Z.]+$/.test(path));
+};
+
+const compileCompartments = (compartmentDefinitions: CompartmentDefinition[], searchParameters: any[]) => {
+    const pathMap: PathMap = {};
+    compartmentDefinitions.forEach((compartmentDefinition) => {
+        const compartmentType = compartmentDefinition.code;
+        compartmentDefinition.resource
+            .filter((resource) => !!resource.param)
+            .forEach((resource) => {
+                const paths: string[] = [];
+                resource.param!.forEach((param) => {
+                    // `{def}` stands for the compartment resource itself, which is matched on its id instead
+                    if (param === '{def}') {
+                        return;
+                    }
+                    const searchParameter = searchParameters.find(
+                        (sp) => sp.code === param && sp.base.includes(resource.code) && sp.expression,
+                    );
+                    if (!searchParameter) {
+                        logger.warn(`search parameter ${resource.code}.${param} was not found`);
+                        return;
+                    }
+                    paths.push(...getPathsFromExpression(searchParameter.expression, resource.code));
+                });
+                if (!paths.length) {
+                    return;
+                }
+                if (!pathMap[resource.code]) {
+                    pathMap[resource.code] = {};
+                }
+                pathMap[resource.code][compartmentType] = [...new Set(paths)];
+            });
+    });
+
+    return pathMap;
+};
+
 const run = async () => {
     const args = process.argv.slice(2);
     if (!args[0]) {
@@ -84,9 +161,9 @@ const run = async () => {
         logger.error('Usage: ts-node run.ts <fhirVersion>');
     }
     const fhirVersion = args[0];
-    if (!fhirVersion.startsWith('4') || fhirVersion.startsWith('3')) {
+    if (!['3.0.1', '4.0.1', '4.3.0', '5.0.0'].includes(fhirVersion)) {
         logger.error('*******************************');
-        logger.error('this script was only tested with base STU3 & R4 profiles');
+        logger.error('this script was only tested with base STU3, R4, R4B & R5 profiles');
         logger.error(`you are attempting to use ${fhirVersion} proceed with caution`);
         logger.error('*******************************');
     }
@@ -96,6 +173,30 @@ const run = async () => {
     const pathMap = compile(resources);
     logger.info('writing compiled output');
     fs.writeFileSync(`../src/schema/fhirResourceReferencesMatrix.v${fhirVersion}.json`, JSON.stringify(pathMap));
+    // The STU3 & R4 resource lists are provided by fhir-works-on-aws-interface
+    fs.writeFileSync(
+        `../src/schema/fhirResourceList.v${fhirVersion}.json`,
+        JSON.stringify(compileResourceList(resources)),
+    );
+
+    const compartmentDefinitionFiles = fs
+        .readdirSync('.')
+        .filter((file) => file.startsWith(`${fhirVersion}-compartmentdefinition-`) && file.endsWith('.json'));
+    if (!compartmentDefinitionFiles.length) {
+        logger.info('no compartment definitions found; skipping compartment references');
+        return;
+    }
+    logger.info('compiling compartment references');
+    const compartmentDefinitions = compartmentDefinitionFiles.map((file) =>
+        JSON.parse(fs.readFileSync(file, { encoding: 'utf8' })),
+    );
+    const searchParameters = readProfileFile(`${fhirVersion}-search-parameters.json`);
+    const compartmentPathMap = compileCompartments(compartmentDefinitions, searchParameters);
+    logger.info('writing compiled compartment references');
+    fs.writeFileSync(
+        `../src/schema/fhirCompartmentReferences.v${fhirVersion}.json`,
+        JSON.stringify(compartmentPathMap),
+    );
 };
 
 run().then(logger.info).catch(logger.error);
@@ -0,0 +1,84 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { getAccessWindows, isAccessTokenWithinAccessWindow, isWithinAccessWindow } from './accessWindowHelper';
+
+// Monday
+const at = (time: string) => Date.parse(`2021-06-07T${time}:00Z`);
+const businessHours = { days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' };
+
+describe('isWithinAccessWindow', () => {
+    test.each([
+        ['07:59', false],
+        ['08:00', true],
+        ['17:59', true],
+        ['18:00', false],
+    ])('business hours at %s', (time, isWithin) => {
+        expect(isWithinAccessWindow(businessHours, at(time))).toEqual(isWithin);
+    });
+
+    test('days of the week', () => {
+        expect(isWithinAccessWindow(businessHours, Date.parse('2021-06-06T12:00:00Z'))).toEqual(false);
+        expect(isWithinAccessWindow({ start: '08:00', end: '18:00' }, Date.parse('2021-06-06T12:00:00Z'))).toEqual(
+            true,
+        );
+    });
+
+    test('time zone', () => {
+        const newYorkBusinessHours = { ...businessHours, timeZone: 'America/New_York' };
+        expect(isWithinAccessWindow(newYorkBusinessHours, at('13:00'))).toEqual(true);
+        expect(isWithinAccessWindow(newYorkBusinessHours, at('23:00'))).toEqual(false);
+        // 21:00 on Sunday in New York
+        expect(isWithinAccessWindow(newYorkBusinessHours, at('01:00'))).toEqual(false);
+    });
+
+    test('window ending the next day', () => {
+        const nightShift = { days: [1], start: '22:00', end: '06:00' };
+        expect(isWithinAccessWindow(nightShift, at('23:00'))).toEqual(true);
+        expect(isWithinAccessWindow(nightShift, Date.parse('2021-06-08T05:00:00Z'))).toEqual(true);
+        // the Monday morning belongs to the window of Sunday
+        expect(isWithinAccessWindow(nightShift, at('05:00'))).toEqual(false);
+        expect(isWithinAccessWindow(nightShift, at('12:00'))).toEqual(false);
+    });
+
+    test('malformed windows are never open', () => {
+        expect(isWithinAccessWindow({ start: '8:00', end: '18:00' }, at('12:00'))).toEqual(false);
+        expect(isWithinAccessWindow({ start: '08:00', end: '24:00' }, at('12:00'))).toEqual(false);
+        expect(isWithinAccessWindow({ ...businessHours, timeZone: 'Mars/Olympus' }, at('12:00'))).toEqual(false);
+        expect(isWithinAccessWindow(<any>'08:00-18:00', at('12:00'))).toEqual(false);
+    });
+});
+
+describe('getAccessWindows', () => {
+    test('from the claim, then the configured ones', () => {
+        expect(getAccessWindows({ access_window: businessHours }, {})).toEqual([businessHours]);
+        expect(getAccessWindows({ access_window: [businessHours] }, { windows: [] })).toEqual([businessHours]);
+        expect(getAccessWindows({ ext: { window: businessHours } }, { claimPath: 'ext.window' })).toEqual([
+            businessHours,
+        ]);
+        expect(getAccessWindows({}, { windows: [businessHours] })).toEqual([businessHours]);
+        expect(getAccessWindows({}, {})).toEqual([]);
+    });
+});
+
+describe('isAccessTokenWithinAccessWindow', () => {
+    test('nbf', () => {
+        const nbf = at('12:00') / 1000;
+        expect(isAccessTokenWithinAccessWindow({ nbf }, {}, at('12:00'))).toEqual(true);
+        expect(isAccessTokenWithinAccessWindow({ nbf }, {}, at('11:59'))).toEqual(false);
+        expect(isAccessTokenWithinAccessWindow({ nbf }, { clockToleranceSeconds: 60 }, at('11:59'))).toEqual(true);
+    });
+
+    test('access windows', () => {
+        expect(isAccessTokenWithinAccessWindow({}, {}, at('20:00'))).toEqual(true);
+        expect(isAccessTokenWithinAccessWindow({}, { windows: [businessHours] }, at('20:00'))).toEqual(false);
+        expect(
+            isAccessTokenWithinAccessWindow(
+                { access_window: [businessHours, { start: '19:00', end: '21:00' }] },
+                { windows: [businessHours] },
+                at('20:00'),
+            ),
+        ).toEqual(true);
+    });
+});
@@ -0,0 +1,87 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import get from 'lodash/get';
+import { AccessWindow, AccessWindowOptions } from './smartConfig';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
+
+export const DEFAULT_ACCESS_WINDOW_CLAIM_PATH = 'access_window';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function getMinutesOfDay(time: any): number | undefined {
+    const match = typeof time === 'string' ? /^([01][0-9]|2[0-3]):([0-5][0-9])$/.exec(time) : null;
+    return match ? Number(match[1]) * 60 + Number(match[2]) : undefined;
+}
+
+/**
+ * A window that is malformed, i.e. with an unknown time zone, is never open
+ * @returns true if the window is open at that time
+ */
+export function isWithinAccessWindow(window: AccessWindow, now: number = Date.now()): boolean {
+    const start = getMinutesOfDay(window?.start);
+    const end = getMinutesOfDay(window?.end);
+    if (start === undefined || end === undefined) {
+        return false;
+    }
+    let day: number;
+    let minutes: number;
+    try {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: window.timeZone ?? 'UTC',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false,
+        }).formatToParts(new Date(now));
+        const getPart = (type: string) => parts.find((part) => part.type === type)?.value;
+        day = WEEKDAYS.indexOf(getPart('weekday')!);
+        // some versions of Intl format midnight as 24:00
+        minutes = (Number(getPart('hour')) % 24) * 60 + Number(getPart('minute'));
+    } catch (e) {
+        return false;
+    }
+    const isOpenOn = (weekday: number) => !Array.isArray(window.days) || window.days.includes(weekday);
+    if (start <= end) {
+        return isOpenOn(day) && minutes >= start && minutes < end;
+    }
+    // the window ends the next day
+    return (isOpenOn(day) && minutes >= start) || (isOpenOn((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * @returns the access windows of the client, from the access_token claim or the configured ones
+ */
+export function getAccessWindows(decodedToken: any, options: AccessWindowOptions): AccessWindow[] {
+    const claim = get(decodedToken, options.claimPath ?? DEFAULT_ACCESS_WINDOW_CLAIM_PATH);
+    if (claim === undefined) {
+        return options.windows ?? [];
+    }
+    return Array.isArray(claim) ? claim : [claim];
+}
+
+/**
+ * @returns true if the access_token is not used before its `nbf` and is used within one of the access windows of the client
+ */
+export function isAccessTokenWithinAccessWindow(
+    decodedToken: any,
+    options: AccessWindowOptions,
+    now: number = Date.now(),
+): boolean {
+    if (
+        typeof decodedToken.nbf === 'number' &&
+        decodedToken.nbf * 1000 > now + (options.clockToleranceSeconds ?? 0) * 1000
+    ) {
+        logger.warn('access_token is used before its `nbf`');
+        return false;
+    }
+    const windows = getAccessWindows(decodedToken, options);
+    if (windows.length > 0 && !windows.some((window) => isWithinAccessWindow(window, now))) {
+        logger.warn('access_token is used outside of the access windows of the client');
+        return false;
+    }
+    return true;
+}
@@ -0,0 +1,190 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import {
+    createFhirAuditEventSink,
+    emitAuditEvent,
+    getAuditIdentity,
+    getGrantingScopes,
+    toFhirAuditEvent,
+} from './auditHelper';
+import { AuthorizationAuditEvent } from './smartConfig';
+
+const apiUrl = 'https://fhir.server.com/dev';
+
+const event: AuthorizationAuditEvent = {
+    timestamp: '2021-01-01T00:00:00.000Z',
+    check: 'authorizeAndFilterReadResponse',
+    outcome: 'allow',
+    rule: 'patient-context-reference',
+    subject: 'test@test.com',
+    clientId: 'app',
+    fhirUser: `${apiUrl}/Practitioner/1`,
+    patient: `${apiUrl}/Patient/1`,
+    operation: 'read',
+    resourceType: 'Observation',
+    resourceId: '2',
+    scopes: ['patient/Observation.read'],
+};
+
+describe('getAuditIdentity', () => {
+    test('claims and identities', () => {
+        expect(
+            getAuditIdentity({
+                sub: 'test@test.com',
+                cid: 'okta-app',
+                fhirUserObject: { hostname: apiUrl, resourceType: 'Practitioner', id: '1' },
+                patientLaunchContext: { hostname: apiUrl, resourceType: 'Patient', id: '1' },
+            }),
+        ).toEqual({
+            subject: 'test@test.com',
+            clientId: 'okta-app',
+            fhirUser: `${apiUrl}/Practitioner/1`,
+            patient: `${apiUrl}/Patient/1`,
+        });
+        expect(getAuditIdentity({ client_id: 'app', cid: 'okta-app' })).toMatchObject({ clientId: 'app' });
+        expect(
+            getAuditIdentity({ breakTheGlass: { reason: 'cardiac arrest', expiresAt: '2021-01-01T01:00:00.000Z' } }),
+        ).toMatchObject({ breakTheGlassReason: 'cardiac arrest' });
+    });
+});
+
+describe('getGrantingScopes', () => {
+    const usableScopes = ['system/Patient.read', 'user/*.read', 'patient/Observation.read', 'patient/Obs.read'];
+    test.each([
+        ['system-scope', 'Patient', ['system/Patient.read']],
+        ['admin', 'Observation', ['user/*.read']],
+        ['related-identity-reference', 'Observation', ['user/*.read']],
+        ['patient-context-reference', 'Observation', ['patient/Observation.read']],
+    ])('%p', (rule: any, resourceType, expected) => {
+        expect(getGrantingScopes(usableScopes, rule, resourceType)).toEqual(expected);
+    });
+});
+
+describe('emitAuditEvent', () => {
+    test('adds the timestamp', async () => {
+        const sink = jest.fn();
+        const rest = { ...event, timestamp: undefined };
+        await emitAuditEvent(sink, rest);
+        expect(sink).toHaveBeenCalledWith({ ...event, timestamp: expect.any(String) });
+    });
+    test('undefined values are removed', async () => {
+        const sink = jest.fn();
+        await emitAuditEvent(sink, {
+            check: 'verifyAccessToken',
+            outcome: 'deny',
+            rule: 'invalid-token',
+            subject: undefined,
+        });
+        expect(sink.mock.calls[0][0]).not.toHaveProperty('subject');
+    });
+    test('sink errors are not thrown', async () => {
+        await expect(emitAuditEvent(() => Promise.reject(new Error('sink failed')), event)).resolves.toBeUndefined();
+    });
+    test('no sink', async () => {
+        await expect(emitAuditEvent(undefined, event)).resolves.toBeUndefined();
+    });
+});
+
+describe('toFhirAuditEvent', () => {
+    test('allowed read', () => {
+        expect(toFhirAuditEvent(event)).toEqual({
+            resourceType: 'AuditEvent',
+            type: {
+                system: 'http://terminology.hl7.org/CodeSystem/audit-event-type',
+                code: 'rest',
+                display: 'RESTful Operation',
+            },
+            subtype: [{ system: 'http://hl7.org/fhir/restful-interaction', code: 'read' }],
+            action: 'R',
+            recorded: event.timestamp,
+            outcome: '0',
+            outcomeDesc: 'authorizeAndFilterReadResponse: patient-context-reference',
+            agent: [
+                {
+                    requestor: true,
+                    who: { reference: `${apiUrl}/Practitioner/1` },
+                    altId: 'test@test.com',
+                    policy: ['patient/Observation.read'],
+                },
+                {
+                    requestor: false,
+                    type: {
+                        coding: [
+                            {
+                                system: 'http://dicom.nema.org/resources/ontology/DCM',
+                                code: '110150',
+                                display: 'Application',
+                            },
+                        ],
+                    },
+                    who: { identifier: { value: 'app' } },
+                },
+            ],
+            source: { observer: { display: 'fhir-works-on-aws-authz-smart' } },
+            entity: [
+                { what: { reference: 'Observation/2' } },
+                {
+                    what: { reference: `${apiUrl}/Patient/1` },
+                    role: {
+                        system: 'http://terminology.hl7.org/CodeSystem/object-role',
+                        code: '1',
+                        display: 'Patient',
+                    },
+                },
+            ],
+        });
+    });
+    test('denied search without fhirUser', () => {
+        const auditEvent = toFhirAuditEvent({
+            timestamp: event.timestamp,
+            check: 'verifyAccessToken',
+            outcome: 'deny',
+            rule: 'insufficient-scope',
+            subject: 'test@test.com',
+            operation: 'search-type',
+            resourceType: 'Observation',
+        });
+        expect(auditEvent).toMatchObject({
+            action: 'E',
+            outcome: '4',
+            agent: [{ requestor: true, who: { identifier: { value: 'test@test.com' } } }],
+            entity: [{ what: { type: 'Observation' } }],
+        });
+        expect(auditEvent.agent).toHaveLength(1);
+    });
+    test('requestor without fhirUser or subject', () => {
+        const deniedEvent = {
+            timestamp: event.timestamp,
+            check: <const>'verifyAccessToken',
+            outcome: <const>'deny',
+            rule: 'invalid-token',
+        };
+        expect(toFhirAuditEvent(deniedEvent).agent).toEqual([{ requestor: true }]);
+        expect(toFhirAuditEvent({ ...deniedEvent, clientId: 'app' }).agent[0]).toEqual({
+            requestor: true,
+            who: { identifier: { value: 'app' } },
+        });
+    });
+    test('break-the-glass access', () => {
+        expect(
+            toFhirAuditEvent({ ...event, rule: 'break-the-glass', breakTheGlassReason: 'cardiac arrest' }),
+        ).toMatchObject({
+            purposeOfEvent: [
+                {
+                    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActReason', code: 'ETREAT' }],
+                    text: 'cardiac arrest',
+                },
+            ],
+        });
+    });
+});
+
+describe('createFhirAuditEventSink', () => {
+    test('writes AuditEvent resources', async () => {
+        const write = jest.fn();
+        await createFhirAuditEventSink(write)(event);
+        expect(write).toHaveBeenCalledWith(toFhirAuditEvent(event));
+    });
+});
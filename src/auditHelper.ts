@@ -0,0 +1,163 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { KeyValueMap } from 'fhir-works-on-aws-interface';
+import { AuditEventSink, AuthorizationAuditEvent, FhirResource } from './smartConfig';
+import { ResourceAccessRule } from './smartAuthorizationHelper';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
+
+const toReference = ({ hostname, resourceType, id }: FhirResource) => `${hostname}/${resourceType}/${id}`;
+
+/**
+ * @returns who made the request, taken from the claims of the access_token or from the userIdentity
+ */
+export function getAuditIdentity(
+    userIdentity: KeyValueMap,
+): Pick<AuthorizationAuditEvent, 'subject' | 'clientId' | 'fhirUser' | 'patient' | 'breakTheGlassReason'> {
+    const { sub, client_id: clientIdClaim, cid, fhirUserObject, patientLaunchContext, breakTheGlass } = userIdentity;
+    return {
+        subject: sub,
+        clientId: clientIdClaim ?? cid,
+        fhirUser: fhirUserObject ? toReference(fhirUserObject) : undefined,
+        patient: patientLaunchContext ? toReference(patientLaunchContext) : undefined,
+        breakTheGlassReason: breakTheGlass?.reason,
+    };
+}
+
+/**
+ * @returns the usable scopes of the type the access rule relies on, i.e. the `patient` scopes for the patient context
+ */
+export function getGrantingScopes(usableScopes: string[], rule: ResourceAccessRule, resourceType?: string): string[] {
+    let scopeType: string;
+    switch (rule) {
+        case 'system-scope':
+            scopeType = 'system';
+            break;
+        case 'patient-context-reference':
+            scopeType = 'patient';
+            break;
+        default:
+            scopeType = 'user';
+    }
+    return usableScopes.filter(
+        (scope) =>
+            scope.startsWith(`${scopeType}/*`) || (!!resourceType && scope.startsWith(`${scopeType}/${resourceType}.`)),
+    );
+}
+
+/**
+ * Sends the event to the sink; a failing sink is logged so that it does not change the authorization decision
+ */
+export async function emitAuditEvent(
+    sink: AuditEventSink | undefined,
+    event: Omit<AuthorizationAuditEvent, 'timestamp'>,
+): Promise<void> {
+    if (!sink) {
+        return;
+    }
+    const auditEvent: AuthorizationAuditEvent = JSON.parse(
+        JSON.stringify({ ...event, timestamp: new Date().toISOString() }),
+    );
+    try {
+        await sink(auditEvent);
+    } catch (e) {
+        logger.error('Unable to record the authorization audit event', { check: event.check, outcome: event.outcome });
+    }
+}
+
+const AUDIT_EVENT_ACTIONS: { [operation: string]: string } = {
+    create: 'C',
+    read: 'R',
+    vread: 'R',
+    'history-instance': 'R',
+    update: 'U',
+    patch: 'U',
+    delete: 'D',
+};
+
+/**
+ * Maps the event to a FHIR R4 AuditEvent resource
+ * http://hl7.org/fhir/R4/auditevent.html
+ */
+export function toFhirAuditEvent(event: AuthorizationAuditEvent): any {
+    // `who` is left out when the requestor is not identified at all, an empty identifier is not a valid element
+    let who: any;
+    if (event.fhirUser) {
+        who = { reference: event.fhirUser };
+    } else if (event.subject ?? event.clientId) {
+        who = { identifier: { value: event.subject ?? event.clientId } };
+    }
+    const requestor: any = {
+        requestor: true,
+        who,
+        altId: event.subject,
+        policy: event.scopes,
+    };
+    const agent = [requestor];
+    if (event.clientId) {
+        agent.push({
+            requestor: false,
+            type: {
+                coding: [
+                    { system: 'http://dicom.nema.org/resources/ontology/DCM', code: '110150', display: 'Application' },
+                ],
+            },
+            who: { identifier: { value: event.clientId } },
+        });
+    }
+
+    const entity = [];
+    if (event.resourceType) {
+        entity.push({
+            what: event.resourceId
+                ? { reference: `${event.resourceType}/${event.resourceId}` }
+                : { type: event.resourceType },
+        });
+    }
+    if (event.patient) {
+        entity.push({
+            what: { reference: event.patient },
+            role: { system: 'http://terminology.hl7.org/CodeSystem/object-role', code: '1', display: 'Patient' },
+        });
+    }
+
+    return JSON.parse(
+        JSON.stringify({
+            resourceType: 'AuditEvent',
+            type: {
+                system: 'http://terminology.hl7.org/CodeSystem/audit-event-type',
+                code: 'rest',
+                display: 'RESTful Operation',
+            },
+            subtype: event.operation
+                ? [{ system: 'http://hl7.org/fhir/restful-interaction', code: event.operation }]
+                : undefined,
+            action: event.operation ? AUDIT_EVENT_ACTIONS[event.operation] ?? 'E' : undefined,
+            recorded: event.timestamp,
+            outcome: event.outcome === 'allow' ? '0' : '4',
+            outcomeDesc: `${event.check}: ${event.rule}`,
+            purposeOfEvent: event.breakTheGlassReason
+                ? [
+                      {
+                          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActReason', code: 'ETREAT' }],
+                          text: event.breakTheGlassReason,
+                      },
+                  ]
+                : undefined,
+            agent,
+            source: { observer: { display: 'fhir-works-on-aws-authz-smart' } },
+            entity: entity.length > 0 ? entity : undefined,
+        }),
+    );
+}
+
+/**
+ * Creates a sink recording the authorization decisions as FHIR AuditEvent resources
+ * @param write i.e. a function writing the AuditEvent to your datastore or log
+ */
+export function createFhirAuditEventSink(write: (auditEvent: any) => void | Promise<void>): AuditEventSink {
+    return (event: AuthorizationAuditEvent) => write(toFhirAuditEvent(event));
+}
@@ -0,0 +1,139 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
+import {
+    getBreakTheGlassAccess,
+    isBreakTheGlassActive,
+    isBreakTheGlassGranted,
+    isBreakTheGlassRequested,
+} from './breakTheGlassHelper';
+
+const fhirServiceBaseUrl = 'https://fhir.server.com/dev';
+const practitioner = { hostname: fhirServiceBaseUrl, resourceType: 'Practitioner', id: 'doc' };
+const now = Date.parse('2021-01-01T00:00:00.000Z');
+const iat = now / 1000 - 60;
+
+describe('isBreakTheGlassRequested', () => {
+    test.each([
+        [{ purpose_of_use: 'ETREAT' }, {}, true],
+        [{ purpose_of_use: ['TREAT', 'ETREAT'] }, {}, true],
+        [{ purpose_of_use: 'TREAT' }, {}, false],
+        [{}, {}, false],
+        [{ ext: { btg: true } }, { claimPath: 'ext.btg' }, true],
+        [{ ext: { btg: 'true' } }, { claimPath: 'ext.btg' }, false],
+        [{ purpose_of_use: 'BTG' }, { purposeOfUseCodes: ['BTG'] }, true],
+    ])('%p with %p', (decodedToken, options, expected) => {
+        expect(isBreakTheGlassRequested(decodedToken, options)).toBe(expected);
+    });
+});
+
+describe('getBreakTheGlassAccess', () => {
+    test('granted until the max duration from iat', () => {
+        expect(
+            getBreakTheGlassAccess(
+                { iat, purpose_of_use: 'ETREAT', btg_reason: 'cardiac arrest' },
+                {},
+                practitioner,
+                fhirServiceBaseUrl,
+                now,
+            ),
+        ).toEqual({ reason: 'cardiac arrest', expiresAt: '2021-01-01T00:59:00.000Z' });
+        expect(
+            getBreakTheGlassAccess(
+                { iat, purpose_of_use: 'ETREAT', ext: { reason: 'cardiac arrest' } },
+                { reasonClaimPath: 'ext.reason', maxDurationSeconds: 120 },
+                practitioner,
+                fhirServiceBaseUrl,
+                now,
+            ),
+        ).toEqual({ reason: 'cardiac arrest', expiresAt: '2021-01-01T00:01:00.000Z' });
+    });
+
+    test('not requested', () => {
+        expect(
+            getBreakTheGlassAccess({ iat, btg_reason: 'cardiac arrest' }, {}, practitioner, fhirServiceBaseUrl, now),
+        ).toBeUndefined();
+    });
+
+    test('ERROR: no reason', () => {
+        expect(() =>
+            getBreakTheGlassAccess({ iat, purpose_of_use: 'ETREAT' }, {}, practitioner, fhirServiceBaseUrl, now),
+        ).toThrowError(new UnauthorizedError('Break-the-glass access requires a reason'));
+        expect(() =>
+            getBreakTheGlassAccess(
+                { iat, purpose_of_use: 'ETREAT', btg_reason: ' ' },
+                {},
+                practitioner,
+                fhirServiceBaseUrl,
+                now,
+            ),
+        ).toThrowError(UnauthorizedError);
+    });
+
+    test.each([
+        ['no fhirUser', undefined],
+        ['fhirUser of another FHIR service', { ...practitioner, hostname: 'https://other.server.com' }],
+        ['fhirUser of another resourceType', { ...practitioner, resourceType: 'Patient' }],
+    ])('not granted: %s', (name, fhirUser) => {
+        expect(
+            getBreakTheGlassAccess(
+                { iat, purpose_of_use: 'ETREAT', btg_reason: 'cardiac arrest' },
+                {},
+                fhirUser,
+                fhirServiceBaseUrl,
+                now,
+            ),
+        ).toBeUndefined();
+    });
+
+    test('not granted: access_token without iat', () => {
+        expect(
+            getBreakTheGlassAccess(
+                { purpose_of_use: 'ETREAT', btg_reason: 'cardiac arrest' },
+                {},
+                practitioner,
+                fhirServiceBaseUrl,
+                now,
+            ),
+        ).toBeUndefined();
+    });
+
+    test('not granted: access has ended', () => {
+        expect(
+            getBreakTheGlassAccess(
+                { iat: iat - 3600, purpose_of_use: 'ETREAT', btg_reason: 'cardiac arrest' },
+                {},
+                practitioner,
+                fhirServiceBaseUrl,
+                now,
+            ),
+        ).toBeUndefined();
+    });
+});
+
+describe('isBreakTheGlassActive', () => {
+    test('until it expires', () => {
+        const userIdentity = { breakTheGlass: { reason: 'cardiac arrest', expiresAt: '2021-01-01T00:59:00.000Z' } };
+        expect(isBreakTheGlassActive(userIdentity, now)).toBe(true);
+        expect(isBreakTheGlassActive(userIdentity, Date.parse('2021-01-01T00:59:00.000Z'))).toBe(false);
+        expect(isBreakTheGlassActive({}, now)).toBe(false);
+    });
+});
+
+describe('isBreakTheGlassGranted', () => {
+    const userIdentity = { breakTheGlass: { reason: 'cardiac arrest', expiresAt: '2021-01-01T00:59:00.000Z' } };
+
+    test('reads & searches', () => {
+        expect(isBreakTheGlassGranted(userIdentity, 'read', {}, now)).toBe(true);
+        expect(isBreakTheGlassGranted(userIdentity, 'search-type', {}, now)).toBe(true);
+        expect(isBreakTheGlassGranted({}, 'read', {}, now)).toBe(false);
+    });
+
+    test('writes only with allowWrites', () => {
+        expect(isBreakTheGlassGranted(userIdentity, 'update', {}, now)).toBe(false);
+        expect(isBreakTheGlassGranted(userIdentity, 'create', undefined, now)).toBe(false);
+        expect(isBreakTheGlassGranted(userIdentity, 'delete', { allowWrites: true }, now)).toBe(true);
+    });
+});
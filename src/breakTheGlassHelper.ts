@@ -0,0 +1,102 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { KeyValueMap, SystemOperation, TypeOperation, UnauthorizedError } from 'fhir-works-on-aws-interface';
+import get from 'lodash/get';
+import { BreakTheGlassAccess, BreakTheGlassOptions, FhirResource } from './smartConfig';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
+
+export const DEFAULT_BREAK_THE_GLASS_CLAIM_PATH = 'purpose_of_use';
+export const DEFAULT_BREAK_THE_GLASS_PURPOSE_OF_USE_CODES = ['ETREAT'];
+export const DEFAULT_BREAK_THE_GLASS_REASON_CLAIM_PATH = 'btg_reason';
+export const DEFAULT_BREAK_THE_GLASS_MAX_DURATION_SECONDS = 3600;
+
+/**
+ * @returns true if the access_token requests break-the-glass access
+ */
+export function isBreakTheGlassRequested(decodedToken: any, options: BreakTheGlassOptions): boolean {
+    const claim = get(decodedToken, options.claimPath ?? DEFAULT_BREAK_THE_GLASS_CLAIM_PATH);
+    if (claim === true) {
+        return true;
+    }
+    const purposeOfUseCodes = options.purposeOfUseCodes ?? DEFAULT_BREAK_THE_GLASS_PURPOSE_OF_USE_CODES;
+    const codes: any[] = Array.isArray(claim) ? claim : [claim];
+    return codes.some((code) => typeof code === 'string' && purposeOfUseCodes.includes(code));
+}
+
+/**
+ * @param fhirUser the fhirUser using `user` scopes; only fhirUsers of this FHIR service can break the glass
+ * @returns the access granted; undefined if it is not requested, the fhirUser cannot break the glass, the access_token has
+ * no `iat` or the access has ended
+ * @throws UnauthorizedError when the access_token requests it without a reason
+ */
+export function getBreakTheGlassAccess(
+    decodedToken: any,
+    options: BreakTheGlassOptions,
+    fhirUser: FhirResource | undefined,
+    fhirServiceBaseUrl: string,
+    now: number = Date.now(),
+): BreakTheGlassAccess | undefined {
+    if (!isBreakTheGlassRequested(decodedToken, options)) {
+        return undefined;
+    }
+    const reason = get(decodedToken, options.reasonClaimPath ?? DEFAULT_BREAK_THE_GLASS_REASON_CLAIM_PATH);
+    if (typeof reason !== 'string' || reason.trim() === '') {
+        throw new UnauthorizedError('Break-the-glass access requires a reason');
+    }
+    const accessTypes = options.accessTypes ?? ['Practitioner'];
+    if (!fhirUser || fhirUser.hostname !== fhirServiceBaseUrl || !accessTypes.includes(fhirUser.resourceType)) {
+        logger.warn('fhirUser cannot break the glass', { resourceType: fhirUser?.resourceType });
+        return undefined;
+    }
+    // without `iat` the access could not end before the token does
+    if (typeof decodedToken.iat !== 'number') {
+        logger.warn('Break-the-glass access requires an access_token with an `iat`');
+        return undefined;
+    }
+    const expiresAt =
+        decodedToken.iat * 1000 + (options.maxDurationSeconds ?? DEFAULT_BREAK_THE_GLASS_MAX_DURATION_SECONDS) * 1000;
+    if (expiresAt <= now) {
+        logger.warn('Break-the-glass access has ended');
+        return undefined;
+    }
+    return { reason, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * @returns true if the userIdentity was granted break-the-glass access that has not ended
+ */
+export function isBreakTheGlassActive(userIdentity: KeyValueMap, now: number = Date.now()): boolean {
+    const expiresAt = Date.parse(userIdentity.breakTheGlass?.expiresAt);
+    return expiresAt > now;
+}
+
+const BREAK_THE_GLASS_READ_OPERATIONS: (TypeOperation | SystemOperation)[] = [
+    'read',
+    'vread',
+    'search-type',
+    'search-system',
+    'history-type',
+    'history-instance',
+    'history-system',
+];
+
+/**
+ * Break-the-glass access is meant to read the record in an emergency, so it only grants the other operations, i.e.
+ * creates, updates, patches & deletes, when `allowWrites` is set
+ * @returns true if the active break-the-glass access of the userIdentity grants the operation
+ */
+export function isBreakTheGlassGranted(
+    userIdentity: KeyValueMap,
+    operation: TypeOperation | SystemOperation,
+    options: BreakTheGlassOptions | undefined,
+    now: number = Date.now(),
+): boolean {
+    return (
+        isBreakTheGlassActive(userIdentity, now) &&
+        (BREAK_THE_GLASS_READ_OPERATIONS.includes(operation) || options?.allowWrites === true)
+    );
+}
@@ -0,0 +1,125 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { BatchReadWriteRequest } from 'fhir-works-on-aws-interface';
+import {
+    getBundleReferenceTargets,
+    isConditionWithinReferences,
+    parseConditionalUrl,
+    resolveBundleReferences,
+} from './bundleHelper';
+
+const fhirServiceBaseUrl = 'https://fhir.server.com/dev';
+const patient = { hostname: fhirServiceBaseUrl, resourceType: 'Patient', id: 'pat' };
+
+describe('getBundleReferenceTargets', () => {
+    test('fullUrl of the created and updated resources', () => {
+        const requests: BatchReadWriteRequest[] = [
+            { operation: 'create', resourceType: 'Patient', id: 'new', resource: {}, fullUrl: 'urn:uuid:1' },
+            {
+                operation: 'update',
+                resourceType: 'Patient',
+                id: 'pat',
+                resource: {},
+                fullUrl: `${fhirServiceBaseUrl}/Patient/pat`,
+            },
+            { operation: 'read', resourceType: 'Patient', id: 'other', resource: {}, fullUrl: 'urn:uuid:2' },
+            { operation: 'create', resourceType: 'Observation', id: 'obs', resource: {} },
+        ];
+        expect(getBundleReferenceTargets(requests, fhirServiceBaseUrl)).toEqual(
+            new Map([
+                ['urn:uuid:1', 'Patient/new'],
+                [`${fhirServiceBaseUrl}/Patient/pat`, 'Patient/pat'],
+                ['Patient/pat', 'Patient/pat'],
+            ]),
+        );
+    });
+});
+
+describe('resolveBundleReferences', () => {
+    const targets = new Map([['urn:uuid:1', 'Patient/new']]);
+
+    test('references to entries are replaced', () => {
+        const observation = {
+            resourceType: 'Observation',
+            subject: { reference: 'urn:uuid:1' },
+            performer: [{ reference: 'Practitioner/doc' }],
+        };
+        expect(resolveBundleReferences(observation, targets)).toEqual({
+            ...observation,
+            subject: { reference: 'Patient/new' },
+        });
+        expect(observation.subject.reference).toEqual('urn:uuid:1');
+    });
+
+    test('resource without references to entries', () => {
+        const observation = { resourceType: 'Observation', subject: { reference: 'Patient/pat' } };
+        expect(resolveBundleReferences(observation, targets)).toBe(observation);
+    });
+});
+
+describe('parseConditionalUrl', () => {
+    test.each([
+        [
+            'Observation?identifier=123&patient=Patient/pat',
+            [
+                ['identifier', '123'],
+                ['patient', 'Patient/pat'],
+            ],
+        ],
+        ['identifier=123', [['identifier', '123']]],
+        ['?identifier=123', [['identifier', '123']]],
+        ['Patient?identifier=123', undefined],
+        ['Observation?', undefined],
+        ['Observation?identifier=', undefined],
+    ])('%s', (conditionalUrl, expected) => {
+        expect(parseConditionalUrl(conditionalUrl, 'Observation')).toEqual(expected);
+    });
+});
+
+describe('isConditionWithinReferences', () => {
+    test.each([
+        [
+            [
+                ['identifier', '123'],
+                ['patient', 'Patient/pat'],
+            ],
+            'Observation',
+            true,
+        ],
+        [[['subject', `${fhirServiceBaseUrl}/Patient/pat`]], 'Observation', true],
+        [[['performer', 'Patient/pat']], 'Observation', true],
+        [[['identifier', '123']], 'Observation', false],
+        [[['identifier', 'Patient/pat']], 'Observation', false],
+        [[['encounter', 'Patient/pat']], 'Observation', false],
+        [[['patient', 'Patient/other']], 'Observation', false],
+        [[['patient', 'Patient/pat,Patient/other']], 'Observation', false],
+        [[['patient:not', 'Patient/pat']], 'Observation', false],
+        [[['subject.name', 'Patient/pat']], 'Observation', false],
+        [[['_id', 'pat']], 'Patient', true],
+        [[['_id', 'pat']], 'Observation', false],
+        [[['_id', 'pat,other']], 'Patient', false],
+    ])('%p of %s', (searchParams: any, resourceType, expected) => {
+        expect(isConditionWithinReferences(searchParams, resourceType, [patient], fhirServiceBaseUrl, '4.0.1')).toBe(
+            expected,
+        );
+    });
+
+    test('the reference search parameters follow the reference resolution', () => {
+        const searchParams: [string, string][] = [['recorder', 'Patient/pat']];
+        expect(isConditionWithinReferences(searchParams, 'Condition', [patient], fhirServiceBaseUrl, '4.0.1')).toBe(
+            true,
+        );
+        expect(
+            isConditionWithinReferences(
+                searchParams,
+                'Condition',
+                [patient],
+                fhirServiceBaseUrl,
+                '4.0.1',
+                'compartment',
+            ),
+        ).toBe(false);
+    });
+});
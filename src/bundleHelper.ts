@@ -0,0 +1,160 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { BatchReadWriteRequest, clone } from 'fhir-works-on-aws-interface';
+import { FhirResource, ReferenceResolution } from './smartConfig';
+import { getFhirResource, getResourceReferencesMatrix } from './smartAuthorizationHelper';
+import { SupportedFhirVersion } from './fhirVersionHelper';
+
+/**
+ * Bundle entries may carry the conditional parts of their `request`
+ */
+export interface ConditionalBatchReadWriteRequest extends BatchReadWriteRequest {
+    /**
+     * `request.url` of a conditional update, i.e. `Observation?identifier=123`
+     */
+    url?: string;
+    /**
+     * `request.ifNoneExist` of a conditional create, i.e. `identifier=123`
+     */
+    ifNoneExist?: string;
+}
+
+/**
+ * A reference to the `fullUrl` of an entry is replaced by the reference to the resource the entry creates or updates,
+ * i.e. `urn:uuid:...` becomes `Patient/<id>`
+ * @returns the references to the entries by their `fullUrl`
+ */
+export function getBundleReferenceTargets(
+    requests: BatchReadWriteRequest[],
+    fhirServiceBaseUrl: string,
+): Map<string, string> {
+    const targets: Map<string, string> = new Map();
+    requests.forEach(({ operation, fullUrl, resourceType, id }) => {
+        if (!['create', 'update'].includes(operation) || !fullUrl || !resourceType || !id) {
+            return;
+        }
+        const target = `${resourceType}/${id}`;
+        targets.set(fullUrl, target);
+        if (fullUrl.startsWith(`${fhirServiceBaseUrl}/`)) {
+            targets.set(fullUrl.substring(fhirServiceBaseUrl.length + 1), target);
+        }
+    });
+    return targets;
+}
+
+/**
+ * @returns a copy of the resource with the references to other entries replaced by their targets;
+ * the resource itself if it has none
+ */
+export function resolveBundleReferences(resource: any, targets: Map<string, string>): any {
+    if (targets.size === 0 || typeof resource !== 'object' || resource === null) {
+        return resource;
+    }
+    let resolved = false;
+    const resolvedResource = clone(resource);
+    const resolve = (node: any) => {
+        if (typeof node !== 'object' || node === null) {
+            return;
+        }
+        if (typeof node.reference === 'string' && targets.has(node.reference)) {
+            // eslint-disable-next-line no-param-reassign
+            node.reference = targets.get(node.reference);
+            resolved = true;
+        }
+        Object.values(node).forEach(resolve);
+    };
+    resolve(resolvedResource);
+    return resolved ? resolvedResource : resource;
+}
+
+/**
+ * @param conditionalUrl `request.url` of a conditional update or `request.ifNoneExist` of a conditional create
+ * @returns the names & values of the search parameters; undefined if malformed or of another resourceType
+ */
+export function parseConditionalUrl(conditionalUrl: string, resourceType: string): [string, string][] | undefined {
+    const separator = conditionalUrl.indexOf('?');
+    const path = separator === -1 ? '' : conditionalUrl.substring(0, separator);
+    const query = separator === -1 ? conditionalUrl : conditionalUrl.substring(separator + 1);
+    if (path !== '' && path !== resourceType) {
+        return undefined;
+    }
+    const searchParams: [string, string][] = [];
+    new URLSearchParams(query).forEach((value, name) => searchParams.push([name, value]));
+    if (searchParams.length === 0 || searchParams.some(([, value]) => value === '')) {
+        return undefined;
+    }
+    return searchParams;
+}
+
+/**
+ * Only the reference fields at the root of the resource have a search parameter of the same name, i.e.
+ * `generalPractitioner` is searched with `general-practitioner`. `patient` searches the `subject` or `patient` of the
+ * resources about a Patient
+ * @returns the names of the search parameters of the resourceType that reference the requestor resourceType
+ */
+function getReferenceSearchParamNames(
+    resourceType: string,
+    requestorResourceType: string,
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): string[] {
+    const matrix = getResourceReferencesMatrix(fhirVersion, referenceResolution);
+    const paths: string[] = matrix[resourceType]?.[requestorResourceType] ?? [];
+    const names = paths
+        .filter((path) => !path.includes('.'))
+        .map((path) => path.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`));
+    if (requestorResourceType === 'Patient' && (paths.includes('subject') || paths.includes('patient'))) {
+        names.push('patient');
+    }
+    return names;
+}
+
+/**
+ * The condition only matches resources the requestor is referenced by when one of its parameters, without modifier
+ * or chaining, is a reference search parameter of the resourceType, per the `referenceResolution`, and references an
+ * identity of the requestor. `_id` counts when the resourceType is the one of the identity
+ */
+export function isConditionWithinReferences(
+    searchParams: [string, string][],
+    resourceType: string,
+    identities: FhirResource[],
+    fhirServiceBaseUrl: string,
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): boolean {
+    return searchParams.some(([name, value]) => {
+        if (name.includes(':') || name.includes('.')) {
+            return false;
+        }
+        const values = value.split(',');
+        if (name === '_id') {
+            // a comma separated value is an OR, so every value must be an identity
+            return values.every((id) =>
+                identities.some((identity) => identity.resourceType === resourceType && identity.id === id),
+            );
+        }
+        return values.every((reference) => {
+            try {
+                const referenced = getFhirResource(reference, fhirServiceBaseUrl);
+                return (
+                    getReferenceSearchParamNames(
+                        resourceType,
+                        referenced.resourceType,
+                        fhirVersion,
+                        referenceResolution,
+                    ).includes(name) &&
+                    identities.some(
+                        (identity) =>
+                            identity.hostname === referenced.hostname &&
+                            identity.resourceType === referenced.resourceType &&
+                            identity.id === referenced.id,
+                    )
+                );
+            } catch (e) {
+                return false;
+            }
+        });
+    });
+}
@@ -0,0 +1,165 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { KeyObject } from 'crypto';
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
+import jwksClient from 'jwks-rsa';
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+// eslint-disable-next-line import/no-unresolved
+import fromKeyLike from 'jose/jwk/from_key_like';
+// eslint-disable-next-line import/no-unresolved
+import SignJWT from 'jose/jwt/sign';
+// eslint-disable-next-line import/no-unresolved
+import generateKeyPair from 'jose/util/generate_key_pair';
+import * as smartAuthorizationHelper from './smartAuthorizationHelper';
+import { CLIENT_ASSERTION_TYPE, createClientAssertionValidator, RegisteredClient } from './clientAssertionHelper';
+
+const kid = 'client-key';
+const clientId = 'bulk-client';
+const tokenEndpoint = 'https://fhir.server.com/auth/token';
+const registeredClient: RegisteredClient = {
+    clientId,
+    jwksEndpoint: 'https://client.example.com/.well-known/jwks.json',
+    scopes: ['system/*.read', 'user/*.read'],
+};
+
+describe('createClientAssertionValidator', () => {
+    let privateKey: KeyObject;
+    const privateKeys: { [alg: string]: KeyObject } = {};
+    let getJwksClient: jest.SpyInstance;
+    let mock: MockAdapter;
+
+    beforeAll(async () => {
+        const keyPair = await generateKeyPair('RS384');
+        privateKey = <KeyObject>keyPair.privateKey;
+        const jwks = [{ ...(await fromKeyLike(keyPair.publicKey)), kid, use: 'sig' }];
+        await Promise.all(
+            ['ES384', 'EdDSA'].map(async (alg) => {
+                const otherKeyPair = await generateKeyPair(alg);
+                privateKeys[alg] = <KeyObject>otherKeyPair.privateKey;
+                jwks.push({ ...(await fromKeyLike(otherKeyPair.publicKey)), kid: `${alg}-key`, use: 'sig' });
+            }),
+        );
+        getJwksClient = jest.spyOn(smartAuthorizationHelper, 'getJwksClient').mockImplementation((jwksUri) =>
+            jwksClient({
+                jwksUri,
+                getKeysInterceptor: (cb) => {
+                    // @ts-ignore
+                    return cb(null, jwks);
+                },
+            }),
+        );
+        // the interceptor only applies to the RSA keys
+        mock = new MockAdapter(axios);
+        mock.onGet(registeredClient.jwksEndpoint).reply(200, { keys: jwks });
+    });
+
+    afterAll(() => {
+        getJwksClient.mockRestore();
+        mock.restore();
+    });
+
+    const getAssertion = (payload: any = {}, header: any = { kid }, signingKey: KeyObject = privateKey) => {
+        const nowInSeconds = Math.floor(Date.now() / 1000);
+        return new SignJWT({
+            iss: clientId,
+            sub: clientId,
+            aud: tokenEndpoint,
+            exp: nowInSeconds + 300,
+            jti: `${Math.random()}`,
+            ...payload,
+        })
+            .setProtectedHeader({ alg: 'RS384', ...header })
+            .sign(signingKey);
+    };
+    const getValidator = (allowedAlgorithms?: string[]) =>
+        createClientAssertionValidator({
+            tokenEndpoint,
+            getClient: async (id) => (id === clientId ? registeredClient : undefined),
+            allowedAlgorithms,
+        });
+
+    test('valid client assertion', async () => {
+        const validator = getValidator();
+        await expect(validator(CLIENT_ASSERTION_TYPE, await getAssertion())).resolves.toEqual({
+            clientId,
+            scopes: ['system/*.read'],
+        });
+        expect(getJwksClient).toHaveBeenCalledWith(registeredClient.jwksEndpoint, undefined);
+    });
+
+    test.each([
+        ['ES384', undefined],
+        ['EdDSA', ['EdDSA']],
+    ])('valid %s client assertion', async (alg, allowedAlgorithms) => {
+        const assertion = await getAssertion({}, { alg, kid: `${alg}-key` }, privateKeys[alg]);
+        await expect(getValidator(allowedAlgorithms)(CLIENT_ASSERTION_TYPE, assertion)).resolves.toEqual({
+            clientId,
+            scopes: ['system/*.read'],
+        });
+    });
+
+    test('ERROR: alg is not allowed', async () => {
+        await expect(getValidator(['ES384'])(CLIENT_ASSERTION_TYPE, await getAssertion())).rejects.toThrowError(
+            UnauthorizedError,
+        );
+        const assertion = await getAssertion({}, { alg: 'EdDSA', kid: 'EdDSA-key' }, privateKeys.EdDSA);
+        await expect(getValidator()(CLIENT_ASSERTION_TYPE, assertion)).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('ERROR: alg does not match the key', async () => {
+        const assertion = await getAssertion({}, { alg: 'RS384', kid: 'ES384-key' }, privateKey);
+        await expect(getValidator()(CLIENT_ASSERTION_TYPE, assertion)).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('ERROR: allowed algorithms are not supported', () => {
+        expect(() => getValidator(['HS256'])).toThrow(
+            /^Authorization configuration 'allowedAlgorithms' must only contain/,
+        );
+    });
+
+    test.each([
+        ['iss is not the sub', { sub: 'other' }],
+        ['client is not registered', { iss: 'other', sub: 'other' }],
+        ['aud is not the token endpoint', { aud: 'https://other.server.com/token' }],
+        ['aud is missing', { aud: undefined }],
+        ['exp is more than five minutes out', { exp: Math.floor(Date.now() / 1000) + 600 }],
+        ['exp is missing', { exp: undefined }],
+        ['assertion has expired', { exp: Math.floor(Date.now() / 1000) - 600 }],
+        ['jti is missing', { jti: undefined }],
+    ])('ERROR: %s', async (name, payload) => {
+        await expect(getValidator()(CLIENT_ASSERTION_TYPE, await getAssertion(payload))).rejects.toThrowError(
+            new UnauthorizedError('Invalid client assertion'),
+        );
+    });
+
+    test('ERROR: kid is missing', async () => {
+        await expect(getValidator()(CLIENT_ASSERTION_TYPE, await getAssertion({}, {}))).rejects.toThrowError(
+            UnauthorizedError,
+        );
+    });
+
+    test('ERROR: signed with a key not in the client JWKS', async () => {
+        const other = await generateKeyPair('RS384');
+        await expect(
+            getValidator()(CLIENT_ASSERTION_TYPE, await getAssertion({}, { kid }, <KeyObject>other.privateKey)),
+        ).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('ERROR: unsupported client_assertion_type', async () => {
+        await expect(getValidator()('client_secret', await getAssertion())).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('ERROR: not a JWT', async () => {
+        await expect(getValidator()(CLIENT_ASSERTION_TYPE, 'not-a-jwt')).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('ERROR: assertion is replayed', async () => {
+        const validator = getValidator();
+        const assertion = await getAssertion();
+        await expect(validator(CLIENT_ASSERTION_TYPE, assertion)).resolves.toBeDefined();
+        await expect(validator(CLIENT_ASSERTION_TYPE, assertion)).rejects.toThrowError(UnauthorizedError);
+    });
+});
@@ -0,0 +1,169 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { decode } from 'jsonwebtoken';
+import { Headers, JwksClient } from 'jwks-rsa';
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
+import { JtiReplayStore } from './smartConfig';
+import { getJwksClient } from './smartAuthorizationHelper';
+import { createInMemoryJtiReplayStore } from './tokenCacheHelper';
+import {
+    DEFAULT_ALLOWED_ALGORITHMS,
+    getVerificationKey,
+    validateAllowedAlgorithms,
+    VerificationKey,
+    verifyJwtSignature,
+} from './jwkHelper';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
+
+export const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+const MAX_ASSERTION_LIFETIME_SECONDS = 300;
+
+const ERR_MESSAGE = 'Invalid client assertion';
+
+/**
+ * A Backend Services client registered with this FHIR server
+ */
+export interface RegisteredClient {
+    clientId: string;
+    /**
+     * JWKS of the client, used to verify the signature of its client assertions
+     */
+    jwksEndpoint: string;
+    jwksHeaders?: Headers;
+    /**
+     * `system/` scopes the client may be granted; other scopes are ignored
+     */
+    scopes: string[];
+}
+
+/**
+ * @returns the registered client; undefined if it is not registered
+ */
+export type RegisteredClientLookup = (clientId: string) => Promise<RegisteredClient | undefined>;
+
+export interface ClientAssertionOptions {
+    /**
+     * Token endpoint of this FHIR server, expected as the `aud` of the client assertions
+     */
+    tokenEndpoint: string;
+    getClient: RegisteredClientLookup;
+    /**
+     * Signature algorithms accepted for the client assertions, see `SMARTConfig.allowedAlgorithms`. Defaults to all
+     * the supported algorithms but EdDSA
+     */
+    allowedAlgorithms?: string[];
+    /**
+     * Defaults to a bounded in memory store
+     */
+    replayStore?: JtiReplayStore;
+}
+
+export interface ValidatedClient {
+    clientId: string;
+    /**
+     * `system/` scopes of the client; use them as the scopes of the access_token issued to the client
+     */
+    scopes: string[];
+}
+
+export type ClientAssertionValidator = (
+    clientAssertionType: string,
+    clientAssertion: string,
+) => Promise<ValidatedClient>;
+
+/**
+ * Creates a validator of SMART Backend Services client assertions (`private_key_jwt`)
+ * http://hl7.org/fhir/smart-app-launch/backend-services.html#authenticating-to-the-token-endpoint
+ * @throws Error when an allowed algorithm is not supported
+ */
+export function createClientAssertionValidator({
+    tokenEndpoint,
+    getClient,
+    allowedAlgorithms = DEFAULT_ALLOWED_ALGORITHMS,
+    replayStore = createInMemoryJtiReplayStore(),
+}: ClientAssertionOptions): ClientAssertionValidator {
+    validateAllowedAlgorithms(allowedAlgorithms, 'allowedAlgorithms');
+    const jwksClients: Map<string, JwksClient> = new Map();
+    const getClientJwksClient = ({ jwksEndpoint, jwksHeaders }: RegisteredClient) => {
+        let client = jwksClients.get(jwksEndpoint);
+        if (!client) {
+            client = getJwksClient(jwksEndpoint, jwksHeaders);
+            jwksClients.set(jwksEndpoint, client);
+        }
+        return client;
+    };
+
+    return async (clientAssertionType: string, clientAssertion: string): Promise<ValidatedClient> => {
+        if (clientAssertionType !== CLIENT_ASSERTION_TYPE) {
+            logger.warn('Unsupported `client_assertion_type`');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        const decoded = decode(clientAssertion, { complete: true });
+        if (decoded === null || typeof decoded === 'string' || typeof decoded.payload !== 'object') {
+            logger.warn('client_assertion could not be decoded into an object');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        const { header, payload } = decoded;
+        const { iss, sub, aud, exp, jti } = payload;
+        if (!allowedAlgorithms.includes(header.alg)) {
+            logger.warn('client_assertion `alg` is not allowed', { alg: header.alg });
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        if (typeof iss !== 'string' || iss !== sub) {
+            logger.warn('client_assertion `iss` and `sub` must be the client_id');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        if (!(Array.isArray(aud) ? aud : [aud]).includes(tokenEndpoint)) {
+            logger.warn('client_assertion `aud` must be the token endpoint');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        if (!header.kid) {
+            logger.warn('client_assertion verification failed. JWT "kid" attribute is required in the header');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        const nowInSeconds = Math.floor(Date.now() / 1000);
+        if (typeof exp !== 'number' || exp - nowInSeconds > MAX_ASSERTION_LIFETIME_SECONDS) {
+            logger.warn('client_assertion `exp` must be no more than five minutes in the future');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        if (typeof jti !== 'string' || jti.length === 0) {
+            logger.warn('client_assertion `jti` is required');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+
+        const client = await getClient(iss);
+        if (!client || client.clientId !== iss) {
+            logger.warn('client_assertion is from an unregistered client');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        let key: VerificationKey;
+        try {
+            key = await getVerificationKey(getClientJwksClient(client), header.kid, header.alg);
+        } catch (e) {
+            logger.warn((e as any).message);
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        try {
+            // `iss`, `sub` & `aud` were checked above
+            verifyJwtSignature(clientAssertion, key, header.alg);
+        } catch (e) {
+            logger.warn((e as any).message);
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+        // checked once the signature is valid so that forged assertions cannot burn a `jti`
+        if (!(await replayStore.add(`${client.clientId}:${jti}`, Math.max(exp - nowInSeconds, 1)))) {
+            logger.warn('client_assertion replay detected');
+            throw new UnauthorizedError(ERR_MESSAGE);
+        }
+
+        return {
+            clientId: client.clientId,
+            scopes: client.scopes.filter((scope) => scope.startsWith('system/')),
+        };
+    };
+}
@@ -0,0 +1,250 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+/* eslint-disable no-template-curly-in-string */
+import {
+    getUnsafeRegexReason,
+    loadSmartConfig,
+    migrateSmartConfig,
+    SCOPE_RULE_OPERATIONS,
+    validateSmartConfig,
+} from './configLoaderHelper';
+
+const validConfig = () => ({
+    version: 1.0,
+    scopeKey: 'scp',
+    scopeRule: {
+        patient: { read: ['read', 'search-type'], write: [] },
+        user: { read: ['read', 'search-type'], write: ['create', 'update'] },
+        system: { read: ['read'], write: [] },
+    },
+    expectedAudValue: 'api://default',
+    expectedIssValue: 'https://issuer.example.com/oauth2/default',
+    fhirUserClaimPath: 'fhirUser',
+    launchContextPathPrefix: 'launch_response_',
+    jwksEndpoint: 'https://issuer.example.com/oauth2/default/v1/keys',
+});
+
+describe('validateSmartConfig', () => {
+    test('valid config', () => {
+        expect(validateSmartConfig(validConfig())).toEqual([]);
+    });
+
+    test('every error is reported', () => {
+        const config: any = {
+            ...validConfig(),
+            scopeRule: { ...validConfig().scopeRule, user: { read: ['search'], write: 'create' } },
+            expectedIssValue: undefined,
+            tokenIntrospection: { clientId: 'id', clientSecret: 'secret', introspectUrl: 'not a url' },
+        };
+        expect(validateSmartConfig(config)).toEqual([
+            `scopeRule.user.read[0] must be one of ${SCOPE_RULE_OPERATIONS.join(', ')}`,
+            'scopeRule.user.write should be array',
+            'expectedIssValue is required',
+            'tokenIntrospection.introspectUrl must be an absolute http(s) URL',
+            'the config must be configured with exactly one of jwksEndpoint or tokenIntrospection',
+        ]);
+    });
+
+    test('jwksEndpoint or tokenIntrospection is required', () => {
+        const config: any = validConfig();
+        delete config.jwksEndpoint;
+        expect(validateSmartConfig(config)).toEqual([
+            'the config must be configured with exactly one of jwksEndpoint or tokenIntrospection',
+        ]);
+    });
+
+    test('trusted issuers', () => {
+        expect(
+            validateSmartConfig({
+                ...validConfig(),
+                trustedIssuers: [
+                    { issuer: 'https://other.example.com', jwksEndpoint: 'https://other.example.com/keys' },
+                    { issuer: 'other', expectedAudValue: /api/ },
+                ],
+            }),
+        ).toEqual([
+            'trustedIssuers[1].issuer must be an absolute http(s) URL',
+            'trustedIssuers[1] must be configured with exactly one of jwksEndpoint or tokenIntrospection',
+            'trustedIssuers[1].expectedAudValue.regex must be anchored with ^ and $',
+        ]);
+    });
+
+    test('operations of the scope rule', () => {
+        const config: any = validConfig();
+        config.scopeRule.patient.operations = {
+            read: [
+                { name: 'everything', levels: ['instance'] },
+                { name: '$export', levels: ['group'] },
+            ],
+        };
+        expect(validateSmartConfig(config)).toEqual([
+            'scopeRule.patient.operations.read[0].name must be an operation name, i.e. $everything',
+            'scopeRule.patient.operations.read[1].levels[0] must be one of system, type, instance',
+        ]);
+    });
+    test('unknown options', () => {
+        expect(
+            validateSmartConfig({
+                ...validConfig(),
+                $schema: './smartConfig.schema.json',
+                jwksEndpont: 'https://issuer.example.com/jwks',
+                breakTheGlass: { maxDuration: 60 },
+                scopeRule: { ...validConfig().scopeRule, user: { read: [], write: [], reads: ['read'] } },
+            }),
+        ).toEqual([
+            'jwksEndpont is not a known option',
+            'scopeRule.user.reads is not a known option',
+            'breakTheGlass.maxDuration is not a known option',
+        ]);
+    });
+    test('jwksEndpoint and tokenIntrospection are mutually exclusive', () => {
+        expect(
+            validateSmartConfig({
+                ...validConfig(),
+                tokenIntrospection: {
+                    clientId: 'id',
+                    clientSecret: 'secret',
+                    introspectUrl: 'https://issuer.example.com/introspect',
+                },
+            }),
+        ).toEqual(['the config must be configured with exactly one of jwksEndpoint or tokenIntrospection']);
+    });
+
+    test('newer options', () => {
+        expect(
+            validateSmartConfig({
+                ...validConfig(),
+                revocation: { ttlSeconds: 0, logoutTokenAudience: /^(a+)+$/ },
+                purposeOfUse: { claimPath: 'pou' },
+                accessWindow: {
+                    windows: [
+                        { start: '9:00', end: '17:00' },
+                        { start: '09:00', end: '17:00', timeZone: 'Mars/Olympus_Mons' },
+                    ],
+                },
+                breakTheGlass: { maxDurationSeconds: -1 },
+                groupExport: { allowedGroups: { 'backend-app': 'group-1' } },
+                redaction: { elements: { patient: ['Patient.identifier', { path: 'Patient.identifier' }] } },
+                dpop: { patient: 'always', allowedAlgorithms: ['HS256'] },
+            }),
+        ).toEqual([
+            'redaction.elements.patient[1].system is required',
+            'breakTheGlass.maxDurationSeconds should be > 0',
+            "groupExport.allowedGroups['backend-app'] should be array",
+            'purposeOfUse.purposes is required',
+            'accessWindow.windows[0].start should match pattern "^([01][0-9]|2[0-3]):[0-5][0-9]$"',
+            'dpop.patient must be one of off, optional, required',
+            'dpop.allowedAlgorithms[0] must be one of RS256, RS384, RS512, PS256, PS384, PS512, ES256, ES384, ES512, EdDSA',
+            'revocation.ttlSeconds should be > 0',
+            'revocation.logoutTokenAudience.regex must not have nested quantifiers',
+            'accessWindow.windows[1].timeZone is not a known time zone',
+        ]);
+    });
+});
+
+describe('getUnsafeRegexReason', () => {
+    test.each([
+        ['^api://default$', undefined],
+        ['^https://(\\w+\\.)?example\\.com$', undefined],
+        ['^(\\d{1,3}\\.){3}\\d{1,3}$', undefined],
+        ['api://default', 'must be anchored with ^ and $'],
+        ['^api://default\\$', 'must be anchored with ^ and $'],
+        ['^(a+)+$', 'must not have nested quantifiers'],
+        ['^(\\w*\\.)*example$', 'must not have nested quantifiers'],
+        ['^(a{1,}){2,}$', 'must not have nested quantifiers'],
+        ['^(api$', 'is not a valid regular expression'],
+    ])('%s', (source, reason) => {
+        expect(getUnsafeRegexReason(source)).toEqual(reason);
+    });
+});
+
+describe('migrateSmartConfig', () => {
+    test('renamed keys', () => {
+        const config: any = validConfig();
+        delete config.fhirUserClaimPath;
+        delete config.launchContextPathPrefix;
+        delete config.version;
+        expect(
+            migrateSmartConfig({ ...config, fhirUserClaimKey: 'fhirUser', launchContextKeyPrefix: 'launch_response_' }),
+        ).toEqual({
+            config: validConfig(),
+            migrations: [
+                '`fhirUserClaimKey` was renamed to `fhirUserClaimPath`',
+                '`launchContextKeyPrefix` was renamed to `launchContextPathPrefix`',
+                '`version` was missing and is set to 1',
+            ],
+        });
+    });
+
+    test('current config', () => {
+        expect(migrateSmartConfig(validConfig())).toEqual({ config: validConfig(), migrations: [] });
+    });
+});
+
+describe('loadSmartConfig', () => {
+    test('JSON with environment variables', () => {
+        const text = JSON.stringify({
+            ...validConfig(),
+            expectedAudValue: { regex: '^api://${STAGE}$' },
+            expectedIssValue: '${ISSUER}',
+        });
+        expect(
+            loadSmartConfig(text, { env: { STAGE: 'dev', ISSUER: 'https://issuer.example.com/oauth2/dev' } }),
+        ).toEqual({
+            config: {
+                ...validConfig(),
+                expectedAudValue: /^api:\/\/dev$/,
+                expectedIssValue: 'https://issuer.example.com/oauth2/dev',
+            },
+            warnings: [],
+        });
+    });
+
+    test('YAML is parsed with the given parser', () => {
+        const parseYaml = jest.fn().mockReturnValue(validConfig());
+        expect(loadSmartConfig('version: 1', { format: 'yaml', parseYaml, env: {} }).config).toEqual(validConfig());
+        expect(parseYaml).toHaveBeenCalledWith('version: 1');
+        expect(() => loadSmartConfig('version: 1', { format: 'yaml' })).toThrowError(
+            'Invalid SMARTConfig: the yaml cannot be parsed: parseYaml is required to load YAML',
+        );
+    });
+
+    test('older configs are migrated with a warning', () => {
+        const config: any = validConfig();
+        delete config.fhirUserClaimPath;
+        const text = JSON.stringify({
+            ...config,
+            fhirUserClaimKey: 'fhirUser',
+            jwksEndpoint: 'http://issuer.example.com/keys',
+        });
+        expect(loadSmartConfig(text, { env: {} }).warnings).toEqual([
+            'migrated: `fhirUserClaimKey` was renamed to `fhirUserClaimPath`',
+            'http://issuer.example.com/keys is not https',
+        ]);
+    });
+
+    test('every error is reported at once', () => {
+        const text = JSON.stringify({
+            ...validConfig(),
+            scopeKey: '${SCOPE_KEY}',
+            expectedAudValue: { regex: '.*' },
+            scopeRule: { ...validConfig().scopeRule, system: { read: ['search'], write: [] } },
+        });
+        expect(() => loadSmartConfig(text, { env: {} })).toThrowError(
+            new Error(
+                [
+                    'Invalid SMARTConfig:',
+                    '- environment variable SCOPE_KEY is not set',
+                    `- scopeRule.system.read[0] must be one of ${SCOPE_RULE_OPERATIONS.join(', ')}`,
+                    '- expectedAudValue.regex must be anchored with ^ and $',
+                ].join('\n'),
+            ),
+        );
+    });
+
+    test('malformed JSON', () => {
+        expect(() => loadSmartConfig('{', { env: {} })).toThrowError(/^Invalid SMARTConfig: the json cannot be parsed/);
+    });
+});
@@ -0,0 +1,312 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import Ajv, { ErrorObject } from 'ajv';
+import uniq from 'lodash/uniq';
+import { SystemOperation, TypeOperation } from 'fhir-works-on-aws-interface';
+import { SMARTConfig } from './smartConfig';
+import smartConfigSchema from './schema/smartConfig.schema.json';
+
+export { smartConfigSchema };
+
+export const SMART_CONFIG_VERSION = 1.0;
+
+/**
+ * Operations a scope rule may grant, as published in the schema
+ */
+export const SCOPE_RULE_OPERATIONS = <(TypeOperation | SystemOperation)[]>smartConfigSchema.definitions.operation.enum;
+
+export interface LoadSmartConfigOptions {
+    /**
+     * Defaults to `json`
+     */
+    format?: 'json' | 'yaml';
+    /**
+     * Parses YAML text, i.e. `load` of js-yaml; required for the `yaml` format
+     */
+    parseYaml?: (text: string) => any;
+    /**
+     * Values of the `${NAME}` placeholders of the config; defaults to `process.env`
+     */
+    env?: { [name: string]: string | undefined };
+}
+
+export interface LoadedSmartConfig {
+    config: SMARTConfig;
+    /**
+     * Startup diagnostics that do not prevent the config from loading, i.e. the migrations applied
+     */
+    warnings: string[];
+}
+
+interface Migration {
+    description: string;
+    isNeeded: (config: any) => boolean;
+    migrate: (config: any) => any;
+}
+
+const renameKey = (config: any, from: string, to: string) => {
+    const { [from]: value, ...rest } = config;
+    return rest[to] === undefined ? { ...rest, [to]: value } : rest;
+};
+
+/**
+ * Applied in order to the configs written for older versions of the handler
+ */
+const MIGRATIONS: Migration[] = [
+    {
+        description: '`fhirUserClaimKey` was renamed to `fhirUserClaimPath`',
+        isNeeded: (config) => config.fhirUserClaimKey !== undefined,
+        migrate: (config) => renameKey(config, 'fhirUserClaimKey', 'fhirUserClaimPath'),
+    },
+    {
+        description: '`launchContextKeyPrefix` was renamed to `launchContextPathPrefix`',
+        isNeeded: (config) => config.launchContextKeyPrefix !== undefined,
+        migrate: (config) => renameKey(config, 'launchContextKeyPrefix', 'launchContextPathPrefix'),
+    },
+    {
+        description: `\`version\` was missing and is set to ${SMART_CONFIG_VERSION}`,
+        isNeeded: (config) => config.version === undefined,
+        migrate: (config) => ({ ...config, version: SMART_CONFIG_VERSION }),
+    },
+];
+
+/**
+ * @returns the config migrated to the current version and the description of the migrations applied
+ */
+export function migrateSmartConfig(config: any): { config: any; migrations: string[] } {
+    return MIGRATIONS.reduce(
+        (migrated, migration) =>
+            migration.isNeeded(migrated.config)
+                ? {
+                      config: migration.migrate(migrated.config),
+                      migrations: [...migrated.migrations, migration.description],
+                  }
+                : migrated,
+        { config, migrations: <string[]>[] },
+    );
+}
+
+/**
+ * An audience regex must match the whole `aud` claim and must not backtrack catastrophically
+ * @returns the reason the regex is unsafe; undefined if it is safe
+ */
+export function getUnsafeRegexReason(source: string): string | undefined {
+    try {
+        // eslint-disable-next-line no-new
+        new RegExp(source);
+    } catch (e) {
+        return 'is not a valid regular expression';
+    }
+    if (!source.startsWith('^') || !source.endsWith('$') || source.endsWith('\\$')) {
+        return 'must be anchored with ^ and $';
+    }
+    // a quantified group containing a quantifier, i.e. (a+)+ or (\w*)*
+    if (/\((?:[^()\\]|\\.)*(?:[*+]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[*+]|\{\d+,\d*\})/.test(source)) {
+        return 'must not have nested quantifiers';
+    }
+    return undefined;
+}
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+const validateSchema = ajv.compile(smartConfigSchema);
+
+const formatSchemaError = ({ keyword, dataPath, params, parentSchema, message }: ErrorObject): string => {
+    const path = dataPath.replace(/^\./, '');
+    const subject = path || 'the config';
+    if (keyword === 'required') {
+        return `${path ? `${path}.` : ''}${(<any>params).missingProperty.replace(/^\./, '')} is required`;
+    }
+    if (keyword === 'additionalProperties') {
+        return `${path ? `${path}.` : ''}${(<any>params).additionalProperty} is not a known option`;
+    }
+    if ((<any>parentSchema)?.description && keyword !== 'if') {
+        return `${subject} must be ${(<any>parentSchema).description}`;
+    }
+    if (keyword === 'enum') {
+        return `${subject} must be one of ${(<any>params).allowedValues.join(', ')}`;
+    }
+    if (keyword === 'const') {
+        return `${subject} must be ${(<any>params).allowedValue}`;
+    }
+    return `${subject} ${message}`;
+};
+
+/**
+ * The errors found by the schema; the errors of the branches of a `oneOf` are reported as the error of the `oneOf`
+ * and the ones of an `if` as the error of its `then` or `else`
+ */
+function getSchemaErrors(config: any): string[] {
+    if (validateSchema(config)) {
+        return [];
+    }
+    const errors = validateSchema.errors ?? [];
+    const oneOfPaths = errors.filter((error) => error.keyword === 'oneOf').map((error) => `${error.schemaPath}/`);
+    return uniq(
+        errors
+            .filter(
+                (error) =>
+                    error.keyword !== 'if' && !oneOfPaths.some((oneOfPath) => error.schemaPath.startsWith(oneOfPath)),
+            )
+            .map(formatSchemaError),
+    );
+}
+
+const toRegexObject = (audience: any) => (audience instanceof RegExp ? { regex: audience.source } : audience);
+
+const isKnownTimeZone = (timeZone: string): boolean => {
+    try {
+        // eslint-disable-next-line no-new
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Validates the config against the published schema, `smartConfigSchema`, then checks what the schema cannot express:
+ * the safety of the audience regexes and the time zones of the access windows. A RegExp audience, as given in code, is
+ * validated like its `{ regex }` form. Only the declarative part of a config is valid: the options holding functions are unknown to the schema
+ * @returns every error found; empty if the config is valid
+ */
+export function validateSmartConfig(config: any): string[] {
+    if (typeof config !== 'object' || config === null) {
+        return ['the config must be an object'];
+    }
+    const normalized = {
+        ...config,
+        expectedAudValue: toRegexObject(config.expectedAudValue),
+        ...(config.trustedIssuers && {
+            trustedIssuers: config.trustedIssuers.map((trustedIssuer: any) =>
+                typeof trustedIssuer === 'object' && trustedIssuer !== null
+                    ? { ...trustedIssuer, expectedAudValue: toRegexObject(trustedIssuer.expectedAudValue) }
+                    : trustedIssuer,
+            ),
+        }),
+        ...(config.revocation && {
+            revocation: {
+                ...config.revocation,
+                logoutTokenAudience: toRegexObject(config.revocation.logoutTokenAudience),
+            },
+        }),
+    };
+    const errors = getSchemaErrors(normalized);
+
+    const audiences: [string, any][] = [
+        ['expectedAudValue', normalized.expectedAudValue],
+        ...(Array.isArray(normalized.trustedIssuers) ? normalized.trustedIssuers : []).map(
+            (trustedIssuer: any, i: number): [string, any] => [
+                `trustedIssuers[${i}].expectedAudValue`,
+                trustedIssuer?.expectedAudValue,
+            ],
+        ),
+        ['revocation.logoutTokenAudience', normalized.revocation?.logoutTokenAudience],
+    ];
+    audiences.forEach(([path, audience]) => {
+        if (typeof audience?.regex === 'string') {
+            const reason = getUnsafeRegexReason(audience.regex);
+            if (reason) {
+                errors.push(`${path}.regex ${reason}`);
+            }
+        }
+    });
+    (Array.isArray(config.accessWindow?.windows) ? config.accessWindow.windows : []).forEach(
+        (window: any, i: number) => {
+            if (typeof window?.timeZone === 'string' && !isKnownTimeZone(window.timeZone)) {
+                errors.push(`accessWindow.windows[${i}].timeZone is not a known time zone`);
+            }
+        },
+    );
+    return errors;
+}
+
+/**
+ * Replaces the `${NAME}` placeholders of the string values with the environment variables
+ */
+function substituteEnvironmentVariables(value: any, env: LoadSmartConfigOptions['env'], errors: string[]): any {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (placeholder, name: string) => {
+            const variable = env![name];
+            if (variable === undefined) {
+                errors.push(`environment variable ${name} is not set`);
+                return placeholder;
+            }
+            return variable;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => substituteEnvironmentVariables(item, env, errors));
+    }
+    if (typeof value === 'object' && value !== null) {
+        const substituted: any = {};
+        Object.keys(value).forEach((key) => {
+            substituted[key] = substituteEnvironmentVariables(value[key], env, errors);
+        });
+        return substituted;
+    }
+    return value;
+}
+
+const toRegExp = (audience: any) =>
+    typeof audience === 'object' && audience !== null && typeof audience.regex === 'string'
+        ? new RegExp(audience.regex)
+        : audience;
+
+/**
+ * Loads a SMARTConfig from JSON or YAML text. The `${NAME}` placeholders are replaced with environment variables, the
+ * configs of older versions are migrated and the result is validated against the published schema.
+ * A regex `expectedAudValue` or `logoutTokenAudience` is given as `{ "regex": "^...$" }`. Options holding functions, like `auditEventSink`,
+ * are added to the loaded config in code
+ * @throws Error listing every error found
+ */
+export function loadSmartConfig(text: string, options: LoadSmartConfigOptions = {}): LoadedSmartConfig {
+    const format = options.format ?? 'json';
+    let parsed: any;
+    try {
+        if (format === 'yaml') {
+            if (!options.parseYaml) {
+                throw new Error('parseYaml is required to load YAML');
+            }
+            parsed = options.parseYaml(text);
+        } else {
+            parsed = JSON.parse(text);
+        }
+    } catch (e) {
+        throw new Error(`Invalid SMARTConfig: the ${format} cannot be parsed: ${(e as Error).message}`);
+    }
+
+    const errors: string[] = [];
+    const substituted = substituteEnvironmentVariables(parsed, options.env ?? process.env, errors);
+    const { config, migrations } = migrateSmartConfig(substituted);
+    errors.push(...validateSmartConfig(config));
+    if (errors.length) {
+        throw new Error(`Invalid SMARTConfig:\n${errors.map((error) => `- ${error}`).join('\n')}`);
+    }
+
+    const warnings = migrations.map((migration) => `migrated: ${migration}`);
+    [config.expectedIssValue, config.jwksEndpoint, config.tokenIntrospection?.introspectUrl]
+        .filter((url) => typeof url === 'string' && url.startsWith('http:'))
+        .forEach((url) => warnings.push(`${url} is not https`));
+    return {
+        config: {
+            ...config,
+            expectedAudValue: toRegExp(config.expectedAudValue),
+            ...(config.trustedIssuers && {
+                trustedIssuers: config.trustedIssuers.map((trustedIssuer: any) =>
+                    trustedIssuer.expectedAudValue === undefined
+                        ? trustedIssuer
+                        : { ...trustedIssuer, expectedAudValue: toRegExp(trustedIssuer.expectedAudValue) },
+                ),
+            }),
+            ...(config.revocation?.logoutTokenAudience !== undefined && {
+                revocation: {
+                    ...config.revocation,
+                    logoutTokenAudience: toRegExp(config.revocation.logoutTokenAudience),
+                },
+            }),
+        },
+        warnings,
+    };
+}
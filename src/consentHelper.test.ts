@@ -0,0 +1,209 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import {
+    ConsentContext,
+    createConsentLookup,
+    evaluateConsents,
+    getConsentActions,
+    getConsentPatient,
+    getDeniedSecurityLabels,
+} from './consentHelper';
+
+const fhirServiceBaseUrl = 'https://fhir.server.com/dev';
+const practitioner = { hostname: fhirServiceBaseUrl, resourceType: 'Practitioner', id: 'doc' };
+const readContext: ConsentContext = {
+    actors: [practitioner],
+    actions: getConsentActions('read'),
+    fhirServiceBaseUrl,
+};
+const substanceAbuseLabel = { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'ETH' };
+const observation = { resourceType: 'Observation', id: 'obs', subject: { reference: 'Patient/pat' } };
+const labeledObservation = { ...observation, meta: { security: [substanceAbuseLabel] } };
+const actor = (reference: string) => ({ reference: { reference } });
+const consent = (provision: any, status = 'active') => ({ resourceType: 'Consent', status, provision });
+
+describe('getConsentActions', () => {
+    test.each([
+        ['read', ['access', 'use', 'disclose']],
+        ['search-type', ['access', 'use', 'disclose']],
+        ['create', ['collect']],
+        ['update', ['correct']],
+        ['patch', ['correct']],
+        ['delete', ['correct']],
+    ])('%s', (operation: any, actions) => {
+        expect(getConsentActions(operation)).toEqual(actions);
+    });
+});
+
+describe('getConsentPatient', () => {
+    test('Patient', () => {
+        expect(getConsentPatient({ resourceType: 'Patient', id: 'pat' }, fhirServiceBaseUrl)).toEqual({
+            hostname: fhirServiceBaseUrl,
+            resourceType: 'Patient',
+            id: 'pat',
+        });
+    });
+
+    test('resource referencing a Patient', () => {
+        expect(getConsentPatient(observation, fhirServiceBaseUrl)).toEqual({
+            hostname: fhirServiceBaseUrl,
+            resourceType: 'Patient',
+            id: 'pat',
+        });
+        expect(
+            getConsentPatient(
+                { resourceType: 'Coverage', beneficiary: { reference: 'https://other.server.com/Patient/pat' } },
+                fhirServiceBaseUrl,
+            ),
+        ).toEqual({ hostname: 'https://other.server.com', resourceType: 'Patient', id: 'pat' });
+    });
+
+    test('resource without a Patient', () => {
+        expect(getConsentPatient({ resourceType: 'Patient' }, fhirServiceBaseUrl)).toBeUndefined();
+        expect(
+            getConsentPatient({ resourceType: 'Observation', subject: { reference: 'Group/1' } }, fhirServiceBaseUrl),
+        ).toBeUndefined();
+        expect(
+            getConsentPatient(
+                { resourceType: 'Observation', subject: { reference: '#contained' } },
+                fhirServiceBaseUrl,
+            ),
+        ).toBeUndefined();
+    });
+});
+
+describe('evaluateConsents', () => {
+    test('no consent applies', () => {
+        expect(evaluateConsents([], observation, readContext)).toBeUndefined();
+        expect(evaluateConsents([consent({ type: 'deny' }, 'inactive')], observation, readContext)).toBeUndefined();
+        expect(
+            evaluateConsents(
+                [consent({ type: 'deny', actor: [actor('Practitioner/other')] })],
+                observation,
+                readContext,
+            ),
+        ).toBeUndefined();
+    });
+
+    test('nested provisions are exceptions to their parent', () => {
+        const consents = [
+            consent({
+                type: 'deny',
+                provision: [{ type: 'permit', actor: [actor(`${fhirServiceBaseUrl}/Practitioner/doc`)] }],
+            }),
+        ];
+        expect(evaluateConsents(consents, observation, readContext)).toEqual('permit');
+        expect(evaluateConsents(consents, observation, { ...readContext, actors: [] })).toEqual('deny');
+    });
+
+    test('deepest applicable provision decides', () => {
+        const consents = [
+            consent({
+                type: 'permit',
+                provision: [
+                    {
+                        type: 'deny',
+                        securityLabel: [substanceAbuseLabel],
+                        provision: [
+                            {
+                                type: 'permit',
+                                actor: [actor('Practitioner/doc')],
+                                action: [{ coding: [{ code: 'access' }] }],
+                            },
+                        ],
+                    },
+                ],
+            }),
+        ];
+        expect(evaluateConsents(consents, observation, { ...readContext, actors: [] })).toEqual('permit');
+        expect(evaluateConsents(consents, labeledObservation, { ...readContext, actors: [] })).toEqual('deny');
+        expect(evaluateConsents(consents, labeledObservation, readContext)).toEqual('permit');
+        expect(
+            evaluateConsents(consents, labeledObservation, { ...readContext, actions: getConsentActions('update') }),
+        ).toEqual('deny');
+    });
+
+    test('class', () => {
+        const consents = [consent({ type: 'deny', class: [{ code: 'MedicationRequest' }] })];
+        expect(evaluateConsents(consents, observation, readContext)).toBeUndefined();
+        expect(evaluateConsents(consents, { resourceType: 'MedicationRequest', id: 'med' }, readContext)).toEqual(
+            'deny',
+        );
+    });
+
+    test('period', () => {
+        const now = Date.parse('2021-06-01T00:00:00Z');
+        const consents = [consent({ type: 'deny', period: { start: '2021-01-01', end: '2021-12-31' } })];
+        expect(evaluateConsents(consents, observation, readContext, now)).toEqual('deny');
+        expect(
+            evaluateConsents(consents, observation, readContext, Date.parse('2022-01-01T00:00:00Z')),
+        ).toBeUndefined();
+        expect(
+            evaluateConsents(consents, observation, readContext, Date.parse('2020-12-31T00:00:00Z')),
+        ).toBeUndefined();
+    });
+
+    test('a deny wins over a permit of another consent', () => {
+        expect(
+            evaluateConsents([consent({ type: 'permit' }), consent({ type: 'deny' })], observation, readContext),
+        ).toEqual('deny');
+    });
+});
+
+describe('getDeniedSecurityLabels', () => {
+    test('labels of the applicable deny provisions', () => {
+        const consents = [
+            consent({
+                type: 'permit',
+                provision: [
+                    { type: 'deny', securityLabel: [substanceAbuseLabel] },
+                    { type: 'deny', securityLabel: [{ code: 'PSY' }], class: [{ code: 'Condition' }] },
+                    { type: 'deny', securityLabel: [{ code: 'HIV' }], actor: [actor('Practitioner/other')] },
+                ],
+            }),
+        ];
+        expect(getDeniedSecurityLabels(consents, 'Observation', readContext)).toEqual([
+            'http://terminology.hl7.org/CodeSystem/v3-ActCode|ETH',
+        ]);
+        expect(getDeniedSecurityLabels(consents, 'Condition', readContext)).toEqual([
+            'http://terminology.hl7.org/CodeSystem/v3-ActCode|ETH',
+            'PSY',
+        ]);
+    });
+
+    test('deny provisions with an applicable nested permit are left out', () => {
+        const consents = [
+            consent({
+                type: 'permit',
+                provision: [
+                    {
+                        type: 'deny',
+                        securityLabel: [substanceAbuseLabel],
+                        provision: [{ type: 'permit', actor: [actor('Practitioner/doc')] }],
+                    },
+                ],
+            }),
+        ];
+        expect(getDeniedSecurityLabels(consents, 'Observation', readContext)).toEqual([]);
+        expect(getDeniedSecurityLabels(consents, 'Observation', { ...readContext, actors: [] })).toEqual([
+            'http://terminology.hl7.org/CodeSystem/v3-ActCode|ETH',
+        ]);
+    });
+});
+
+describe('createConsentLookup', () => {
+    test('searches the active Consents of the patient', async () => {
+        const search = jest.fn().mockResolvedValue([consent({ type: 'deny' })]);
+        const lookup = createConsentLookup(search);
+        await expect(
+            lookup({ hostname: fhirServiceBaseUrl, resourceType: 'Patient', id: 'pat' }, fhirServiceBaseUrl),
+        ).resolves.toEqual([consent({ type: 'deny' })]);
+        await lookup({ hostname: 'https://other.server.com', resourceType: 'Patient', id: 'pat' }, fhirServiceBaseUrl);
+        expect(search.mock.calls).toEqual([
+            ['Consent', { patient: 'Patient/pat', status: 'active' }],
+            ['Consent', { patient: 'https://other.server.com/Patient/pat', status: 'active' }],
+        ]);
+    });
+});
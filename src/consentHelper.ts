@@ -0,0 +1,243 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { SystemOperation, TypeOperation } from 'fhir-works-on-aws-interface';
+import { ConsentLookup, FhirResource, FhirResourceSearch } from './smartConfig';
+import { getFhirResource } from './smartAuthorizationHelper';
+
+export type ConsentDecision = 'permit' | 'deny';
+
+/**
+ * Who is requesting and what for
+ */
+export interface ConsentContext {
+    /**
+     * The requestor, i.e. the fhirUser
+     */
+    actors: FhirResource[];
+    /**
+     * http://terminology.hl7.org/CodeSystem/consentaction codes of the operation
+     */
+    actions: string[];
+    fhirServiceBaseUrl: string;
+}
+
+/**
+ * Reference fields pointing at the patient a resource belongs to
+ */
+const PATIENT_REFERENCE_FIELDS = ['patient', 'subject', 'beneficiary'];
+
+/**
+ * @returns the consentaction codes of the operation: reads are `access`, `use` & `disclose`, creates are `collect`
+ * and updates, patches & deletes are `correct`
+ */
+export function getConsentActions(operation: TypeOperation | SystemOperation): string[] {
+    switch (operation) {
+        case 'create':
+            return ['collect'];
+        case 'update':
+        case 'patch':
+        case 'delete':
+            return ['correct'];
+        default:
+            return ['access', 'use', 'disclose'];
+    }
+}
+
+/**
+ * @returns the Patient the resource belongs to; undefined if it does not reference one
+ */
+export function getConsentPatient(resource: any, fhirServiceBaseUrl: string): FhirResource | undefined {
+    if (resource?.resourceType === 'Patient') {
+        return resource.id ? { hostname: fhirServiceBaseUrl, resourceType: 'Patient', id: resource.id } : undefined;
+    }
+    for (let i = 0; i < PATIENT_REFERENCE_FIELDS.length; i += 1) {
+        const reference = resource?.[PATIENT_REFERENCE_FIELDS[i]]?.reference;
+        if (typeof reference === 'string') {
+            try {
+                const patient = getFhirResource(reference, fhirServiceBaseUrl);
+                if (patient.resourceType === 'Patient') {
+                    return patient;
+                }
+            } catch (e) {
+                // contained or malformed references are ignored
+            }
+        }
+    }
+    return undefined;
+}
+
+const isSameResource = (a: FhirResource, b: FhirResource) =>
+    a.hostname === b.hostname && a.resourceType === b.resourceType && a.id === b.id;
+
+const isSameCoding = (a: any, b: any) =>
+    typeof a?.code === 'string' && a.code === b?.code && (!a.system || !b.system || a.system === b.system);
+
+function isActor(actor: any, context: ConsentContext): boolean {
+    const reference = actor?.reference?.reference;
+    if (typeof reference !== 'string') {
+        return false;
+    }
+    try {
+        const resource = getFhirResource(reference, context.fhirServiceBaseUrl);
+        return context.actors.some((requestor) => isSameResource(requestor, resource));
+    } catch (e) {
+        return false;
+    }
+}
+
+function isWithinPeriod(period: any, now: number): boolean {
+    const start = Date.parse(period?.start);
+    const end = Date.parse(period?.end);
+    return !(start > now) && !(end < now);
+}
+
+/**
+ * An empty criterion matches everything
+ * @param resource when its resourceType is unknown the `class` criterion does not match
+ * @param ignoreSecurityLabel the `securityLabel` criterion is not checked
+ */
+function isProvisionApplicable(
+    provision: any,
+    resource: any,
+    context: ConsentContext,
+    now: number,
+    ignoreSecurityLabel = false,
+): boolean {
+    const { actor, action, securityLabel, period } = provision;
+    const provisionClass = provision.class;
+    if (period && !isWithinPeriod(period, now)) {
+        return false;
+    }
+    if (Array.isArray(actor) && actor.length > 0 && !actor.some((item: any) => isActor(item, context))) {
+        return false;
+    }
+    if (
+        Array.isArray(action) &&
+        action.length > 0 &&
+        !action.some((concept: any) =>
+            (concept?.coding ?? []).some((coding: any) => context.actions.includes(coding?.code)),
+        )
+    ) {
+        return false;
+    }
+    if (
+        Array.isArray(provisionClass) &&
+        provisionClass.length > 0 &&
+        !provisionClass.some((coding: any) => resource.resourceType && coding?.code === resource.resourceType)
+    ) {
+        return false;
+    }
+    if (
+        !ignoreSecurityLabel &&
+        Array.isArray(securityLabel) &&
+        securityLabel.length > 0 &&
+        !securityLabel.some((label: any) =>
+            (resource.meta?.security ?? []).some((coding: any) => isSameCoding(label, coding)),
+        )
+    ) {
+        return false;
+    }
+    return true;
+}
+
+const combineDecisions = (decisions: (ConsentDecision | undefined)[]): ConsentDecision | undefined => {
+    if (decisions.includes('deny')) {
+        return 'deny';
+    }
+    return decisions.includes('permit') ? 'permit' : undefined;
+};
+
+/**
+ * Nested provisions are exceptions to their parent, so the deepest applicable provision decides.
+ * Nested provisions without a `type` have the one of their parent
+ * @returns undefined if the provision does not apply
+ */
+function evaluateProvision(
+    provision: any,
+    resource: any,
+    context: ConsentContext,
+    now: number,
+    parentType?: ConsentDecision,
+): ConsentDecision | undefined {
+    if (!isProvisionApplicable(provision, resource, context, now)) {
+        return undefined;
+    }
+    const type: ConsentDecision = provision.type ?? parentType ?? 'permit';
+    const nestedDecision = combineDecisions(
+        (provision.provision ?? []).map((nested: any) => evaluateProvision(nested, resource, context, now, type)),
+    );
+    return nestedDecision ?? type;
+}
+
+const getActiveConsents = (consents: any[]) =>
+    consents.filter((consent) => consent?.status === 'active' && consent.provision);
+
+/**
+ * Evaluates the `provision` rules of the active Consents; when several Consents apply a deny wins
+ * @returns undefined if no Consent applies to the resource
+ */
+export function evaluateConsents(
+    consents: any[],
+    resource: any,
+    context: ConsentContext,
+    now: number = Date.now(),
+): ConsentDecision | undefined {
+    return combineDecisions(
+        getActiveConsents(consents).map((consent) => evaluateProvision(consent.provision, resource, context, now)),
+    );
+}
+
+/**
+ * The security labels of the deny provisions that apply to the requestor regardless of the resource labels.
+ * Provisions with an applicable nested permit are left out, so the resources they deny still have to be checked
+ * one by one with `evaluateConsents`
+ * @returns the `system|code` (or `code`) tokens of the labels, i.e. to exclude them from a search
+ */
+export function getDeniedSecurityLabels(
+    consents: any[],
+    resourceType: string | undefined,
+    context: ConsentContext,
+    now: number = Date.now(),
+): string[] {
+    const labels: Set<string> = new Set();
+    const resource = { resourceType };
+    const collect = (provision: any, parentType?: ConsentDecision) => {
+        if (!isProvisionApplicable(provision, resource, context, now, true)) {
+            return;
+        }
+        const type: ConsentDecision = provision.type ?? parentType ?? 'permit';
+        const nestedProvisions: any[] = provision.provision ?? [];
+        if (
+            type === 'deny' &&
+            Array.isArray(provision.securityLabel) &&
+            !nestedProvisions.some(
+                (nested) =>
+                    (nested.type ?? type) === 'permit' && isProvisionApplicable(nested, resource, context, now, true),
+            )
+        ) {
+            provision.securityLabel
+                .filter((label: any) => typeof label?.code === 'string')
+                .forEach((label: any) => labels.add(label.system ? `${label.system}|${label.code}` : label.code));
+        }
+        nestedProvisions.forEach((nested) => collect(nested, type));
+    };
+    getActiveConsents(consents).forEach((consent) => collect(consent.provision));
+    return [...labels];
+}
+
+/**
+ * Creates a lookup that searches the active Consents of the patient
+ * @param search used to search the Consent resources
+ */
+export function createConsentLookup(search: FhirResourceSearch): ConsentLookup {
+    return async (patient: FhirResource, fhirServiceBaseUrl: string): Promise<any[]> =>
+        search('Consent', {
+            patient:
+                patient.hostname === fhirServiceBaseUrl
+                    ? `${patient.resourceType}/${patient.id}`
+                    : `${patient.hostname}/${patient.resourceType}/${patient.id}`,
+            status: 'active',
+        });
+}
@@ -0,0 +1,97 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { ScopeRule } from './smartConfig';
+import { explainScopes, getReferenceTrace } from './explainHelper';
+import { filterOutUnusableScope } from './smartScopeHelper';
+
+const fhirServiceBaseUrl = 'https://fhir.server.com/dev';
+const scopeRule = (): ScopeRule => ({
+    patient: { read: ['read', 'search-type'], write: [] },
+    user: { read: ['read', 'search-type'], write: ['create'] },
+    system: { read: ['read'], write: [] },
+});
+
+describe('explainScopes', () => {
+    test('reasons the scopes are discarded', () => {
+        expect(
+            explainScopes(
+                ['openid', 'launch/patient', 'user/Observation.read', 'patient/Observation.read'],
+                scopeRule(),
+                'read',
+                false,
+                'Observation',
+            ),
+        ).toEqual([
+            { scope: 'openid', usable: false, reason: 'not-a-clinical-scope' },
+            { scope: 'launch/patient', usable: false, reason: 'not-a-clinical-scope' },
+            { scope: 'user/Observation.read', usable: false, reason: 'missing-fhir-user' },
+            { scope: 'patient/Observation.read', usable: false, reason: 'missing-patient-context' },
+        ]);
+    });
+
+    test('usable scopes are the ones kept by filterOutUnusableScope', () => {
+        const scopes = ['user/Observation.read', 'user/Patient.read', 'user/*.write', 'system/*.read'];
+        const fhirUser = `${fhirServiceBaseUrl}/Practitioner/1`;
+        const scopeTraces = explainScopes(
+            scopes,
+            scopeRule(),
+            'read',
+            false,
+            'Observation',
+            undefined,
+            undefined,
+            fhirUser,
+        );
+        expect(scopeTraces.filter(({ usable }) => usable).map(({ scope }) => scope)).toEqual(
+            filterOutUnusableScope(scopes, scopeRule(), 'read', false, 'Observation', undefined, undefined, fhirUser),
+        );
+        expect(scopeTraces).toEqual([
+            { scope: 'user/Observation.read', usable: true },
+            { scope: 'user/Patient.read', usable: false, reason: 'wrong-resource-type' },
+            { scope: 'user/*.write', usable: false, reason: 'wrong-operation' },
+            { scope: 'system/*.read', usable: true },
+        ]);
+    });
+});
+
+describe('getReferenceTrace', () => {
+    const patient = { hostname: fhirServiceBaseUrl, resourceType: 'Patient', id: 'pat' };
+    const practitioner = { hostname: fhirServiceBaseUrl, resourceType: 'Practitioner', id: 'doc' };
+    const observation = {
+        resourceType: 'Observation',
+        id: 'obs',
+        subject: { reference: 'Patient/pat' },
+        performer: [{ reference: 'Practitioner/doc' }],
+    };
+
+    test('identity of the rule and path of its reference', () => {
+        const identities = { fhirUser: practitioner, patient, related: [] };
+        expect(
+            getReferenceTrace('patient-context-reference', observation, identities, fhirServiceBaseUrl, '4.0.1'),
+        ).toEqual({ identity: `${fhirServiceBaseUrl}/Patient/pat`, referencePath: 'subject' });
+        expect(getReferenceTrace('fhir-user-reference', observation, identities, fhirServiceBaseUrl, '4.0.1')).toEqual({
+            identity: `${fhirServiceBaseUrl}/Practitioner/doc`,
+            referencePath: 'performer',
+        });
+    });
+
+    test('related identities', () => {
+        expect(
+            getReferenceTrace(
+                'related-identity-reference',
+                observation,
+                { related: [{ ...patient, id: 'other' }, patient] },
+                fhirServiceBaseUrl,
+                '4.0.1',
+            ),
+        ).toEqual({ identity: `${fhirServiceBaseUrl}/Patient/pat`, referencePath: 'subject' });
+    });
+
+    test('rules without a reference', () => {
+        expect(getReferenceTrace('system-scope', observation, { related: [] }, fhirServiceBaseUrl, '4.0.1')).toEqual(
+            {},
+        );
+    });
+});
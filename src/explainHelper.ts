@@ -0,0 +1,145 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { BatchReadWriteRequest, BulkDataAuth, SystemOperation, TypeOperation } from 'fhir-works-on-aws-interface';
+import { FhirResource, ReferenceResolution, ScopeRule } from './smartConfig';
+import { getScopeDiscardReason, NamedOperation, ScopeDiscardReason } from './smartScopeHelper';
+import { getReferencePathToResource } from './smartAuthorizationHelper';
+import { SupportedFhirVersion } from './fhirVersionHelper';
+
+export interface ExplainRequest {
+    /**
+     * Decoded claims of the access_token; the token itself is not verified
+     */
+    claims: any;
+    operation: TypeOperation | SystemOperation;
+    resourceType?: string;
+    id?: string;
+    /**
+     * URL of the request, to explain named operations and Group exports
+     */
+    url?: string;
+    bulkDataAuth?: BulkDataAuth;
+    /**
+     * Resource read or written, checked like `authorizeAndFilterReadResponse` or `isWriteRequestAuthorized`
+     */
+    resource?: any;
+    /**
+     * Entries of a batch or transaction Bundle, checked like `isBundleRequestAuthorized`
+     */
+    requests?: BatchReadWriteRequest[];
+    fhirServiceBaseUrl?: string;
+}
+
+export type { ScopeDiscardReason };
+
+export interface ScopeTrace {
+    scope: string;
+    usable: boolean;
+    reason?: ScopeDiscardReason;
+}
+
+export interface ResourceTrace {
+    bundleEntryIndex?: number;
+    operation: TypeOperation | SystemOperation;
+    resourceType?: string;
+    resourceId?: string;
+    /**
+     * `deferred` when the entry of a Bundle is checked on its response
+     */
+    outcome: 'allow' | 'deny' | 'deferred';
+    rule?: string;
+    /**
+     * Requestor identity the resource references, i.e. `https://fhir.server.com/dev/Patient/123`
+     */
+    identity?: string;
+    /**
+     * Path of the reference to the identity, i.e. `subject`; `id` when the resource is the identity
+     */
+    referencePath?: string;
+}
+
+export interface AuthorizationTrace {
+    scopes: ScopeTrace[];
+    usableScopes: string[];
+    resources: ResourceTrace[];
+    verdict: 'allow' | 'deny';
+    /**
+     * Rule of the verdict, the one of the first denial when denied
+     */
+    rule: string;
+}
+
+/**
+ * Explains `filterOutUnusableScope`: the scopes it keeps are the usable ones
+ * @returns why each scope is kept or discarded
+ */
+export function explainScopes(
+    scopes: string[],
+    scopeRule: ScopeRule,
+    reqOperation: TypeOperation | SystemOperation,
+    isUserScopeAllowedForSystemExport: boolean,
+    reqResourceType?: string,
+    bulkDataAuth?: BulkDataAuth,
+    patientContext?: string,
+    fhirUser?: string,
+    namedOperation?: NamedOperation,
+): ScopeTrace[] {
+    return scopes.map((scope): ScopeTrace => {
+        const reason = getScopeDiscardReason(
+            scope,
+            scopeRule,
+            reqOperation,
+            isUserScopeAllowedForSystemExport,
+            reqResourceType,
+            bulkDataAuth,
+            patientContext,
+            fhirUser,
+            namedOperation,
+        );
+        return reason ? { scope, usable: false, reason } : { scope, usable: true };
+    });
+}
+
+/**
+ * @param rule the rule that granted access to the resource
+ * @returns the requestor identity the rule relied on and the path of its reference within the resource
+ */
+export function getReferenceTrace(
+    rule: string | undefined,
+    resource: any,
+    identities: { fhirUser?: FhirResource; patient?: FhirResource; related: FhirResource[] },
+    fhirServiceBaseUrl: string,
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): Pick<ResourceTrace, 'identity' | 'referencePath'> {
+    let candidates: FhirResource[];
+    switch (rule) {
+        case 'fhir-user-reference':
+            candidates = identities.fhirUser ? [identities.fhirUser] : [];
+            break;
+        case 'patient-context-reference':
+            candidates = identities.patient ? [identities.patient] : [];
+            break;
+        case 'related-identity-reference':
+            candidates = identities.related;
+            break;
+        default:
+            return {};
+    }
+    for (let i = 0; i < candidates.length; i += 1) {
+        const { hostname, resourceType, id } = candidates[i];
+        const referencePath = getReferencePathToResource(
+            candidates[i],
+            resource,
+            fhirServiceBaseUrl,
+            fhirVersion,
+            referenceResolution,
+        );
+        if (referencePath) {
+            return { identity: `${hostname}/${resourceType}/${id}`, referencePath };
+        }
+    }
+    return {};
+}
@@ -0,0 +1,43 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { BASE_R4_RESOURCES, BASE_STU3_RESOURCES } from 'fhir-works-on-aws-interface';
+import { getFhirVersionDefinition, SUPPORTED_FHIR_VERSIONS, SupportedFhirVersion } from './fhirVersionHelper';
+
+describe('getFhirVersionDefinition', () => {
+    test('STU3 & R4 resource types come from fhir-works-on-aws-interface', () => {
+        expect(getFhirVersionDefinition('3.0.1').resourceTypes).toEqual(BASE_STU3_RESOURCES);
+        expect(getFhirVersionDefinition('4.0.1').resourceTypes).toEqual(BASE_R4_RESOURCES);
+    });
+
+    test('R4B resource types', () => {
+        const { resourceTypes } = getFhirVersionDefinition('4.3.0');
+        expect(resourceTypes).toContain('SubscriptionTopic');
+        expect(resourceTypes).toContain('Bundle');
+        expect(resourceTypes).not.toContain('DomainResource');
+    });
+
+    test('R5 resource types', () => {
+        const { resourceTypes } = getFhirVersionDefinition('5.0.0');
+        expect(resourceTypes).toContain('ActorDefinition');
+        expect(resourceTypes).not.toContain('MedicinalProduct');
+        expect(resourceTypes).not.toContain('CanonicalResource');
+    });
+
+    test.each(SUPPORTED_FHIR_VERSIONS)('every version has a reference matrix: %p', (fhirVersion) => {
+        const { resourceReferencesMatrix } = getFhirVersionDefinition(fhirVersion);
+        expect(resourceReferencesMatrix.Observation.Patient).toEqual(expect.arrayContaining(['subject']));
+    });
+
+    test('compartment references are not available for STU3', () => {
+        expect(getFhirVersionDefinition('3.0.1').compartmentReferences).toBeUndefined();
+        expect(getFhirVersionDefinition('5.0.0').compartmentReferences.Observation.Patient).toBeDefined();
+    });
+
+    test('unsupported version', () => {
+        expect(() => getFhirVersionDefinition(<SupportedFhirVersion>'2.0.0')).toThrowError(
+            new Error('Unsupported FHIR version detected'),
+        );
+    });
+});
@@ -0,0 +1,72 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { BASE_R4_RESOURCES, BASE_STU3_RESOURCES, FhirVersion } from 'fhir-works-on-aws-interface';
+import resourceReferencesMatrixV3 from './schema/fhirResourceReferencesMatrix.v3.0.1.json';
+import resourceReferencesMatrixV4 from './schema/fhirResourceReferencesMatrix.v4.0.1.json';
+import resourceReferencesMatrixV4B from './schema/fhirResourceReferencesMatrix.v4.3.0.json';
+import resourceReferencesMatrixV5 from './schema/fhirResourceReferencesMatrix.v5.0.0.json';
+import compartmentReferencesV4 from './schema/fhirCompartmentReferences.v4.0.1.json';
+import compartmentReferencesV4B from './schema/fhirCompartmentReferences.v4.3.0.json';
+import compartmentReferencesV5 from './schema/fhirCompartmentReferences.v5.0.0.json';
+import resourceListV4B from './schema/fhirResourceList.v4.3.0.json';
+import resourceListV5 from './schema/fhirResourceList.v5.0.0.json';
+
+/**
+ * FHIR versions supported by this package: STU3, R4, R4B & R5
+ */
+export type SupportedFhirVersion = FhirVersion | '4.3.0' | '5.0.0';
+
+export interface FhirVersionDefinition {
+    /**
+     * Reference paths per source resourceType and target resourceType, generated from the resource profiles
+     */
+    resourceReferencesMatrix: any;
+    /**
+     * Reference paths restricted to the CompartmentDefinitions; used when `referenceResolution` is `compartment`
+     */
+    compartmentReferences?: any;
+    /**
+     * All the concrete resource types of the version
+     */
+    resourceTypes: string[];
+}
+
+/**
+ * Version dispatch table. To support a new FHIR version generate its JSON files with
+ * `scripts/generateResourceReferenceMatrixFile.ts` and add an entry here.
+ */
+const FHIR_VERSION_DEFINITIONS: Record<SupportedFhirVersion, FhirVersionDefinition> = {
+    '3.0.1': {
+        resourceReferencesMatrix: resourceReferencesMatrixV3,
+        resourceTypes: BASE_STU3_RESOURCES,
+    },
+    '4.0.1': {
+        resourceReferencesMatrix: resourceReferencesMatrixV4,
+        compartmentReferences: compartmentReferencesV4,
+        resourceTypes: BASE_R4_RESOURCES,
+    },
+    '4.3.0': {
+        resourceReferencesMatrix: resourceReferencesMatrixV4B,
+        compartmentReferences: compartmentReferencesV4B,
+        resourceTypes: resourceListV4B,
+    },
+    '5.0.0': {
+        resourceReferencesMatrix: resourceReferencesMatrixV5,
+        compartmentReferences: compartmentReferencesV5,
+        resourceTypes: resourceListV5,
+    },
+};
+
+export const SUPPORTED_FHIR_VERSIONS = <SupportedFhirVersion[]>Object.keys(FHIR_VERSION_DEFINITIONS);
+
+/**
+ * @throws Error when the FHIR version is not supported
+ */
+export function getFhirVersionDefinition(fhirVersion: SupportedFhirVersion): FhirVersionDefinition {
+    if (!Object.prototype.hasOwnProperty.call(FHIR_VERSION_DEFINITIONS, fhirVersion)) {
+        throw new Error('Unsupported FHIR version detected');
+    }
+    return FHIR_VERSION_DEFINITIONS[fhirVersion];
+}
@@ -0,0 +1,87 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import {
+    createGroupMembersLookup,
+    getGroupExportClientId,
+    isGroupAllowedForClient,
+    isGroupWithinPopulation,
+} from './groupExportHelper';
+
+const fhirServiceBaseUrl = 'https://fhir.server.com/dev';
+const patient = (id: string) => ({ hostname: fhirServiceBaseUrl, resourceType: 'Patient', id });
+
+describe('getGroupExportClientId', () => {
+    test('client_id, then cid, then sub', () => {
+        expect(getGroupExportClientId({ client_id: 'app', cid: 'okta-app', sub: 'sub' }, {})).toEqual('app');
+        expect(getGroupExportClientId({ cid: 'okta-app', sub: 'sub' }, {})).toEqual('okta-app');
+        expect(getGroupExportClientId({ sub: 'sub' }, {})).toEqual('sub');
+        expect(getGroupExportClientId({}, {})).toBeUndefined();
+    });
+
+    test('claim path', () => {
+        expect(
+            getGroupExportClientId({ client_id: 'app', ext: { client: 'other' } }, { clientIdClaimPath: 'ext.client' }),
+        ).toEqual('other');
+        expect(getGroupExportClientId({ client_id: 'app' }, { clientIdClaimPath: 'ext.client' })).toBeUndefined();
+    });
+});
+
+describe('isGroupAllowedForClient', () => {
+    const options = { allowedGroups: { app: ['group-1'], admin: ['*'] } };
+
+    test('any Group without allowedGroups', () => {
+        expect(isGroupAllowedForClient('app', 'group-2', {})).toEqual(true);
+        expect(isGroupAllowedForClient(undefined, 'group-2', {})).toEqual(true);
+    });
+
+    test('the Groups of the client', () => {
+        expect(isGroupAllowedForClient('app', 'group-1', options)).toEqual(true);
+        expect(isGroupAllowedForClient('app', 'group-2', options)).toEqual(false);
+        expect(isGroupAllowedForClient('admin', 'group-2', options)).toEqual(true);
+        expect(isGroupAllowedForClient('other', 'group-1', options)).toEqual(false);
+        expect(isGroupAllowedForClient('toString', 'group-1', options)).toEqual(false);
+        expect(isGroupAllowedForClient(undefined, 'group-1', options)).toEqual(false);
+    });
+});
+
+describe('isGroupWithinPopulation', () => {
+    test('every member must be in the population', () => {
+        expect(
+            isGroupWithinPopulation([patient('1'), patient('2')], [patient('1'), patient('2'), patient('3')]),
+        ).toEqual(true);
+        expect(isGroupWithinPopulation([patient('1'), patient('4')], [patient('1'), patient('2')])).toEqual(false);
+        expect(
+            isGroupWithinPopulation([{ ...patient('1'), hostname: 'https://other.server.com' }], [patient('1')]),
+        ).toEqual(false);
+        expect(isGroupWithinPopulation([], [])).toEqual(true);
+    });
+});
+
+describe('createGroupMembersLookup', () => {
+    test('reads the members of the Group', async () => {
+        const search = jest.fn().mockResolvedValue([
+            {
+                resourceType: 'Group',
+                id: 'group-1',
+                member: [
+                    { entity: { reference: 'Patient/1' } },
+                    { entity: { reference: 'https://other.server.com/Patient/2' } },
+                ],
+            },
+        ]);
+        await expect(createGroupMembersLookup(search)('group-1', fhirServiceBaseUrl)).resolves.toEqual([
+            patient('1'),
+            { hostname: 'https://other.server.com', resourceType: 'Patient', id: '2' },
+        ]);
+        expect(search).toHaveBeenCalledWith('Group', { _id: 'group-1' });
+    });
+
+    test('Group not found', async () => {
+        const search = jest.fn().mockResolvedValue([]);
+        await expect(createGroupMembersLookup(search)('group-1', fhirServiceBaseUrl)).rejects.toThrowError(
+            'Group group-1 was not found',
+        );
+    });
+});
@@ -0,0 +1,66 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import get from 'lodash/get';
+import { FhirResource, FhirResourceSearch, GroupExportOptions, GroupMembersLookup } from './smartConfig';
+import { getFhirResource } from './smartAuthorizationHelper';
+
+/**
+ * @returns the id of the client exporting; undefined if the access_token has none
+ */
+export function getGroupExportClientId(decodedToken: any, options: GroupExportOptions): string | undefined {
+    const clientId = options.clientIdClaimPath
+        ? get(decodedToken, options.clientIdClaimPath)
+        : decodedToken.client_id ?? decodedToken.cid ?? decodedToken.sub;
+    return typeof clientId === 'string' && clientId !== '' ? clientId : undefined;
+}
+
+/**
+ * @returns true if the client may export the Group; any client may export any Group when `allowedGroups` is not set
+ */
+export function isGroupAllowedForClient(
+    clientId: string | undefined,
+    groupId: string,
+    options: GroupExportOptions,
+): boolean {
+    if (!options.allowedGroups) {
+        return true;
+    }
+    if (!clientId || !Object.prototype.hasOwnProperty.call(options.allowedGroups, clientId)) {
+        return false;
+    }
+    const groupIds = options.allowedGroups[clientId];
+    return groupIds.includes('*') || groupIds.includes(groupId);
+}
+
+/**
+ * @returns true if every member is one of the resources of the population
+ */
+export function isGroupWithinPopulation(members: FhirResource[], population: FhirResource[]): boolean {
+    return members.every((member) =>
+        population.some(
+            (resource) =>
+                resource.hostname === member.hostname &&
+                resource.resourceType === member.resourceType &&
+                resource.id === member.id,
+        ),
+    );
+}
+
+/**
+ * Creates a lookup that reads the `member.entity` references of the Group
+ * @param search used to search the Group resource
+ * @throws Error when the Group is not found or has a member that is not a reference to a resource
+ */
+export function createGroupMembersLookup(search: FhirResourceSearch): GroupMembersLookup {
+    return async (groupId: string, fhirServiceBaseUrl: string): Promise<FhirResource[]> => {
+        const [group] = await search('Group', { _id: groupId });
+        if (!group) {
+            throw new Error(`Group ${groupId} was not found`);
+        }
+        return (group.member ?? []).map((member: any) =>
+            getFhirResource(member?.entity?.reference, fhirServiceBaseUrl),
+        );
+    };
+}
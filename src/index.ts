@@ -4,3 +4,22 @@
  */
 export * from './smartConfig';
 export * from './smartHandler';
+export * from './smartDiscoveryHelper';
+export * from './fhirVersionHelper';
+export * from './relatedIdentityHelper';
+export * from './auditHelper';
+export * from './tokenCacheHelper';
+export * from './senderConstraintHelper';
+export * from './clientAssertionHelper';
+export * from './jwkHelper';
+export * from './redactionHelper';
+export * from './consentHelper';
+export * from './breakTheGlassHelper';
+export * from './bundleHelper';
+export * from './groupExportHelper';
+export * from './explainHelper';
+export * from './configLoaderHelper';
+export * from './writeGuardHelper';
+export * from './purposeOfUseHelper';
+export * from './accessWindowHelper';
+export * from './revocationHelper';
@@ -0,0 +1,82 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { createPublicKey } from 'crypto';
+// eslint-disable-next-line import/no-unresolved
+import fromKeyLike from 'jose/jwk/from_key_like';
+// eslint-disable-next-line import/no-unresolved
+import generateKeyPair from 'jose/util/generate_key_pair';
+import { isKeyCompatibleWithAlgorithm, jwkToPem } from './jwkHelper';
+
+describe('jwkToPem', () => {
+    test.each(['RS256', 'ES256', 'ES384', 'ES512', 'EdDSA'])('%s key', async (alg) => {
+        const { publicKey } = await generateKeyPair(alg);
+        const jwk = await fromKeyLike(publicKey);
+        const pem = createPublicKey(jwkToPem(jwk)).export({ type: 'spki', format: 'pem' });
+        expect(pem).toEqual((<any>publicKey).export({ type: 'spki', format: 'pem' }));
+    });
+
+    test('unsupported key', () => {
+        expect(() => jwkToPem({ kty: 'oct', k: 'secret' })).toThrow(new Error('Unsupported JWK: oct'));
+        expect(() => jwkToPem({ kty: 'EC', crv: 'secp256k1', x: 'x', y: 'y' })).toThrow(
+            new Error('Unsupported JWK: EC secp256k1'),
+        );
+        expect(() => jwkToPem({ kty: 'OKP', crv: 'X25519', x: 'x' })).toThrow(new Error('Unsupported JWK: OKP X25519'));
+    });
+
+    test('ERROR: truncated and oversized coordinates', async () => {
+        const jwk = await fromKeyLike((await generateKeyPair('ES256')).publicKey);
+        expect(() => jwkToPem({ ...jwk, x: jwk.x!.slice(0, -4) })).toThrow(new Error('Invalid JWK: x of EC P-256 key'));
+        expect(() => jwkToPem({ ...jwk, y: `${jwk.y}AAAA` })).toThrow(new Error('Invalid JWK: y of EC P-256 key'));
+        expect(() => jwkToPem({ ...jwk, y: undefined })).toThrow(new Error('Invalid JWK: y of EC P-256 key'));
+        expect(() => jwkToPem({ ...jwk, x: `${jwk.x!.slice(0, -1)}+` })).toThrow(
+            new Error('Invalid JWK: x of EC P-256 key'),
+        );
+
+        const okp = await fromKeyLike((await generateKeyPair('EdDSA')).publicKey);
+        expect(() => jwkToPem({ ...okp, x: okp.x!.slice(0, -4) })).toThrow(
+            new Error('Invalid JWK: x of OKP Ed25519 key'),
+        );
+
+        const rsa = await fromKeyLike((await generateKeyPair('RS256')).publicKey);
+        expect(() => jwkToPem({ ...rsa, n: '' })).toThrow(new Error('Invalid JWK: n of RSA key'));
+    });
+
+    test('ERROR: curve does not match the coordinates', async () => {
+        const jwk = await fromKeyLike((await generateKeyPair('ES384')).publicKey);
+        expect(() => jwkToPem({ ...jwk, crv: 'P-256' })).toThrow(new Error('Invalid JWK: x of EC P-256 key'));
+        expect(() => jwkToPem({ ...jwk, crv: 'P-521' })).toThrow(new Error('Invalid JWK: x of EC P-521 key'));
+    });
+
+    test('ERROR: point is not on the curve', () => {
+        const jwk = {
+            kty: 'EC',
+            crv: 'P-256',
+            x: 'dBdW9viW5L9KtOPYNt0Jh91fH7grKD5sTqgg6cG-pOI',
+            y: '1wlIpO2GVK3G_33EgElUZfFV2j9S0lWvDWbOxkNCPP4',
+        };
+        expect(() => jwkToPem(jwk)).not.toThrow();
+        expect(() => jwkToPem({ ...jwk, y: '1wlIpO2GVK3G_33EgElUZfFV2j9S0lWvDWbOxkNCPP8' })).toThrow(
+            new Error('Invalid JWK: EC P-256 key'),
+        );
+    });
+});
+
+describe('isKeyCompatibleWithAlgorithm', () => {
+    test.each([
+        [{ kty: 'RSA' }, 'RS256', true],
+        [{ kty: 'RSA' }, 'PS512', true],
+        [{ kty: 'RSA', alg: 'RS256' }, 'RS384', false],
+        [{ kty: 'EC', crv: 'P-256' }, 'ES256', true],
+        [{ kty: 'EC', crv: 'P-256' }, 'ES384', false],
+        [{ kty: 'EC', crv: 'P-521' }, 'ES512', true],
+        [{ kty: 'OKP', crv: 'Ed25519' }, 'EdDSA', true],
+        [{ kty: 'OKP', crv: 'Ed448' }, 'EdDSA', false],
+        [{ kty: 'RSA' }, 'ES256', false],
+        [{ kty: 'oct' }, 'HS256', false],
+        [{ kty: 'RSA' }, 'none', false],
+    ])('%p with %s', (jwk, alg, expected) => {
+        expect(isKeyCompatibleWithAlgorithm(jwk, alg)).toBe(expected);
+    });
+});
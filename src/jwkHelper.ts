@@ -0,0 +1,274 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { createPublicKey, verify as verifySignature } from 'crypto';
+import { Algorithm, decode, verify } from 'jsonwebtoken';
+import { JwksClient } from 'jwks-rsa';
+
+/**
+ * Asymmetric algorithms that can be allowed, with the JWK they need
+ */
+const ALGORITHM_KEYS: { [alg: string]: { kty: string; crv?: string } } = {
+    RS256: { kty: 'RSA' },
+    RS384: { kty: 'RSA' },
+    RS512: { kty: 'RSA' },
+    PS256: { kty: 'RSA' },
+    PS384: { kty: 'RSA' },
+    PS512: { kty: 'RSA' },
+    ES256: { kty: 'EC', crv: 'P-256' },
+    ES384: { kty: 'EC', crv: 'P-384' },
+    ES512: { kty: 'EC', crv: 'P-521' },
+    EdDSA: { kty: 'OKP', crv: 'Ed25519' },
+};
+
+export const SUPPORTED_ALGORITHMS = Object.keys(ALGORITHM_KEYS);
+
+export const DEFAULT_ALLOWED_ALGORITHMS = [
+    'RS256',
+    'RS384',
+    'RS512',
+    'PS256',
+    'PS384',
+    'PS512',
+    'ES256',
+    'ES384',
+    'ES512',
+];
+
+/**
+ * @param configPath path of the allow-list in the configuration, used in the error message
+ * @throws Error when an algorithm is not supported, i.e. symmetric algorithms or `none`
+ */
+export function validateAllowedAlgorithms(allowedAlgorithms: string[] | undefined, configPath: string) {
+    if (allowedAlgorithms === undefined) {
+        return;
+    }
+    const unsupported = allowedAlgorithms.find((alg) => !SUPPORTED_ALGORITHMS.includes(alg));
+    if (allowedAlgorithms.length === 0 || unsupported !== undefined) {
+        throw new Error(
+            `Authorization configuration '${configPath}' must only contain algorithms from: ${SUPPORTED_ALGORITHMS.join(
+                ', ',
+            )}`,
+        );
+    }
+}
+
+/**
+ * @returns the `kty` of the keys of the algorithm; undefined if the algorithm is not supported
+ */
+export function getAlgorithmKeyType(alg: string): string | undefined {
+    return ALGORITHM_KEYS[alg]?.kty;
+}
+
+/**
+ * @returns true if the key can verify signatures of the algorithm; the `alg` of the JWK must match when present
+ */
+export function isKeyCompatibleWithAlgorithm(jwk: { kty: string; crv?: string; alg?: string }, alg: string): boolean {
+    if (!Object.prototype.hasOwnProperty.call(ALGORITHM_KEYS, alg)) {
+        return false;
+    }
+    const expectedKey = ALGORITHM_KEYS[alg];
+    if (jwk.alg !== undefined && jwk.alg !== alg) {
+        return false;
+    }
+    return jwk.kty === expectedKey.kty && (expectedKey.crv === undefined || jwk.crv === expectedKey.crv);
+}
+
+const fromBase64Url = (value: string) => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * @throws Error when the member is not base64url or does not decode to `size` bytes, when given
+ */
+const getKeyMember = (jwk: any, member: string, size?: number): Buffer => {
+    const value = jwk[member];
+    const decoded =
+        typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value) ? fromBase64Url(value) : Buffer.alloc(0);
+    if (decoded.length === 0 || (size !== undefined && decoded.length !== size)) {
+        throw new Error(`Invalid JWK: ${member} of ${`${jwk.kty} ${jwk.crv ?? ''}`.trim()} key`);
+    }
+    return decoded;
+};
+
+const derLength = (length: number) => {
+    if (length < 0x80) {
+        return Buffer.from([length]);
+    }
+    const hex = length.toString(16);
+    const bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+    return Buffer.concat([Buffer.from([0x80 + bytes.length]), bytes]);
+};
+
+const der = (tag: number, content: Buffer) => Buffer.concat([Buffer.from([tag]), derLength(content.length), content]);
+
+const derInteger = (value: Buffer) => {
+    let start = 0;
+    while (start < value.length - 1 && value[start] === 0) {
+        start += 1;
+    }
+    const integer = value.slice(start);
+    // a leading zero keeps the integer positive
+    return der(0x02, integer[0] >= 0x80 ? Buffer.concat([Buffer.from([0]), integer]) : integer);
+};
+
+const EC_PUBLIC_KEY_OID = '06072a8648ce3d0201';
+const EC_CURVES: { [crv: string]: { oid: string; size: number } } = {
+    'P-256': { oid: '06082a8648ce3d030107', size: 32 },
+    'P-384': { oid: '06052b81040022', size: 48 },
+    'P-521': { oid: '06052b81040023', size: 66 },
+};
+const ED25519_OID = '06032b6570';
+const ED25519_KEY_SIZE = 32;
+
+const toPem = (type: string, content: Buffer) =>
+    `-----BEGIN ${type}-----\n${content
+        .toString('base64')
+        .match(/.{1,64}/g)!
+        .join('\n')}\n-----END ${type}-----\n`;
+
+const subjectPublicKeyInfo = (algorithmOids: string, publicKey: Buffer) =>
+    toPem(
+        'PUBLIC KEY',
+        der(
+            0x30,
+            Buffer.concat([
+                der(0x30, Buffer.from(algorithmOids, 'hex')),
+                der(0x03, Buffer.concat([Buffer.from([0]), publicKey])),
+            ]),
+        ),
+    );
+
+function getPem(jwk: any): string {
+    switch (jwk.kty) {
+        case 'RSA':
+            return toPem(
+                'RSA PUBLIC KEY',
+                der(0x30, Buffer.concat([derInteger(getKeyMember(jwk, 'n')), derInteger(getKeyMember(jwk, 'e'))])),
+            );
+        case 'EC': {
+            const curve = EC_CURVES[jwk.crv];
+            if (!curve) {
+                break;
+            }
+            return subjectPublicKeyInfo(
+                `${EC_PUBLIC_KEY_OID}${curve.oid}`,
+                Buffer.concat([
+                    Buffer.from([4]),
+                    getKeyMember(jwk, 'x', curve.size),
+                    getKeyMember(jwk, 'y', curve.size),
+                ]),
+            );
+        }
+        case 'OKP':
+            if (jwk.crv !== 'Ed25519') {
+                break;
+            }
+            return subjectPublicKeyInfo(ED25519_OID, getKeyMember(jwk, 'x', ED25519_KEY_SIZE));
+        default:
+    }
+    throw new Error(`Unsupported JWK: ${jwk.kty} ${jwk.crv ?? ''}`.trim());
+}
+
+/**
+ * Converts a public RSA, EC or Ed25519 JWK to PEM; `crypto.createPublicKey` only accepts JWKs from Node 15.12.
+ * The coordinates must have the size of the curve and the resulting key is parsed, so points that are not on the curve
+ * are rejected here rather than when a signature is verified.
+ * @throws Error when the key type or curve is not supported, or the key is invalid
+ */
+export function jwkToPem(jwk: any): string {
+    const pem = getPem(jwk);
+    try {
+        createPublicKey(pem);
+    } catch (e) {
+        throw new Error(`Invalid JWK: ${`${jwk.kty} ${jwk.crv ?? ''}`.trim()} key`);
+    }
+    return pem;
+}
+
+/**
+ * `jsonwebtoken` does not support EdDSA, so the signature is verified with `crypto` and the time claims are checked here.
+ * The other claims must be checked by the caller.
+ * @throws Error when the signature is invalid or the token is expired or not active yet
+ */
+export function verifyEdDSAJwt(token: string, publicKey: string): any {
+    const [header, payload, signature] = token.split('.');
+    if (
+        !signature ||
+        !verifySignature(null, Buffer.from(`${header}.${payload}`), publicKey, fromBase64Url(signature))
+    ) {
+        throw new Error('invalid signature');
+    }
+    const decodedPayload: any = decode(token);
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof decodedPayload?.exp === 'number' && now >= decodedPayload.exp) {
+        throw new Error('jwt expired');
+    }
+    if (typeof decodedPayload?.nbf === 'number' && now < decodedPayload.nbf) {
+        throw new Error('jwt not active');
+    }
+    return decodedPayload;
+}
+
+const JWKS_CACHE_MAX_AGE = 600000;
+const JWKS_MIN_REFRESH_INTERVAL = 6000;
+
+// `jwks-rsa` only returns RSA signing keys, the JWKS is kept here for the EC & OKP keys
+const jwksCache: WeakMap<JwksClient, { keys: any[]; fetchedAt: number }> = new WeakMap();
+
+async function getJwk(client: JwksClient, kid: string): Promise<any | undefined> {
+    let cached = jwksCache.get(client);
+    const findKey = () =>
+        cached?.keys.find(
+            (key) => key.kid === kid && key.kty !== 'RSA' && (key.use === undefined || key.use === 'sig'),
+        );
+    let jwk = cached && Date.now() - cached.fetchedAt < JWKS_CACHE_MAX_AGE ? findKey() : undefined;
+    // unknown kids refresh the JWKS, at the rate allowed for the RSA keys
+    if (!jwk && (!cached || Date.now() - cached.fetchedAt >= JWKS_MIN_REFRESH_INTERVAL)) {
+        const keys = await client.getKeysAsync();
+        cached = { keys: Array.isArray(keys) ? keys : [], fetchedAt: Date.now() };
+        jwksCache.set(client, cached);
+        jwk = findKey();
+    }
+    return jwk;
+}
+
+export interface VerificationKey {
+    /**
+     * Public key in PEM
+     */
+    publicKey: string;
+    /**
+     * JWK attributes used to check the key against the `alg` of the JWT
+     */
+    jwk: { kty: string; crv?: string; alg?: string };
+}
+
+/**
+ * @returns the key of the JWKS with that `kid` for the algorithm
+ * @throws Error when the JWKS has no such key or cannot be fetched
+ */
+export async function getVerificationKey(client: JwksClient, kid: string, alg: string): Promise<VerificationKey> {
+    if (getAlgorithmKeyType(alg) === 'RSA') {
+        const key = await client.getSigningKeyAsync(kid);
+        return { publicKey: key.getPublicKey(), jwk: { kty: 'RSA', alg: key.alg } };
+    }
+    const jwk = await getJwk(client, kid);
+    if (!jwk) {
+        throw new Error(`Unable to find a signing key that matches '${kid}'`);
+    }
+    return { publicKey: jwkToPem(jwk), jwk };
+}
+
+/**
+ * Only the signature and the time claims are checked, the other claims must be checked by the caller
+ * @returns the claims of the JWT
+ * @throws Error when the key does not match the algorithm, the signature is invalid or the JWT is expired or not active yet
+ */
+export function verifyJwtSignature(token: string, key: VerificationKey, alg: string): any {
+    if (!isKeyCompatibleWithAlgorithm(key.jwk, alg)) {
+        throw new Error('JWT "alg" does not match the signing key');
+    }
+    return alg === 'EdDSA'
+        ? verifyEdDSAJwt(token, key.publicKey)
+        : verify(token, key.publicKey, { algorithms: [<Algorithm>alg] });
+}
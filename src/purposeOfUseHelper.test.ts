@@ -0,0 +1,109 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import {
+    getPurposesOfUse,
+    getResourceTypesAllowedForPurposesOfUse,
+    getUnknownPurposesOfUse,
+    isRequestAllowedForPurposesOfUse,
+    isResourceAllowedForPurposesOfUse,
+} from './purposeOfUseHelper';
+import { PurposeOfUseOptions } from './smartConfig';
+
+const options: PurposeOfUseOptions = {
+    purposes: {
+        TREAT: {},
+        HOPERAT: { operations: ['read', 'search-type', 'search-system'], securityLabels: ['N'] },
+        RESEARCH: { resourceTypes: ['ResearchStudy', 'ResearchSubject'], operations: ['read', 'search-type'] },
+    },
+};
+
+describe('getPurposesOfUse', () => {
+    test('configured codes', () => {
+        expect(getPurposesOfUse({ purpose_of_use: 'RESEARCH' }, options)).toEqual(['RESEARCH']);
+        expect(getPurposesOfUse({ purpose_of_use: ['TREAT', 'ETREAT', 'TREAT', 1] }, options)).toEqual(['TREAT']);
+        expect(getPurposesOfUse({ purpose_of_use: 'toString' }, options)).toEqual([]);
+        expect(getPurposesOfUse({}, options)).toEqual([]);
+    });
+
+    test('claim path', () => {
+        expect(getPurposesOfUse({ ext: { pou: ['HOPERAT'] } }, { ...options, claimPath: 'ext.pou' })).toEqual([
+            'HOPERAT',
+        ]);
+    });
+});
+
+describe('getUnknownPurposesOfUse', () => {
+    test('codes that are not configured', () => {
+        expect(getUnknownPurposesOfUse({ purpose_of_use: ['TREAT', 'ETREAT', 1] }, options)).toEqual(['ETREAT', 1]);
+        expect(getUnknownPurposesOfUse({ purpose_of_use: 'toString' }, options)).toEqual(['toString']);
+        expect(getUnknownPurposesOfUse({ purpose_of_use: null }, options)).toEqual([null]);
+        expect(getUnknownPurposesOfUse({ purpose_of_use: 'RESEARCH' }, options)).toEqual([]);
+        expect(getUnknownPurposesOfUse({}, options)).toEqual([]);
+    });
+
+    test('codes without restrictions must be configured', () => {
+        expect(
+            getUnknownPurposesOfUse({ purpose_of_use: 'ETREAT' }, { purposes: { ...options.purposes, ETREAT: {} } }),
+        ).toEqual([]);
+    });
+});
+
+describe('isRequestAllowedForPurposesOfUse', () => {
+    test('not restricted', () => {
+        expect(isRequestAllowedForPurposesOfUse(undefined, options, 'delete', 'Patient')).toEqual(true);
+        expect(isRequestAllowedForPurposesOfUse(['RESEARCH'], undefined, 'delete', 'Patient')).toEqual(true);
+        expect(isRequestAllowedForPurposesOfUse(['TREAT'], options, 'delete', 'Patient')).toEqual(true);
+    });
+
+    test('resourceTypes & operations', () => {
+        expect(isRequestAllowedForPurposesOfUse(['RESEARCH'], options, 'read', 'ResearchSubject')).toEqual(true);
+        expect(isRequestAllowedForPurposesOfUse(['RESEARCH'], options, 'read', 'Patient')).toEqual(false);
+        expect(isRequestAllowedForPurposesOfUse(['RESEARCH'], options, 'create', 'ResearchSubject')).toEqual(false);
+        expect(isRequestAllowedForPurposesOfUse(['RESEARCH'], options, 'search-type')).toEqual(true);
+    });
+
+    test('every purpose of use applies', () => {
+        expect(isRequestAllowedForPurposesOfUse(['TREAT', 'HOPERAT'], options, 'update', 'Patient')).toEqual(false);
+        expect(isRequestAllowedForPurposesOfUse(['HOPERAT', 'RESEARCH'], options, 'search-system')).toEqual(false);
+    });
+});
+
+describe('isResourceAllowedForPurposesOfUse', () => {
+    const labeled = (...codes: string[]) => ({
+        resourceType: 'Observation',
+        meta: {
+            security: codes.map((code) => ({
+                system: 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality',
+                code,
+            })),
+        },
+    });
+
+    test('security labels', () => {
+        expect(isResourceAllowedForPurposesOfUse(['HOPERAT'], options, labeled('N'))).toEqual(true);
+        expect(isResourceAllowedForPurposesOfUse(['HOPERAT'], options, { resourceType: 'Observation' })).toEqual(true);
+        expect(isResourceAllowedForPurposesOfUse(['HOPERAT'], options, labeled('N', 'R'))).toEqual(false);
+        expect(isResourceAllowedForPurposesOfUse(['TREAT'], options, labeled('R'))).toEqual(true);
+    });
+
+    test('resourceTypes', () => {
+        expect(isResourceAllowedForPurposesOfUse(['RESEARCH'], options, { resourceType: 'ResearchStudy' })).toEqual(
+            true,
+        );
+        expect(isResourceAllowedForPurposesOfUse(['RESEARCH'], options, labeled('N'))).toEqual(false);
+    });
+});
+
+describe('getResourceTypesAllowedForPurposesOfUse', () => {
+    test('resourceTypes of every purpose of use', () => {
+        const resourceTypes = ['Observation', 'Patient', 'ResearchStudy', 'ResearchSubject'];
+        expect(getResourceTypesAllowedForPurposesOfUse(['RESEARCH'], options, resourceTypes)).toEqual([
+            'ResearchStudy',
+            'ResearchSubject',
+        ]);
+        expect(getResourceTypesAllowedForPurposesOfUse(['TREAT'], options, resourceTypes)).toEqual(resourceTypes);
+        expect(getResourceTypesAllowedForPurposesOfUse(undefined, options, resourceTypes)).toEqual(resourceTypes);
+    });
+});
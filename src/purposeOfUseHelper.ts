@@ -0,0 +1,100 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { SystemOperation, TypeOperation } from 'fhir-works-on-aws-interface';
+import get from 'lodash/get';
+import { PurposeOfUseOptions, PurposeOfUseRestriction } from './smartConfig';
+
+export const DEFAULT_PURPOSE_OF_USE_CLAIM_PATH = 'purpose_of_use';
+
+const getClaimCodes = (decodedToken: any, options: PurposeOfUseOptions): any[] => {
+    const claim = get(decodedToken, options.claimPath ?? DEFAULT_PURPOSE_OF_USE_CLAIM_PATH);
+    if (claim === undefined) {
+        return [];
+    }
+    return Array.isArray(claim) ? claim : [claim];
+};
+
+const isConfiguredPurpose = (code: any, options: PurposeOfUseOptions): code is string =>
+    typeof code === 'string' && Object.prototype.hasOwnProperty.call(options.purposes, code);
+
+/**
+ * @returns the purpose of use codes of the access_token that are configured in `purposes`
+ */
+export function getPurposesOfUse(decodedToken: any, options: PurposeOfUseOptions): string[] {
+    return [...new Set(getClaimCodes(decodedToken, options).filter((code) => isConfiguredPurpose(code, options)))];
+}
+
+/**
+ * The access_tokens with such values must be rejected: an unknown code would otherwise be unrestricted. A code with no
+ * restriction, i.e. the `ETREAT` of break-the-glass access, must be configured as `{}` to be accepted
+ * @returns the values of the purpose of use claim that are not configured in `purposes`
+ */
+export function getUnknownPurposesOfUse(decodedToken: any, options: PurposeOfUseOptions): any[] {
+    return getClaimCodes(decodedToken, options).filter((code) => !isConfiguredPurpose(code, options));
+}
+
+function getRestrictions(
+    purposesOfUse: string[] | undefined,
+    options: PurposeOfUseOptions | undefined,
+): PurposeOfUseRestriction[] {
+    if (!options || !purposesOfUse) {
+        return [];
+    }
+    return purposesOfUse
+        .filter((code) => Object.prototype.hasOwnProperty.call(options.purposes, code))
+        .map((code) => options.purposes[code]);
+}
+
+const isResourceTypeAllowed = (restriction: PurposeOfUseRestriction, resourceType: string) =>
+    !restriction.resourceTypes || restriction.resourceTypes.includes(resourceType);
+
+/**
+ * @param resourceType not checked when the request is not for a resourceType, i.e. a system search
+ * @returns true if every purpose of use allows the operation on the resourceType
+ */
+export function isRequestAllowedForPurposesOfUse(
+    purposesOfUse: string[] | undefined,
+    options: PurposeOfUseOptions | undefined,
+    operation: TypeOperation | SystemOperation,
+    resourceType?: string,
+): boolean {
+    return getRestrictions(purposesOfUse, options).every(
+        (restriction) =>
+            (!restriction.operations || restriction.operations.includes(operation)) &&
+            (!resourceType || isResourceTypeAllowed(restriction, resourceType)),
+    );
+}
+
+/**
+ * @returns true if every purpose of use allows the resourceType and each security label of the resource
+ */
+export function isResourceAllowedForPurposesOfUse(
+    purposesOfUse: string[] | undefined,
+    options: PurposeOfUseOptions | undefined,
+    resource: any,
+): boolean {
+    const securityLabels: string[] = (Array.isArray(resource?.meta?.security) ? resource.meta.security : [])
+        .map((coding: any) => coding?.code)
+        .filter((code: any) => typeof code === 'string');
+    return getRestrictions(purposesOfUse, options).every(
+        (restriction) =>
+            isResourceTypeAllowed(restriction, resource?.resourceType) &&
+            (!restriction.securityLabels || securityLabels.every((code) => restriction.securityLabels!.includes(code))),
+    );
+}
+
+/**
+ * @returns the resourceTypes every purpose of use allows
+ */
+export function getResourceTypesAllowedForPurposesOfUse(
+    purposesOfUse: string[] | undefined,
+    options: PurposeOfUseOptions | undefined,
+    resourceTypes: string[],
+): string[] {
+    const restrictions = getRestrictions(purposesOfUse, options);
+    return resourceTypes.filter((resourceType) =>
+        restrictions.every((restriction) => isResourceTypeAllowed(restriction, resourceType)),
+    );
+}
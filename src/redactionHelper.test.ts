@@ -0,0 +1,137 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import {
+    getRedaction,
+    INLINE_SECURITY_LABEL_EXTENSION,
+    isWithheldBySecurityLabel,
+    REDACTED_SECURITY_LABEL,
+    redactResource,
+} from './redactionHelper';
+import { RedactionRules } from './smartConfig';
+
+const ssnSystem = 'http://hl7.org/fhir/sid/us-ssn';
+const inlineLabel = (code: string) => ({
+    url: INLINE_SECURITY_LABEL_EXTENSION,
+    valueCoding: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code },
+});
+
+const rules: RedactionRules = {
+    restrictedSecurityLabels: ['R', 'PSY'],
+    clearanceClaimPath: 'ext.clearance',
+    elements: {
+        patient: [{ path: 'Patient.identifier', system: ssnSystem }, 'Patient.contact.telecom'],
+        user: ['Patient.photo'],
+    },
+};
+
+describe('getRedaction', () => {
+    test('uncleared labels and elements of the scope types', () => {
+        expect(getRedaction(rules, { ext: { clearance: ['R'] }, usableScopes: ['patient/Patient.read'] })).toEqual({
+            unclearedSecurityLabels: ['PSY'],
+            elements: [{ path: 'Patient.identifier', system: ssnSystem }, 'Patient.contact.telecom'],
+        });
+        expect(getRedaction(rules, { usableScopes: ['patient/Patient.read', 'user/Patient.read'] })).toEqual({
+            unclearedSecurityLabels: ['R', 'PSY'],
+            elements: [{ path: 'Patient.identifier', system: ssnSystem }, 'Patient.contact.telecom', 'Patient.photo'],
+        });
+    });
+
+    test('nothing to redact', () => {
+        expect(getRedaction(undefined, { usableScopes: ['user/Patient.read'] })).toBeUndefined();
+        expect(
+            getRedaction(rules, { ext: { clearance: ['R', 'PSY'] }, usableScopes: ['system/Patient.read'] }),
+        ).toBeUndefined();
+    });
+});
+
+describe('isWithheldBySecurityLabel', () => {
+    const redaction = { unclearedSecurityLabels: ['R'], elements: [] };
+
+    test('resource labeled with an uncleared label', () => {
+        expect(
+            isWithheldBySecurityLabel(
+                { resourceType: 'Condition', meta: { security: [{ code: 'R' }, { code: 'HIV' }] } },
+                redaction,
+            ),
+        ).toBe(true);
+    });
+
+    test('resource without uncleared labels', () => {
+        expect(
+            isWithheldBySecurityLabel({ resourceType: 'Condition', meta: { security: [{ code: 'N' }] } }, redaction),
+        ).toBe(false);
+        expect(isWithheldBySecurityLabel({ resourceType: 'Condition' }, redaction)).toBe(false);
+    });
+});
+
+describe('redactResource', () => {
+    const patient = {
+        resourceType: 'Patient',
+        id: '1234',
+        meta: { versionId: '1', security: [{ code: 'N' }] },
+        identifier: [
+            { system: ssnSystem, value: '123-45-6789' },
+            { system: 'http://hospital.example.com/mrn', value: 'MRN1' },
+        ],
+        name: [{ family: 'Doe' }, { family: 'Secret', extension: [inlineLabel('PSY')] }],
+        birthDate: '1970-01-01',
+        _birthDate: { extension: [inlineLabel('R')] },
+        contact: [{ name: { family: 'Roe' }, telecom: [{ value: '555-1234' }] }],
+        contained: [{ resourceType: 'Condition', id: 'c1', meta: { security: [{ code: 'PSY' }] } }],
+    };
+
+    test('labeled elements are removed', () => {
+        const redacted = redactResource(patient, { unclearedSecurityLabels: ['R', 'PSY'], elements: [] });
+        expect(redacted).toEqual({
+            resourceType: 'Patient',
+            id: '1234',
+            meta: { versionId: '1', security: [{ code: 'N' }, REDACTED_SECURITY_LABEL] },
+            identifier: patient.identifier,
+            name: [{ family: 'Doe' }],
+            contact: patient.contact,
+        });
+        // the resource given is not modified
+        expect(patient.name).toHaveLength(2);
+    });
+
+    test('configured elements are removed', () => {
+        const redacted = redactResource(patient, {
+            unclearedSecurityLabels: [],
+            elements: [
+                { path: 'Patient.identifier', system: ssnSystem },
+                'Patient.contact.telecom',
+                'Observation.value',
+            ],
+        });
+        expect(redacted.identifier).toEqual([{ system: 'http://hospital.example.com/mrn', value: 'MRN1' }]);
+        expect(redacted.contact).toEqual([{ name: { family: 'Roe' } }]);
+        expect(redacted.birthDate).toEqual('1970-01-01');
+        expect(redacted.meta.security).toEqual([{ code: 'N' }, REDACTED_SECURITY_LABEL]);
+    });
+
+    test('an array emptied by the redaction is removed', () => {
+        const redacted = redactResource(
+            { resourceType: 'Patient', identifier: [{ system: ssnSystem, value: '123-45-6789' }] },
+            { unclearedSecurityLabels: [], elements: [{ path: 'Patient.identifier', system: ssnSystem }] },
+        );
+        expect(redacted).toEqual({ resourceType: 'Patient', meta: { security: [REDACTED_SECURITY_LABEL] } });
+    });
+
+    test('the resource is returned as is when nothing is removed', () => {
+        const observation = { resourceType: 'Observation', status: 'final' };
+        expect(redactResource(observation, { unclearedSecurityLabels: ['R'], elements: ['Patient.identifier'] })).toBe(
+            observation,
+        );
+    });
+
+    test('REDACTED is only added once', () => {
+        const redaction = { unclearedSecurityLabels: [], elements: ['Patient.contact', 'Patient.identifier'] };
+        const redacted = redactResource(redactResource(patient, { ...redaction, elements: ['Patient.contact'] }), {
+            ...redaction,
+            elements: ['Patient.identifier'],
+        });
+        expect(redacted.meta.security).toEqual([{ code: 'N' }, REDACTED_SECURITY_LABEL]);
+    });
+});
@@ -0,0 +1,189 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { clone, KeyValueMap } from 'fhir-works-on-aws-interface';
+import get from 'lodash/get';
+import { RedactedElement, RedactionRules } from './smartConfig';
+
+export const INLINE_SECURITY_LABEL_EXTENSION =
+    'http://hl7.org/fhir/uv/security-label-ds4p/StructureDefinition/extension-inline-sec-label';
+
+/**
+ * http://hl7.org/fhir/security-labels.html#core
+ */
+export const REDACTED_SECURITY_LABEL = {
+    system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+    code: 'REDACTED',
+    display: 'redacted',
+};
+
+export interface Redaction {
+    /**
+     * Restricted security label codes the requestor is not cleared for
+     */
+    unclearedSecurityLabels: string[];
+    elements: RedactedElement[];
+}
+
+/**
+ * @returns what to redact for the requestor; undefined if nothing has to be redacted
+ */
+export function getRedaction(rules: RedactionRules | undefined, userIdentity: KeyValueMap): Redaction | undefined {
+    if (!rules) {
+        return undefined;
+    }
+    const clearance = rules.clearanceClaimPath ? get(userIdentity, rules.clearanceClaimPath) : undefined;
+    const clearedSecurityLabels: string[] = Array.isArray(clearance) ? clearance : [clearance].filter(Boolean);
+    const unclearedSecurityLabels = (rules.restrictedSecurityLabels ?? []).filter(
+        (code) => !clearedSecurityLabels.includes(code),
+    );
+
+    const scopeTypes = new Set((userIdentity.usableScopes ?? []).map((scope: string) => scope.split('/')[0]));
+    const elements = (['patient', 'user', 'system'] as const)
+        .filter((scopeType) => scopeTypes.has(scopeType))
+        .flatMap((scopeType) => rules.elements?.[scopeType] ?? []);
+
+    if (unclearedSecurityLabels.length === 0 && elements.length === 0) {
+        return undefined;
+    }
+    return { unclearedSecurityLabels, elements };
+}
+
+const hasSecurityLabel = (codings: any, codes: string[]) =>
+    Array.isArray(codings) && codings.some((coding: any) => codes.includes(coding?.code));
+
+/**
+ * @returns true if the resource is labeled in `meta.security` with a label the requestor is not cleared for
+ */
+export function isWithheldBySecurityLabel(resource: any, { unclearedSecurityLabels }: Redaction): boolean {
+    return hasSecurityLabel(resource?.meta?.security, unclearedSecurityLabels);
+}
+
+const isLabeledElement = (element: any, codes: string[]): boolean =>
+    typeof element === 'object' &&
+    element !== null &&
+    ((typeof element.resourceType === 'string' && hasSecurityLabel(element.meta?.security, codes)) ||
+        (Array.isArray(element.extension) &&
+            element.extension.some(
+                (extension: any) =>
+                    extension?.url === INLINE_SECURITY_LABEL_EXTENSION &&
+                    hasSecurityLabel([extension.valueCoding], codes),
+            )));
+
+/* eslint-disable no-param-reassign */
+// the nodes belong to the copy of the resource made by `redactResource`
+
+/**
+ * Removes the elements, including contained resources, labeled with the codes
+ * @returns true if an element was removed
+ */
+function removeLabeledElements(node: any, codes: string[]): boolean {
+    let removed = false;
+    if (Array.isArray(node)) {
+        for (let i = node.length - 1; i >= 0; i -= 1) {
+            if (isLabeledElement(node[i], codes)) {
+                node.splice(i, 1);
+                removed = true;
+            } else {
+                removed = removeLabeledElements(node[i], codes) || removed;
+            }
+        }
+        return removed;
+    }
+    if (typeof node !== 'object' || node === null) {
+        return false;
+    }
+    Object.keys(node).forEach((key) => {
+        if (key === 'meta' || !(key in node)) {
+            return;
+        }
+        if (isLabeledElement(node[key], codes)) {
+            // the extensions of a primitive element are in its `_` sibling
+            delete node[key];
+            delete node[key.startsWith('_') ? key.substring(1) : `_${key}`];
+            removed = true;
+        } else if (removeLabeledElements(node[key], codes)) {
+            if (Array.isArray(node[key]) && node[key].length === 0) {
+                delete node[key];
+            }
+            removed = true;
+        }
+    });
+    return removed;
+}
+
+/**
+ * @returns true if an element was removed
+ */
+function removeElement(node: any, [name, ...path]: string[], system?: string): boolean {
+    if (Array.isArray(node)) {
+        return node.map((item) => removeElement(item, [name, ...path], system)).some(Boolean);
+    }
+    if (typeof node !== 'object' || node === null || node[name] === undefined) {
+        return false;
+    }
+    if (path.length > 0) {
+        return removeElement(node[name], path, system);
+    }
+    if (system === undefined) {
+        delete node[name];
+        delete node[`_${name}`];
+        return true;
+    }
+    if (Array.isArray(node[name])) {
+        const kept = node[name].filter((item: any) => item?.system !== system);
+        if (kept.length === node[name].length) {
+            return false;
+        }
+        if (kept.length > 0) {
+            node[name] = kept;
+        } else {
+            delete node[name];
+        }
+        return true;
+    }
+    if (node[name].system === system) {
+        delete node[name];
+        return true;
+    }
+    return false;
+}
+/* eslint-enable no-param-reassign */
+
+/**
+ * @returns the resource without the elements the requestor may not see, tagged as `REDACTED`;
+ * the resource itself if nothing was removed
+ */
+export function redactResource(resource: any, { unclearedSecurityLabels, elements }: Redaction): any {
+    if (typeof resource !== 'object' || resource === null) {
+        return resource;
+    }
+    const redactedResource = clone(resource);
+    let redacted =
+        unclearedSecurityLabels.length > 0 && removeLabeledElements(redactedResource, unclearedSecurityLabels);
+    elements.forEach((element) => {
+        const { path, system } = typeof element === 'string' ? { path: element, system: undefined } : element;
+        const [resourceType, ...elementPath] = path.split('.');
+        if (resourceType === redactedResource.resourceType && elementPath.length > 0) {
+            redacted = removeElement(redactedResource, elementPath, system) || redacted;
+        }
+    });
+    if (!redacted) {
+        return resource;
+    }
+    redactedResource.meta = {
+        ...redactedResource.meta,
+        security: [
+            ...(redactedResource.meta?.security ?? []).filter(
+                (coding: any) =>
+                    !(
+                        coding?.system === REDACTED_SECURITY_LABEL.system &&
+                        coding?.code === REDACTED_SECURITY_LABEL.code
+                    ),
+            ),
+            REDACTED_SECURITY_LABEL,
+        ],
+    };
+    return redactedResource;
+}
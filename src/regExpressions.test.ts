@@ -17,6 +17,10 @@ describe('CLINICAL_SCOPE_REGEX', () => {
         ['patient', '*', 'write'],
         ['system', '*', 'write'],
         ['system', 'Patient', 'read'],
+        ['patient', 'Observation', 'rs'],
+        ['user', '*', 'cruds'],
+        ['system', 'Patient', 'c'],
+        ['patient', 'Patient', 'ud'],
     ];
     test.each(testCases)('CASE: %p/%p.%p; expect: matches', async (scopeType, scopeResourceType, accessType) => {
         const expectedStr = `${scopeType}/${scopeResourceType}.${accessType}`;
@@ -41,11 +45,22 @@ describe('CLINICAL_SCOPE_REGEX', () => {
         ['patient/.read'],
         ['patient/Patient.'],
         ['system'],
+        ['patient/Observation.sr'],
+        ['patient/Observation.rr'],
+        ['patient/Observation.x'],
+        ['patient/Observation.rs?'],
     ];
     test.each(uniqueTestCases)('CASE: %p; expect: no match', async (scope) => {
         const actualMatch = scope.match(FHIR_SCOPE_REGEX);
         expect(actualMatch).toBeFalsy();
     });
+
+    test('SMART v2 scope with query parameters', () => {
+        const actualMatch = 'patient/Observation.rs?category=laboratory'.match(FHIR_SCOPE_REGEX);
+        expect(actualMatch).toBeTruthy();
+        expect(actualMatch!.groups!.accessType).toEqual('rs');
+        expect(actualMatch!.groups!.queryParams).toEqual('category=laboratory');
+    });
 });
 
 describe('FHIR_USER_REGEX', () => {
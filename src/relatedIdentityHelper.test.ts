@@ -0,0 +1,198 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import {
+    combineRelatedIdentityResolvers,
+    createPractitionerAccessResolver,
+    createRelatedIdentityResolver,
+} from './relatedIdentityHelper';
+import { FhirResource } from './smartConfig';
+
+const apiUrl = 'https://fhir.server.com/dev';
+const externalUrl = 'https://other.server.com';
+
+const resources: Record<string, any> = {
+    'RelatedPerson/caregiver': {
+        resourceType: 'RelatedPerson',
+        id: 'caregiver',
+        patient: { reference: 'Patient/child' },
+    },
+    'RelatedPerson/inactive': {
+        resourceType: 'RelatedPerson',
+        id: 'inactive',
+        active: false,
+        patient: { reference: 'Patient/child' },
+    },
+    'Person/parent': {
+        resourceType: 'Person',
+        id: 'parent',
+        link: [
+            { target: { reference: 'Patient/parent' } },
+            { target: { reference: 'RelatedPerson/caregiver' } },
+            { target: { reference: `${externalUrl}/Patient/external` } },
+            { target: { reference: '#contained' } },
+        ],
+    },
+    'Person/cycle': {
+        resourceType: 'Person',
+        id: 'cycle',
+        link: [{ target: { reference: 'Person/cycle2' } }],
+    },
+    'Person/cycle2': {
+        resourceType: 'Person',
+        id: 'cycle2',
+        link: [{ target: { reference: 'Person/cycle' } }],
+    },
+};
+
+const fhirUser = (reference: string): FhirResource => {
+    const [resourceType, id] = reference.split('/');
+    return { hostname: apiUrl, resourceType, id };
+};
+
+describe('createRelatedIdentityResolver', () => {
+    const lookup = jest.fn(async ({ resourceType, id }: FhirResource) => resources[`${resourceType}/${id}`]);
+    const resolver = createRelatedIdentityResolver(lookup);
+
+    beforeEach(() => {
+        lookup.mockClear();
+    });
+
+    test('RelatedPerson is expanded to its patient', async () => {
+        await expect(resolver(fhirUser('RelatedPerson/caregiver'), apiUrl)).resolves.toEqual([
+            fhirUser('Patient/child'),
+        ]);
+    });
+
+    test('Person is expanded to its link targets and linked RelatedPerson', async () => {
+        await expect(resolver(fhirUser('Person/parent'), apiUrl)).resolves.toEqual([
+            fhirUser('Patient/parent'),
+            fhirUser('RelatedPerson/caregiver'),
+            { hostname: externalUrl, resourceType: 'Patient', id: 'external' },
+            fhirUser('Patient/child'),
+        ]);
+    });
+
+    test('inactive RelatedPerson is not expanded', async () => {
+        await expect(resolver(fhirUser('RelatedPerson/inactive'), apiUrl)).resolves.toEqual([]);
+    });
+
+    test('Patient and Practitioner are not expanded', async () => {
+        await expect(resolver(fhirUser('Patient/child'), apiUrl)).resolves.toEqual([]);
+        await expect(resolver(fhirUser('Practitioner/1'), apiUrl)).resolves.toEqual([]);
+        expect(lookup).not.toHaveBeenCalled();
+    });
+
+    test('linked Person cycles are looked up once', async () => {
+        await expect(resolver(fhirUser('Person/cycle'), apiUrl)).resolves.toEqual([fhirUser('Person/cycle2')]);
+        expect(lookup).toHaveBeenCalledTimes(2);
+    });
+
+    test('missing resources do not grant access', async () => {
+        await expect(resolver(fhirUser('RelatedPerson/missing'), apiUrl)).resolves.toEqual([]);
+    });
+
+    test('ERROR: lookup errors reject', async () => {
+        const failingResolver = createRelatedIdentityResolver(async () => {
+            throw new Error('lookup failed');
+        });
+        await expect(failingResolver(fhirUser('RelatedPerson/caregiver'), apiUrl)).rejects.toThrowError(
+            'lookup failed',
+        );
+    });
+});
+
+describe('createPractitionerAccessResolver', () => {
+    const searchResults: Record<string, any[]> = {
+        'CareTeam?participant=Practitioner/doc': [
+            { resourceType: 'CareTeam', id: '1', status: 'active', subject: { reference: 'Patient/careTeam' } },
+            { resourceType: 'CareTeam', id: '2', status: 'inactive', subject: { reference: 'Patient/inactive' } },
+            { resourceType: 'CareTeam', id: '3', subject: { reference: 'Group/group' } },
+        ],
+        'Patient?general-practitioner=Practitioner/doc': [{ resourceType: 'Patient', id: 'gp' }],
+        'PractitionerRole?practitioner=Practitioner/doc': [
+            { resourceType: 'PractitionerRole', id: '1', organization: { reference: 'Organization/clinic' } },
+            {
+                resourceType: 'PractitionerRole',
+                id: '2',
+                active: false,
+                organization: { reference: 'Organization/former' },
+            },
+        ],
+        'Patient?organization=Organization/clinic': [
+            { resourceType: 'Patient', id: 'clinic' },
+            { resourceType: 'Patient', id: 'gp' },
+        ],
+        'Patient?organization=Organization/former': [{ resourceType: 'Patient', id: 'former' }],
+        [`CareTeam?participant=${externalUrl}/Practitioner/doc`]: [
+            { resourceType: 'CareTeam', id: '4', subject: { reference: 'Patient/external' } },
+        ],
+    };
+    const search = jest.fn(async (resourceType: string, searchParams: { [name: string]: string }) => {
+        const [[name, value]] = Object.entries(searchParams);
+        return searchResults[`${resourceType}?${name}=${value}`] ?? [];
+    });
+
+    beforeEach(() => {
+        search.mockClear();
+    });
+
+    test('Practitioner is expanded to the Patients they take care of', async () => {
+        const resolver = createPractitionerAccessResolver(search);
+        await expect(resolver(fhirUser('Practitioner/doc'), apiUrl)).resolves.toEqual([
+            fhirUser('Patient/careTeam'),
+            fhirUser('Patient/gp'),
+            fhirUser('Patient/clinic'),
+        ]);
+    });
+
+    test('relations can be disabled', async () => {
+        const resolver = createPractitionerAccessResolver(search, {
+            careTeam: false,
+            managingOrganization: false,
+        });
+        await expect(resolver(fhirUser('Practitioner/doc'), apiUrl)).resolves.toEqual([fhirUser('Patient/gp')]);
+        expect(search).toHaveBeenCalledTimes(1);
+    });
+
+    test('external Practitioner is searched by absolute reference', async () => {
+        const resolver = createPractitionerAccessResolver(search, {
+            generalPractitioner: false,
+            managingOrganization: false,
+        });
+        await expect(
+            resolver({ hostname: externalUrl, resourceType: 'Practitioner', id: 'doc' }, apiUrl),
+        ).resolves.toEqual([fhirUser('Patient/external')]);
+    });
+
+    test('only Practitioners are expanded', async () => {
+        const resolver = createPractitionerAccessResolver(search);
+        await expect(resolver(fhirUser('Patient/gp'), apiUrl)).resolves.toEqual([]);
+        expect(search).not.toHaveBeenCalled();
+    });
+
+    test('ERROR: search errors reject', async () => {
+        const resolver = createPractitionerAccessResolver(async (resourceType) => {
+            if (resourceType === 'PractitionerRole') {
+                throw new Error('search failed');
+            }
+            return [];
+        });
+        await expect(resolver(fhirUser('Practitioner/doc'), apiUrl)).rejects.toThrowError('search failed');
+    });
+});
+
+describe('combineRelatedIdentityResolvers', () => {
+    test('identities of all the resolvers without duplicates', async () => {
+        const resolver = combineRelatedIdentityResolvers(
+            async () => [fhirUser('Patient/1'), fhirUser('Patient/2')],
+            async () => [fhirUser('Patient/2'), fhirUser('Patient/3')],
+        );
+        await expect(resolver(fhirUser('Practitioner/doc'), apiUrl)).resolves.toEqual([
+            fhirUser('Patient/1'),
+            fhirUser('Patient/2'),
+            fhirUser('Patient/3'),
+        ]);
+    });
+});
@@ -0,0 +1,174 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { FhirResource, FhirResourceLookup, FhirResourceSearch, RelatedIdentityResolver } from './smartConfig';
+import { getFhirResource } from './smartAuthorizationHelper';
+
+const getResourceKey = ({ hostname, resourceType, id }: FhirResource) => `${hostname}/${resourceType}/${id}`;
+
+/**
+ * @returns the references to the identities a RelatedPerson or Person acts on behalf of
+ */
+function getLinkedReferences(resource: any): string[] {
+    if (resource.active === false) {
+        return [];
+    }
+    switch (resource.resourceType) {
+        case 'RelatedPerson':
+            return resource.patient?.reference ? [resource.patient.reference] : [];
+        case 'Person':
+            return (resource.link ?? [])
+                .map((link: any) => link.target?.reference)
+                .filter((reference: any) => typeof reference === 'string');
+        default:
+            return [];
+    }
+}
+
+/**
+ * Creates a resolver that expands a RelatedPerson to its `patient` and a Person to its `link` targets.
+ * Linked RelatedPerson & Person are expanded as well, so a Person linked to a RelatedPerson gets access to the related Patient.
+ * Inactive resources are not expanded. A lookup error rejects the resolver, so the request is denied rather than
+ * authorized without the related identities; a resource that is not found is not expanded
+ * @param lookup used to read the RelatedPerson & Person resources
+ */
+export function createRelatedIdentityResolver(lookup: FhirResourceLookup): RelatedIdentityResolver {
+    return async (fhirUser: FhirResource): Promise<FhirResource[]> => {
+        const relatedIdentities: Map<string, FhirResource> = new Map();
+        const visited: Set<string> = new Set([getResourceKey(fhirUser)]);
+        let toExpand: FhirResource[] = [fhirUser];
+
+        while (toExpand.length > 0) {
+            const expandable = toExpand.filter(({ resourceType }) =>
+                ['RelatedPerson', 'Person'].includes(resourceType),
+            );
+            const linkedIdentities: FhirResource[] = [];
+            // eslint-disable-next-line no-await-in-loop
+            const resources = await Promise.all(expandable.map((identity) => lookup(identity)));
+            resources.forEach((resource, i) => {
+                if (!resource) {
+                    return;
+                }
+                getLinkedReferences(resource).forEach((reference) => {
+                    let identity: FhirResource;
+                    try {
+                        identity = getFhirResource(reference, expandable[i].hostname);
+                    } catch (e) {
+                        // contained or malformed references are ignored
+                        return;
+                    }
+                    const key = getResourceKey(identity);
+                    if (!visited.has(key)) {
+                        visited.add(key);
+                        relatedIdentities.set(key, identity);
+                        linkedIdentities.push(identity);
+                    }
+                });
+            });
+            toExpand = linkedIdentities;
+        }
+
+        return [...relatedIdentities.values()];
+    };
+}
+
+export interface PractitionerAccessOptions {
+    /**
+     * Patients that are the subject of a CareTeam the practitioner participates in; defaults to true
+     */
+    careTeam?: boolean;
+    /**
+     * Patients that have the practitioner as `generalPractitioner`; defaults to true
+     */
+    generalPractitioner?: boolean;
+    /**
+     * Patients whose `managingOrganization` is an organization the practitioner has a PractitionerRole in; defaults to true
+     */
+    managingOrganization?: boolean;
+}
+
+const INACTIVE_CARE_TEAM_STATUSES = ['inactive', 'entered-in-error'];
+
+/**
+ * Creates a resolver that gives a Practitioner who is not an admin access to the Patients they take care of,
+ * that is through a CareTeam, as `generalPractitioner` or as a member of the Patient's `managingOrganization`.
+ * A search error rejects the resolver, so the request is denied rather than authorized without the Patients
+ * @param search used to search the CareTeam, PractitionerRole & Patient resources
+ */
+export function createPractitionerAccessResolver(
+    search: FhirResourceSearch,
+    { careTeam = true, generalPractitioner = true, managingOrganization = true }: PractitionerAccessOptions = {},
+): RelatedIdentityResolver {
+    return async (fhirUser: FhirResource, fhirServiceBaseUrl: string): Promise<FhirResource[]> => {
+        if (fhirUser.resourceType !== 'Practitioner') {
+            return [];
+        }
+        const practitionerReference =
+            fhirUser.hostname === fhirServiceBaseUrl
+                ? `${fhirUser.resourceType}/${fhirUser.id}`
+                : getResourceKey(fhirUser);
+        const patients: Map<string, FhirResource> = new Map();
+        const addPatient = (reference: string | undefined) => {
+            if (!reference) {
+                return;
+            }
+            try {
+                const patient = getFhirResource(reference, fhirServiceBaseUrl);
+                if (patient.resourceType === 'Patient') {
+                    patients.set(getResourceKey(patient), patient);
+                }
+            } catch (e) {
+                // contained or malformed references are ignored
+            }
+        };
+
+        const searches: Promise<void>[] = [];
+        if (careTeam) {
+            searches.push(
+                search('CareTeam', { participant: practitionerReference }).then((careTeams) =>
+                    careTeams
+                        .filter((team) => !INACTIVE_CARE_TEAM_STATUSES.includes(team.status))
+                        .forEach((team) => addPatient(team.subject?.reference)),
+                ),
+            );
+        }
+        if (generalPractitioner) {
+            searches.push(
+                search('Patient', { 'general-practitioner': practitionerReference }).then((results) =>
+                    results.forEach((patient) => addPatient(`Patient/${patient.id}`)),
+                ),
+            );
+        }
+        if (managingOrganization) {
+            searches.push(
+                search('PractitionerRole', { practitioner: practitionerReference }).then(async (roles) => {
+                    const organizations: Set<string> = new Set(
+                        roles
+                            .filter((role) => role.active !== false && role.organization?.reference)
+                            .map((role) => role.organization.reference),
+                    );
+                    const results = await Promise.all(
+                        [...organizations].map((organization) => search('Patient', { organization })),
+                    );
+                    results.flat().forEach((patient) => addPatient(`Patient/${patient.id}`));
+                }),
+            );
+        }
+        await Promise.all(searches);
+
+        return [...patients.values()];
+    };
+}
+
+/**
+ * Combines resolvers, i.e. to give access to both RelatedPerson and Practitioner users
+ */
+export function combineRelatedIdentityResolvers(...resolvers: RelatedIdentityResolver[]): RelatedIdentityResolver {
+    return async (fhirUser: FhirResource, fhirServiceBaseUrl: string): Promise<FhirResource[]> => {
+        const results = await Promise.all(resolvers.map((resolver) => resolver(fhirUser, fhirServiceBaseUrl)));
+        const relatedIdentities: Map<string, FhirResource> = new Map();
+        results.flat().forEach((identity) => relatedIdentities.set(getResourceKey(identity), identity));
+        return [...relatedIdentities.values()];
+    };
+}
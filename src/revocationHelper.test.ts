@@ -0,0 +1,140 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
+import {
+    BACK_CHANNEL_LOGOUT_EVENT,
+    createInMemoryRevocationStore,
+    getBackChannelLogoutEntry,
+    getRevocationKey,
+    TokenRevocationList,
+} from './revocationHelper';
+
+const issuer = 'https://issuer.example.com';
+const now = Math.floor(Date.now() / 1000);
+const token = { iss: issuer, jti: 'jti-1', sid: 'session-1', sub: 'user-1', iat: now - 60, exp: now + 3600 };
+
+describe('createInMemoryRevocationStore', () => {
+    test('the latest cutoff is kept', async () => {
+        const store = createInMemoryRevocationStore();
+        await store.set('key', 100, 60);
+        await store.set('key', 50, 60);
+        await expect(store.get('key')).resolves.toEqual(100);
+        await expect(store.get('other')).resolves.toBeUndefined();
+    });
+
+    test('entries expire', async () => {
+        const store = createInMemoryRevocationStore();
+        await store.set('key', 100, 0);
+        await expect(store.get('key')).resolves.toBeUndefined();
+    });
+
+    test('the oldest entry is evicted', async () => {
+        const store = createInMemoryRevocationStore(2);
+        await store.set('a', 1, 60);
+        await store.set('b', 1, 60);
+        await store.set('c', 1, 60);
+        await expect(store.get('a')).resolves.toBeUndefined();
+        await expect(store.get('c')).resolves.toEqual(1);
+    });
+});
+
+describe('TokenRevocationList', () => {
+    test.each([
+        ['jti', 'jti-1'],
+        ['sid', 'session-1'],
+        ['sub', 'user-1'],
+        ['iss', undefined],
+    ])('revoked by %s', async (type: any, value) => {
+        const revocationList = new TokenRevocationList({}, issuer);
+        await revocationList.revoke({ type, value });
+        await expect(revocationList.isRevoked(token)).resolves.toEqual(true);
+        await expect(
+            revocationList.isRevoked({ ...token, jti: 'jti-2', sid: 'session-2', sub: 'user-2' }),
+        ).resolves.toEqual(type === 'iss');
+    });
+
+    test('tokens issued after the cutoff are not revoked', async () => {
+        const revocationList = new TokenRevocationList({}, issuer);
+        await revocationList.revoke({ type: 'sub', value: 'user-1', issuedBefore: now - 30 });
+        await expect(revocationList.isRevoked(token)).resolves.toEqual(true);
+        await expect(revocationList.isRevoked({ ...token, iat: now - 30 })).resolves.toEqual(false);
+        await expect(revocationList.isRevoked({ ...token, iat: undefined })).resolves.toEqual(true);
+    });
+
+    test('entries are per issuer', async () => {
+        const revocationList = new TokenRevocationList({}, issuer);
+        await revocationList.revoke({ type: 'sub', value: 'user-1', issuer: 'https://other.example.com' });
+        await expect(revocationList.isRevoked(token)).resolves.toEqual(false);
+        await expect(revocationList.isRevoked({ ...token, iss: 'https://other.example.com' })).resolves.toEqual(true);
+    });
+
+    test('the entry is stored until it expires', async () => {
+        const store = { get: jest.fn(), set: jest.fn() };
+        const revocationList = new TokenRevocationList({ store, ttlSeconds: 600 }, issuer);
+        await revocationList.revoke({ type: 'jti', value: 'jti-1', expiresAt: now + 60, issuedBefore: now });
+        await revocationList.revoke({ type: 'sub', value: 'user-1', issuedBefore: now });
+        await revocationList.revoke({ type: 'jti', value: 'jti-0', expiresAt: now - 60 });
+        expect(store.set.mock.calls).toEqual([
+            [getRevocationKey('jti', issuer, 'jti-1'), now, expect.any(Number)],
+            [getRevocationKey('sub', issuer, 'user-1'), now, 600],
+        ]);
+        expect(store.set.mock.calls[0][2]).toBeLessThanOrEqual(60);
+    });
+
+    test('ERROR: entry without a value', async () => {
+        await expect(new TokenRevocationList({}, issuer).revoke({ type: 'sid' })).rejects.toThrowError(
+            'A revocation of type sid requires a value',
+        );
+    });
+
+    test('ERROR: store failure', async () => {
+        const store = { get: jest.fn().mockRejectedValue(new Error('timeout')), set: jest.fn() };
+        await expect(new TokenRevocationList({ store }, issuer).isRevoked(token)).rejects.toThrowError('timeout');
+    });
+});
+
+describe('getBackChannelLogoutEntry', () => {
+    const logoutClaims = {
+        iss: issuer,
+        aud: 'fhir-server',
+        iat: now,
+        jti: 'logout-1',
+        sub: 'user-1',
+        sid: 'session-1',
+        events: { [BACK_CHANNEL_LOGOUT_EVENT]: {} },
+    };
+
+    test('the session, or every session of the subject', () => {
+        expect(getBackChannelLogoutEntry(logoutClaims)).toEqual({ type: 'sid', value: 'session-1', issuer });
+        expect(getBackChannelLogoutEntry({ ...logoutClaims, sid: undefined })).toEqual({
+            type: 'sub',
+            value: 'user-1',
+            issuer,
+        });
+    });
+
+    test.each([
+        ['no logout event', { ...logoutClaims, events: {} }],
+        ['logout event is not an object', { ...logoutClaims, events: { [BACK_CHANNEL_LOGOUT_EVENT]: true } }],
+        ['nonce', { ...logoutClaims, nonce: 'nonce' }],
+        ['no iat', { ...logoutClaims, iat: undefined }],
+        ['no sid or sub', { ...logoutClaims, sid: undefined, sub: undefined }],
+        ['no jti', { ...logoutClaims, jti: undefined }],
+        ['stale iat', { ...logoutClaims, iat: now - 301 }],
+        ['iat in the future', { ...logoutClaims, iat: now + 301 }],
+    ])('ERROR: %s', (_title, claims) => {
+        expect(() => getBackChannelLogoutEntry(claims, 300, now)).toThrowError(
+            new UnauthorizedError('Invalid logout token'),
+        );
+    });
+
+    test('max age', () => {
+        expect(getBackChannelLogoutEntry({ ...logoutClaims, iat: now - 600 }, 900, now)).toEqual({
+            type: 'sid',
+            value: 'session-1',
+            issuer,
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
+import { RevocationEntry, RevocationOptions, RevocationStore, RevocationType } from './smartConfig';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_TTL_SECONDS = 86400;
+export const DEFAULT_LOGOUT_TOKEN_MAX_AGE_SECONDS = 300;
+
+export const BACK_CHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Bounded in memory store; when full the oldest entry is evicted, un-revoking its access_tokens
+ */
+export function createInMemoryRevocationStore(maxEntries: number = DEFAULT_MAX_ENTRIES): RevocationStore {
+    const entries: Map<string, { issuedBefore: number; expiresAt: number }> = new Map();
+    return {
+        async get(key: string): Promise<number | undefined> {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.issuedBefore;
+        },
+        async set(key: string, issuedBefore: number, ttlSeconds: number): Promise<void> {
+            const existing = entries.get(key);
+            entries.delete(key);
+            while (entries.size >= maxEntries) {
+                logger.warn('The revocation store is full, the oldest entry is evicted');
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, {
+                issuedBefore: Math.max(issuedBefore, existing?.issuedBefore ?? -Infinity),
+                expiresAt: Math.max(Date.now() + ttlSeconds * 1000, existing?.expiresAt ?? -Infinity),
+            });
+        },
+    };
+}
+
+export function getRevocationKey(type: RevocationType, issuer: string, value?: string): string {
+    return type === 'iss' ? `${type}|${issuer}` : `${type}|${issuer}|${value}`;
+}
+
+/**
+ * Revokes access_tokens by `jti`, `sid`, `sub` or `iss`, each with a cutoff on the `iat` of the tokens
+ */
+export class TokenRevocationList {
+    private readonly store: RevocationStore;
+
+    private readonly ttlSeconds: number;
+
+    private readonly defaultIssuer: string;
+
+    /**
+     * @param defaultIssuer issuer of the entries that do not have one
+     */
+    constructor(options: RevocationOptions, defaultIssuer: string) {
+        this.store = options.store ?? createInMemoryRevocationStore(options.maxEntries);
+        this.ttlSeconds = options.ttlSeconds ?? DEFAULT_TTL_SECONDS;
+        this.defaultIssuer = defaultIssuer;
+    }
+
+    /**
+     * @throws Error when the entry has no value or the store fails
+     */
+    async revoke(entry: RevocationEntry): Promise<void> {
+        if (entry.type !== 'iss' && (typeof entry.value !== 'string' || entry.value === '')) {
+            throw new Error(`A revocation of type ${entry.type} requires a value`);
+        }
+        const now = nowInSeconds();
+        // the access_tokens issued during the current second are revoked too
+        const issuedBefore = entry.issuedBefore ?? now + 1;
+        const ttlSeconds = entry.expiresAt !== undefined ? entry.expiresAt - now : this.ttlSeconds;
+        if (ttlSeconds <= 0) {
+            return;
+        }
+        await this.store.set(
+            getRevocationKey(entry.type, entry.issuer ?? this.defaultIssuer, entry.value),
+            issuedBefore,
+            ttlSeconds,
+        );
+    }
+
+    /**
+     * Access_tokens without `iat` are revoked by any entry that matches them
+     * @returns true if an entry matching the `jti`, `sid`, `sub` or `iss` of the access_token revokes it
+     * @throws Error when the store fails
+     */
+    async isRevoked(decodedToken: any): Promise<boolean> {
+        const issuer = decodedToken.iss ?? this.defaultIssuer;
+        const keys = (<RevocationType[]>['jti', 'sid', 'sub'])
+            .filter((type) => typeof decodedToken[type] === 'string')
+            .map((type) => getRevocationKey(type, issuer, decodedToken[type]))
+            .concat(getRevocationKey('iss', issuer));
+        const cutoffs = await Promise.all(keys.map((key) => this.store.get(key)));
+        return cutoffs.some(
+            (issuedBefore) =>
+                issuedBefore !== undefined && (typeof decodedToken.iat !== 'number' || decodedToken.iat < issuedBefore),
+        );
+    }
+}
+
+/**
+ * The logout token must be verified beforehand, see https://openid.net/specs/openid-connect-backchannel-1_0.html#Validation
+ * Its `jti` must be checked for replay by the caller
+ * @param maxAgeSeconds max difference in seconds between the `iat` of the logout token and now
+ * @returns the session revoked by the logout token; every session of the subject when it has no `sid`
+ * @throws UnauthorizedError when the claims are not the ones of a logout token or it is stale
+ */
+export function getBackChannelLogoutEntry(
+    logoutClaims: any,
+    maxAgeSeconds: number = DEFAULT_LOGOUT_TOKEN_MAX_AGE_SECONDS,
+    now: number = nowInSeconds(),
+): RevocationEntry {
+    const event = logoutClaims.events?.[BACK_CHANNEL_LOGOUT_EVENT];
+    if (typeof event !== 'object' || event === null || Array.isArray(event)) {
+        throw new UnauthorizedError('Invalid logout token');
+    }
+    if (
+        logoutClaims.nonce !== undefined ||
+        typeof logoutClaims.iat !== 'number' ||
+        typeof logoutClaims.jti !== 'string' ||
+        logoutClaims.jti === ''
+    ) {
+        throw new UnauthorizedError('Invalid logout token');
+    }
+    if (Math.abs(now - logoutClaims.iat) > maxAgeSeconds) {
+        logger.warn('logout token is stale', { iat: logoutClaims.iat });
+        throw new UnauthorizedError('Invalid logout token');
+    }
+    if (typeof logoutClaims.sid === 'string' && logoutClaims.sid !== '') {
+        return { type: 'sid', value: logoutClaims.sid, issuer: logoutClaims.iss };
+    }
+    if (typeof logoutClaims.sub === 'string' && logoutClaims.sub !== '') {
+        return { type: 'sub', value: logoutClaims.sub, issuer: logoutClaims.iss };
+    }
+    throw new UnauthorizedError('Invalid logout token');
+}
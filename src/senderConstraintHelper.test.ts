@@ -0,0 +1,223 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { createHash, KeyObject } from 'crypto';
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
+// eslint-disable-next-line import/no-unresolved
+import fromKeyLike from 'jose/jwk/from_key_like';
+// eslint-disable-next-line import/no-unresolved
+import calculateThumbprint from 'jose/jwk/thumbprint';
+// eslint-disable-next-line import/no-unresolved
+import SignJWT from 'jose/jwt/sign';
+// eslint-disable-next-line import/no-unresolved
+import generateKeyPair from 'jose/util/generate_key_pair';
+import {
+    getCertificateThumbprint,
+    getJwkThumbprint,
+    getSenderConstraintMode,
+    verifyCertificateBinding,
+    verifyDPoPProof,
+} from './senderConstraintHelper';
+import { createInMemoryJtiReplayStore } from './tokenCacheHelper';
+import { DEFAULT_ALLOWED_ALGORITHMS } from './jwkHelper';
+
+const accessToken = 'header.payload.signature';
+const ath = createHash('sha256')
+    .update(accessToken)
+    .digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+describe('getSenderConstraintMode', () => {
+    test('strictest mode of the scope types applies', () => {
+        const rule = { patient: <const>'optional', user: <const>'required' };
+        expect(getSenderConstraintMode(['patient/Patient.read'], rule)).toEqual('optional');
+        expect(getSenderConstraintMode(['patient/Patient.read', 'user/Patient.read'], rule)).toEqual('required');
+        expect(getSenderConstraintMode(['system/Patient.read'], rule)).toEqual('off');
+        expect(getSenderConstraintMode(['user/Patient.read'], undefined)).toEqual('off');
+    });
+});
+
+describe('getJwkThumbprint', () => {
+    test.each(['RS256', 'ES256', 'ES384', 'EdDSA'])('matches RFC 7638 for %s keys', async (alg) => {
+        const { publicKey } = await generateKeyPair(alg);
+        const jwk = await fromKeyLike(publicKey);
+        expect(getJwkThumbprint(jwk)).toEqual(await calculateThumbprint(jwk));
+    });
+
+    test('unsupported key type', () => {
+        expect(() => getJwkThumbprint({ kty: 'oct', k: 'secret' })).toThrow(UnauthorizedError);
+    });
+});
+
+describe('verifyDPoPProof', () => {
+    const url = 'https://fhir.server.com/dev/Patient/123';
+
+    async function getProof(alg: string, privateKey: KeyObject, jwk: any, payload: any, header: any = {}) {
+        return new SignJWT({
+            htm: 'GET',
+            htu: url,
+            jti: `${Math.random()}`,
+            ath,
+            ...payload,
+        })
+            .setProtectedHeader({ alg, typ: 'dpop+jwt', jwk, ...header })
+            .setIssuedAt(payload.iat)
+            .sign(privateKey);
+    }
+
+    describe.each(['RS256', 'ES256', 'ES384', 'ES512', 'PS256', 'EdDSA'])('%s', (alg) => {
+        let privateKey: KeyObject;
+        let jwk: any;
+        let jkt: string;
+
+        beforeAll(async () => {
+            const keyPair = await generateKeyPair(alg);
+            privateKey = <KeyObject>keyPair.privateKey;
+            jwk = await fromKeyLike(keyPair.publicKey);
+            jkt = await calculateThumbprint(jwk);
+        });
+
+        test.each([
+            ['/Patient/123?_format=json', 'https://fhir.server.com/dev'],
+            ['/dev/Patient/123', 'https://fhir.server.com/dev/'],
+            ['Patient/123', 'https://fhir.server.com/dev'],
+            ['/dev/Patient/123', 'https://fhir.server.com'],
+            ['https://fhir.server.com/dev/Patient/123', 'https://other.server.com'],
+        ])('valid proof for %s on %s', async (requestUrl, baseUrl) => {
+            const proof = await getProof(alg, privateKey, jwk, {});
+            await expect(
+                verifyDPoPProof(proof, {
+                    accessToken,
+                    method: 'GET',
+                    url: requestUrl,
+                    baseUrl,
+                    jkt,
+                    allowedAlgorithms: [...DEFAULT_ALLOWED_ALGORITHMS, 'EdDSA'],
+                    maxProofAgeSeconds: 300,
+                    replayStore: createInMemoryJtiReplayStore(),
+                }),
+            ).resolves.toBeUndefined();
+        });
+    });
+
+    describe('invalid proofs', () => {
+        let privateKey: KeyObject;
+        let jwk: any;
+        let jkt: string;
+        const proofRequest = () => ({
+            accessToken,
+            method: 'GET',
+            url,
+            jkt,
+            allowedAlgorithms: DEFAULT_ALLOWED_ALGORITHMS,
+            maxProofAgeSeconds: 300,
+            replayStore: createInMemoryJtiReplayStore(),
+        });
+
+        beforeAll(async () => {
+            const keyPair = await generateKeyPair('ES256');
+            privateKey = <KeyObject>keyPair.privateKey;
+            jwk = await fromKeyLike(keyPair.publicKey);
+            jkt = await calculateThumbprint(jwk);
+        });
+
+        test.each([
+            ['htm does not match', { htm: 'POST' }],
+            ['htu does not match', { htu: 'https://fhir.server.com/dev/Patient/456' }],
+            ['ath does not match', { ath: 'abc' }],
+            ['iat is too old', { iat: Math.floor(Date.now() / 1000) - 600 }],
+            ['iat is in the future', { iat: Math.floor(Date.now() / 1000) + 600 }],
+            ['jti is missing', { jti: undefined }],
+        ])('%s', async (name, payload) => {
+            const proof = await getProof('ES256', privateKey, jwk, payload);
+            await expect(verifyDPoPProof(proof, proofRequest())).rejects.toThrow(
+                new UnauthorizedError('Invalid DPoP proof'),
+            );
+        });
+
+        test('htu without the path of the base URL', async () => {
+            const proof = await getProof('ES256', privateKey, jwk, { htu: 'https://fhir.server.com/Patient/123' });
+            await expect(
+                verifyDPoPProof(proof, {
+                    ...proofRequest(),
+                    url: '/Patient/123',
+                    baseUrl: 'https://fhir.server.com/dev',
+                }),
+            ).rejects.toThrow(new UnauthorizedError('Invalid DPoP proof'));
+        });
+
+        test('typ is not dpop+jwt', async () => {
+            const proof = await getProof('ES256', privateKey, jwk, {}, { typ: 'JWT' });
+            await expect(verifyDPoPProof(proof, proofRequest())).rejects.toThrow(UnauthorizedError);
+        });
+
+        test('alg is not allowed', async () => {
+            const proof = await getProof('ES256', privateKey, jwk, {});
+            await expect(verifyDPoPProof(proof, { ...proofRequest(), allowedAlgorithms: ['RS256'] })).rejects.toThrow(
+                UnauthorizedError,
+            );
+        });
+
+        test('jwk contains the private key', async () => {
+            const privateJwk = await fromKeyLike(privateKey);
+            const proof = await getProof('ES256', privateKey, privateJwk, {});
+            await expect(verifyDPoPProof(proof, proofRequest())).rejects.toThrow(UnauthorizedError);
+        });
+
+        test('key is not the one the access_token is bound to', async () => {
+            const proof = await getProof('ES256', privateKey, jwk, {});
+            await expect(verifyDPoPProof(proof, { ...proofRequest(), jkt: 'other' })).rejects.toThrow(
+                UnauthorizedError,
+            );
+        });
+
+        test('signature is not made with the jwk of the header', async () => {
+            const other = await generateKeyPair('ES256');
+            const proof = await getProof('ES256', <KeyObject>other.privateKey, jwk, {});
+            await expect(verifyDPoPProof(proof, proofRequest())).rejects.toThrow(UnauthorizedError);
+        });
+
+        test('not a JWT', async () => {
+            await expect(verifyDPoPProof('not-a-jwt', proofRequest())).rejects.toThrow(UnauthorizedError);
+        });
+
+        test('proof is replayed', async () => {
+            const request = proofRequest();
+            const proof = await getProof('ES256', privateKey, jwk, {});
+            await expect(verifyDPoPProof(proof, request)).resolves.toBeUndefined();
+            await expect(verifyDPoPProof(proof, request)).rejects.toThrow(UnauthorizedError);
+        });
+    });
+});
+
+describe('verifyCertificateBinding', () => {
+    test('thumbprint matches', () => {
+        expect(() => verifyCertificateBinding('abc', 'abc')).not.toThrow();
+    });
+
+    test('thumbprint does not match or is missing', () => {
+        expect(() => verifyCertificateBinding('abc', 'def')).toThrow(
+            new UnauthorizedError('access_token is not bound to the client certificate'),
+        );
+        expect(() => verifyCertificateBinding('abc', undefined)).toThrow(UnauthorizedError);
+    });
+});
+
+describe('getCertificateThumbprint', () => {
+    test('PEM and DER give the same thumbprint', () => {
+        const derCertificate = Buffer.from('certificate');
+        const pem = `-----BEGIN CERTIFICATE-----\n${derCertificate.toString('base64')}\n-----END CERTIFICATE-----\n`;
+        expect(getCertificateThumbprint(pem)).toEqual(getCertificateThumbprint(derCertificate));
+        expect(getCertificateThumbprint(derCertificate)).toEqual(
+            createHash('sha256')
+                .update(derCertificate)
+                .digest('base64')
+                .replace(/=+$/, '')
+                .replace(/\+/g, '-')
+                .replace(/\//g, '_'),
+        );
+    });
+});
@@ -0,0 +1,199 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { createHash } from 'crypto';
+import { decode } from 'jsonwebtoken';
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
+import { JtiReplayStore, SenderConstraintMode, SenderConstraintRule } from './smartConfig';
+import { isKeyCompatibleWithAlgorithm, jwkToPem, verifyJwtSignature } from './jwkHelper';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
+
+export const DEFAULT_DPOP_MAX_PROOF_AGE_SECONDS = 300;
+
+const MODE_STRICTNESS: SenderConstraintMode[] = ['off', 'optional', 'required'];
+
+const toBase64Url = (buffer: Buffer) =>
+    buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const sha256 = (value: string) => toBase64Url(createHash('sha256').update(value).digest());
+
+/**
+ * @returns the strictest mode configured for the scope types of the usable scopes, i.e. `user` for `user/Patient.read`
+ */
+export function getSenderConstraintMode(
+    usableScopes: string[],
+    rule: SenderConstraintRule | undefined,
+): SenderConstraintMode {
+    if (!rule) {
+        return 'off';
+    }
+    return usableScopes.reduce((mode: SenderConstraintMode, scope: string) => {
+        const scopeType = scope.split('/')[0] as keyof SenderConstraintRule;
+        const scopeMode = rule[scopeType] ?? 'off';
+        return MODE_STRICTNESS.indexOf(scopeMode) > MODE_STRICTNESS.indexOf(mode) ? scopeMode : mode;
+    }, 'off');
+}
+
+/**
+ * JWK Thumbprint, https://datatracker.ietf.org/doc/html/rfc7638
+ * @returns the base64url SHA-256 thumbprint used as `cnf.jkt`
+ */
+export function getJwkThumbprint(jwk: any): string {
+    let requiredMembers: any;
+    switch (jwk.kty) {
+        case 'RSA':
+            requiredMembers = { e: jwk.e, kty: jwk.kty, n: jwk.n };
+            break;
+        case 'EC':
+            requiredMembers = { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+            break;
+        case 'OKP':
+            requiredMembers = { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+            break;
+        default:
+            throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    if (Object.values(requiredMembers).some((value) => typeof value !== 'string')) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    return sha256(JSON.stringify(requiredMembers));
+}
+
+/**
+ * A path is relative to the base URL, which may have a path of its own such as an API Gateway stage; the path may
+ * already start with it
+ */
+function resolveRequestUrl(url: string, baseUrl?: string): string {
+    if (!baseUrl || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+        return url;
+    }
+    const { protocol, host, pathname } = new URL(baseUrl);
+    const basePath = pathname.replace(/\/$/, '');
+    const path = url.startsWith('/') ? url : `/${url}`;
+    const isBasePathIncluded =
+        basePath !== '' && path.startsWith(basePath) && /^([/?#]|$)/.test(path.substring(basePath.length));
+    return `${protocol}//${host}${isBasePathIncluded ? path : `${basePath}${path}`}`;
+}
+
+/**
+ * @returns the URL without query and fragment, as expected in `htu`
+ */
+function normalizeHtu(url: string, baseUrl?: string): string | undefined {
+    try {
+        const { protocol, host, pathname } = new URL(resolveRequestUrl(url, baseUrl));
+        return `${protocol}//${host}${pathname}`;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+export interface DPoPProofRequest {
+    accessToken: string;
+    /**
+     * HTTP method of the request, i.e. `GET`
+     */
+    method: string;
+    /**
+     * URL of the request; appended to `baseUrl` when it is only a path
+     */
+    url: string;
+    /**
+     * URL of the FHIR service including its path, i.e. `https://fhir.server.com/dev`
+     */
+    baseUrl?: string;
+    /**
+     * `cnf.jkt` of the access_token
+     */
+    jkt: string;
+    /**
+     * Signature algorithms accepted for the proofs, see `DPoPOptions.allowedAlgorithms`
+     */
+    allowedAlgorithms: string[];
+    maxProofAgeSeconds: number;
+    replayStore: JtiReplayStore;
+}
+
+/**
+ * Checks a DPoP proof, https://datatracker.ietf.org/doc/html/rfc9449#section-4.3
+ * @throws UnauthorizedError when the proof is invalid, replayed or not bound to the access_token
+ */
+export async function verifyDPoPProof(
+    proof: string,
+    { accessToken, method, url, baseUrl, jkt, allowedAlgorithms, maxProofAgeSeconds, replayStore }: DPoPProofRequest,
+): Promise<void> {
+    const decoded = decode(proof, { complete: true }) as { [key: string]: any } | null;
+    if (!decoded || typeof decoded.payload !== 'object') {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    const { header, payload } = decoded;
+    if (header.typ !== 'dpop+jwt' || !allowedAlgorithms.includes(header.alg)) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    if (
+        typeof header.jwk !== 'object' ||
+        header.jwk === null ||
+        header.jwk.d !== undefined ||
+        !isKeyCompatibleWithAlgorithm(header.jwk, header.alg)
+    ) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    const thumbprint = getJwkThumbprint(header.jwk);
+    if (thumbprint !== jkt) {
+        logger.warn('DPoP proof key does not match the access_token binding');
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    try {
+        verifyJwtSignature(proof, { publicKey: jwkToPem(header.jwk), jwk: header.jwk }, header.alg);
+    } catch (e) {
+        logger.warn((e as any).message);
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+
+    if (typeof payload.htm !== 'string' || payload.htm.toUpperCase() !== method.toUpperCase()) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    const expectedHtu = normalizeHtu(url, baseUrl);
+    if (typeof payload.htu !== 'string' || !expectedHtu || normalizeHtu(payload.htu) !== expectedHtu) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    if (typeof payload.iat !== 'number' || Math.abs(Date.now() / 1000 - payload.iat) > maxProofAgeSeconds) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    if (payload.ath !== sha256(accessToken)) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    if (typeof payload.jti !== 'string' || payload.jti.length === 0) {
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+    // a proof can not be reused while its iat is accepted
+    if (!(await replayStore.add(`${thumbprint}:${payload.jti}`, 2 * maxProofAgeSeconds))) {
+        logger.warn('DPoP proof replay detected');
+        throw new UnauthorizedError('Invalid DPoP proof');
+    }
+}
+
+/**
+ * Checks a certificate-bound access_token, https://datatracker.ietf.org/doc/html/rfc8705#section-3
+ * @param certificateThumbprint base64url SHA-256 thumbprint of the client certificate given by the caller
+ * @throws UnauthorizedError when the access_token is not bound to the client certificate
+ */
+export function verifyCertificateBinding(x5tS256: string, certificateThumbprint: string | undefined): void {
+    if (!certificateThumbprint || x5tS256 !== certificateThumbprint) {
+        throw new UnauthorizedError('access_token is not bound to the client certificate');
+    }
+}
+
+/**
+ * @param certificate DER or PEM encoded client certificate
+ * @returns the base64url SHA-256 thumbprint, as in `cnf.x5t#S256`
+ */
+export function getCertificateThumbprint(certificate: Buffer | string): string {
+    const derCertificate =
+        typeof certificate === 'string'
+            ? Buffer.from(certificate.replace(/-----(BEGIN|END) CERTIFICATE-----|\s/g, ''), 'base64')
+            : certificate;
+    return toBase64Url(createHash('sha256').update(derCertificate).digest());
+}
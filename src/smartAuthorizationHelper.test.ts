@@ -16,12 +16,18 @@ import axios from 'axios';
 import MockAdapter from 'axios-mock-adapter';
 import {
     hasReferenceToResource,
+    getReferencePathToResource,
+    hasAccessToResource,
     getFhirResource,
     getFhirUser,
     verifyJwtToken,
     introspectJwtToken,
+    getUnverifiedIssuer,
+    getJwksClient,
 } from './smartAuthorizationHelper';
 import { FhirResource, IntrospectionOptions } from './smartConfig';
+import { SupportedFhirVersion } from './fhirVersionHelper';
+import { TokenCache } from './tokenCacheHelper';
 
 const apiUrl = 'https://fhirServer.com';
 const id = '1234';
@@ -76,6 +82,43 @@ describe('getFhirResource', () => {
     });
 });
 
+describe('getReferencePathToResource', () => {
+    const patient: FhirResource = { hostname: apiUrl, id, resourceType: 'Patient' };
+    test('path of the reference to the requestor', () => {
+        expect(
+            getReferencePathToResource(
+                patient,
+                { resourceType: 'Observation', id: '1', subject: { reference: `Patient/${id}` } },
+                apiUrl,
+                '4.0.1',
+            ),
+        ).toEqual('subject');
+        expect(
+            getReferencePathToResource(
+                patient,
+                { resourceType: 'Patient', id: '1', link: [{ other: { reference: `${apiUrl}/Patient/${id}` } }] },
+                apiUrl,
+                '4.0.1',
+            ),
+        ).toEqual('link.other');
+    });
+
+    test('requestor itself', () => {
+        expect(getReferencePathToResource(patient, { resourceType: 'Patient', id }, apiUrl, '4.0.1')).toEqual('id');
+    });
+
+    test('not referenced', () => {
+        expect(
+            getReferencePathToResource(
+                patient,
+                { resourceType: 'Observation', id: '1', subject: { reference: 'Patient/other' } },
+                apiUrl,
+                '4.0.1',
+            ),
+        ).toBeUndefined();
+    });
+});
+
 describe('hasReferenceToResource', () => {
     const practitionerFhirUser: FhirResource = {
         hostname: apiUrl,
@@ -211,7 +254,7 @@ describe('hasReferenceToResource', () => {
         ).toEqual(expectedValue);
     });
 
-    const versions: FhirVersion[] = ['4.0.1', '3.0.1'];
+    const versions: SupportedFhirVersion[] = ['5.0.0', '4.3.0', '4.0.1', '3.0.1'];
     describe.each(versions)('requestor is a Patient; Resources are single layer; FHIR Version %p', (fhirVersion) => {
         test('fhirUser id matches resource id', () => {
             expect(
@@ -335,6 +378,98 @@ describe('hasReferenceToResource', () => {
     });
 });
 
+describe('hasReferenceToResource; compartment reference resolution', () => {
+    const patientFhirUser: FhirResource = { hostname: apiUrl, id, resourceType: 'Patient' };
+    const practitionerFhirUser: FhirResource = { hostname: apiUrl, id, resourceType: 'Practitioner' };
+    const r4Version: FhirVersion = '4.0.1';
+    test('reference field within the Patient compartment', () => {
+        const observation = { resourceType: 'Observation', id: '1', subject: { reference: `Patient/${id}` } };
+        expect(hasReferenceToResource(patientFhirUser, observation, apiUrl, r4Version, 'compartment')).toEqual(true);
+    });
+    test('reference field outside of the Patient compartment', () => {
+        // Condition.recorder may reference a Patient but is not part of the Patient compartment
+        const condition = { resourceType: 'Condition', id: '1', recorder: { reference: `Patient/${id}` } };
+        expect(hasReferenceToResource(patientFhirUser, condition, apiUrl, r4Version, 'referenceMatrix')).toEqual(true);
+        expect(hasReferenceToResource(patientFhirUser, condition, apiUrl, r4Version, 'compartment')).toEqual(false);
+    });
+    test('Practitioner compartment', () => {
+        const encounter = {
+            resourceType: 'Encounter',
+            id: '1',
+            participant: [{ individual: { reference: `Practitioner/${id}` } }],
+        };
+        expect(hasReferenceToResource(practitionerFhirUser, encounter, apiUrl, r4Version, 'compartment')).toEqual(true);
+    });
+    test('unsupported FHIR version', () => {
+        expect(() => {
+            hasReferenceToResource(patientFhirUser, { resourceType: 'Observation' }, apiUrl, '3.0.1', 'compartment');
+        }).toThrowError(new Error('Compartment reference resolution is not supported for this FHIR version'));
+    });
+});
+
+describe('hasAccessToResource; encounter launch context', () => {
+    const patientLaunchContext: FhirResource = { hostname: apiUrl, resourceType: 'Patient', id };
+    const encounterLaunchContext: FhirResource = { hostname: apiUrl, resourceType: 'Encounter', id: 'enc-1' };
+    const r4Version: FhirVersion = '4.0.1';
+    const cases: (string | any | boolean)[][] = [
+        ['Patient is not restricted by the encounter', { resourceType: 'Patient', id }, true],
+        [
+            'launched Encounter',
+            { resourceType: 'Encounter', id: 'enc-1', subject: { reference: `Patient/${id}` } },
+            true,
+        ],
+        [
+            'another Encounter of the patient',
+            { resourceType: 'Encounter', id: 'enc-2', subject: { reference: `Patient/${id}` } },
+            false,
+        ],
+        [
+            'Observation of the launched Encounter',
+            {
+                resourceType: 'Observation',
+                id: 'obs-1',
+                subject: { reference: `Patient/${id}` },
+                encounter: { reference: 'Encounter/enc-1' },
+            },
+            true,
+        ],
+        [
+            'Observation of another Encounter',
+            {
+                resourceType: 'Observation',
+                id: 'obs-1',
+                subject: { reference: `Patient/${id}` },
+                encounter: { reference: 'Encounter/enc-2' },
+            },
+            false,
+        ],
+        [
+            'Observation of the launched Encounter for another patient',
+            {
+                resourceType: 'Observation',
+                id: 'obs-1',
+                subject: { reference: 'Patient/other' },
+                encounter: { reference: 'Encounter/enc-1' },
+            },
+            false,
+        ],
+    ];
+    test.each(cases)('%p', (_message, sourceResource, expectedValue) => {
+        expect(
+            hasAccessToResource(
+                <any>undefined,
+                patientLaunchContext,
+                sourceResource,
+                ['patient/*.read'],
+                [],
+                apiUrl,
+                r4Version,
+                encounterLaunchContext,
+            ),
+        ).toEqual(expectedValue);
+    });
+});
+
 function getDefaultPayload(iat: number, exp: number, aud: string | string[], iss: string | string[]) {
     return {
         ver: 1,
@@ -432,6 +567,41 @@ describe('verifyJwt', () => {
         );
     });
 
+    test('verified and invalid JWT are cached', async () => {
+        const tokenCache = new TokenCache();
+        const payload = getDefaultPayload(
+            Math.floor(Date.now() / 1000),
+            Math.floor(Date.now() / 1000) + 10,
+            expectedAudValue,
+            expectedIssValue,
+        );
+        const jwt = await getSignedJwt(payload, kid, privateKey);
+        const getSigningKey = jest.spyOn(client, 'getSigningKeyAsync');
+
+        await expect(verifyJwtToken(jwt, expectedAudValue, expectedIssValue, client, tokenCache)).resolves.toEqual(
+            payload,
+        );
+        await expect(verifyJwtToken(jwt, expectedAudValue, expectedIssValue, client, tokenCache)).resolves.toEqual(
+            payload,
+        );
+        expect(getSigningKey).toHaveBeenCalledTimes(1);
+
+        const tamperedJwt = `${jwt.substring(0, jwt.lastIndexOf('.'))}.invalidSignature`;
+        await expect(
+            verifyJwtToken(tamperedJwt, expectedAudValue, expectedIssValue, client, tokenCache),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+        await expect(
+            verifyJwtToken(tamperedJwt, expectedAudValue, expectedIssValue, client, tokenCache),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+        expect(getSigningKey).toHaveBeenCalledTimes(2);
+
+        // iss & aud are checked before the cache
+        await expect(verifyJwtToken(jwt, 'otherAud', expectedIssValue, client, tokenCache)).rejects.toThrowError(
+            new UnauthorizedError('Invalid access token'),
+        );
+        getSigningKey.mockRestore();
+    });
+
     describe('aud is incorrect', () => {
         const cases: (string | string[])[][] = [
             ['Single incorrect string aud value', 'aud1'],
@@ -498,6 +668,150 @@ describe('verifyJwt', () => {
     });
 });
 
+describe('verifyJwt; EC and EdDSA keys', () => {
+    const expectedAudValue = 'api://default';
+    const expectedIssValue = 'https://exampleAuthServer.com/oauth2';
+    const jwksUri = 'https://exampleAuthServer.com/oauth2/keys';
+    const keys: { [alg: string]: { privateKey: KeyObject; jwk: any } } = {};
+    let mock: MockAdapter;
+
+    beforeAll(async () => {
+        await Promise.all(
+            ['ES256', 'ES384', 'EdDSA'].map(async (alg) => {
+                const keyPair = await generateKeyPair(alg);
+                keys[alg] = {
+                    privateKey: <KeyObject>keyPair.privateKey,
+                    jwk: { ...(await fromKeyLike(keyPair.publicKey)), kid: alg, use: 'sig' },
+                };
+            }),
+        );
+    });
+
+    beforeEach(() => {
+        mock = new MockAdapter(axios);
+        mock.onGet(jwksUri).reply(200, { keys: Object.values(keys).map(({ jwk }) => jwk) });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    const getJwt = (alg: string, payloadOverrides: any = {}, kid: string = alg) =>
+        new SignJWT({
+            ...getDefaultPayload(
+                Math.floor(Date.now() / 1000),
+                Math.floor(Date.now() / 1000) + 10,
+                expectedAudValue,
+                expectedIssValue,
+            ),
+            ...payloadOverrides,
+        })
+            .setProtectedHeader({ alg, kid })
+            .sign(keys[kid].privateKey);
+
+    test.each([
+        ['ES256', undefined],
+        ['ES384', undefined],
+        ['EdDSA', ['EdDSA']],
+    ])('JWT signed with %s is verified', async (alg, allowedAlgorithms) => {
+        const jwt = await getJwt(alg);
+        await expect(
+            verifyJwtToken(
+                jwt,
+                expectedAudValue,
+                expectedIssValue,
+                getJwksClient(jwksUri),
+                undefined,
+                allowedAlgorithms,
+            ),
+        ).resolves.toMatchObject({ iss: expectedIssValue });
+    });
+
+    test('JWKS is fetched once per client', async () => {
+        const client = getJwksClient(jwksUri);
+        await verifyJwtToken(await getJwt('ES256'), expectedAudValue, expectedIssValue, client);
+        await verifyJwtToken(await getJwt('ES384'), expectedAudValue, expectedIssValue, client);
+        expect(mock.history.get).toHaveLength(1);
+    });
+
+    test('EdDSA is not allowed by default', async () => {
+        const jwt = await getJwt('EdDSA');
+        await expect(
+            verifyJwtToken(jwt, expectedAudValue, expectedIssValue, getJwksClient(jwksUri)),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+        expect(mock.history.get).toHaveLength(0);
+    });
+
+    test('alg is not in the allowed algorithms', async () => {
+        const jwt = await getJwt('ES256');
+        await expect(
+            verifyJwtToken(jwt, expectedAudValue, expectedIssValue, getJwksClient(jwksUri), undefined, ['RS256']),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+    });
+
+    test('alg does not match the alg of the JWK', async () => {
+        mock.onGet(jwksUri).reply(200, { keys: [{ ...keys.ES256.jwk, alg: 'ES384' }] });
+        const jwt = await getJwt('ES256');
+        await expect(
+            verifyJwtToken(jwt, expectedAudValue, expectedIssValue, getJwksClient(jwksUri)),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+    });
+
+    test('alg does not match the curve of the JWK', async () => {
+        const jwt = await new SignJWT(
+            <any>(
+                getDefaultPayload(
+                    Math.floor(Date.now() / 1000),
+                    Math.floor(Date.now() / 1000) + 10,
+                    expectedAudValue,
+                    expectedIssValue,
+                )
+            ),
+        )
+            .setProtectedHeader({ alg: 'ES256', kid: 'ES384' })
+            .sign(keys.ES256.privateKey);
+        await expect(
+            verifyJwtToken(jwt, expectedAudValue, expectedIssValue, getJwksClient(jwksUri)),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+    });
+
+    test('kid is not in the JWKS', async () => {
+        const jwt = await getJwt('ES256');
+        mock.onGet(jwksUri).reply(200, { keys: [keys.ES384.jwk] });
+        await expect(
+            verifyJwtToken(jwt, expectedAudValue, expectedIssValue, getJwksClient(jwksUri)),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+    });
+
+    test('EdDSA JWT is expired', async () => {
+        const jwt = await getJwt('EdDSA', { exp: Math.floor(Date.now() / 1000) - 10 });
+        await expect(
+            verifyJwtToken(jwt, expectedAudValue, expectedIssValue, getJwksClient(jwksUri), undefined, ['EdDSA']),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+    });
+
+    test('EdDSA signature is invalid', async () => {
+        const jwt = await getJwt('EdDSA');
+        const tamperedJwt = `${jwt.substring(0, jwt.lastIndexOf('.'))}.${'A'.repeat(86)}`;
+        await expect(
+            verifyJwtToken(tamperedJwt, expectedAudValue, expectedIssValue, getJwksClient(jwksUri), undefined, [
+                'EdDSA',
+            ]),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+    });
+});
+
+describe('getUnverifiedIssuer', () => {
+    test('iss of a JWT', async () => {
+        const { privateKey } = await generateKeyPair('RS256');
+        const jwt = await getSignedJwt({ iss: 'https://exampleAuthServer.com/oauth2' }, 'kid', privateKey);
+        expect(getUnverifiedIssuer(jwt)).toEqual('https://exampleAuthServer.com/oauth2');
+    });
+    test('not a JWT', () => {
+        expect(getUnverifiedIssuer('abc')).toBeUndefined();
+    });
+});
+
 describe('introspectJwtToken', () => {
     const expectedAudValue = 'api://default';
     const expectedIssValue = 'https://exampleAuthServer.com/oauth2';
@@ -653,4 +967,66 @@ describe('introspectJwtToken', () => {
             introspectJwtToken(jwt, expectedAudValue, expectedIssValue, introspectionOptions),
         ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
     });
+
+    test('introspection results are cached', async () => {
+        const tokenCache = new TokenCache();
+        const payload = getDefaultPayload(
+            Math.floor(Date.now() / 1000),
+            Math.floor(Date.now() / 1000) + 10,
+            expectedAudValue,
+            expectedIssValue,
+        );
+        const mock = new MockAdapter(axios);
+        mock.onPost(introspectUrl).reply(200, { active: true });
+        const jwt = await getSignedJwt(payload, kid, privateKey);
+
+        await expect(
+            introspectJwtToken(jwt, expectedAudValue, expectedIssValue, introspectionOptions, tokenCache),
+        ).resolves.toEqual(payload);
+        await expect(
+            introspectJwtToken(jwt, expectedAudValue, expectedIssValue, introspectionOptions, tokenCache),
+        ).resolves.toEqual(payload);
+        expect(mock.history.post).toHaveLength(1);
+    });
+
+    test('inactive introspection results are cached', async () => {
+        const tokenCache = new TokenCache();
+        const payload = getDefaultPayload(
+            Math.floor(Date.now() / 1000),
+            Math.floor(Date.now() / 1000) + 10,
+            expectedAudValue,
+            expectedIssValue,
+        );
+        const mock = new MockAdapter(axios);
+        mock.onPost(introspectUrl).reply(200, { active: false });
+        const jwt = await getSignedJwt(payload, kid, privateKey);
+
+        await expect(
+            introspectJwtToken(jwt, expectedAudValue, expectedIssValue, introspectionOptions, tokenCache),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+        await expect(
+            introspectJwtToken(jwt, expectedAudValue, expectedIssValue, introspectionOptions, tokenCache),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+        expect(mock.history.post).toHaveLength(1);
+    });
+
+    test('introspection errors are not cached', async () => {
+        const tokenCache = new TokenCache();
+        const payload = getDefaultPayload(
+            Math.floor(Date.now() / 1000),
+            Math.floor(Date.now() / 1000) + 10,
+            expectedAudValue,
+            expectedIssValue,
+        );
+        const mock = new MockAdapter(axios);
+        mock.onPost(introspectUrl).replyOnce(500).onPost(introspectUrl).reply(200, { active: true });
+        const jwt = await getSignedJwt(payload, kid, privateKey);
+
+        await expect(
+            introspectJwtToken(jwt, expectedAudValue, expectedIssValue, introspectionOptions, tokenCache),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+        await expect(
+            introspectJwtToken(jwt, expectedAudValue, expectedIssValue, introspectionOptions, tokenCache),
+        ).resolves.toEqual(payload);
+    });
 });
@@ -2,14 +2,15 @@
  *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
  *  SPDX-License-Identifier: Apache-2.0
  */
-import { FhirVersion, UnauthorizedError } from 'fhir-works-on-aws-interface';
+import { UnauthorizedError } from 'fhir-works-on-aws-interface';
 import jwksClient, { JwksClient, Headers } from 'jwks-rsa';
-import { decode, verify } from 'jsonwebtoken';
+import { decode } from 'jsonwebtoken';
 import axios from 'axios';
-import resourceReferencesMatrixV4 from './schema/fhirResourceReferencesMatrix.v4.0.1.json';
-import resourceReferencesMatrixV3 from './schema/fhirResourceReferencesMatrix.v3.0.1.json';
-import { FhirResource, IntrospectionOptions } from './smartConfig';
+import { FhirResource, IntrospectionOptions, ReferenceResolution } from './smartConfig';
 import getComponentLogger from './loggerBuilder';
+import { TokenCache } from './tokenCacheHelper';
+import { getFhirVersionDefinition, SupportedFhirVersion } from './fhirVersionHelper';
+import { DEFAULT_ALLOWED_ALGORITHMS, getVerificationKey, verifyJwtSignature } from './jwkHelper';
 
 export const FHIR_USER_REGEX =
     /^(?<hostname>(http|https):\/\/([A-Za-z0-9\-\\.:%$_/])+)\/(?<resourceType>Person|Practitioner|RelatedPerson|Patient)\/(?<id>[A-Za-z0-9\-.]+)$/;
@@ -38,28 +39,56 @@ export function getFhirResource(resourceValue: string, defaultHostname: string):
 
 const logger = getComponentLogger();
 
-function isRequestorReferenced(
+/**
+ * @returns the reference paths per source resourceType and requestor resourceType
+ * @throws Error when the FHIR version is not supported by the reference resolution
+ */
+export function getResourceReferencesMatrix(
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution: ReferenceResolution = 'referenceMatrix',
+): any {
+    const { resourceReferencesMatrix, compartmentReferences } = getFhirVersionDefinition(fhirVersion);
+    if (referenceResolution === 'compartment') {
+        if (compartmentReferences) {
+            return compartmentReferences;
+        }
+        throw new Error('Compartment reference resolution is not supported for this FHIR version');
+    }
+    return resourceReferencesMatrix;
+}
+
+/**
+ * @returns if resources of `sourceResourceType` have any reference field that may point to a `targetResourceType` resource
+ */
+export function canReferenceResourceType(
+    sourceResourceType: string,
+    targetResourceType: string,
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): boolean {
+    const matrix = getResourceReferencesMatrix(fhirVersion, referenceResolution);
+    return !!(matrix[sourceResourceType] && matrix[sourceResourceType][targetResourceType]);
+}
+
+/**
+ * @returns the path of the reference to the requestor, i.e. `Observation.subject` is `subject`
+ */
+function getRequestorReferencePath(
     requestorIds: string[],
     requestorResourceType: string,
     sourceResource: any,
-    fhirVersion: FhirVersion,
-): boolean {
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): string | undefined {
     const sourceResourceType = sourceResource.resourceType;
-    let matrix: any;
-    if (fhirVersion === '4.0.1') {
-        matrix = resourceReferencesMatrixV4;
-    } else if (fhirVersion === '3.0.1') {
-        matrix = resourceReferencesMatrixV3;
-    } else {
-        throw new Error('Unsupported FHIR version detected');
-    }
+    const matrix = getResourceReferencesMatrix(fhirVersion, referenceResolution);
     let possiblePaths: string[] = [];
     if (matrix[sourceResourceType] && matrix[sourceResourceType][requestorResourceType]) {
         possiblePaths = matrix[sourceResourceType][requestorResourceType];
     }
 
     // The paths within the FHIR resources may contain arrays so we must check if array at every level
-    return possiblePaths.some((path) => {
+    return possiblePaths.find((path) => {
         const pathComponents: string[] = path.split('.');
         let tempResource = sourceResource;
         let rootQueue = [];
@@ -88,29 +117,44 @@ function isRequestorReferenced(
     });
 }
 
-export function hasReferenceToResource(
+/**
+ * @returns the path of the reference to the requestor within the resource, `id` when the resource is the requestor;
+ * undefined if the resource does not reference the requestor
+ */
+export function getReferencePathToResource(
     requestorId: FhirResource,
     sourceResource: any,
     apiUrl: string,
-    fhirVersion: FhirVersion,
-): boolean {
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): string | undefined {
     const { hostname, resourceType, id } = requestorId;
     if (hostname !== apiUrl) {
         // If requester is not from this FHIR Server they must be a fully qualified reference
-        return isRequestorReferenced([`${hostname}/${resourceType}/${id}`], resourceType, sourceResource, fhirVersion);
-    }
-
-    return (
-        (resourceType === sourceResource.resourceType && id === sourceResource.id) ||
-        isRequestorReferenced(
-            [`${resourceType}/${id}`, `${hostname}/${resourceType}/${id}`],
+        return getRequestorReferencePath(
+            [`${hostname}/${resourceType}/${id}`],
             resourceType,
             sourceResource,
             fhirVersion,
-        )
+            referenceResolution,
+        );
+    }
+    if (resourceType === sourceResource.resourceType && id === sourceResource.id) {
+        return 'id';
+    }
+    return getRequestorReferencePath(
+        [`${resourceType}/${id}`, `${hostname}/${resourceType}/${id}`],
+        resourceType,
+        sourceResource,
+        fhirVersion,
+        referenceResolution,
     );
 }
 
+export function hasReferenceToResource(...args: Parameters<typeof getReferencePathToResource>): boolean {
+    return getReferencePathToResource(...args) !== undefined;
+}
+
 export function isFhirUserAdmin(fhirUser: FhirResource, adminAccessTypes: string[], apiUrl: string): boolean {
     return apiUrl === fhirUser.hostname && adminAccessTypes.includes(fhirUser.resourceType);
 }
@@ -126,23 +170,94 @@ export function hasSystemAccess(usableScopes: string[], resourceType: string): b
     );
 }
 
-export function hasAccessToResource(
+/**
+ * An app launched in the context of an Encounter may only access the resources of that Encounter.
+ * Resources that cannot reference an Encounter (i.e. Patient) are not restricted by the encounter context.
+ */
+export function isWithinEncounterContext(
+    encounterLaunchContext: FhirResource,
+    sourceResource: any,
+    apiUrl: string,
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): boolean {
+    if (
+        sourceResource.resourceType !== encounterLaunchContext.resourceType &&
+        !canReferenceResourceType(
+            sourceResource.resourceType,
+            encounterLaunchContext.resourceType,
+            fhirVersion,
+            referenceResolution,
+        )
+    ) {
+        return true;
+    }
+    return hasReferenceToResource(encounterLaunchContext, sourceResource, apiUrl, fhirVersion, referenceResolution);
+}
+
+/**
+ * Which rule gave access to a resource, used in the authorization audit events
+ */
+export type ResourceAccessRule =
+    | 'system-scope'
+    | 'admin'
+    | 'fhir-user-reference'
+    | 'related-identity-reference'
+    | 'patient-context-reference'
+    | 'break-the-glass';
+
+/**
+ * @param relatedIdentities identities the fhirUser acts on behalf of, see `SMARTConfig.relatedIdentityResolver`
+ * @returns the first rule giving access to the resource or undefined if there is none
+ */
+export function getResourceAccessRule(
     fhirUserObject: FhirResource,
     patientLaunchContext: FhirResource,
     sourceResource: any,
     usableScopes: string[],
     adminAccessTypes: string[],
     apiUrl: string,
-    fhirVersion: FhirVersion,
-): boolean {
-    return (
-        hasSystemAccess(usableScopes, sourceResource.resourceType) ||
-        (fhirUserObject &&
-            (isFhirUserAdmin(fhirUserObject, adminAccessTypes, apiUrl) ||
-                hasReferenceToResource(fhirUserObject, sourceResource, apiUrl, fhirVersion))) ||
-        (patientLaunchContext && hasReferenceToResource(patientLaunchContext, sourceResource, apiUrl, fhirVersion))
-    );
+    fhirVersion: SupportedFhirVersion,
+    encounterLaunchContext?: FhirResource,
+    referenceResolution?: ReferenceResolution,
+    relatedIdentities: FhirResource[] = [],
+): ResourceAccessRule | undefined {
+    if (hasSystemAccess(usableScopes, sourceResource.resourceType)) {
+        return 'system-scope';
+    }
+    if (fhirUserObject) {
+        if (isFhirUserAdmin(fhirUserObject, adminAccessTypes, apiUrl)) {
+            return 'admin';
+        }
+        if (hasReferenceToResource(fhirUserObject, sourceResource, apiUrl, fhirVersion, referenceResolution)) {
+            return 'fhir-user-reference';
+        }
+        if (
+            relatedIdentities.some((relatedIdentity) =>
+                hasReferenceToResource(relatedIdentity, sourceResource, apiUrl, fhirVersion, referenceResolution),
+            )
+        ) {
+            return 'related-identity-reference';
+        }
+    }
+    if (
+        patientLaunchContext &&
+        hasReferenceToResource(patientLaunchContext, sourceResource, apiUrl, fhirVersion, referenceResolution) &&
+        (!encounterLaunchContext ||
+            isWithinEncounterContext(encounterLaunchContext, sourceResource, apiUrl, fhirVersion, referenceResolution))
+    ) {
+        return 'patient-context-reference';
+    }
+    return undefined;
 }
+
+/**
+ * @see getResourceAccessRule
+ */
+export function hasAccessToResource(...args: Parameters<typeof getResourceAccessRule>): boolean {
+    return getResourceAccessRule(...args) !== undefined;
+}
+
 export function getJwksClient(jwksUri: string, headers?: Headers): JwksClient {
     return jwksClient({
         cache: true,
@@ -155,6 +270,24 @@ export function getJwksClient(jwksUri: string, headers?: Headers): JwksClient {
     });
 }
 
+/**
+ * The claims cannot be trusted yet, they may only be used to reject the access_token early or to select how to verify it
+ * @returns the claims of the access_token without verifying it; undefined if it is not a JWT, i.e. an opaque token
+ */
+export function getUnverifiedClaims(token: string): { [claim: string]: any } | undefined {
+    const payload = decode(token);
+    return payload && typeof payload !== 'string' ? payload : undefined;
+}
+
+/**
+ * Only used to select the settings to verify the access_token with; the claims of the token cannot be trusted yet
+ * @returns the `iss` claim of the access_token without verifying it
+ */
+export function getUnverifiedIssuer(token: string): string | undefined {
+    const iss = getUnverifiedClaims(token)?.iss;
+    return typeof iss === 'string' ? iss : undefined;
+}
+
 export function decodeJwtToken(token: string, expectedAudValue: string | RegExp, expectedIssValue: string) {
     const decodedAccessToken = decode(token, { complete: true });
     if (decodedAccessToken === null || typeof decodedAccessToken === 'string') {
@@ -190,26 +323,61 @@ export function decodeJwtToken(token: string, expectedAudValue: string | RegExp,
     return decodedAccessToken;
 }
 
+/**
+ * `iss` & `aud` are always checked so that a shared cache store cannot be used to get around them
+ * @returns the cached claims; undefined if the token is not cached
+ * @throws UnauthorizedError if the token is cached as invalid
+ */
+async function getCachedToken(token: string, tokenCache?: TokenCache): Promise<any | undefined> {
+    const cached = await tokenCache?.get(token);
+    if (cached && !cached.active) {
+        throw new UnauthorizedError(GENERIC_ERR_MESSAGE);
+    }
+    return cached?.decodedToken;
+}
+
 export async function verifyJwtToken(
     token: string,
     expectedAudValue: string | RegExp,
     expectedIssValue: string,
     client: JwksClient,
+    tokenCache?: TokenCache,
+    allowedAlgorithms: string[] = DEFAULT_ALLOWED_ALGORITHMS,
 ) {
     const decodedAccessToken = decodeJwtToken(token, expectedAudValue, expectedIssValue);
-    const { kid } = decodedAccessToken.header;
+    const { kid, alg } = decodedAccessToken.header;
+    if (!allowedAlgorithms.includes(alg)) {
+        logger.warn('JWT verification failed. JWT "alg" attribute is not allowed', { alg });
+        throw new UnauthorizedError(GENERIC_ERR_MESSAGE);
+    }
+    const cachedToken = await getCachedToken(token, tokenCache);
+    if (cachedToken) {
+        return cachedToken;
+    }
     if (!kid) {
         logger.warn('JWT verification failed. JWT "kid" attribute is required in the header');
         throw new UnauthorizedError(GENERIC_ERR_MESSAGE);
     }
 
+    let key;
     try {
-        const key = await client.getSigningKeyAsync(kid);
-        return verify(token, key.getPublicKey(), { audience: expectedAudValue, issuer: expectedIssValue });
+        key = await getVerificationKey(client, kid, alg);
     } catch (e) {
+        // not cached as invalid, the key may not be available yet
         logger.warn((e as any).message);
         throw new UnauthorizedError(GENERIC_ERR_MESSAGE);
     }
+    let verifiedToken;
+    try {
+        // `aud` & `iss` were checked by `decodeJwtToken`
+        verifiedToken = verifyJwtSignature(token, key, alg);
+    } catch (e) {
+        logger.warn((e as any).message);
+        await tokenCache?.setInactive(token);
+        throw new UnauthorizedError(GENERIC_ERR_MESSAGE);
+    }
+    await tokenCache?.setActive(token, verifiedToken);
+    return verifiedToken;
 }
 
 export async function introspectJwtToken(
@@ -217,10 +385,15 @@ export async function introspectJwtToken(
     expectedAudValue: string | RegExp,
     expectedIssValue: string,
     introspectionOptions: IntrospectionOptions,
+    tokenCache?: TokenCache,
 ) {
     // used to verify if `iss` or `aud` is valid
     const decodedTokenPayload = decodeJwtToken(token, expectedAudValue, expectedIssValue).payload;
-    const { introspectUrl, clientId, clientSecret } = introspectionOptions;
+    const cachedToken = await getCachedToken(token, tokenCache);
+    if (cachedToken) {
+        return cachedToken;
+    }
+    const { introspectUrl, clientId, clientSecret, cacheMaxTtlSeconds } = introspectionOptions;
 
     // setup basic authentication
     const username = clientId;
@@ -237,8 +410,10 @@ export async function introspectJwtToken(
             },
         });
         if (!response.data.active) {
+            await tokenCache?.setInactive(token);
             throw new UnauthorizedError(GENERIC_ERR_MESSAGE);
         }
+        await tokenCache?.setActive(token, decodedTokenPayload, response.data.exp, cacheMaxTtlSeconds);
         return decodedTokenPayload;
     } catch (e) {
         if (axios.isAxiosError(e)) {
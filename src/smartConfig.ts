@@ -2,17 +2,55 @@
  *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
  *  SPDX-License-Identifier: Apache-2.0
  */
-import { KeyValueMap } from 'fhir-works-on-aws-interface';
+import { KeyValueMap, SystemOperation, TypeOperation } from 'fhir-works-on-aws-interface';
 import { Headers } from 'jwks-rsa';
 
 export type ScopeType = 'patient' | 'user' | 'system';
 export type AccessModifier = 'read' | 'write' | '*';
+/**
+ * SMART App Launch v2 permissions: create, read, update, delete & search
+ */
+export type ScopePermission = 'c' | 'r' | 'u' | 'd' | 's';
 export type IdentityType = 'Patient' | 'Practitioner' | 'Person ' | 'RelatedPerson';
 
+export interface ScopeQueryParam {
+    name: string;
+    /**
+     * Comma separated values are treated as an OR, as they are in a FHIR search
+     */
+    value: string;
+}
+
 export interface ClinicalSmartScope {
     scopeType: ScopeType;
     resourceType: string;
     accessType: AccessModifier;
+    /**
+     * Only present for SMART v2 scopes, i.e. `['r', 's']` for `patient/Observation.rs`
+     */
+    permissions?: ScopePermission[];
+    /**
+     * Only present for SMART v2 scopes constrained by query parameters, i.e. `[{ name: 'category', value: 'laboratory' }]`
+     * for `patient/Observation.rs?category=laboratory`
+     */
+    queryParams?: ScopeQueryParam[];
+}
+
+/**
+ * Level a named operation is invoked at: `[base]/$op`, `[base]/[type]/$op` or `[base]/[type]/[id]/$op`
+ */
+export type OperationLevel = 'system' | 'type' | 'instance';
+
+export interface OperationAccessRule {
+    /**
+     * Name of the operation, i.e. `$everything` or `$risk-score`
+     */
+    name: string;
+    levels: OperationLevel[];
+    /**
+     * resourceTypes the operation can be invoked on at the type & instance levels; defaults to all
+     */
+    resourceTypes?: string[];
 }
 
 export type AccessRule = {
@@ -28,11 +66,26 @@ export type AccessRule = {
         | 'history-system'
     )[];
     write: ('transaction' | 'batch' | 'create' | 'update' | 'delete' | 'patch')[];
+    /**
+     * Named operations invocable with the `read` and `write` scopes; the scope must be for the resourceType the operation
+     * is invoked on, or for `*`. System level operations need a `*` scope.
+     * Patient level `$export` is allowed by declaring `$export` at the `type` level for `Patient`
+     */
+    operations?: {
+        read?: OperationAccessRule[];
+        write?: OperationAccessRule[];
+    };
 };
 
 /**
  * Determines what each scope has access to do
  * Scope `patient/Patient.read` maps to `scopeRule.patient.read` operations
+ *
+ * SMART v2 scopes are mapped onto the same rules; each permission only grants the operations of the rule that match it:
+ * `c` -> create, `r` -> read/vread/history-instance, `u` -> update/patch, `d` -> delete, `s` -> search/history.
+ * Scope `patient/Observation.rs` therefore maps to the read & search operations found in `scopeRule.patient.read`.
+ * The named operations of `operations.read` are granted by `r` at the instance level and by `s` at the type & system levels,
+ * the ones of `operations.write` by `u` at the instance level and by `c` at the type & system levels
  *  @example
  * {
  *      patient: {
@@ -46,6 +99,9 @@ export type AccessRule = {
  *      system: {
  *          read: ['read','search-type', 'vread'],
  *          write: [],
+ *          operations: {
+ *              read: [{ name: '$export', levels: ['type'], resourceTypes: ['Patient'] }],
+ *          },
  *      },
  *  };
  */
@@ -55,12 +111,133 @@ export interface ScopeRule {
     system: AccessRule;
 }
 
+/**
+ * - referenceMatrix: a requestor is referenced by a resource if any reference field of the resource points at them
+ * - compartment: only the reference fields of the FHIR CompartmentDefinitions (Patient, Practitioner, RelatedPerson, Device & Encounter) count
+ */
+export type ReferenceResolution = 'referenceMatrix' | 'compartment';
+
 export type FhirResource = { hostname: string; resourceType: string; id: string };
 
+/**
+ * Looks up a resource of this FHIR server; should resolve to `undefined` when the resource does not exist
+ */
+export type FhirResourceLookup = (resource: FhirResource) => Promise<any | undefined>;
+
+/**
+ * Searches the resources of this FHIR server
+ * @param searchParams FHIR search parameters, i.e. `{ participant: 'Practitioner/123' }`
+ */
+export type FhirResourceSearch = (resourceType: string, searchParams: { [name: string]: string }) => Promise<any[]>;
+
+/**
+ * Expands a fhirUser into the identities it may act on behalf of, i.e. the Patient of a RelatedPerson.
+ * Resources referencing one of the returned identities are accessible to the fhirUser; admin access is never granted through them.
+ * @param fhirServiceBaseUrl URL of the FHIR service the request was sent to
+ */
+export type RelatedIdentityResolver = (fhirUser: FhirResource, fhirServiceBaseUrl: string) => Promise<FhirResource[]>;
+
+export type AuthorizationCheck =
+    | 'verifyAccessToken'
+    | 'isBundleRequestAuthorized'
+    | 'authorizeAndFilterReadResponse'
+    | 'isWriteRequestAuthorized'
+    | 'getSearchFilterBasedOnIdentity';
+
+/**
+ * Structured record of an authorization decision. It never contains the access_token.
+ */
+export interface AuthorizationAuditEvent {
+    /**
+     * ISO 8601 time of the decision
+     */
+    timestamp: string;
+    check: AuthorizationCheck;
+    outcome: 'allow' | 'deny';
+    /**
+     * What decided the outcome, i.e. `patient-context-reference` or `insufficient-scope`
+     */
+    rule: string;
+    /**
+     * `sub` claim of the access_token
+     */
+    subject?: string;
+    /**
+     * `client_id` (or Okta's `cid`) claim of the access_token
+     */
+    clientId?: string;
+    fhirUser?: string;
+    patient?: string;
+    operation?: string;
+    resourceType?: string;
+    resourceId?: string;
+    /**
+     * Index of the Bundle entry the decision is about
+     */
+    bundleEntryIndex?: number;
+    /**
+     * When allowed the scopes that granted access, when denied the scopes that were not sufficient
+     */
+    scopes?: string[];
+    /**
+     * Only present when the requestor was granted break-the-glass access
+     */
+    breakTheGlassReason?: string;
+}
+
+/**
+ * Receives the authorization audit events. Errors thrown by the sink are logged and do not change the decision
+ */
+export type AuditEventSink = (event: AuthorizationAuditEvent) => void | Promise<void>;
+
+/**
+ * SMART v2 `fhirContext` launch context item
+ * http://hl7.org/fhir/smart-app-launch/scopes-and-launch-context.html#fhircontext-exp
+ */
+export interface FhirContextItem {
+    reference?: string;
+    canonical?: string;
+    identifier?: any;
+    type?: string;
+    role?: string;
+}
+
+/**
+ * Emergency access granted to a fhirUser past the reference checks
+ */
+export interface BreakTheGlassAccess {
+    /**
+     * Reason given in the access_token
+     */
+    reason: string;
+    /**
+     * ISO 8601 time the access ends
+     */
+    expiresAt: string;
+}
+
 export interface UserIdentity extends KeyValueMap {
     scopes: string[];
     fhirUserObject?: FhirResource;
     patientLaunchContext?: FhirResource;
+    /**
+     * When present, access through the patient launch context is further restricted to resources related to this Encounter
+     */
+    encounterLaunchContext?: FhirResource;
+    fhirContext?: FhirContextItem[];
+    launchIntent?: string;
+    /**
+     * The 'iss' of the authorization server that issued the access_token
+     */
+    issuer?: string;
+    /**
+     * Only present when break-the-glass access was granted
+     */
+    breakTheGlass?: BreakTheGlassAccess;
+    /**
+     * Purpose of use codes of the access_token that restrict access, see `SMARTConfig.purposeOfUse`
+     */
+    purposeOfUse?: string[];
 }
 
 export interface IntrospectionOptions {
@@ -77,6 +254,378 @@ export interface IntrospectionOptions {
      * @example http://www.authzserver.com/v1/introspect/
      */
     introspectUrl: string;
+    /**
+     * Max number of seconds an introspection result is cached when `tokenCache` is set; defaults to the `tokenCache` max TTL.
+     * Keep it short, a revoked token is accepted until its cached result expires
+     */
+    cacheMaxTtlSeconds?: number;
+}
+
+/**
+ * Result of verifying or introspecting an access_token
+ */
+export interface TokenCacheEntry {
+    active: boolean;
+    /**
+     * Claims of the active token
+     */
+    decodedToken?: any;
+}
+
+/**
+ * Store of the token cache, i.e. to share the cache between instances. Keys are SHA-256 hashes of the access_token
+ */
+export interface TokenCacheStore {
+    get(key: string): Promise<TokenCacheEntry | undefined>;
+    set(key: string, entry: TokenCacheEntry, ttlSeconds: number): Promise<void>;
+}
+
+export interface TokenCacheOptions {
+    /**
+     * Max number of tokens of the default in memory store; defaults to 1000
+     */
+    maxEntries?: number;
+    /**
+     * Max number of seconds a valid token is cached, tokens are never cached past their `exp`; defaults to 300
+     */
+    maxTtlSeconds?: number;
+    /**
+     * Number of seconds an invalid token is cached; defaults to 10
+     */
+    negativeTtlSeconds?: number;
+    /**
+     * Defaults to a bounded in memory store
+     */
+    store?: TokenCacheStore;
+}
+
+/**
+ * - jti: one access_token
+ * - sid: the access_tokens of a session, i.e. the one ended by an OpenID back-channel logout
+ * - sub: every access_token of the subject
+ * - iss: every access_token of the issuer
+ */
+export type RevocationType = 'jti' | 'sid' | 'sub' | 'iss';
+
+export interface RevocationEntry {
+    type: RevocationType;
+    /**
+     * Value of the claim of that type; ignored for `iss`
+     */
+    value?: string;
+    /**
+     * Issuer of the revoked access_tokens; defaults to `expectedIssValue`. Required when `trustedIssuers` are configured
+     */
+    issuer?: string;
+    /**
+     * Epoch seconds; the access_tokens with an `iat` before it are revoked. Defaults to revoking the access_tokens
+     * issued up to now
+     */
+    issuedBefore?: number;
+    /**
+     * Epoch seconds after which the entry is no longer needed, i.e. the `exp` of the revoked access_token. Defaults to
+     * `revocation.ttlSeconds` from now
+     */
+    expiresAt?: number;
+}
+
+export interface RevocationStore {
+    /**
+     * @returns the cutoff of the key, the `iat` before which access_tokens are revoked; undefined if nothing is revoked
+     */
+    get(key: string): Promise<number | undefined>;
+    /**
+     * Stores the cutoff of the key, keeping the latest one when the key is already revoked
+     */
+    set(key: string, issuedBefore: number, ttlSeconds: number): Promise<void>;
+}
+
+/**
+ * Keeps track of the `jti` of the JWTs already used, i.e. DPoP proofs, client assertions and logout tokens
+ */
+export interface JtiReplayStore {
+    /**
+     * @returns false if the key was already added and has not expired
+     */
+    add(key: string, ttlSeconds: number): Promise<boolean>;
+}
+
+export interface RevocationOptions {
+    /**
+     * Defaults to a bounded in memory store; use a shared store when several instances verify the access_tokens
+     */
+    store?: RevocationStore;
+    /**
+     * Max number of entries of the default in memory store; defaults to 10000
+     */
+    maxEntries?: number;
+    /**
+     * Number of seconds an entry without `expiresAt` is kept, it should exceed the lifetime of the access_tokens;
+     * defaults to 86400
+     */
+    ttlSeconds?: number;
+    /**
+     * Expected `aud` of the OpenID back-channel logout tokens, the client_id of this server at the authorization server.
+     * Defaults to the `expectedAudValue` of the issuer
+     */
+    logoutTokenAudience?: string | RegExp;
+    /**
+     * Max difference in seconds between the `iat` of a logout token and now; defaults to 300
+     */
+    logoutTokenMaxAgeSeconds?: number;
+    /**
+     * Keeps the `jti` of the logout tokens to reject their replay; defaults to a bounded in memory store
+     */
+    logoutTokenReplayStore?: JtiReplayStore;
+}
+
+/**
+ * Element path starting with the resourceType, i.e. `Patient.identifier` or `Patient.contact.telecom`.
+ * With `system` only the items with that `system` are removed, i.e. the SSN identifiers
+ */
+export type RedactedElement = string | { path: string; system: string };
+
+export interface RedactionRules {
+    /**
+     * Security label codes the requestor must be cleared for, i.e. `R`, `V`, `ETH` or `PSY`.
+     * Resources labeled with them in `meta.security` are withheld; elements labeled with them by the inline security label
+     * extension (http://hl7.org/fhir/uv/security-label-ds4p/StructureDefinition/extension-inline-sec-label) are removed
+     */
+    restrictedSecurityLabels?: string[];
+    /**
+     * Path of the access_token claim listing the security label codes the requestor is cleared for
+     */
+    clearanceClaimPath?: string;
+    /**
+     * Elements removed from the resources returned to requestors using the scopes of that type
+     */
+    elements?: {
+        patient?: RedactedElement[];
+        user?: RedactedElement[];
+        system?: RedactedElement[];
+    };
+}
+
+export interface BreakTheGlassOptions {
+    /**
+     * Path of the access_token claim requesting break-the-glass access; it is requested when the claim is `true` or
+     * contains one of `purposeOfUseCodes`. Defaults to `purpose_of_use`, the claim of `purposeOfUse`: list the
+     * `purposeOfUseCodes` in `purposeOfUse.purposes` too or these access_tokens are rejected
+     */
+    claimPath?: string;
+    /**
+     * Defaults to `ETREAT`, http://terminology.hl7.org/CodeSystem/v3-ActReason
+     */
+    purposeOfUseCodes?: string[];
+    /**
+     * Path of the access_token claim with the reason of the emergency access, it is required. Defaults to `btg_reason`
+     */
+    reasonClaimPath?: string;
+    /**
+     * Number of seconds the access lasts from the `iat` of the access_token; defaults to 3600
+     */
+    maxDurationSeconds?: number;
+    /**
+     * fhirUser resourceTypes that can break the glass; defaults to `Practitioner`
+     */
+    accessTypes?: string[];
+    /**
+     * Whether the access also lifts the reference checks of creates, updates, patches & deletes; defaults to false, so
+     * it only grants reads & searches
+     */
+    allowWrites?: boolean;
+}
+
+/**
+ * Restrictions of a purpose of use; the ones that are not set do not restrict
+ */
+export interface PurposeOfUseRestriction {
+    /**
+     * resourceTypes that may be accessed, i.e. only the de-identified ones for `RESEARCH`
+     */
+    resourceTypes?: string[];
+    operations?: (TypeOperation | SystemOperation)[];
+    /**
+     * Security label codes the resources may be labeled with in `meta.security`; resources with any other label are withheld
+     */
+    securityLabels?: string[];
+}
+
+export interface PurposeOfUseOptions {
+    /**
+     * Path of the access_token claim with the purpose of use codes, one code or a list of them. Defaults to `purpose_of_use`
+     */
+    claimPath?: string;
+    /**
+     * Restrictions of each purpose of use code, http://terminology.hl7.org/CodeSystem/v3-ActReason,
+     * i.e. `TREAT`, `PAYMENT`, `HOPERAT` or `RESEARCH`. The restrictions of every purpose of use of the access_token apply.
+     * The access_tokens with a code that is not listed are rejected, so the codes without restrictions must be listed as
+     * `{}`, i.e. the `ETREAT` requesting break-the-glass access when both read the same claim
+     * @example { RESEARCH: { resourceTypes: ['ResearchStudy', 'ResearchSubject'], operations: ['read', 'search-type'] } }
+     */
+    purposes: { [code: string]: PurposeOfUseRestriction };
+    /**
+     * When true, the access_tokens without one of the `purposes` are rejected; defaults to false
+     */
+    required?: boolean;
+}
+
+export interface AccessWindow {
+    /**
+     * Days of the week, 0 for Sunday to 6 for Saturday; defaults to every day
+     */
+    days?: number[];
+    /**
+     * Time of the day the window starts, `HH:mm`
+     */
+    start: string;
+    /**
+     * Time of the day the window ends, `HH:mm`, excluded. A window ending before it starts ends the next day
+     */
+    end: string;
+    /**
+     * IANA time zone of the times, i.e. `America/New_York`; defaults to `UTC`
+     */
+    timeZone?: string;
+}
+
+export interface AccessWindowOptions {
+    /**
+     * Path of the access_token claim with the access windows of the client, one window or a list of them.
+     * Defaults to `access_window`
+     */
+    claimPath?: string;
+    /**
+     * Windows of the access_tokens without the claim; the access_tokens without windows are only restricted by `nbf`
+     */
+    windows?: AccessWindow[];
+    /**
+     * Clock skew tolerated on the `nbf` claim; defaults to 0
+     */
+    clockToleranceSeconds?: number;
+}
+
+/**
+ * Loads the members of a Group, i.e. the Patients referenced by its `member.entity`
+ * @param fhirServiceBaseUrl URL of the FHIR service the request was sent to
+ */
+export type GroupMembersLookup = (groupId: string, fhirServiceBaseUrl: string) => Promise<FhirResource[]>;
+
+/**
+ * Loads the resources a client may export the data of, i.e. the Patients of the organization it belongs to
+ * @param fhirServiceBaseUrl URL of the FHIR service the request was sent to
+ */
+export type PopulationLookup = (clientId: string, fhirServiceBaseUrl: string) => Promise<FhirResource[]>;
+
+export interface GroupExportOptions {
+    /**
+     * Path of the access_token claim identifying the client; defaults to `client_id`, then `cid`, then `sub`
+     */
+    clientIdClaimPath?: string;
+    /**
+     * The Group ids each client may export, `*` for any Group. When present, the clients not listed cannot export a Group
+     * @example { 'backend-app': ['group-1', 'group-2'] }
+     */
+    allowedGroups?: { [clientId: string]: string[] };
+    /**
+     * When present, every member of the exported Group must be within the population of the client
+     */
+    population?: {
+        getGroupMembers: GroupMembersLookup;
+        getAllowedPopulation: PopulationLookup;
+    };
+}
+
+/**
+ * Reads the stored version of a resource; should resolve to `undefined` when the resource does not exist
+ * @param fhirServiceBaseUrl URL of the FHIR service the request was sent to
+ */
+export type StoredResourceReader = (
+    resourceType: string,
+    id: string,
+    fhirServiceBaseUrl: string,
+) => Promise<any | undefined>;
+
+export interface WriteGuardOptions {
+    readResource: StoredResourceReader;
+}
+
+/**
+ * Loads the Consent resources of a patient; only the `active` ones are evaluated
+ * @param fhirServiceBaseUrl URL of the FHIR service the request was sent to
+ */
+export type ConsentLookup = (patient: FhirResource, fhirServiceBaseUrl: string) => Promise<any[]>;
+
+export interface ConsentOptions {
+    getConsents: ConsentLookup;
+    /**
+     * Decision when no Consent applies to the request; defaults to `permit`
+     */
+    defaultDecision?: 'permit' | 'deny';
+}
+
+/**
+ * - off: the binding of the access_token is not checked
+ * - optional: the binding is checked when the access_token has one in its `cnf` claim
+ * - required: the access_token must be bound and the binding is checked
+ */
+export type SenderConstraintMode = 'off' | 'optional' | 'required';
+
+/**
+ * Mode per scope type; when a request relies on several scope types the strictest mode applies. Defaults to `off`
+ */
+export interface SenderConstraintRule {
+    patient?: SenderConstraintMode;
+    user?: SenderConstraintMode;
+    system?: SenderConstraintMode;
+}
+
+/**
+ * DPoP proof-of-possession, https://datatracker.ietf.org/doc/html/rfc9449
+ * The proof is read from the `DPoP` header of the `requestContext`
+ */
+export interface DPoPOptions extends SenderConstraintRule {
+    /**
+     * Max difference in seconds between the `iat` of a proof and now; defaults to 300
+     */
+    maxProofAgeSeconds?: number;
+    /**
+     * Signature algorithms accepted for the proofs, see `allowedAlgorithms`; defaults to the `allowedAlgorithms` of the SMARTConfig
+     */
+    allowedAlgorithms?: string[];
+    /**
+     * Defaults to a bounded in memory store
+     */
+    replayStore?: JtiReplayStore;
+}
+
+/**
+ * Certificate-bound access_tokens, https://datatracker.ietf.org/doc/html/rfc8705
+ * The base64url SHA-256 thumbprint of the client certificate is read from `requestContext.contextInfo.clientCertificateThumbprint`
+ */
+export type MutualTlsOptions = SenderConstraintRule;
+
+/**
+ * An additional authorization server whose access_tokens are trusted, i.e. the IdP of one tenant.
+ * The settings that are not set default to the ones of the SMARTConfig
+ */
+export interface TrustedIssuer {
+    /**
+     * The 'iss' value of the access_tokens of this authorization server
+     */
+    issuer: string;
+    expectedAudValue?: string | RegExp;
+    /**
+     * Either `jwksEndpoint` or `tokenIntrospection` is required; they never default to the ones of the SMARTConfig
+     */
+    jwksEndpoint?: string;
+    jwksHeaders?: Headers;
+    allowedAlgorithms?: string[];
+    tokenIntrospection?: IntrospectionOptions;
+    fhirUserClaimPath?: string;
+    launchContextPathPrefix?: string;
+    scopeKey?: string;
+    scopeRule?: ScopeRule;
 }
 
 export interface SMARTConfig {
@@ -108,10 +657,68 @@ export interface SMARTConfig {
     fhirUserClaimPath: 'fhirUser' | 'profile' | string;
     /**
      * Prefix of the path found in the access_token that represents the requestors launch context. The remaining part of the claim will identify the resource type i.e. `launch_response_patient`
+     * The `encounter`, `fhirContext` and `intent` launch context claims are read with the same prefix.
      * @example launch_response_
      * @example ext.launch_response_
      */
     launchContextPathPrefix: string;
+    /**
+     * How to decide if a requestor is referenced by a resource; defaults to `referenceMatrix`.
+     * Use `compartment` to match the FHIR compartment semantics, i.e. a Patient only has access to the resources in their Patient compartment
+     */
+    referenceResolution?: ReferenceResolution;
+    /**
+     * When present, a fhirUser also has access to the resources of the identities it is related to.
+     * See `createRelatedIdentityResolver` for the RelatedPerson & Person implementation and `createPractitionerAccessResolver`
+     * for the care team & organization based Practitioner implementation. When it rejects, the request is denied with an
+     * UnauthorizedError and audited with the `related-identities-unavailable` rule
+     */
+    relatedIdentityResolver?: RelatedIdentityResolver;
+    /**
+     * Removes the data the requestor may not see from the resources returned by `authorizeAndFilterReadResponse`.
+     * Redacted resources are tagged with the `REDACTED` security label
+     */
+    redaction?: RedactionRules;
+    /**
+     * When present, the `provision` rules of the active Consents of the patient a resource belongs to are enforced
+     * on top of the scopes. See `createConsentLookup` to load them with a FHIR search
+     */
+    consent?: ConsentOptions;
+    /**
+     * When present, a fhirUser can request emergency access to the resources they are not referenced by
+     */
+    breakTheGlass?: BreakTheGlassOptions;
+    /**
+     * When present, the Group ids a client may export are restricted. See `createGroupMembersLookup` to check the
+     * members of the Group with a FHIR search
+     */
+    groupExport?: GroupExportOptions;
+    /**
+     * When present, update and patch requests are also authorized against the stored version of the resource and may
+     * not move it into or out of the compartment of the requestor. See `createStoredResourceReader` to read it with a
+     * FHIR search
+     */
+    writeGuard?: WriteGuardOptions;
+    /**
+     * Reads the resources that a request only identifies by id when the id alone does not decide the access, i.e. the
+     * read entries of a Bundle and the instances of named operations, for the resourceTypes that are not the ones of the
+     * requestor identities. Without it these Bundle entries and named operations are denied. See `createStoredResourceReader` to read
+     * them with a FHIR search
+     */
+    readResource?: StoredResourceReader;
+    /**
+     * When present, the purpose of use of the access_token restricts the resourceTypes, operations and security labels
+     * the scopes give access to
+     */
+    purposeOfUse?: PurposeOfUseOptions;
+    /**
+     * When present, access_tokens are only accepted from their `nbf` and within the access windows of the client
+     */
+    accessWindow?: AccessWindowOptions;
+    /**
+     * Receives an event for each authorization decision. Use `createFhirAuditEventSink` to record them as FHIR AuditEvents
+     */
+    auditEventSink?: AuditEventSink;
     /**
      * Json Web Key Set endpoint used to get the key for verifying access_token
      */
@@ -120,8 +727,57 @@ export interface SMARTConfig {
      * Headers that will be used for Json Web Key Set endpoint
      */
     jwksHeaders?: Headers;
+    /**
+     * Signature algorithms accepted for the access_tokens verified with the `jwksEndpoint`; the `alg` of the token header
+     * must be one of them and match the type and curve of the signing key.
+     * Supported: RS256, RS384, RS512, PS256, PS384, PS512, ES256, ES384, ES512 & EdDSA (Ed25519). Defaults to all but EdDSA
+     */
+    allowedAlgorithms?: string[];
     /**
      * Token introspection settings; if both introspection and jwksEndpoint are provided tokenIntrospection will be defaulted to.
      */
     tokenIntrospection?: IntrospectionOptions;
+    /**
+     * Authorization servers trusted in addition to the one of `expectedIssValue`. The server is selected from the unverified
+     * 'iss' of the access_token before the token is verified
+     */
+    trustedIssuers?: TrustedIssuer[];
+    /**
+     * Check DPoP proofs of access_tokens bound with `cnf.jkt`
+     */
+    dpop?: DPoPOptions;
+    /**
+     * Check the client certificate of access_tokens bound with `cnf.x5t#S256`
+     */
+    mtls?: MutualTlsOptions;
+    /**
+     * When present the results of verifying and introspecting access_tokens are cached
+     */
+    tokenCache?: TokenCacheOptions;
+    /**
+     * When present access_tokens are checked against a revocation list, see `SMARTHandler.revokeTokens` and
+     * `SMARTHandler.handleBackChannelLogout`. The check is done on every request, even when the token is cached
+     */
+    revocation?: RevocationOptions;
+    /**
+     * The following endpoints are only used to build the `.well-known/smart-configuration` discovery document
+     * @example https://dev-6460611.okta.com/oauth2/default/v1/authorize
+     */
+    authorizationEndpoint?: string;
+    /**
+     * @example https://dev-6460611.okta.com/oauth2/default/v1/token
+     */
+    tokenEndpoint?: string;
+    /**
+     * @example https://dev-6460611.okta.com/oauth2/default/v1/revoke
+     */
+    revocationEndpoint?: string;
+    /**
+     * Where a user can review and revoke the apps they authorized
+     */
+    managementEndpoint?: string;
+    /**
+     * Dynamic client registration endpoint
+     */
+    registrationEndpoint?: string;
 }
@@ -0,0 +1,232 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { ScopeRule, SMARTConfig } from './smartConfig';
+import { buildSmartConfiguration, validateSmartConfigEndpoints } from './smartDiscoveryHelper';
+
+const emptyScopeRule = (): ScopeRule => ({
+    patient: {
+        read: [],
+        write: [],
+    },
+    user: {
+        read: [],
+        write: [],
+    },
+    system: {
+        read: [],
+        write: [],
+    },
+});
+
+const expectedIss = 'https://dev-6460611.okta.com/oauth2/default';
+const baseConfig = (): SMARTConfig => ({
+    version: 1.0,
+    scopeKey: 'scp',
+    scopeRule: emptyScopeRule(),
+    expectedAudValue: 'api://default',
+    expectedIssValue: expectedIss,
+    fhirUserClaimPath: 'fhirUser',
+    launchContextPathPrefix: 'ext.launch_response_',
+    jwksEndpoint: `${expectedIss}/v1/keys`,
+    authorizationEndpoint: `${expectedIss}/v1/authorize`,
+    tokenEndpoint: `${expectedIss}/v1/token`,
+});
+
+describe('validateSmartConfigEndpoints', () => {
+    test('valid endpoints', () => {
+        expect(() => validateSmartConfigEndpoints(baseConfig())).not.toThrow();
+    });
+    test('empty endpoints are ignored', () => {
+        expect(() => validateSmartConfigEndpoints({ ...baseConfig(), jwksEndpoint: '' })).not.toThrow();
+    });
+    test.each([['tokenEndpoint'], ['authorizationEndpoint'], ['revocationEndpoint'], ['jwksEndpoint']])(
+        'invalid %s',
+        (key) => {
+            expect(() => validateSmartConfigEndpoints({ ...baseConfig(), [key]: 'ftp://example.com/token' })).toThrow(
+                new Error(`Authorization configuration '${key}' must be an absolute http(s) URL`),
+            );
+            expect(() => validateSmartConfigEndpoints({ ...baseConfig(), [key]: '/relative/token' })).toThrow(
+                new Error(`Authorization configuration '${key}' must be an absolute http(s) URL`),
+            );
+        },
+    );
+    test('missing token endpoint', () => {
+        expect(() => validateSmartConfigEndpoints({ ...baseConfig(), tokenEndpoint: undefined })).toThrow(
+            new Error(`Authorization configuration 'tokenEndpoint' is required for the SMART configuration`),
+        );
+        expect(() =>
+            validateSmartConfigEndpoints({
+                ...baseConfig(),
+                authorizationEndpoint: undefined,
+                tokenEndpoint: undefined,
+            }),
+        ).not.toThrow();
+    });
+    test('missing authorization endpoint with user scopes', () => {
+        const config = { ...baseConfig(), authorizationEndpoint: undefined };
+        config.scopeRule.user.read = ['read'];
+        expect(() => validateSmartConfigEndpoints(config)).toThrow(Error);
+    });
+    test('invalid introspection url', () => {
+        expect(() =>
+            validateSmartConfigEndpoints({
+                ...baseConfig(),
+                tokenIntrospection: { clientId: '123', clientSecret: '456', introspectUrl: 'not a url' },
+            }),
+        ).toThrow(Error);
+    });
+    test('invalid trusted issuer endpoints', () => {
+        expect(() =>
+            validateSmartConfigEndpoints({
+                ...baseConfig(),
+                trustedIssuers: [
+                    { issuer: 'https://tenant-a.example.com', jwksEndpoint: 'https://tenant-a.example.com/jwks' },
+                    { issuer: 'https://tenant-b.example.com', jwksEndpoint: 'tenant-b/jwks' },
+                ],
+            }),
+        ).toThrow(
+            new Error(`Authorization configuration 'trustedIssuers[1].jwksEndpoint' must be an absolute http(s) URL`),
+        );
+        expect(() =>
+            validateSmartConfigEndpoints({
+                ...baseConfig(),
+                trustedIssuers: [
+                    {
+                        issuer: 'https://tenant-a.example.com',
+                        tokenIntrospection: { clientId: '123', clientSecret: '456', introspectUrl: 'not a url' },
+                    },
+                ],
+            }),
+        ).toThrow(
+            new Error(
+                `Authorization configuration 'trustedIssuers[0].tokenIntrospection.introspectUrl' must be an absolute http(s) URL`,
+            ),
+        );
+    });
+});
+
+describe('buildSmartConfiguration', () => {
+    test('patient, user & system scopes', () => {
+        const config = baseConfig();
+        config.scopeRule.patient.read = ['read', 'search-type'];
+        config.scopeRule.user.read = ['read'];
+        config.scopeRule.user.write = ['create', 'update', 'patch'];
+        config.scopeRule.system.read = ['read', 'search-type'];
+        config.tokenIntrospection = {
+            clientId: '123',
+            clientSecret: '456',
+            introspectUrl: `${expectedIss}/v1/introspect`,
+        };
+
+        expect(buildSmartConfiguration(config)).toEqual({
+            issuer: expectedIss,
+            jwks_uri: `${expectedIss}/v1/keys`,
+            authorization_endpoint: `${expectedIss}/v1/authorize`,
+            token_endpoint: `${expectedIss}/v1/token`,
+            introspection_endpoint: `${expectedIss}/v1/introspect`,
+            grant_types_supported: ['authorization_code', 'client_credentials'],
+            response_types_supported: ['code'],
+            code_challenge_methods_supported: ['S256'],
+            scopes_supported: [
+                'launch',
+                'launch/patient',
+                'patient/*.read',
+                'patient/*.rs',
+                'openid',
+                'fhirUser',
+                'user/*.read',
+                'user/*.write',
+                'user/*.cru',
+                'system/*.read',
+                'system/*.rs',
+            ],
+            capabilities: [
+                'launch-ehr',
+                'launch-standalone',
+                'context-ehr-patient',
+                'context-standalone-patient',
+                'permission-patient',
+                'sso-openid-connect',
+                'permission-user',
+                'client-confidential-asymmetric',
+                'permission-v1',
+                'permission-v2',
+                'bulk-data-export',
+            ],
+        });
+    });
+
+    test('system scopes only; authorization endpoint is not required', () => {
+        const config = { ...baseConfig(), authorizationEndpoint: undefined };
+        config.scopeRule.system.read = ['read'];
+
+        expect(buildSmartConfiguration(config)).toEqual({
+            issuer: expectedIss,
+            jwks_uri: `${expectedIss}/v1/keys`,
+            token_endpoint: `${expectedIss}/v1/token`,
+            grant_types_supported: ['client_credentials'],
+            response_types_supported: [],
+            code_challenge_methods_supported: ['S256'],
+            scopes_supported: ['system/*.read', 'system/*.r'],
+            capabilities: ['client-confidential-asymmetric', 'permission-v1', 'permission-v2', 'bulk-data-export'],
+        });
+    });
+
+    test('no scopes are granted', () => {
+        const config = baseConfig();
+
+        expect(buildSmartConfiguration(config)).toMatchObject({
+            scopes_supported: [],
+            capabilities: [],
+        });
+    });
+
+    test('transaction & batch only grant SMART v1 scopes', () => {
+        const config = baseConfig();
+        config.scopeRule.user.read = ['transaction', 'batch'];
+
+        expect(buildSmartConfiguration(config).capabilities).toEqual([
+            'launch-ehr',
+            'launch-standalone',
+            'sso-openid-connect',
+            'permission-user',
+            'permission-v1',
+        ]);
+    });
+
+    test('bulk data export is only advertised when an export is allowed', () => {
+        const config = baseConfig();
+        config.scopeRule.system.read = ['search-type'];
+        config.scopeRule.user.read = ['read'];
+        expect(buildSmartConfiguration(config).capabilities).not.toContain('bulk-data-export');
+        expect(buildSmartConfiguration(config, true).capabilities).toContain('bulk-data-export');
+
+        config.scopeRule.system.operations = {
+            read: [{ name: '$export', levels: ['type'], resourceTypes: ['Patient'] }],
+        };
+        expect(buildSmartConfiguration(config).capabilities).toContain('bulk-data-export');
+
+        config.scopeRule.system.operations = {
+            read: [{ name: '$export', levels: ['type'], resourceTypes: ['Group'] }],
+        };
+        expect(buildSmartConfiguration(config).capabilities).not.toContain('bulk-data-export');
+    });
+
+    test('missing token endpoint', () => {
+        const config = { ...baseConfig(), tokenEndpoint: undefined };
+        config.scopeRule.system.read = ['read'];
+
+        expect(() => buildSmartConfiguration(config)).toThrow(
+            new Error(`Authorization configuration 'tokenEndpoint' is required for the SMART configuration`),
+        );
+    });
+
+    test('missing authorization endpoint with patient scopes', () => {
+        const config = { ...baseConfig(), authorizationEndpoint: undefined };
+        config.scopeRule.patient.read = ['read'];
+
+        expect(() => buildSmartConfiguration(config)).toThrow(Error);
+    });
+});
@@ -0,0 +1,234 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { AccessRule, ScopePermission, ScopeRule, ScopeType, SMARTConfig } from './smartConfig';
+import { PERMISSION_OPERATIONS } from './smartScopeHelper';
+
+/**
+ * Not defined by SMART App Launch; advertised when the `scopeRule` allows at least one kind of bulk data export
+ */
+export const BULK_DATA_EXPORT_CAPABILITY = 'bulk-data-export';
+
+/**
+ * The `.well-known/smart-configuration` discovery document
+ * http://hl7.org/fhir/smart-app-launch/conformance.html#metadata
+ */
+/* eslint-disable camelcase */
+export interface SmartConfigurationDocument {
+    issuer: string;
+    jwks_uri?: string;
+    authorization_endpoint?: string;
+    token_endpoint: string;
+    introspection_endpoint?: string;
+    revocation_endpoint?: string;
+    management_endpoint?: string;
+    registration_endpoint?: string;
+    grant_types_supported: string[];
+    response_types_supported: string[];
+    code_challenge_methods_supported: string[];
+    scopes_supported: string[];
+    capabilities: string[];
+}
+/* eslint-enable camelcase */
+
+const ENDPOINT_KEYS: (keyof SMARTConfig)[] = [
+    'jwksEndpoint',
+    'authorizationEndpoint',
+    'tokenEndpoint',
+    'revocationEndpoint',
+    'managementEndpoint',
+    'registrationEndpoint',
+];
+
+/**
+ * Endpoints that are only used by the discovery document
+ */
+const DISCOVERY_ENDPOINT_KEYS: (keyof SMARTConfig)[] = [
+    'authorizationEndpoint',
+    'tokenEndpoint',
+    'revocationEndpoint',
+    'managementEndpoint',
+    'registrationEndpoint',
+];
+
+function isHttpUrl(value: string): boolean {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+function isScopeTypeEnabled(accessRule: AccessRule): boolean {
+    return accessRule.read.length > 0 || accessRule.write.length > 0;
+}
+
+/**
+ * @throws Error if the endpoints required by the enabled contexts are not configured
+ */
+function validateRequiredDiscoveryEndpoints(config: SMARTConfig) {
+    const { scopeRule } = config;
+    if (!config.tokenEndpoint) {
+        throw new Error(`Authorization configuration 'tokenEndpoint' is required for the SMART configuration`);
+    }
+    if (
+        (isScopeTypeEnabled(scopeRule.patient) || isScopeTypeEnabled(scopeRule.user)) &&
+        !config.authorizationEndpoint
+    ) {
+        throw new Error(
+            `Authorization configuration 'authorizationEndpoint' is required for the SMART configuration when 'patient' or 'user' scopes are used`,
+        );
+    }
+}
+
+/**
+ * The endpoints required by the discovery document are checked as soon as one of its endpoints is configured
+ * @throws Error if one of the configured endpoints is not an absolute http(s) URL or a required one is missing
+ */
+export function validateSmartConfigEndpoints(config: SMARTConfig) {
+    ENDPOINT_KEYS.forEach((key) => {
+        const value = config[key];
+        if (value && (typeof value !== 'string' || !isHttpUrl(value))) {
+            throw new Error(`Authorization configuration '${key}' must be an absolute http(s) URL`);
+        }
+    });
+    if (config.tokenIntrospection && !isHttpUrl(config.tokenIntrospection.introspectUrl)) {
+        throw new Error(
+            `Authorization configuration 'tokenIntrospection.introspectUrl' must be an absolute http(s) URL`,
+        );
+    }
+    (config.trustedIssuers ?? []).forEach(({ jwksEndpoint, tokenIntrospection }, i) => {
+        if (jwksEndpoint && !isHttpUrl(jwksEndpoint)) {
+            throw new Error(
+                `Authorization configuration 'trustedIssuers[${i}].jwksEndpoint' must be an absolute http(s) URL`,
+            );
+        }
+        if (tokenIntrospection && !isHttpUrl(tokenIntrospection.introspectUrl)) {
+            throw new Error(
+                `Authorization configuration 'trustedIssuers[${i}].tokenIntrospection.introspectUrl' must be an absolute http(s) URL`,
+            );
+        }
+    });
+    if (DISCOVERY_ENDPOINT_KEYS.some((key) => config[key])) {
+        validateRequiredDiscoveryEndpoints(config);
+    }
+}
+
+function hasPatientExportOperation(accessRule: AccessRule): boolean {
+    return [...(accessRule.operations?.read ?? []), ...(accessRule.operations?.write ?? [])].some(
+        (rule) =>
+            rule.name === '$export' &&
+            rule.levels.includes('type') &&
+            (!rule.resourceTypes || rule.resourceTypes.includes('Patient')),
+    );
+}
+
+/**
+ * Mirrors the checks done on bulk data requests: system and group exports need a read rule on `system` scopes (or
+ * `user` scopes when they are allowed for system exports) and patient exports need a `$export` operation rule
+ */
+function isBulkDataExportEnabled(scopeRule: ScopeRule, isUserScopeAllowedForSystemExport: boolean): boolean {
+    return (
+        scopeRule.system.read.includes('read') ||
+        (isUserScopeAllowedForSystemExport && scopeRule.user.read.includes('read')) ||
+        hasPatientExportOperation(scopeRule.system) ||
+        hasPatientExportOperation(scopeRule.user)
+    );
+}
+
+function getSupportedScopesForScopeType(scopeType: ScopeType, accessRule: AccessRule): string[] {
+    const scopes: string[] = [];
+    if (accessRule.read.length) {
+        scopes.push(`${scopeType}/*.read`);
+    }
+    if (accessRule.write.length) {
+        scopes.push(`${scopeType}/*.write`);
+    }
+    const operations = [...accessRule.read, ...accessRule.write].filter(
+        (operation) => !['transaction', 'batch'].includes(operation),
+    );
+    const permissions = (<ScopePermission[]>['c', 'r', 'u', 'd', 's']).filter((permission) =>
+        PERMISSION_OPERATIONS[permission].some((operation) => operations.includes(<any>operation)),
+    );
+    if (permissions.length) {
+        scopes.push(`${scopeType}/*.${permissions.join('')}`);
+    }
+    return scopes;
+}
+
+/**
+ * Builds the `.well-known/smart-configuration` discovery document. `scopes_supported` and `capabilities` are derived
+ * from the `scopeRule`:
+ * - `patient` rules enable the patient launch contexts
+ * - `user` rules enable OpenID Connect so the `fhirUser` claim can be requested
+ * - `system` rules enable SMART Backend Services
+ * - `permission-v1` and `permission-v2` are only advertised when the rules grant a scope of that syntax
+ * - `bulk-data-export` is advertised when the rules allow a system, group or patient export
+ * @param isUserScopeAllowedForSystemExport whether `user` scopes can start a system export, as given to the handler
+ * @throws Error if the endpoints required by the enabled contexts are not configured
+ */
+export function buildSmartConfiguration(
+    config: SMARTConfig,
+    isUserScopeAllowedForSystemExport = false,
+): SmartConfigurationDocument {
+    const { scopeRule } = config;
+    validateRequiredDiscoveryEndpoints(config);
+    const isPatientEnabled = isScopeTypeEnabled(scopeRule.patient);
+    const isUserEnabled = isScopeTypeEnabled(scopeRule.user);
+    const isSystemEnabled = isScopeTypeEnabled(scopeRule.system);
+
+    const grantTypes: string[] = [];
+    const scopes: string[] = [];
+    const capabilities: string[] = [];
+    if (isPatientEnabled || isUserEnabled) {
+        grantTypes.push('authorization_code');
+        capabilities.push('launch-ehr', 'launch-standalone');
+    }
+    if (isPatientEnabled) {
+        scopes.push('launch', 'launch/patient', ...getSupportedScopesForScopeType('patient', scopeRule.patient));
+        capabilities.push('context-ehr-patient', 'context-standalone-patient', 'permission-patient');
+    }
+    if (isUserEnabled) {
+        scopes.push('openid', 'fhirUser', ...getSupportedScopesForScopeType('user', scopeRule.user));
+        capabilities.push('sso-openid-connect', 'permission-user');
+    }
+    if (isSystemEnabled) {
+        grantTypes.push('client_credentials');
+        scopes.push(...getSupportedScopesForScopeType('system', scopeRule.system));
+        capabilities.push('client-confidential-asymmetric');
+    }
+    if (scopes.some((scope) => scope.endsWith('.read') || scope.endsWith('.write'))) {
+        capabilities.push('permission-v1');
+    }
+    if (scopes.some((scope) => /^(patient|user|system)\/\*\.c?r?u?d?s?$/.test(scope))) {
+        capabilities.push('permission-v2');
+    }
+    if (isBulkDataExportEnabled(scopeRule, isUserScopeAllowedForSystemExport)) {
+        capabilities.push(BULK_DATA_EXPORT_CAPABILITY);
+    }
+
+    const document: SmartConfigurationDocument = {
+        issuer: config.expectedIssValue,
+        jwks_uri: config.jwksEndpoint,
+        authorization_endpoint: config.authorizationEndpoint,
+        token_endpoint: config.tokenEndpoint!,
+        introspection_endpoint: config.tokenIntrospection?.introspectUrl,
+        revocation_endpoint: config.revocationEndpoint,
+        management_endpoint: config.managementEndpoint,
+        registration_endpoint: config.registrationEndpoint,
+        grant_types_supported: grantTypes,
+        response_types_supported: grantTypes.includes('authorization_code') ? ['code'] : [],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: [...new Set(scopes)],
+        capabilities,
+    };
+    // Optional endpoints that are not configured are left out of the document rather than being sent as null
+    Object.keys(document).forEach((key) => {
+        if ((<any>document)[key] === undefined) {
+            delete (<any>document)[key];
+        }
+    });
+    return document;
+}
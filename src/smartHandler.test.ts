@@ -17,6 +17,7 @@ import {
     BASE_R4_RESOURCES,
     AuthorizationBundleRequest,
     GetSearchFilterBasedOnIdentityRequest,
+    BatchReadWriteRequest,
 } from 'fhir-works-on-aws-interface';
 
 import * as smartAuthorizationHelper from './smartAuthorizationHelper';
@@ -24,6 +25,12 @@ import { SMARTHandler } from './smartHandler';
 import { SMARTConfig, ScopeRule } from './smartConfig';
 import { getScopes } from './smartScopeHelper';
 import { getFhirResource, getFhirUser } from './smartAuthorizationHelper';
+import { createPractitionerAccessResolver } from './relatedIdentityHelper';
+import { TokenCache } from './tokenCacheHelper';
+import { DEFAULT_ALLOWED_ALGORITHMS } from './jwkHelper';
+import { REDACTED_SECURITY_LABEL } from './redactionHelper';
+import { ConditionalBatchReadWriteRequest } from './bundleHelper';
+import * as senderConstraintHelper from './senderConstraintHelper';
 
 jest.mock('jsonwebtoken');
 
@@ -232,6 +239,1309 @@ describe('constructor', () => {
             );
         }).toThrow(new Error('Authorization configuration version does not match handler version'));
     });
+    test('ERROR: Attempt to create a handler with an invalid endpoint', async () => {
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler(
+                {
+                    ...baseAuthZConfig(),
+                    tokenEndpoint: 'not-a-url',
+                },
+                apiUrl,
+                '4.0.1',
+            );
+        }).toThrow(new Error(`Authorization configuration 'tokenEndpoint' must be an absolute http(s) URL`));
+    });
+    test('ERROR: Attempt to create a handler with discovery endpoints but no token endpoint', async () => {
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler(
+                {
+                    ...baseAuthZConfig(),
+                    revocationEndpoint: `${expectedIss}/v1/revoke`,
+                },
+                apiUrl,
+                '4.0.1',
+            );
+        }).toThrow(new Error(`Authorization configuration 'tokenEndpoint' is required for the SMART configuration`));
+    });
+    test('token cache is used to verify the access_token when configured', async () => {
+        const verifyJwtToken = jest
+            .spyOn(smartAuthorizationHelper, 'verifyJwtToken')
+            .mockImplementation(() => Promise.resolve({ ...baseAccessNoScopes, scp: 'system/*.read' }));
+        const request: VerifyAccessTokenRequest = { accessToken: 'fake', operation: 'read', resourceType: 'Patient' };
+
+        await new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1').verifyAccessToken(request);
+        expect(verifyJwtToken.mock.calls[0][4]).toBeUndefined();
+
+        await new SMARTHandler({ ...baseAuthZConfig(), tokenCache: {} }, apiUrl, '4.0.1').verifyAccessToken(request);
+        expect(verifyJwtToken.mock.calls[1][4]).toBeInstanceOf(TokenCache);
+    });
+});
+
+describe('compartment reference resolution', () => {
+    test('ERROR: compartment reference resolution with an unsupported FHIR version', async () => {
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler({ ...baseAuthZConfig(), referenceResolution: 'compartment' }, apiUrl, '3.0.1');
+        }).toThrow(new Error('Compartment reference resolution is not supported for this FHIR version'));
+    });
+    test('Patient unable to read a resource that only references them outside of their compartment', async () => {
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), referenceResolution: 'compartment' },
+            apiUrl,
+            '4.0.1',
+        );
+        const userIdentity = {
+            ...baseAccessNoScopes,
+            scopes: ['patient/*.read'],
+            usableScopes: ['patient/*.read'],
+            patientLaunchContext: patientFhirResource,
+        };
+        const condition = { resourceType: 'Condition', id: '1', subject: { reference: patientId } };
+
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: condition,
+            }),
+        ).resolves.toEqual(condition);
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: {
+                    ...condition,
+                    subject: { reference: 'Patient/other' },
+                    recorder: { reference: patientId },
+                },
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+    });
+});
+
+describe('related identities', () => {
+    const relatedPersonFhirResource = getFhirUser(`${apiUrl}/RelatedPerson/caregiver`);
+    const getHandler = () => {
+        const relatedIdentityResolver = jest.fn(async () => [patientFhirResource]);
+        const authZHandler = new SMARTHandler({ ...baseAuthZConfig(), relatedIdentityResolver }, apiUrl, '4.0.1');
+        return { authZHandler, relatedIdentityResolver };
+    };
+    const getUserIdentity = () => ({
+        ...baseAccessNoScopes,
+        scopes: ['user/*.*'],
+        usableScopes: ['user/*.*'],
+        fhirUserObject: relatedPersonFhirResource,
+    });
+
+    test('RelatedPerson can read and write the resources of the related Patient', async () => {
+        const { authZHandler } = getHandler();
+        const userIdentity = getUserIdentity();
+
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: validPatientObservation,
+            }),
+        ).resolves.toEqual(validPatientObservation);
+        await expect(
+            authZHandler.isWriteRequestAuthorized({
+                userIdentity,
+                operation: 'update',
+                resourceBody: validPatientObservation,
+            }),
+        ).resolves.toBeUndefined();
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: { ...validPatientObservation, subject: { reference: 'Patient/other' } },
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('search filter includes the related identities', async () => {
+        const { authZHandler } = getHandler();
+
+        await expect(
+            authZHandler.getSearchFilterBasedOnIdentity({
+                userIdentity: getUserIdentity(),
+                operation: 'search-type',
+                resourceType: 'Patient',
+            }),
+        ).resolves.toEqual([
+            {
+                key: '_references',
+                value: [`${apiUrl}/RelatedPerson/caregiver`, 'RelatedPerson/caregiver', patientIdentity, patientId],
+                comparisonOperator: '==',
+                logicalOperator: 'OR',
+            },
+            { key: 'id', value: [id], comparisonOperator: '==', logicalOperator: 'OR' },
+        ]);
+    });
+
+    test('related identities are resolved once per request', async () => {
+        const { authZHandler, relatedIdentityResolver } = getHandler();
+        const userIdentity = getUserIdentity();
+
+        await authZHandler.getSearchFilterBasedOnIdentity({ userIdentity, operation: 'search-type' });
+        await authZHandler.authorizeAndFilterReadResponse({
+            userIdentity,
+            operation: 'search-type',
+            readResponse: { total: 1, entry: [{ resource: validPatientObservation }] },
+        });
+        expect(relatedIdentityResolver).toHaveBeenCalledTimes(1);
+
+        await authZHandler.authorizeAndFilterReadResponse({
+            userIdentity: getUserIdentity(),
+            operation: 'read',
+            readResponse: validPatientObservation,
+        });
+        expect(relatedIdentityResolver).toHaveBeenCalledTimes(2);
+    });
+
+    test('Practitioner who is not an admin can read the Patients they take care of', async () => {
+        const search = jest.fn(async (resourceType: string) =>
+            resourceType === 'CareTeam' ? [{ resourceType: 'CareTeam', subject: { reference: patientId } }] : [],
+        );
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), relatedIdentityResolver: createPractitionerAccessResolver(search) },
+            apiUrl,
+            '4.0.1',
+            [],
+        );
+        const userIdentity = { ...getUserIdentity(), fhirUserObject: practitionerFhirResource };
+
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'search-type',
+                readResponse: {
+                    total: 2,
+                    entry: [
+                        { resource: validPatientObservation },
+                        { resource: { ...validPatientObservation, subject: { reference: 'Patient/other' } } },
+                    ],
+                },
+            }),
+        ).resolves.toEqual({ total: 1, entry: [{ resource: validPatientObservation }] });
+        await expect(
+            authZHandler.getSearchFilterBasedOnIdentity({ userIdentity, operation: 'search-type' }),
+        ).resolves.toEqual([
+            {
+                key: '_references',
+                value: [practitionerIdentity, practitionerId, patientIdentity, patientId],
+                comparisonOperator: '==',
+                logicalOperator: 'OR',
+            },
+        ]);
+        expect(search).toHaveBeenCalledWith('CareTeam', { participant: practitionerId });
+    });
+
+    test('ERROR: the related identities cannot be resolved', async () => {
+        const relatedIdentityResolver = jest
+            .fn()
+            .mockRejectedValueOnce(new Error('search failed'))
+            .mockResolvedValue([patientFhirResource]);
+        const auditEventSink = jest.fn();
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), relatedIdentityResolver, auditEventSink },
+            apiUrl,
+            '4.0.1',
+        );
+        const userIdentity = getUserIdentity();
+        const readRequest = { userIdentity, operation: <const>'read', readResponse: validPatientObservation };
+
+        await expect(authZHandler.authorizeAndFilterReadResponse(readRequest)).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'authorizeAndFilterReadResponse',
+                outcome: 'deny',
+                rule: 'related-identities-unavailable',
+            }),
+        );
+        // the failure is not cached
+        await expect(authZHandler.authorizeAndFilterReadResponse(readRequest)).resolves.toEqual(
+            validPatientObservation,
+        );
+        expect(relatedIdentityResolver).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+        [
+            'getSearchFilterBasedOnIdentity',
+            (handler: SMARTHandler, userIdentity: any) =>
+                handler.getSearchFilterBasedOnIdentity({ userIdentity, operation: 'search-type' }),
+        ],
+        [
+            'isWriteRequestAuthorized',
+            (handler: SMARTHandler, userIdentity: any) =>
+                handler.isWriteRequestAuthorized({
+                    userIdentity,
+                    operation: 'update',
+                    resourceBody: validPatientObservation,
+                }),
+        ],
+        [
+            'isBundleRequestAuthorized',
+            (handler: SMARTHandler, userIdentity: any) =>
+                handler.isBundleRequestAuthorized({
+                    userIdentity,
+                    requests: [{ operation: 'read', resourceType: 'Observation', id: 'obs', resource: {} }],
+                }),
+        ],
+    ])('ERROR: %s when the related identities cannot be resolved', async (check, authorize) => {
+        const auditEventSink = jest.fn();
+        const authZHandler = new SMARTHandler(
+            {
+                ...baseAuthZConfig(),
+                relatedIdentityResolver: jest.fn().mockRejectedValue(new Error('search failed')),
+                auditEventSink,
+            },
+            apiUrl,
+            '4.0.1',
+        );
+        await expect(authorize(authZHandler, getUserIdentity())).rejects.toThrowError(UnauthorizedError);
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ check, outcome: 'deny', rule: 'related-identities-unavailable' }),
+        );
+    });
+
+    test('admins and patient launch contexts are not resolved', async () => {
+        const { authZHandler, relatedIdentityResolver } = getHandler();
+
+        await authZHandler.authorizeAndFilterReadResponse({
+            userIdentity: { ...getUserIdentity(), fhirUserObject: practitionerFhirResource },
+            operation: 'read',
+            readResponse: validPatientObservation,
+        });
+        await authZHandler.authorizeAndFilterReadResponse({
+            userIdentity: {
+                ...baseAccessNoScopes,
+                scopes: ['patient/*.read'],
+                usableScopes: ['patient/*.read'],
+                patientLaunchContext: patientFhirResource,
+            },
+            operation: 'read',
+            readResponse: validPatientObservation,
+        });
+        expect(relatedIdentityResolver).not.toHaveBeenCalled();
+    });
+});
+
+describe('trusted issuers', () => {
+    const tenantIss = 'https://tenant-a.example.com/oauth2';
+    const tenantScopeRule = scopeRule();
+    tenantScopeRule.user.read = ['read'];
+    const getConfig = (): SMARTConfig => ({
+        ...baseAuthZConfig(),
+        trustedIssuers: [
+            {
+                issuer: tenantIss,
+                expectedAudValue: 'tenant-a',
+                jwksEndpoint: `${tenantIss}/jwks`,
+                allowedAlgorithms: ['ES256'],
+                fhirUserClaimPath: 'ext.fhirUser',
+                scopeKey: 'scope',
+                scopeRule: tenantScopeRule,
+            },
+        ],
+    });
+    const request: VerifyAccessTokenRequest = { accessToken: 'fake', operation: 'read', resourceType: 'Patient' };
+
+    afterEach(() => {
+        (jwt.decode as jest.Mock).mockReset();
+    });
+
+    test('ERROR: trusted issuer without keys', () => {
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler({ ...baseAuthZConfig(), trustedIssuers: [{ issuer: tenantIss }] }, apiUrl, '4.0.1');
+        }).toThrow(
+            new Error(
+                `Authorization configuration 'trustedIssuers[0]' must have either 'tokenIntrospection' or 'jwksEndpoint'`,
+            ),
+        );
+    });
+
+    test('ERROR: unsupported allowed algorithm', () => {
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler({ ...baseAuthZConfig(), allowedAlgorithms: ['RS256', 'HS256'] }, apiUrl, '4.0.1');
+        }).toThrow(/^Authorization configuration 'allowedAlgorithms' must only contain algorithms from: RS256/);
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler(
+                {
+                    ...baseAuthZConfig(),
+                    trustedIssuers: [{ issuer: tenantIss, jwksEndpoint: `${tenantIss}/jwks`, allowedAlgorithms: [] }],
+                },
+                apiUrl,
+                '4.0.1',
+            );
+        }).toThrow(/^Authorization configuration 'trustedIssuers\[0\].allowedAlgorithms' must only contain/);
+    });
+
+    test('ERROR: issuer trusted twice', () => {
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler(
+                {
+                    ...baseAuthZConfig(),
+                    trustedIssuers: [{ issuer: expectedIss, jwksEndpoint: `${expectedIss}/keys` }],
+                },
+                apiUrl,
+                '4.0.1',
+            );
+        }).toThrow(new Error(`Authorization configuration 'trustedIssuers[0].issuer' is already trusted`));
+    });
+
+    test('token of a trusted issuer is verified with its settings', async () => {
+        (jwt.decode as jest.Mock).mockReturnValue({ iss: tenantIss });
+        const verifyJwtToken = jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockImplementation(() =>
+            Promise.resolve({
+                ...baseAccessNoScopes,
+                iss: tenantIss,
+                aud: 'tenant-a',
+                scope: 'user/Patient.read',
+                ext: { fhirUser: practitionerIdentity },
+            }),
+        );
+        const authZHandler = new SMARTHandler(getConfig(), apiUrl, '4.0.1');
+
+        const userIdentity = await authZHandler.verifyAccessToken(request);
+        expect(verifyJwtToken).toHaveBeenCalledWith('fake', 'tenant-a', tenantIss, expect.anything(), undefined, [
+            'ES256',
+        ]);
+        expect(userIdentity).toMatchObject({
+            issuer: tenantIss,
+            fhirUserObject: practitionerFhirResource,
+            usableScopes: ['user/Patient.read'],
+        });
+
+        // the scope rule of the issuer only allows `read`
+        await expect(authZHandler.verifyAccessToken({ ...request, operation: 'search-type' })).rejects.toThrowError(
+            UnauthorizedError,
+        );
+        await expect(
+            authZHandler.getAllowedResourceTypesForOperation({ userIdentity, operation: 'search-type' }),
+        ).resolves.toEqual([]);
+        await expect(
+            authZHandler.getAllowedResourceTypesForOperation({ userIdentity, operation: 'read' }),
+        ).resolves.toEqual(['Patient']);
+    });
+
+    test('token of the default issuer is verified with the SMARTConfig settings', async () => {
+        (jwt.decode as jest.Mock).mockReturnValue({ iss: expectedIss });
+        const verifyJwtToken = jest
+            .spyOn(smartAuthorizationHelper, 'verifyJwtToken')
+            .mockImplementation(() =>
+                Promise.resolve({ ...baseAccessNoScopes, scp: 'user/Patient.read', ...practitionerFhirUser }),
+            );
+
+        const userIdentity = await new SMARTHandler(getConfig(), apiUrl, '4.0.1').verifyAccessToken(request);
+        expect(verifyJwtToken).toHaveBeenCalledWith(
+            'fake',
+            expectedAud,
+            expectedIss,
+            expect.anything(),
+            undefined,
+            DEFAULT_ALLOWED_ALGORITHMS,
+        );
+        expect(userIdentity.issuer).toEqual(expectedIss);
+    });
+
+    test('token of an untrusted issuer is not verified', async () => {
+        (jwt.decode as jest.Mock).mockReturnValue({ iss: 'https://attacker.example.com' });
+        const verifyJwtToken = jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken');
+        verifyJwtToken.mockClear();
+
+        await expect(new SMARTHandler(getConfig(), apiUrl, '4.0.1').verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('Invalid access token'),
+        );
+        expect(verifyJwtToken).not.toHaveBeenCalled();
+    });
+});
+
+describe('sender-constrained tokens', () => {
+    const jkt = 'jwk-thumbprint';
+    const x5tS256 = 'certificate-thumbprint';
+    const request: VerifyAccessTokenRequest = {
+        accessToken: 'fake',
+        operation: 'read',
+        resourceType: 'Patient',
+        id: '1234',
+        requestContext: {
+            verb: 'GET',
+            url: '/Patient/1234',
+            hostname: 'fhir.server.com',
+            headers: { DPoP: 'dpop.proof.jwt' },
+            contextInfo: { clientCertificateThumbprint: x5tS256 },
+        },
+    };
+    const mockToken = (cnf?: any) =>
+        jest
+            .spyOn(smartAuthorizationHelper, 'verifyJwtToken')
+            .mockImplementation(() =>
+                Promise.resolve({ ...baseAccessNoScopes, scp: 'user/Patient.read', ...practitionerFhirUser, cnf }),
+            );
+    let verifyDPoPProof: jest.SpyInstance;
+
+    beforeEach(() => {
+        verifyDPoPProof = jest.spyOn(senderConstraintHelper, 'verifyDPoPProof').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        verifyDPoPProof.mockRestore();
+    });
+
+    test('binding is not checked by default', async () => {
+        mockToken({ jkt, 'x5t#S256': 'other' });
+        const authZHandler = new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1');
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toMatchObject({ cnf: { jkt } });
+        expect(verifyDPoPProof).not.toHaveBeenCalled();
+    });
+
+    test('DPoP proof of a bound token is checked', async () => {
+        mockToken({ jkt });
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), dpop: { user: 'optional', maxProofAgeSeconds: 60 } },
+            apiUrl,
+            '4.0.1',
+        );
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+        expect(verifyDPoPProof).toHaveBeenCalledWith('dpop.proof.jwt', {
+            accessToken: 'fake',
+            method: 'GET',
+            url: '/Patient/1234',
+            baseUrl: apiUrl,
+            jkt,
+            allowedAlgorithms: DEFAULT_ALLOWED_ALGORITHMS,
+            maxProofAgeSeconds: 60,
+            replayStore: expect.anything(),
+        });
+    });
+
+    test('DPoP proofs are checked with their own allowed algorithms', async () => {
+        mockToken({ jkt });
+        const authZHandler = new SMARTHandler(
+            {
+                ...baseAuthZConfig(),
+                allowedAlgorithms: ['RS256'],
+                dpop: { user: 'optional', allowedAlgorithms: ['EdDSA'] },
+            },
+            apiUrl,
+            '4.0.1',
+        );
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+        expect(verifyDPoPProof).toHaveBeenCalledWith(
+            'dpop.proof.jwt',
+            expect.objectContaining({ allowedAlgorithms: ['EdDSA'] }),
+        );
+    });
+
+    test('ERROR: DPoP allowed algorithms are not supported', () => {
+        expect(() => {
+            // eslint-disable-next-line no-new
+            new SMARTHandler(
+                { ...baseAuthZConfig(), dpop: { user: 'optional', allowedAlgorithms: ['none'] } },
+                apiUrl,
+                '4.0.1',
+            );
+        }).toThrow(/^Authorization configuration 'dpop.allowedAlgorithms' must only contain/);
+    });
+
+    test('optional DPoP allows bearer tokens', async () => {
+        mockToken();
+        const authZHandler = new SMARTHandler({ ...baseAuthZConfig(), dpop: { user: 'optional' } }, apiUrl, '4.0.1');
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+        expect(verifyDPoPProof).not.toHaveBeenCalled();
+    });
+
+    test('ERROR: required DPoP with a bearer token', async () => {
+        mockToken();
+        const auditEventSink = jest.fn();
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), dpop: { user: 'required' }, auditEventSink },
+            apiUrl,
+            '4.0.1',
+        );
+
+        await expect(authZHandler.verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('access_token must be sender-constrained'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'sender-constraint-required' }),
+        );
+    });
+
+    test('ERROR: required DPoP only applies to its scope type', async () => {
+        mockToken();
+        const authZHandler = new SMARTHandler({ ...baseAuthZConfig(), dpop: { system: 'required' } }, apiUrl, '4.0.1');
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+    });
+
+    test('ERROR: DPoP proof is missing', async () => {
+        mockToken({ jkt });
+        const authZHandler = new SMARTHandler({ ...baseAuthZConfig(), dpop: { user: 'required' } }, apiUrl, '4.0.1');
+
+        await expect(
+            authZHandler.verifyAccessToken({
+                ...request,
+                requestContext: { ...request.requestContext!, headers: {} },
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid DPoP proof'));
+        expect(verifyDPoPProof).not.toHaveBeenCalled();
+    });
+
+    test('ERROR: DPoP proof is invalid', async () => {
+        mockToken({ jkt });
+        verifyDPoPProof.mockRejectedValue(new UnauthorizedError('Invalid DPoP proof'));
+        const auditEventSink = jest.fn();
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), dpop: { user: 'required' }, auditEventSink },
+            apiUrl,
+            '4.0.1',
+        );
+
+        await expect(authZHandler.verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('Invalid DPoP proof'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'invalid-dpop-proof' }),
+        );
+    });
+
+    test('certificate binding is checked', async () => {
+        mockToken({ 'x5t#S256': x5tS256 });
+        const authZHandler = new SMARTHandler({ ...baseAuthZConfig(), mtls: { user: 'required' } }, apiUrl, '4.0.1');
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+    });
+
+    test('ERROR: token is bound to another certificate', async () => {
+        mockToken({ 'x5t#S256': 'other' });
+        const auditEventSink = jest.fn();
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), mtls: { user: 'optional' }, auditEventSink },
+            apiUrl,
+            '4.0.1',
+        );
+
+        await expect(authZHandler.verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('access_token is not bound to the client certificate'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'certificate-binding-mismatch' }),
+        );
+    });
+});
+
+describe('break-the-glass', () => {
+    const request: VerifyAccessTokenRequest = {
+        accessToken: 'fake',
+        operation: 'read',
+        resourceType: 'Observation',
+        id: validPatientObservation.id,
+    };
+    const otherPatientObservation = { ...validPatientObservation, subject: { reference: 'Patient/other' } };
+    const getHandler = (auditEventSink?: jest.Mock) =>
+        new SMARTHandler({ ...baseAuthZConfig(), auditEventSink, breakTheGlass: {} }, apiUrl, '4.0.1', []);
+    let verifyJwtToken: jest.SpyInstance;
+    const mockToken = (claims: any) => {
+        verifyJwtToken = jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...baseAccessNoScopes,
+            scp: 'user/*.read',
+            ...practitionerFhirUser,
+            iat: Math.floor(Date.now() / 1000),
+            ...claims,
+        });
+    };
+
+    afterEach(() => {
+        verifyJwtToken.mockRestore();
+    });
+
+    test('access is granted past the reference checks', async () => {
+        mockToken({ purpose_of_use: 'ETREAT', btg_reason: 'cardiac arrest' });
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler(auditEventSink);
+
+        const userIdentity = await authZHandler.verifyAccessToken(request);
+        expect(userIdentity.breakTheGlass).toEqual({ reason: 'cardiac arrest', expiresAt: expect.any(String) });
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: otherPatientObservation,
+            }),
+        ).resolves.toEqual(otherPatientObservation);
+        await expect(
+            authZHandler.getSearchFilterBasedOnIdentity({
+                userIdentity,
+                operation: 'search-type',
+                resourceType: 'Observation',
+            }),
+        ).resolves.toEqual([]);
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'verifyAccessToken',
+                rule: 'break-the-glass',
+                breakTheGlassReason: 'cardiac arrest',
+            }),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'authorizeAndFilterReadResponse',
+                outcome: 'allow',
+                rule: 'break-the-glass',
+                breakTheGlassReason: 'cardiac arrest',
+            }),
+        );
+    });
+
+    test('ERROR: writes are denied unless allowWrites is set', async () => {
+        mockToken({ scp: 'user/*.*', purpose_of_use: 'ETREAT', btg_reason: 'cardiac arrest' });
+        const auditEventSink = jest.fn();
+        const writeRequest: VerifyAccessTokenRequest = { ...request, operation: 'update' };
+        const authZHandler = getHandler(auditEventSink);
+
+        const userIdentity = await authZHandler.verifyAccessToken(writeRequest);
+        expect(userIdentity.breakTheGlass).toEqual({ reason: 'cardiac arrest', expiresAt: expect.any(String) });
+        await expect(
+            authZHandler.isWriteRequestAuthorized({
+                userIdentity,
+                operation: 'update',
+                resourceBody: otherPatientObservation,
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ check: 'isWriteRequestAuthorized', outcome: 'deny', rule: 'no-reference' }),
+        );
+
+        const allowWritesHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), breakTheGlass: { allowWrites: true } },
+            apiUrl,
+            '4.0.1',
+            [],
+        );
+        await expect(
+            allowWritesHandler.isWriteRequestAuthorized({
+                userIdentity: await allowWritesHandler.verifyAccessToken(writeRequest),
+                operation: 'update',
+                resourceBody: otherPatientObservation,
+            }),
+        ).resolves.toBeUndefined();
+    });
+
+    test('ERROR: a reason is required', async () => {
+        mockToken({ purpose_of_use: 'ETREAT' });
+        const auditEventSink = jest.fn();
+
+        await expect(getHandler(auditEventSink).verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('Break-the-glass access requires a reason'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'break-the-glass-missing-reason' }),
+        );
+    });
+
+    test('access has ended', async () => {
+        mockToken({
+            purpose_of_use: 'ETREAT',
+            btg_reason: 'cardiac arrest',
+            iat: Math.floor(Date.now() / 1000) - 7200,
+        });
+        const authZHandler = getHandler();
+
+        const userIdentity = await authZHandler.verifyAccessToken(request);
+        expect(userIdentity.breakTheGlass).toBeUndefined();
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: otherPatientObservation,
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('a breakTheGlass claim does not grant access', async () => {
+        mockToken({ breakTheGlass: { reason: 'forged', expiresAt: '2999-01-01T00:00:00.000Z' } });
+        const authZHandler = new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1', []);
+
+        const userIdentity = await authZHandler.verifyAccessToken(request);
+        expect(userIdentity.breakTheGlass).toBeUndefined();
+    });
+});
+
+describe('purpose of use and access windows', () => {
+    const purposeOfUse = {
+        purposes: {
+            RESEARCH: { resourceTypes: ['ResearchStudy', 'ResearchSubject'] },
+            PAYMENT: { operations: <TypeOperation[]>['read', 'search-type'] },
+            TREAT: { securityLabels: ['N', 'HTEST'] },
+        },
+    };
+    const researchSubject = { resourceType: 'ResearchSubject', id: 'subject', status: 'on-study' };
+    const restrictedObservation = { ...validPatientObservation, meta: { security: [{ code: 'R' }] } };
+    const request = (resourceType: string, operation: TypeOperation = 'read'): VerifyAccessTokenRequest => ({
+        accessToken: 'fake',
+        operation,
+        resourceType,
+    });
+    const getHandler = (config: Partial<SMARTConfig>, auditEventSink?: jest.Mock) =>
+        new SMARTHandler({ ...baseAuthZConfig(), auditEventSink, ...config }, apiUrl, '4.0.1');
+    const mockToken = (claims: any) =>
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...baseAccessNoScopes,
+            scp: ['user/*.read', 'user/*.write'],
+            ...practitionerFhirUser,
+            ...claims,
+        });
+
+    test('RESEARCH only accesses the de-identified resourceTypes', async () => {
+        mockToken({ purpose_of_use: ['RESEARCH'] });
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler({ purposeOfUse }, auditEventSink);
+
+        await expect(authZHandler.verifyAccessToken(request('Observation'))).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ check: 'verifyAccessToken', outcome: 'deny', rule: 'purpose-of-use' }),
+        );
+
+        const userIdentity = await authZHandler.verifyAccessToken(request('ResearchSubject'));
+        expect(userIdentity.purposeOfUse).toEqual(['RESEARCH']);
+        await expect(
+            authZHandler.getAllowedResourceTypesForOperation({ userIdentity, operation: 'search-system' }),
+        ).resolves.toEqual(['ResearchStudy', 'ResearchSubject']);
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'search-system',
+                readResponse: {
+                    resourceType: 'Bundle',
+                    total: 2,
+                    entry: [{ resource: validPatientObservation }, { resource: researchSubject }],
+                },
+            }),
+        ).resolves.toMatchObject({ total: 1, entry: [{ resource: researchSubject }] });
+    });
+
+    test('operations of the purpose of use', async () => {
+        mockToken({ purpose_of_use: 'PAYMENT' });
+        const authZHandler = getHandler({ purposeOfUse });
+
+        await expect(authZHandler.verifyAccessToken(request('Claim', 'create'))).rejects.toThrowError(
+            UnauthorizedError,
+        );
+        const userIdentity = await authZHandler.verifyAccessToken(request('Claim'));
+        await expect(
+            authZHandler.getAllowedResourceTypesForOperation({ userIdentity, operation: 'create' }),
+        ).resolves.toEqual([]);
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity,
+                requests: [{ operation: 'create', resourceType: 'Claim', id: 'new', resource: {} }],
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('An entry within the Bundle is not authorized: Bundle.entry[0]'));
+    });
+
+    test('security labels of the purpose of use', async () => {
+        mockToken({ purpose_of_use: 'TREAT' });
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler({ purposeOfUse }, auditEventSink);
+
+        const userIdentity = await authZHandler.verifyAccessToken(request('Observation'));
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: restrictedObservation,
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested resource'));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'authorizeAndFilterReadResponse',
+                outcome: 'deny',
+                rule: 'purpose-of-use',
+            }),
+        );
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: validPatientObservation,
+            }),
+        ).resolves.toEqual(validPatientObservation);
+    });
+
+    test('required purpose of use', async () => {
+        mockToken({ purposeOfUse: ['TREAT'] });
+        await expect(
+            getHandler({ purposeOfUse: { ...purposeOfUse, required: true } }).verifyAccessToken(request('Observation')),
+        ).rejects.toThrowError(UnauthorizedError);
+        const userIdentity = await getHandler({ purposeOfUse }).verifyAccessToken(request('Observation'));
+        expect(userIdentity.purposeOfUse).toEqual([]);
+    });
+
+    test('purposes of use that are not configured are rejected', async () => {
+        const auditEventSink = jest.fn();
+        mockToken({ purpose_of_use: ['TREAT', 'HMARKT'] });
+        await expect(
+            getHandler({ purposeOfUse }, auditEventSink).verifyAccessToken(request('Observation')),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested operation'));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ check: 'verifyAccessToken', outcome: 'deny', rule: 'purpose-of-use' }),
+        );
+        mockToken({ purpose_of_use: { code: 'TREAT' } });
+        await expect(getHandler({ purposeOfUse }).verifyAccessToken(request('Observation'))).rejects.toThrowError(
+            UnauthorizedError,
+        );
+    });
+
+    test('break-the-glass codes must be configured as purposes of use', async () => {
+        mockToken({ purpose_of_use: 'ETREAT', btg_reason: 'cardiac arrest', iat: Math.floor(Date.now() / 1000) });
+        await expect(
+            getHandler({ purposeOfUse, breakTheGlass: {} }).verifyAccessToken(request('Observation')),
+        ).rejects.toThrowError(UnauthorizedError);
+        const userIdentity = await getHandler({
+            purposeOfUse: { purposes: { ...purposeOfUse.purposes, ETREAT: {} } },
+            breakTheGlass: {},
+        }).verifyAccessToken(request('Observation'));
+        expect(userIdentity.purposeOfUse).toEqual(['ETREAT']);
+        expect(userIdentity.breakTheGlass).toEqual({ reason: 'cardiac arrest', expiresAt: expect.any(String) });
+    });
+
+    test('access windows of the client', async () => {
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler({ accessWindow: {} }, auditEventSink);
+
+        mockToken({ access_window: { start: '00:00', end: '00:00' } });
+        await expect(authZHandler.verifyAccessToken(request('Observation'))).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'access-window' }),
+        );
+
+        mockToken({
+            access_window: [
+                { start: '00:00', end: '23:59' },
+                { start: '23:59', end: '00:00' },
+            ],
+        });
+        await expect(authZHandler.verifyAccessToken(request('Observation'))).resolves.toBeDefined();
+    });
+
+    test('access_token used before its nbf', async () => {
+        mockToken({ nbf: Math.floor(Date.now() / 1000) + 600 });
+        await expect(getHandler({ accessWindow: {} }).verifyAccessToken(request('Observation'))).rejects.toThrowError(
+            UnauthorizedError,
+        );
+        await expect(
+            getHandler({ accessWindow: { clockToleranceSeconds: 900 } }).verifyAccessToken(request('Observation')),
+        ).resolves.toBeDefined();
+    });
+
+    test('explain', async () => {
+        const authZHandler = getHandler({ purposeOfUse });
+        await expect(
+            authZHandler.explain({
+                claims: {
+                    ...baseAccessNoScopes,
+                    scp: ['user/*.read'],
+                    ...practitionerFhirUser,
+                    purpose_of_use: 'RESEARCH',
+                },
+                operation: 'read',
+                resourceType: 'Observation',
+            }),
+        ).resolves.toMatchObject({ verdict: 'deny', rule: 'purpose-of-use' });
+        await expect(
+            authZHandler.explain({
+                claims: {
+                    ...baseAccessNoScopes,
+                    scp: ['user/*.read'],
+                    ...practitionerFhirUser,
+                    purpose_of_use: 'TREAT',
+                },
+                operation: 'read',
+                resourceType: 'Observation',
+                resource: restrictedObservation,
+            }),
+        ).resolves.toMatchObject({ verdict: 'deny', rule: 'purpose-of-use' });
+    });
+});
+
+describe('token revocation', () => {
+    const request: VerifyAccessTokenRequest = { accessToken: 'fake', operation: 'read', resourceType: 'Observation' };
+    const token = { ...baseAccessNoScopes, scp: ['user/*.read'], ...practitionerFhirUser, sid: 'session-1' };
+    const logoutClaims = {
+        iss: expectedIss,
+        aud: 'fhir-server',
+        iat: Math.floor(Date.now() / 1000),
+        jti: 'logout-1',
+        sid: 'session-1',
+        events: { 'http://schemas.openid.net/event/backchannel-logout': {} },
+    };
+    const getHandler = (config: Partial<SMARTConfig>, auditEventSink?: jest.Mock) =>
+        new SMARTHandler({ ...baseAuthZConfig(), auditEventSink, ...config }, apiUrl, '4.0.1');
+
+    afterEach(() => {
+        (jwt.decode as jest.Mock).mockReset();
+    });
+
+    test('revoked access_tokens are rejected', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue(token);
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler({ revocation: {} }, auditEventSink);
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+        await authZHandler.revokeTokens({ type: 'sub', value: sub });
+        await expect(authZHandler.verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('Invalid access token'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ check: 'verifyAccessToken', outcome: 'deny', rule: 'revoked', subject: sub }),
+        );
+    });
+
+    test('revoked access_tokens are rejected before being verified', async () => {
+        const verifyJwtToken = jest
+            .spyOn(smartAuthorizationHelper, 'verifyJwtToken')
+            .mockClear()
+            .mockResolvedValue(token);
+        (jwt.decode as jest.Mock).mockReturnValue(token);
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler({ revocation: {} }, auditEventSink);
+
+        await authZHandler.revokeTokens({ type: 'sid', value: 'session-1' });
+        await expect(authZHandler.verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('Invalid access token'),
+        );
+        expect(verifyJwtToken).not.toHaveBeenCalled();
+        expect(auditEventSink).toHaveBeenCalledTimes(1);
+        expect(auditEventSink.mock.calls[0][0]).toMatchObject({ outcome: 'deny', rule: 'revoked' });
+        expect(auditEventSink.mock.calls[0][0].subject).toBeUndefined();
+
+        (jwt.decode as jest.Mock).mockReturnValue({ ...token, sid: 'session-2' });
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+        expect(verifyJwtToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('ERROR: the issuer is required when trustedIssuers are configured', async () => {
+        const tenantIss = 'https://tenant-a.example.com/oauth2';
+        const authZHandler = getHandler({
+            revocation: {},
+            trustedIssuers: [{ issuer: tenantIss, jwksEndpoint: `${tenantIss}/jwks` }],
+        });
+        await expect(authZHandler.revokeTokens({ type: 'sub', value: sub })).rejects.toThrowError(
+            `A revocation requires an 'issuer' when 'trustedIssuers' are configured`,
+        );
+        await expect(
+            authZHandler.revokeTokens({ type: 'sub', value: sub, issuer: tenantIss }),
+        ).resolves.toBeUndefined();
+    });
+
+    test('access_tokens issued after the cutoff are accepted', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue(token);
+        const authZHandler = getHandler({ revocation: {} });
+
+        await authZHandler.revokeTokens({ type: 'jti', value: token.jti, issuedBefore: token.iat });
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+    });
+
+    test('ERROR: the revocation list cannot be read', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue(token);
+        const auditEventSink = jest.fn();
+        const store = { get: jest.fn().mockRejectedValue(new Error('timeout')), set: jest.fn() };
+
+        await expect(
+            getHandler({ revocation: { store } }, auditEventSink).verifyAccessToken(request),
+        ).rejects.toThrowError(new UnauthorizedError('Invalid access token'));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'revocation-unavailable' }),
+        );
+    });
+
+    test('back-channel logout revokes the access_tokens of the session', async () => {
+        const authZHandler = getHandler({ revocation: { logoutTokenAudience: 'fhir-server' } });
+        const verifyJwtToken = jest
+            .spyOn(smartAuthorizationHelper, 'verifyJwtToken')
+            .mockResolvedValueOnce(logoutClaims)
+            .mockResolvedValue(token);
+
+        await authZHandler.handleBackChannelLogout('logout-token');
+        expect(verifyJwtToken).toHaveBeenCalledWith(
+            'logout-token',
+            'fhir-server',
+            expectedIss,
+            expect.anything(),
+            undefined,
+            DEFAULT_ALLOWED_ALGORITHMS,
+        );
+        await expect(authZHandler.verifyAccessToken(request)).rejects.toThrowError(
+            new UnauthorizedError('Invalid access token'),
+        );
+        verifyJwtToken.mockResolvedValue({ ...token, sid: 'session-2' });
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toBeDefined();
+    });
+
+    test('ERROR: invalid logout token', async () => {
+        const authZHandler = getHandler({ revocation: {} });
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockRejectedValueOnce(new UnauthorizedError('Invalid'));
+        await expect(authZHandler.handleBackChannelLogout('logout-token')).rejects.toThrowError(
+            new UnauthorizedError('Invalid logout token'),
+        );
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({ ...logoutClaims, nonce: 'nonce' });
+        await expect(authZHandler.handleBackChannelLogout('logout-token')).rejects.toThrowError(
+            new UnauthorizedError('Invalid logout token'),
+        );
+    });
+
+    test('ERROR: replayed or stale logout token', async () => {
+        const authZHandler = getHandler({ revocation: {} });
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue(logoutClaims);
+        await expect(authZHandler.handleBackChannelLogout('logout-token')).resolves.toBeUndefined();
+        await expect(authZHandler.handleBackChannelLogout('logout-token')).rejects.toThrowError(
+            new UnauthorizedError('Invalid logout token'),
+        );
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...logoutClaims,
+            jti: 'logout-2',
+            iat: logoutClaims.iat - 600,
+        });
+        await expect(authZHandler.handleBackChannelLogout('logout-token')).rejects.toThrowError(
+            new UnauthorizedError('Invalid logout token'),
+        );
+        await expect(
+            getHandler({ revocation: { logoutTokenMaxAgeSeconds: 900 } }).handleBackChannelLogout('logout-token'),
+        ).resolves.toBeUndefined();
+    });
+
+    test('ERROR: revocation is not configured', async () => {
+        await expect(getHandler({}).revokeTokens({ type: 'sub', value: sub })).rejects.toThrowError(
+            `Authorization configuration 'revocation' must be present to revoke access_tokens`,
+        );
+        await expect(getHandler({}).handleBackChannelLogout('logout-token')).rejects.toThrowError(
+            `Authorization configuration 'revocation' must be present to handle back-channel logouts`,
+        );
+    });
+});
+
+describe('audit events', () => {
+    const getHandler = () => {
+        const auditEventSink = jest.fn();
+        const authZHandler = new SMARTHandler({ ...baseAuthZConfig(), auditEventSink }, apiUrl, '4.0.1');
+        return { authZHandler, auditEventSink };
+    };
+    const accessToken = 'secret.access.token';
+    const patientIdentityWithScopes = {
+        ...baseAccessNoScopes,
+        scopes: ['patient/Observation.read'],
+        usableScopes: ['patient/Observation.read'],
+        patientLaunchContext: patientFhirResource,
+    };
+
+    test('verifyAccessToken allowed', async () => {
+        const { authZHandler, auditEventSink } = getHandler();
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockImplementation(() =>
+            Promise.resolve({
+                ...baseAccessNoScopes,
+                client_id: 'app',
+                scp: 'patient/Observation.read launch/patient',
+                ...patientContext,
+            }),
+        );
+
+        await authZHandler.verifyAccessToken({ accessToken, operation: 'read', resourceType: 'Observation', id: '1' });
+        expect(auditEventSink).toHaveBeenCalledWith({
+            timestamp: expect.any(String),
+            check: 'verifyAccessToken',
+            outcome: 'allow',
+            rule: 'scope',
+            subject: sub,
+            clientId: 'app',
+            patient: patientIdentity,
+            operation: 'read',
+            resourceType: 'Observation',
+            resourceId: '1',
+            scopes: ['patient/Observation.read'],
+        });
+        expect(JSON.stringify(auditEventSink.mock.calls)).not.toContain(accessToken);
+    });
+
+    test('verifyAccessToken denied', async () => {
+        const { authZHandler, auditEventSink } = getHandler();
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockImplementation(() =>
+            Promise.resolve({ ...baseAccessNoScopes, scp: 'user/Patient.read', ...practitionerFhirUser }),
+        );
+        await expect(
+            authZHandler.verifyAccessToken({ accessToken, operation: 'read', resourceType: 'Observation' }),
+        ).rejects.toThrowError(UnauthorizedError);
+
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockImplementation(() =>
+            Promise.reject(new UnauthorizedError('Invalid access token')),
+        );
+        await expect(
+            authZHandler.verifyAccessToken({ accessToken, operation: 'read', resourceType: 'Observation' }),
+        ).rejects.toThrowError(UnauthorizedError);
+
+        expect(auditEventSink.mock.calls).toEqual([
+            [
+                expect.objectContaining({
+                    outcome: 'deny',
+                    rule: 'insufficient-scope',
+                    subject: sub,
+                    fhirUser: practitionerIdentity,
+                    scopes: ['user/Patient.read'],
+                }),
+            ],
+            [
+                {
+                    timestamp: expect.any(String),
+                    check: 'verifyAccessToken',
+                    outcome: 'deny',
+                    rule: 'invalid-token',
+                    operation: 'read',
+                    resourceType: 'Observation',
+                },
+            ],
+        ]);
+    });
+
+    test('read allowed and denied', async () => {
+        const { authZHandler, auditEventSink } = getHandler();
+        await authZHandler.authorizeAndFilterReadResponse({
+            userIdentity: patientIdentityWithScopes,
+            operation: 'read',
+            readResponse: validPatientObservation,
+        });
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity: patientIdentityWithScopes,
+                operation: 'read',
+                readResponse: { ...validPatientObservation, subject: { reference: 'Patient/other' } },
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+
+        expect(auditEventSink.mock.calls).toEqual([
+            [
+                expect.objectContaining({
+                    check: 'authorizeAndFilterReadResponse',
+                    outcome: 'allow',
+                    rule: 'patient-context-reference',
+                    resourceType: 'Observation',
+                    resourceId: validPatientObservation.id,
+                    scopes: ['patient/Observation.read'],
+                }),
+            ],
+            [expect.objectContaining({ outcome: 'deny', rule: 'no-reference' })],
+        ]);
+    });
+
+    test('write denied by a scope constraint', async () => {
+        const { authZHandler, auditEventSink } = getHandler();
+        const userIdentity = {
+            ...patientIdentityWithScopes,
+            usableScopes: ['patient/Observation.cu?category=vital-signs'],
+        };
+        await expect(
+            authZHandler.isWriteRequestAuthorized({
+                userIdentity,
+                operation: 'update',
+                resourceBody: validPatientObservation,
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'isWriteRequestAuthorized',
+                outcome: 'deny',
+                rule: 'scope-constraint',
+                operation: 'update',
+            }),
+        );
+    });
+
+    test('bundle entry denied', async () => {
+        const { authZHandler, auditEventSink } = getHandler();
+        const request: AuthorizationBundleRequest = {
+            userIdentity: { ...patientIdentityWithScopes, scopes: ['patient/Observation.read'] },
+            requests: [{ operation: 'create', resourceType: 'Observation', id: '1', resource: {}, fullUrl: '' }],
+        };
+        await expect(authZHandler.isBundleRequestAuthorized(request)).rejects.toThrowError(UnauthorizedError);
+
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'isBundleRequestAuthorized',
+                outcome: 'deny',
+                rule: 'insufficient-scope',
+                operation: 'create',
+                resourceType: 'Observation',
+            }),
+        );
+    });
+
+    test('a failing sink does not change the decision', async () => {
+        const authZHandler = new SMARTHandler(
+            {
+                ...baseAuthZConfig(),
+                auditEventSink: () => {
+                    throw new Error('sink failed');
+                },
+            },
+            apiUrl,
+            '4.0.1',
+        );
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity: patientIdentityWithScopes,
+                operation: 'read',
+                readResponse: validPatientObservation,
+            }),
+        ).resolves.toEqual(validPatientObservation);
+    });
+});
+
+describe('getSmartConfiguration', () => {
+    test('discovery document is built from the config', async () => {
+        const authZHandler = new SMARTHandler(
+            {
+                ...baseAuthZConfig(),
+                authorizationEndpoint: `${expectedIss}/v1/authorize`,
+                tokenEndpoint: `${expectedIss}/v1/token`,
+            },
+            apiUrl,
+            '4.0.1',
+        );
+        expect(authZHandler.getSmartConfiguration()).toMatchObject({
+            issuer: expectedIss,
+            jwks_uri: `${expectedIss}/jwks`,
+            authorization_endpoint: `${expectedIss}/v1/authorize`,
+            token_endpoint: `${expectedIss}/v1/token`,
+            grant_types_supported: ['authorization_code', 'client_credentials'],
+        });
+    });
+    test('ERROR: config without the discovery endpoints', async () => {
+        const authZHandler = new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1');
+        expect(() => authZHandler.getSmartConfiguration()).toThrow(
+            new Error(
+                `The SMART configuration cannot be served: Authorization configuration 'tokenEndpoint' is required for the SMART configuration`,
+            ),
+        );
+    });
 });
 
 function getExpectedUserIdentity(decodedAccessToken: any): any {
@@ -259,6 +1569,109 @@ function getExpectedUserIdentity(decodedAccessToken: any): any {
     return expectedUserIdentity;
 }
 
+describe('explain', () => {
+    const auditEventSink = jest.fn();
+    const authZHandler = new SMARTHandler({ ...baseAuthZConfig(), auditEventSink }, apiUrl, '4.0.1');
+    const patientClaims = { ...baseAccessNoScopes, ...patientContext, scp: ['openid', 'patient/Observation.read'] };
+
+    test('resource the patient in context is referenced by', async () => {
+        await expect(
+            authZHandler.explain({
+                claims: patientClaims,
+                operation: 'read',
+                resourceType: 'Observation',
+                resource: validPatientObservation,
+            }),
+        ).resolves.toEqual({
+            scopes: [
+                { scope: 'openid', usable: false, reason: 'not-a-clinical-scope' },
+                { scope: 'patient/Observation.read', usable: true },
+            ],
+            usableScopes: ['patient/Observation.read'],
+            resources: [
+                {
+                    operation: 'read',
+                    resourceType: 'Observation',
+                    resourceId: validPatientObservation.id,
+                    outcome: 'allow',
+                    rule: 'patient-context-reference',
+                    identity: patientIdentity,
+                    referencePath: 'subject',
+                },
+            ],
+            verdict: 'allow',
+            rule: 'scope',
+        });
+        expect(auditEventSink).not.toHaveBeenCalled();
+    });
+
+    test('scopes without their context are discarded', async () => {
+        await expect(
+            authZHandler.explain({
+                claims: { ...baseAccessNoScopes, scp: ['patient/Observation.read', 'user/Observation.write'] },
+                operation: 'read',
+                resourceType: 'Observation',
+            }),
+        ).resolves.toEqual({
+            scopes: [
+                { scope: 'patient/Observation.read', usable: false, reason: 'missing-patient-context' },
+                { scope: 'user/Observation.write', usable: false, reason: 'missing-fhir-user' },
+            ],
+            usableScopes: [],
+            resources: [],
+            verdict: 'deny',
+            rule: 'insufficient-scope',
+        });
+    });
+
+    test('Bundle entries', async () => {
+        const transactionScopeRule = scopeRule();
+        transactionScopeRule.patient.write.push('transaction');
+        const trace = await new SMARTHandler(
+            { ...baseAuthZConfig(), scopeRule: transactionScopeRule },
+            apiUrl,
+            '4.0.1',
+        ).explain({
+            claims: { ...patientClaims, scp: ['patient/*.*'] },
+            operation: 'transaction',
+            requests: [
+                { operation: 'read', resourceType: 'Patient', id, resource: {} },
+                { operation: 'read', resourceType: 'Patient', id: 'other', resource: {} },
+                { operation: 'delete', resourceType: 'Observation', id: 'obs', resource: {} },
+            ],
+        });
+        expect(trace.resources).toEqual([
+            {
+                bundleEntryIndex: 0,
+                operation: 'read',
+                resourceType: 'Patient',
+                resourceId: id,
+                outcome: 'allow',
+                rule: 'patient-context-reference',
+                identity: patientIdentity,
+                referencePath: 'id',
+            },
+            {
+                bundleEntryIndex: 1,
+                operation: 'read',
+                resourceType: 'Patient',
+                resourceId: 'other',
+                outcome: 'deny',
+                rule: 'no-reference',
+            },
+            {
+                bundleEntryIndex: 2,
+                operation: 'delete',
+                resourceType: 'Observation',
+                resourceId: 'obs',
+                outcome: 'deny',
+                rule: 'insufficient-scope',
+            },
+        ]);
+        expect(trace).toMatchObject({ verdict: 'deny', rule: 'no-reference' });
+    });
+});
+
 describe('verifyAccessToken', () => {
     const cases: (string | boolean | VerifyAccessTokenRequest | any)[][] = [
         [
@@ -429,6 +1842,42 @@ describe('verifyAccessToken', () => {
             { ...baseAccessNoScopes, scp: 'system/Patient.write' },
             true,
         ],
+        [
+            'v2_patient_ObservationReadSearch_Read',
+            { accessToken: 'fake', operation: 'read', resourceType: 'Observation', id: '1' },
+            { ...baseAccessNoScopes, scp: 'patient/Observation.rs', ...patientContext },
+            true,
+        ],
+        [
+            'v2_patient_ObservationSearchWithQuery_search',
+            { accessToken: 'fake', operation: 'search-type', resourceType: 'Observation' },
+            { ...baseAccessNoScopes, scp: `patient/Observation.rs?patient=${patientId}`, ...patientContext },
+            true,
+        ],
+        [
+            'v2_patient_ObservationReadWithTokenQuery_read',
+            { accessToken: 'fake', operation: 'read', resourceType: 'Observation', id: '1' },
+            { ...baseAccessNoScopes, scp: 'patient/Observation.rs?category=laboratory', ...patientContext },
+            true,
+        ],
+        [
+            'v2_patient_ObservationSearchWithTokenQuery_search',
+            { accessToken: 'fake', operation: 'search-type', resourceType: 'Observation' },
+            { ...baseAccessNoScopes, scp: 'patient/Observation.rs?category=laboratory', ...patientContext },
+            false,
+        ],
+        [
+            'v2_user_manySearch_Read',
+            { accessToken: 'fake', operation: 'read', resourceType: 'Patient', id: patientId },
+            { ...baseAccessNoScopes, scp: 'user/*.s', ...patientFhirUser },
+            false,
+        ],
+        [
+            'v2_system_PatientCreate_update',
+            { accessToken: 'fake', operation: 'update', resourceType: 'Patient', id: patientId },
+            { ...baseAccessNoScopes, scp: 'system/Patient.c' },
+            false,
+        ],
     ];
 
     const authZConfig = baseAuthZConfig();
@@ -490,30 +1939,201 @@ describe('verifyAccessToken', () => {
         );
         const expectedUserIdentity = getExpectedUserIdentity(introspectionBody);
 
-        // CHECK
-        expect(
-            handler.verifyAccessToken({
-                accessToken: 'fake',
-                operation: 'vread',
-                resourceType: 'Observation',
-                id: '1',
-                vid: '1',
-            }),
-        ).resolves.toMatchObject(expectedUserIdentity);
+        // CHECK
+        expect(
+            handler.verifyAccessToken({
+                accessToken: 'fake',
+                operation: 'vread',
+                resourceType: 'Observation',
+                id: '1',
+                vid: '1',
+            }),
+        ).resolves.toMatchObject(expectedUserIdentity);
+    });
+    test('Invalid configuration', async () => {
+        // BUILD
+        const config: SMARTConfig = { ...authZConfig, jwksEndpoint: '' };
+        const handler: SMARTHandler = new SMARTHandler(config, apiUrl, '4.0.1');
+
+        // CHECK
+        expect(
+            handler.verifyAccessToken({
+                accessToken: 'fake',
+                operation: 'create',
+                resourceType: 'Patient',
+            }),
+        ).rejects.toThrowError(Error);
+    });
+});
+
+describe('verifyAccessToken; launch context', () => {
+    const authZHandler: SMARTHandler = new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1');
+    const request: VerifyAccessTokenRequest = { accessToken: 'fake', operation: 'read', resourceType: 'Observation' };
+    test('encounter, fhirContext & intent claims', async () => {
+        const decodedAccessToken = {
+            ...baseAccessNoScopes,
+            scp: 'patient/*.read launch/patient launch/encounter',
+            ext: {
+                launch_response_patient: patientIdentity,
+                launch_response_encounter: 'enc-1',
+                launch_response_fhirContext: ['DiagnosticReport/123', { reference: 'ImagingStudy/456', role: 'x' }],
+                launch_response_intent: 'reconcile-medications',
+            },
+        };
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockImplementation(() =>
+            Promise.resolve(decodedAccessToken),
+        );
+
+        await expect(authZHandler.verifyAccessToken(request)).resolves.toMatchObject({
+            patientLaunchContext: patientFhirResource,
+            encounterLaunchContext: { hostname: apiUrl, resourceType: 'Encounter', id: 'enc-1' },
+            fhirContext: [{ reference: 'DiagnosticReport/123' }, { reference: 'ImagingStudy/456', role: 'x' }],
+            launchIntent: 'reconcile-medications',
+        });
+    });
+    test('encounter claim is not an Encounter', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockImplementation(() =>
+            Promise.resolve({
+                ...baseAccessNoScopes,
+                scp: 'patient/*.read',
+                ext: { launch_response_patient: patientIdentity, launch_response_encounter: 'Patient/1' },
+            }),
+        );
+
+        await expect(authZHandler.verifyAccessToken(request)).rejects.toThrowError(UnauthorizedError);
+    });
+    test('encounter claim is ignored without patient scopes', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockImplementation(() =>
+            Promise.resolve({
+                ...baseAccessNoScopes,
+                scp: 'user/*.read',
+                ...patientFhirUser,
+                ext: { launch_response_encounter: 'enc-1' },
+            }),
+        );
+
+        const userIdentity = await authZHandler.verifyAccessToken(request);
+        expect(userIdentity.encounterLaunchContext).toBeUndefined();
+    });
+});
+
+describe('verifyAccessToken; named operations', () => {
+    const operationsScopeRule = (): ScopeRule => {
+        const rule = scopeRule();
+        rule.patient.operations = { read: [{ name: '$everything', levels: ['instance'], resourceTypes: ['Patient'] }] };
+        rule.user.operations = {
+            read: [
+                { name: '$everything', levels: ['instance'], resourceTypes: ['Patient'] },
+                { name: '$export', levels: ['type'], resourceTypes: ['Patient'] },
+            ],
+        };
+        return rule;
+    };
+    const getHandler = () =>
+        new SMARTHandler(
+            { ...baseAuthZConfig(), scopeRule: operationsScopeRule() },
+            apiUrl,
+            '4.0.1',
+            [],
+            ['Practitioner'],
+        );
+    const operationRequest = (url: string): VerifyAccessTokenRequest => ({
+        accessToken: 'fake',
+        operation: 'read',
+        resourceType: 'Patient',
+        requestContext: { url, hostname: 'fhir.server.com', headers: {}, contextInfo: {} },
+    });
+
+    test('instance level operation of the patient in context', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...baseAccessNoScopes,
+            ...patientContext,
+            scp: ['patient/Patient.read'],
+        });
+        const authZHandler = getHandler();
+        await expect(
+            authZHandler.verifyAccessToken(operationRequest(`${apiUrl}/${patientId}/$everything`)),
+        ).resolves.toMatchObject({ usableScopes: ['patient/Patient.read'] });
+        await expect(
+            authZHandler.verifyAccessToken(operationRequest(`${apiUrl}/Patient/other/$everything`)),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested operation'));
+    });
+
+    test('instance level operation of another resourceType is checked on the stored instance', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...baseAccessNoScopes,
+            ...patientContext,
+            scp: ['patient/Observation.read'],
+        });
+        const rule = operationsScopeRule();
+        rule.patient.operations = { read: [{ name: '$meta', levels: ['instance'], resourceTypes: ['Observation'] }] };
+        const otherPatientObservation = { ...validPatientObservation, subject: { reference: 'Patient/other' } };
+        const readResource = jest.fn(async (resourceType: string, resourceId: string) => {
+            if (resourceId === 'missing') {
+                return undefined;
+            }
+            return resourceId === 'other' ? otherPatientObservation : validPatientObservation;
+        });
+        const auditEventSink = jest.fn();
+        const authZHandler = new SMARTHandler(
+            { ...baseAuthZConfig(), scopeRule: rule, readResource, auditEventSink },
+            apiUrl,
+            '4.0.1',
+        );
+        const request = (instanceId: string) => ({
+            ...operationRequest(`${apiUrl}/Observation/${instanceId}/$meta`),
+            resourceType: 'Observation',
+        });
+
+        await expect(authZHandler.verifyAccessToken(request(validPatientObservation.id))).resolves.toBeDefined();
+        expect(readResource).toHaveBeenCalledWith('Observation', validPatientObservation.id, apiUrl);
+        await expect(authZHandler.verifyAccessToken(request('missing'))).resolves.toBeDefined();
+        await expect(authZHandler.verifyAccessToken(request('other'))).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+        expect(auditEventSink).toHaveBeenLastCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'no-reference' }),
+        );
+        await expect(
+            new SMARTHandler({ ...baseAuthZConfig(), scopeRule: rule }, apiUrl, '4.0.1').verifyAccessToken(
+                request(validPatientObservation.id),
+            ),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested operation'));
+    });
+
+    test('operations the scope rule does not declare are rejected', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...baseAccessNoScopes,
+            ...patientContext,
+            scp: ['patient/*.read'],
+        });
+        const authZHandler = getHandler();
+        await expect(
+            authZHandler.verifyAccessToken(operationRequest(`${apiUrl}/${patientId}/$purge`)),
+        ).rejects.toThrowError(new UnauthorizedError('access_token does not have permission for requested operation'));
+        await expect(
+            authZHandler.verifyAccessToken(operationRequest(`${apiUrl}/Patient/$everything`)),
+        ).rejects.toThrowError(new UnauthorizedError('access_token does not have permission for requested operation'));
     });
-    test('Invalid configuration', async () => {
-        // BUILD
-        const config: SMARTConfig = { ...authZConfig, jwksEndpoint: '' };
-        const handler: SMARTHandler = new SMARTHandler(config, apiUrl, '4.0.1');
 
-        // CHECK
-        expect(
-            handler.verifyAccessToken({
-                accessToken: 'fake',
-                operation: 'create',
-                resourceType: 'Patient',
-            }),
-        ).rejects.toThrowError(Error);
+    test('patient level export', async () => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...baseAccessNoScopes,
+            ...practitionerFhirUser,
+            scp: ['user/*.read'],
+        });
+        const request: VerifyAccessTokenRequest = {
+            accessToken: 'fake',
+            operation: 'read',
+            resourceType: '',
+            bulkDataAuth: { exportType: 'patient', operation: 'initiate-export' },
+        };
+        await expect(getHandler().verifyAccessToken(request)).resolves.toMatchObject({
+            usableScopes: ['user/*.read'],
+        });
+        await expect(
+            new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1', [], ['Practitioner']).verifyAccessToken(request),
+        ).rejects.toThrowError(new UnauthorizedError('access_token does not have permission for requested operation'));
     });
 });
 
@@ -1201,6 +2821,90 @@ describe('authorizeAndFilterReadResponse', () => {
             true,
             searchAllEntitiesMatch,
         ],
+        [
+            'READ: SMART v2 scope with query parameters; Patient able to read own Observation matching the constraint',
+            {
+                userIdentity: {
+                    ...baseAccessNoScopes,
+                    scopes: ['patient/Observation.rs?status=final'],
+                    usableScopes: ['patient/Observation.rs?status=final'],
+                    patientLaunchContext: patientFhirResource,
+                },
+                operation: 'read',
+                readResponse: validPatientObservation,
+            },
+            true,
+            validPatientObservation,
+        ],
+        [
+            'READ: SMART v2 scope with query parameters; Patient unable to read own Observation outside the constraint',
+            {
+                userIdentity: {
+                    ...baseAccessNoScopes,
+                    scopes: ['patient/Observation.rs?status=amended'],
+                    usableScopes: ['patient/Observation.rs?status=amended'],
+                    patientLaunchContext: patientFhirResource,
+                },
+                operation: 'read',
+                readResponse: validPatientObservation,
+            },
+            false,
+            {},
+        ],
+        [
+            'SEARCH: SMART v2 scope with query parameters; Patient only gets results matching the constraint',
+            {
+                userIdentity: {
+                    ...baseAccessNoScopes,
+                    scopes: ['patient/*.rs', 'patient/Observation.rs?status=amended'],
+                    usableScopes: ['patient/Patient.rs', 'patient/Observation.rs?status=amended'],
+                    patientLaunchContext: patientFhirResource,
+                },
+                operation: 'search-type',
+                readResponse: searchAllEntitiesMatch,
+            },
+            true,
+            {
+                ...searchAllEntitiesMatch,
+                entry: [createEntry(validPatient), createEntry(validPatientEncounter)],
+                total: 2,
+            },
+        ],
+        [
+            'SEARCH: patient scope with encounter context; only resources of the launched Encounter are returned',
+            {
+                userIdentity: {
+                    ...baseAccessNoScopes,
+                    scopes: ['patient/*.read'],
+                    usableScopes: ['patient/*.read'],
+                    patientLaunchContext: patientFhirResource,
+                    encounterLaunchContext: getFhirResource('Encounter/other-encounter', apiUrl),
+                },
+                operation: 'search-type',
+                readResponse: {
+                    ...searchAllEntitiesMatch,
+                    entry: [
+                        createEntry(validPatient),
+                        createEntry({
+                            ...validPatientObservation,
+                            encounter: { reference: 'Encounter/other-encounter' },
+                        }),
+                        createEntry(validPatientObservation),
+                        createEntry(validPatientEncounter),
+                    ],
+                    total: 4,
+                },
+            },
+            true,
+            {
+                ...searchAllEntitiesMatch,
+                entry: [
+                    createEntry(validPatient),
+                    createEntry({ ...validPatientObservation, encounter: { reference: 'Encounter/other-encounter' } }),
+                ],
+                total: 2,
+            },
+        ],
         [
             'SEARCH: system scope; Practitioner able to search and get ALL results',
             {
@@ -1248,6 +2952,412 @@ describe('authorizeAndFilterReadResponse', () => {
         }
     });
 });
+describe('authorizeAndFilterReadResponse; included and contained resources', () => {
+    const authZHandler = new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1');
+    const userIdentity = {
+        ...baseAccessNoScopes,
+        scopes: ['patient/Observation.read', 'patient/Encounter.read'],
+        usableScopes: ['patient/Observation.read'],
+        patientLaunchContext: patientFhirResource,
+    };
+    const encounter = { resourceType: 'Encounter', id: 'enc', subject: { reference: patientId } };
+    const otherPatientObservation = {
+        ...validPatientObservation,
+        id: 'other',
+        subject: { reference: 'Patient/other' },
+    };
+    const searchEntry = (resource: any, mode: string) => ({
+        fullUrl: `${apiUrl}/${resource.resourceType}/${resource.id}`,
+        resource,
+        search: { mode },
+    });
+
+    test('SEARCH: included resources are checked against the scopes of their resourceType', async () => {
+        const readResponse = {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            total: 2,
+            entry: [
+                searchEntry(validPatientObservation, 'match'),
+                searchEntry(otherPatientObservation, 'match'),
+                searchEntry(validPatient, 'include'),
+                searchEntry(encounter, 'include'),
+            ],
+        };
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({ userIdentity, operation: 'search-type', readResponse }),
+        ).resolves.toEqual({
+            ...readResponse,
+            total: 1,
+            entry: [searchEntry(validPatientObservation, 'match'), searchEntry(encounter, 'include')],
+        });
+    });
+
+    test('SEARCH: without a total only the matches are counted', async () => {
+        const readResponse = {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            entry: [searchEntry(validPatientObservation, 'match'), searchEntry(encounter, 'include')],
+        };
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({ userIdentity, operation: 'search-type', readResponse }),
+        ).resolves.toMatchObject({ total: 1 });
+    });
+
+    test('READ: contained resources are removed when the scopes do not permit their resourceType', async () => {
+        const containedEncounter = { resourceType: 'Encounter', id: 'enc' };
+        const containedPractitioner = { resourceType: 'Practitioner', id: 'doc' };
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: { ...validPatientObservation, contained: [containedEncounter, containedPractitioner] },
+            }),
+        ).resolves.toEqual({ ...validPatientObservation, contained: [containedEncounter] });
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity,
+                operation: 'read',
+                readResponse: { ...validPatientObservation, contained: [containedPractitioner] },
+            }),
+        ).resolves.toEqual(validPatientObservation);
+    });
+
+    test('READ: contained resources are kept with wildcard scopes', async () => {
+        const readResponse = { ...validPatientObservation, contained: [{ resourceType: 'Practitioner', id: 'doc' }] };
+        await expect(
+            authZHandler.authorizeAndFilterReadResponse({
+                userIdentity: { ...userIdentity, scopes: ['patient/*.read'], usableScopes: ['patient/*.read'] },
+                operation: 'read',
+                readResponse,
+            }),
+        ).resolves.toBe(readResponse);
+    });
+});
+
+describe('authorizeAndFilterReadResponse; redaction', () => {
+    const ssnSystem = 'http://hl7.org/fhir/sid/us-ssn';
+    const getHandler = (auditEventSink?: jest.Mock) =>
+        new SMARTHandler(
+            {
+                ...baseAuthZConfig(),
+                auditEventSink,
+                redaction: {
+                    restrictedSecurityLabels: ['R', 'PSY'],
+                    clearanceClaimPath: 'ext.clearance',
+                    elements: { patient: [{ path: 'Patient.identifier', system: ssnSystem }] },
+                },
+            },
+            apiUrl,
+            '4.0.1',
+        );
+    const patientUserIdentity = {
+        ...baseAccessNoScopes,
+        scopes: ['patient/*.read'],
+        usableScopes: ['patient/*.read'],
+        patientLaunchContext: patientFhirResource,
+    };
+    const patientWithSsn = {
+        ...validPatient,
+        identifier: [
+            { system: ssnSystem, value: '123-45-6789' },
+            { system: 'http://hospital.example.com/mrn', value: 'MRN1' },
+        ],
+    };
+    const restrictedObservation = {
+        ...validPatientObservation,
+        id: 'restricted',
+        meta: { security: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality', code: 'R' }] },
+    };
+    const redactedPatient = {
+        ...validPatient,
+        meta: { ...validPatient.meta, security: [REDACTED_SECURITY_LABEL] },
+        identifier: [{ system: 'http://hospital.example.com/mrn', value: 'MRN1' }],
+    };
+
+    test('READ: configured elements are removed', async () => {
+        await expect(
+            getHandler().authorizeAndFilterReadResponse({
+                userIdentity: patientUserIdentity,
+                operation: 'read',
+                readResponse: patientWithSsn,
+            }),
+        ).resolves.toEqual(redactedPatient);
+    });
+
+    test('READ: elements are only removed for the configured scope type', async () => {
+        await expect(
+            getHandler().authorizeAndFilterReadResponse({
+                userIdentity: {
+                    ...patientUserIdentity,
+                    scopes: ['user/*.read'],
+                    usableScopes: ['user/*.read'],
+                    fhirUserObject: patientFhirResource,
+                    ext: { clearance: ['R', 'PSY'] },
+                },
+                operation: 'read',
+                readResponse: patientWithSsn,
+            }),
+        ).resolves.toBe(patientWithSsn);
+    });
+
+    test('READ: resource labeled with an uncleared security label is withheld', async () => {
+        const auditEventSink = jest.fn();
+        await expect(
+            getHandler(auditEventSink).authorizeAndFilterReadResponse({
+                userIdentity: patientUserIdentity,
+                operation: 'read',
+                readResponse: restrictedObservation,
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested resource'));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'security-label' }),
+        );
+    });
+
+    test('READ: requestor cleared for the security label', async () => {
+        await expect(
+            getHandler().authorizeAndFilterReadResponse({
+                userIdentity: { ...patientUserIdentity, ext: { clearance: ['R'] } },
+                operation: 'read',
+                readResponse: restrictedObservation,
+            }),
+        ).resolves.toEqual(restrictedObservation);
+    });
+
+    test('SEARCH: entries are withheld and redacted', async () => {
+        const searchResult = {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            total: 3,
+            entry: [
+                createEntry(patientWithSsn),
+                createEntry(restrictedObservation),
+                createEntry(validPatientObservation),
+            ],
+        };
+        await expect(
+            getHandler().authorizeAndFilterReadResponse({
+                userIdentity: patientUserIdentity,
+                operation: 'search-type',
+                readResponse: searchResult,
+            }),
+        ).resolves.toEqual({
+            ...searchResult,
+            total: 2,
+            entry: [
+                { ...createEntry(patientWithSsn), resource: redactedPatient },
+                createEntry(validPatientObservation),
+            ],
+        });
+    });
+});
+
+describe('consent', () => {
+    const substanceAbuseLabel = { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'ETH' };
+    const part2Consent = {
+        resourceType: 'Consent',
+        status: 'active',
+        provision: {
+            type: 'permit',
+            provision: [
+                {
+                    type: 'deny',
+                    securityLabel: [substanceAbuseLabel],
+                    provision: [
+                        {
+                            type: 'permit',
+                            actor: [{ reference: { reference: 'Practitioner/treating' } }],
+                            action: [{ coding: [{ code: 'access' }] }],
+                        },
+                    ],
+                },
+            ],
+        },
+    };
+    const labeledObservation = {
+        ...validPatientObservation,
+        id: 'labeled',
+        meta: { security: [substanceAbuseLabel] },
+    };
+    const practitionerUserIdentity = {
+        ...baseAccessNoScopes,
+        scopes: ['user/*.*'],
+        usableScopes: ['user/*.*'],
+        fhirUserObject: practitionerFhirResource,
+    };
+    const treatingPractitioner = getFhirResource('Practitioner/treating', apiUrl);
+    const getHandler = (getConsents: jest.Mock, auditEventSink?: jest.Mock) =>
+        new SMARTHandler({ ...baseAuthZConfig(), auditEventSink, consent: { getConsents } }, apiUrl, '4.0.1', [
+            'Practitioner',
+        ]);
+
+    test('READ: denied by the Consent of the patient', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        const auditEventSink = jest.fn();
+        await expect(
+            getHandler(getConsents, auditEventSink).authorizeAndFilterReadResponse({
+                userIdentity: practitionerUserIdentity,
+                operation: 'read',
+                readResponse: labeledObservation,
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested resource'));
+        expect(getConsents).toHaveBeenCalledWith(patientFhirResource, apiUrl);
+        expect(auditEventSink).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'deny', rule: 'consent' }));
+    });
+
+    test('READ: permitted by a nested provision of the Consent', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        await expect(
+            getHandler(getConsents).authorizeAndFilterReadResponse({
+                userIdentity: { ...practitionerUserIdentity, fhirUserObject: treatingPractitioner },
+                operation: 'read',
+                readResponse: labeledObservation,
+            }),
+        ).resolves.toEqual(labeledObservation);
+    });
+
+    test('READ: patients are not restricted by their own Consents', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        await expect(
+            getHandler(getConsents).authorizeAndFilterReadResponse({
+                userIdentity: {
+                    ...baseAccessNoScopes,
+                    scopes: ['user/*.read'],
+                    usableScopes: ['user/*.read'],
+                    fhirUserObject: patientFhirResource,
+                },
+                operation: 'read',
+                readResponse: labeledObservation,
+            }),
+        ).resolves.toEqual(labeledObservation);
+        expect(getConsents).not.toHaveBeenCalled();
+    });
+
+    test('READ: denied when the Consents cannot be looked up', async () => {
+        const auditEventSink = jest.fn();
+        await expect(
+            getHandler(jest.fn().mockRejectedValue(new Error('boom')), auditEventSink).authorizeAndFilterReadResponse({
+                userIdentity: practitionerUserIdentity,
+                operation: 'read',
+                readResponse: validPatientObservation,
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'consent-unavailable' }),
+        );
+    });
+
+    test('READ: defaultDecision applies when no Consent applies', async () => {
+        const handler = new SMARTHandler(
+            {
+                ...baseAuthZConfig(),
+                consent: { getConsents: jest.fn().mockResolvedValue([]), defaultDecision: 'deny' },
+            },
+            apiUrl,
+            '4.0.1',
+        );
+        await expect(
+            handler.authorizeAndFilterReadResponse({
+                userIdentity: practitionerUserIdentity,
+                operation: 'read',
+                readResponse: validPatientObservation,
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+    });
+
+    test('SEARCH: denied entries are filtered out and the Consents are looked up once', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        const searchResult = {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            total: 2,
+            entry: [createEntry(labeledObservation), createEntry(validPatientObservation)],
+        };
+        await expect(
+            getHandler(getConsents).authorizeAndFilterReadResponse({
+                userIdentity: practitionerUserIdentity,
+                operation: 'search-type',
+                readResponse: searchResult,
+            }),
+        ).resolves.toEqual({ ...searchResult, total: 1, entry: [createEntry(validPatientObservation)] });
+        expect(getConsents).toHaveBeenCalledTimes(1);
+    });
+
+    test('WRITE: denied by the Consent of the patient', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        await expect(
+            getHandler(getConsents).isWriteRequestAuthorized({
+                userIdentity: { ...practitionerUserIdentity, fhirUserObject: treatingPractitioner },
+                operation: 'update',
+                resourceBody: labeledObservation,
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested operation'));
+        await expect(
+            getHandler(getConsents).isWriteRequestAuthorized({
+                userIdentity: { ...practitionerUserIdentity, fhirUserObject: treatingPractitioner },
+                operation: 'update',
+                resourceBody: validPatientObservation,
+            }),
+        ).resolves.toBeUndefined();
+    });
+
+    const patientAppUserIdentity = {
+        ...baseAccessNoScopes,
+        scopes: ['patient/*.read'],
+        usableScopes: ['patient/*.read'],
+        patientLaunchContext: patientFhirResource,
+    };
+
+    test('READ: an app launched in the patient context is not restricted by the Consents of its patient', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        await expect(
+            getHandler(getConsents).authorizeAndFilterReadResponse({
+                userIdentity: patientAppUserIdentity,
+                operation: 'read',
+                readResponse: labeledObservation,
+            }),
+        ).resolves.toEqual(labeledObservation);
+        expect(getConsents).not.toHaveBeenCalled();
+    });
+
+    test('READ: an app launched in the patient context is restricted by the Consents of other patients', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        const otherPatientObservation = {
+            ...labeledObservation,
+            subject: { reference: 'Patient/other' },
+            performer: [{ reference: patientId }],
+        };
+        await expect(
+            getHandler(getConsents).authorizeAndFilterReadResponse({
+                userIdentity: patientAppUserIdentity,
+                operation: 'read',
+                readResponse: otherPatientObservation,
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+        expect(getConsents).toHaveBeenCalledWith(getFhirResource('Patient/other', apiUrl), apiUrl);
+    });
+
+    test('SEARCH FILTER: an app launched in the patient context is not filtered by the Consents of its patient', async () => {
+        const getConsents = jest.fn().mockResolvedValue([part2Consent]);
+        await expect(
+            getHandler(getConsents).getSearchFilterBasedOnIdentity({
+                userIdentity: patientAppUserIdentity,
+                operation: 'search-type',
+                resourceType: 'Observation',
+            }),
+        ).resolves.toEqual([
+            {
+                key: '_references',
+                value: [patientIdentity, patientId],
+                comparisonOperator: '==',
+                logicalOperator: 'OR',
+            },
+        ]);
+        expect(getConsents).not.toHaveBeenCalled();
+    });
+});
+
 describe('isWriteRequestAuthorized', () => {
     const cases: (string | WriteRequestAuthorizedRequest | boolean)[][] = [
         [
@@ -1342,9 +3452,23 @@ describe('isWriteRequestAuthorized', () => {
                     fhirUserObject: externalPractitionerFhirResource,
                 },
                 operation: 'update',
-                resourceBody: validPatient,
+                resourceBody: validPatient,
+            },
+            true,
+        ],
+        [
+            'UPDATE: SMART v2 scope with query parameters; Patient unable to write Observation outside the constraint',
+            {
+                userIdentity: {
+                    ...baseAccessNoScopes,
+                    scopes: ['patient/Observation.u?status=preliminary'],
+                    usableScopes: ['patient/Observation.u?status=preliminary'],
+                    patientLaunchContext: patientFhirResource,
+                },
+                operation: 'update',
+                resourceBody: validPatientObservation,
             },
-            true,
+            false,
         ],
     ];
 
@@ -1381,6 +3505,289 @@ describe('isWriteRequestAuthorized', () => {
     });
 });
 
+describe('isWriteRequestAuthorized; stored resource', () => {
+    const otherPatientIdentity = `${apiUrl}/Patient/other`;
+    const storedObservation = { ...validPatientObservation, performer: [{ reference: practitionerIdentity }] };
+    const patientUserIdentity = {
+        ...baseAccessNoScopes,
+        scopes: ['patient/*.write'],
+        usableScopes: ['patient/*.write'],
+        patientLaunchContext: patientFhirResource,
+    };
+    const practitionerUserIdentity = {
+        ...patientUserIdentity,
+        scopes: ['patient/*.write', 'user/*.write'],
+        usableScopes: ['patient/*.write', 'user/*.write'],
+        fhirUserObject: practitionerFhirResource,
+    };
+    const requestContext = (url: string) => ({ url, hostname: 'fhir.server.com', headers: {}, contextInfo: {} });
+    const getHandler = (readResource: jest.Mock, auditEventSink: jest.Mock) =>
+        new SMARTHandler({ ...baseAuthZConfig(), auditEventSink, writeGuard: { readResource } }, apiUrl, '4.0.1', []);
+
+    const cases: [string, any, any, string | undefined][] = [
+        [
+            'UPDATE: own Observation',
+            {
+                userIdentity: patientUserIdentity,
+                operation: 'update',
+                resourceBody: { ...storedObservation, status: 'amended' },
+            },
+            storedObservation,
+            undefined,
+        ],
+        [
+            'UPDATE: Observation of another patient claimed by its body',
+            { userIdentity: patientUserIdentity, operation: 'update', resourceBody: storedObservation },
+            { ...storedObservation, subject: { reference: otherPatientIdentity }, performer: [] },
+            'no-reference',
+        ],
+        [
+            'UPDATE: own Observation given to another patient',
+            {
+                userIdentity: patientUserIdentity,
+                operation: 'update',
+                resourceBody: { ...storedObservation, subject: { reference: otherPatientIdentity } },
+            },
+            storedObservation,
+            'no-reference',
+        ],
+        [
+            'UPDATE: Observation moved out of the patient compartment while still referencing the fhirUser',
+            {
+                userIdentity: practitionerUserIdentity,
+                operation: 'update',
+                resourceBody: { ...storedObservation, subject: { reference: otherPatientIdentity } },
+            },
+            storedObservation,
+            'ownership-change',
+        ],
+        [
+            'UPDATE: Observation moved into the patient compartment',
+            { userIdentity: practitionerUserIdentity, operation: 'update', resourceBody: storedObservation },
+            { ...storedObservation, subject: { reference: otherPatientIdentity } },
+            'ownership-change',
+        ],
+        [
+            'UPDATE: system scope may reassign the Observation',
+            {
+                userIdentity: { ...baseAccessNoScopes, scopes: ['system/*.write'], usableScopes: ['system/*.write'] },
+                operation: 'update',
+                resourceBody: { ...storedObservation, subject: { reference: otherPatientIdentity } },
+            },
+            storedObservation,
+            undefined,
+        ],
+        [
+            'UPDATE: resource that does not exist is checked like a create',
+            { userIdentity: patientUserIdentity, operation: 'update', resourceBody: storedObservation },
+            undefined,
+            undefined,
+        ],
+        [
+            'UPDATE: body of another resource',
+            {
+                userIdentity: patientUserIdentity,
+                operation: 'update',
+                resourceBody: { ...storedObservation, id: 'other' },
+                requestContext: requestContext(`${apiUrl}/Observation/${storedObservation.id}`),
+            },
+            storedObservation,
+            'stored-resource-mismatch',
+        ],
+        [
+            'PATCH: own Observation',
+            {
+                userIdentity: patientUserIdentity,
+                operation: 'patch',
+                resourceBody: [{ op: 'replace', path: '/status', value: 'amended' }],
+                requestContext: requestContext(`${apiUrl}/Observation/${storedObservation.id}`),
+            },
+            storedObservation,
+            undefined,
+        ],
+        [
+            'PATCH: own Observation given to another patient',
+            {
+                userIdentity: practitionerUserIdentity,
+                operation: 'patch',
+                resourceBody: [{ op: 'replace', path: '/subject/reference', value: otherPatientIdentity }],
+                requestContext: requestContext(`${apiUrl}/Observation/${storedObservation.id}`),
+            },
+            storedObservation,
+            'ownership-change',
+        ],
+        [
+            'PATCH: Observation of another patient',
+            {
+                userIdentity: patientUserIdentity,
+                operation: 'patch',
+                resourceBody: [{ op: 'replace', path: '/subject/reference', value: patientIdentity }],
+                requestContext: requestContext(`${apiUrl}/Observation/${storedObservation.id}`),
+            },
+            { ...storedObservation, subject: { reference: otherPatientIdentity }, performer: [] },
+            'no-reference',
+        ],
+        [
+            'PATCH: invalid JSON Patch',
+            {
+                userIdentity: patientUserIdentity,
+                operation: 'patch',
+                resourceBody: [{ op: 'replace', path: '/note/0/text', value: 'note' }],
+                requestContext: requestContext(`${apiUrl}/Observation/${storedObservation.id}`),
+            },
+            storedObservation,
+            'invalid-patch',
+        ],
+        [
+            'PATCH: resource that does not exist',
+            {
+                userIdentity: patientUserIdentity,
+                operation: 'patch',
+                resourceBody: [{ op: 'replace', path: '/status', value: 'amended' }],
+                requestContext: requestContext(`${apiUrl}/Observation/${storedObservation.id}`),
+            },
+            undefined,
+            'stored-resource-missing',
+        ],
+    ];
+
+    test.each(cases)('CASE: %p', async (_title, request, storedResource, denyRule) => {
+        const readResource = jest.fn().mockResolvedValue(storedResource);
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler(readResource, auditEventSink);
+        if (denyRule) {
+            await expect(authZHandler.isWriteRequestAuthorized(request)).rejects.toThrowError(
+                new UnauthorizedError('User does not have permission for requested operation'),
+            );
+        } else {
+            await expect(authZHandler.isWriteRequestAuthorized(request)).resolves.toBeUndefined();
+        }
+        expect(readResource).toHaveBeenCalledWith('Observation', storedObservation.id, apiUrl);
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'isWriteRequestAuthorized',
+                resourceType: 'Observation',
+                outcome: denyRule ? 'deny' : 'allow',
+                ...(denyRule && { rule: denyRule }),
+            }),
+        );
+    });
+
+    test('conditional updates must be limited to the references of the requestor', async () => {
+        const readResource = jest.fn();
+        const auditEventSink = jest.fn();
+        const conditionalUpdate = (url: string, userIdentity: any = patientUserIdentity) => ({
+            userIdentity,
+            operation: <const>'update',
+            resourceBody: { ...storedObservation, id: undefined },
+            requestContext: requestContext(url),
+        });
+        await expect(
+            getHandler(readResource, auditEventSink).isWriteRequestAuthorized(
+                conditionalUpdate(`${apiUrl}/Observation?identifier=123`),
+            ),
+        ).rejects.toThrowError(new UnauthorizedError('User does not have permission for requested operation'));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ resourceType: 'Observation', outcome: 'deny', rule: 'conditional-url' }),
+        );
+        await expect(
+            getHandler(readResource, jest.fn()).isWriteRequestAuthorized(
+                conditionalUpdate(`${apiUrl}/Observation?identifier=123&patient=${patientId}`),
+            ),
+        ).resolves.toBeUndefined();
+        await expect(
+            getHandler(readResource, jest.fn()).isWriteRequestAuthorized(
+                conditionalUpdate(`${apiUrl}/Observation?identifier=123`, {
+                    ...baseAccessNoScopes,
+                    scopes: ['system/*.write'],
+                    usableScopes: ['system/*.write'],
+                }),
+            ),
+        ).resolves.toBeUndefined();
+        expect(readResource).not.toHaveBeenCalled();
+    });
+
+    test('the stored resource cannot be read', async () => {
+        const readResource = jest.fn().mockRejectedValue(new Error('timeout'));
+        const auditEventSink = jest.fn();
+        await expect(
+            getHandler(readResource, auditEventSink).isWriteRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                operation: 'update',
+                resourceBody: storedObservation,
+            }),
+        ).rejects.toThrowError(UnauthorizedError);
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'stored-resource-unavailable' }),
+        );
+    });
+
+    test('Bundle updates and patches are checked on the stored resource', async () => {
+        const otherPatientObservation = {
+            ...storedObservation,
+            subject: { reference: otherPatientIdentity },
+            performer: [],
+        };
+        const readResource = jest.fn(async (resourceType: string, resourceId: string) =>
+            resourceId === 'other' ? { ...otherPatientObservation, id: 'other' } : storedObservation,
+        );
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler(readResource, auditEventSink);
+        const update = (resource: any) => ({
+            operation: <const>'update',
+            resourceType: 'Observation',
+            id: resource.id,
+            resource,
+        });
+        const patch = (resourceId: string, value: string) => ({
+            operation: <const>'patch',
+            resourceType: 'Observation',
+            id: resourceId,
+            resource: [{ op: 'replace', path: '/status', value }],
+        });
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [update({ ...storedObservation, status: 'amended' }), patch(storedObservation.id, 'final')],
+            }),
+        ).resolves.toBeUndefined();
+        expect(readResource).toHaveBeenCalledTimes(2);
+
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [update({ ...storedObservation, subject: { reference: otherPatientIdentity } })],
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('An entry within the Bundle is not authorized: Bundle.entry[0]'));
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [patch(storedObservation.id, 'final'), patch('other', 'final')],
+            }),
+        ).rejects.toThrowError(new UnauthorizedError('An entry within the Bundle is not authorized: Bundle.entry[1]'));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({
+                check: 'isBundleRequestAuthorized',
+                outcome: 'deny',
+                rule: 'no-reference',
+                bundleEntryIndex: 1,
+            }),
+        );
+    });
+
+    test('creates are not read', async () => {
+        const readResource = jest.fn();
+        await expect(
+            getHandler(readResource, jest.fn()).isWriteRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                operation: 'create',
+                resourceBody: storedObservation,
+            }),
+        ).resolves.toBeUndefined();
+        expect(readResource).not.toHaveBeenCalled();
+    });
+});
+
 describe('isAccessBulkDataJobAllowed', () => {
     const authZHandler: SMARTHandler = new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1');
 
@@ -1426,6 +3833,72 @@ describe('isAccessBulkDataJobAllowed', () => {
     });
 });
 
+describe('verifyAccessToken; Group export', () => {
+    const request = (url: string): VerifyAccessTokenRequest => ({
+        accessToken: 'fake',
+        operation: 'read',
+        resourceType: '',
+        bulkDataAuth: { exportType: 'group', operation: 'initiate-export' },
+        requestContext: { url, hostname: 'fhir.server.com', headers: {}, contextInfo: {} },
+    });
+    const getHandler = (groupExport: SMARTConfig['groupExport'], auditEventSink?: jest.Mock) =>
+        new SMARTHandler({ ...baseAuthZConfig(), groupExport, auditEventSink }, apiUrl, '4.0.1');
+
+    beforeEach(() => {
+        jest.spyOn(smartAuthorizationHelper, 'verifyJwtToken').mockResolvedValue({
+            ...baseAccessNoScopes,
+            client_id: 'app',
+            scp: ['system/*.read'],
+        });
+    });
+
+    test('the client exports the Groups it is allowed to', async () => {
+        const auditEventSink = jest.fn();
+        const authZHandler = getHandler({ allowedGroups: { app: ['group-1'] } }, auditEventSink);
+        await expect(authZHandler.verifyAccessToken(request(`${apiUrl}/Group/group-1/$export`))).resolves.toMatchObject(
+            { client_id: 'app' },
+        );
+        await expect(authZHandler.verifyAccessToken(request(`${apiUrl}/Group/group-2/$export`))).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+        await expect(authZHandler.verifyAccessToken(request(`${apiUrl}/$export`))).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'group-export', clientId: 'app' }),
+        );
+    });
+
+    test('the members of the Group must be within the population of the client', async () => {
+        const getGroupMembers = jest.fn().mockResolvedValue([patientFhirResource]);
+        const getAllowedPopulation = jest.fn().mockResolvedValue([patientFhirResource]);
+        const authZHandler = getHandler({ population: { getGroupMembers, getAllowedPopulation } });
+        await expect(authZHandler.verifyAccessToken(request(`${apiUrl}/Group/group-1/$export`))).resolves.toBeDefined();
+        expect(getGroupMembers).toHaveBeenCalledWith('group-1', apiUrl);
+        expect(getAllowedPopulation).toHaveBeenCalledWith('app', apiUrl);
+
+        getAllowedPopulation.mockResolvedValue([]);
+        await expect(authZHandler.verifyAccessToken(request(`${apiUrl}/Group/group-1/$export`))).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+
+        getGroupMembers.mockRejectedValue(new Error('Group group-1 was not found'));
+        await expect(authZHandler.verifyAccessToken(request(`${apiUrl}/Group/group-1/$export`))).rejects.toThrowError(
+            new UnauthorizedError('User does not have permission for requested operation'),
+        );
+    });
+
+    test('status and cancel requests are not restricted', async () => {
+        const authZHandler = getHandler({ allowedGroups: {} });
+        await expect(
+            authZHandler.verifyAccessToken({
+                ...request(`${apiUrl}/$export/job-1`),
+                bulkDataAuth: { exportType: 'group', operation: 'get-status-export' },
+            }),
+        ).resolves.toBeDefined();
+    });
+});
+
 describe('isBundleRequestAuthorized', () => {
     const authZConfigWithSearchTypeScope = baseAuthZConfig();
     authZConfigWithSearchTypeScope.scopeRule.user.write = ['create'];
@@ -1532,14 +4005,14 @@ describe('isBundleRequestAuthorized', () => {
                     resource: patientIdentity,
                     fullUrl: patientIdentity,
                     resourceType: 'Patient',
-                    id: '160265f7-e8c2-45ca-a1bc-317399e23548',
+                    id,
                 },
             ],
         };
 
         if (!isAuthorized) {
             await expect(authZHandler.isBundleRequestAuthorized(request)).rejects.toThrowError(
-                new UnauthorizedError('An entry within the Bundle is not authorized'),
+                /^An entry within the Bundle is not authorized: Bundle\.entry\[\d\]$/,
             );
         } else {
             await expect(authZHandler.isBundleRequestAuthorized(request)).resolves.not.toThrow();
@@ -1547,6 +4020,211 @@ describe('isBundleRequestAuthorized', () => {
     });
 });
 
+describe('isBundleRequestAuthorized; entries', () => {
+    const authZHandler = new SMARTHandler(baseAuthZConfig(), apiUrl, '4.0.1');
+    const patientUserIdentity = {
+        ...baseAccessNoScopes,
+        scopes: ['patient/*.*'],
+        patientLaunchContext: patientFhirResource,
+    };
+    const read = (resourceType: string, resourceId: string): BatchReadWriteRequest => ({
+        operation: 'read',
+        resourceType,
+        id: resourceId,
+        resource: `${resourceType}/${resourceId}`,
+        fullUrl: '',
+    });
+    const deniedEntry = (index: number) =>
+        new UnauthorizedError(`An entry within the Bundle is not authorized: Bundle.entry[${index}]`);
+
+    test('reads are checked by id', async () => {
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [read('Patient', id)],
+            }),
+        ).resolves.toBeUndefined();
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [read('Patient', id), read('Patient', 'other')],
+            }),
+        ).rejects.toThrowError(deniedEntry(1));
+    });
+
+    test('reads of other resourceTypes are checked on the stored resource', async () => {
+        const otherPatientObservation = { ...validPatientObservation, subject: { reference: 'Patient/other' } };
+        const readResource = jest.fn(async (resourceType: string, resourceId: string) =>
+            resourceId === 'other' ? otherPatientObservation : validPatientObservation,
+        );
+        const auditEventSink = jest.fn();
+        const handler = new SMARTHandler({ ...baseAuthZConfig(), readResource, auditEventSink }, apiUrl, '4.0.1');
+        await expect(
+            handler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [read('Patient', id), read('Observation', validPatientObservation.id)],
+            }),
+        ).resolves.toBeUndefined();
+        expect(readResource).toHaveBeenCalledTimes(1);
+        expect(readResource).toHaveBeenCalledWith('Observation', validPatientObservation.id, apiUrl);
+        await expect(
+            handler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [read('Observation', validPatientObservation.id), read('Observation', 'other')],
+            }),
+        ).rejects.toThrowError(deniedEntry(1));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'no-reference', bundleEntryIndex: 1 }),
+        );
+    });
+
+    test('reads of other resourceTypes cannot be checked when the stored resource cannot be read', async () => {
+        const readResource = jest.fn().mockRejectedValue(new Error('timeout'));
+        const handler = new SMARTHandler({ ...baseAuthZConfig(), readResource }, apiUrl, '4.0.1');
+        await expect(
+            handler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [read('Observation', 'any')],
+            }),
+        ).rejects.toThrowError(deniedEntry(0));
+    });
+
+    test('without readResource, reads of other resourceTypes are denied', async () => {
+        const auditEventSink = jest.fn();
+        const handler = new SMARTHandler({ ...baseAuthZConfig(), auditEventSink }, apiUrl, '4.0.1');
+        await expect(
+            handler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [read('Patient', id), read('Observation', validPatientObservation.id)],
+            }),
+        ).rejects.toThrowError(deniedEntry(1));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'no-reference', bundleEntryIndex: 1 }),
+        );
+    });
+
+    test('references to the fullUrl of other entries are resolved', async () => {
+        const auditEventSink = jest.fn();
+        const handler = new SMARTHandler({ ...baseAuthZConfig(), auditEventSink }, apiUrl, '4.0.1');
+        await expect(
+            handler.isBundleRequestAuthorized({
+                userIdentity: { ...patientUserIdentity, scopes: ['patient/Observation.write', 'system/Patient.write'] },
+                requests: [
+                    {
+                        operation: 'create',
+                        resourceType: 'Patient',
+                        id: 'new',
+                        resource: { ...validPatient, id: undefined },
+                        fullUrl: patientIdentity,
+                    },
+                    {
+                        operation: 'create',
+                        resourceType: 'Observation',
+                        id: 'obs',
+                        resource: { ...validPatientObservation, subject: { reference: patientId } },
+                        fullUrl: 'urn:uuid:2',
+                    },
+                ],
+            }),
+        ).rejects.toThrowError(deniedEntry(1));
+        expect(auditEventSink).toHaveBeenCalledWith(
+            expect.objectContaining({ outcome: 'deny', rule: 'no-reference', bundleEntryIndex: 1 }),
+        );
+    });
+
+    test('a urn:uuid reference to a created Patient is not the patient in context', async () => {
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: { ...patientUserIdentity, scopes: ['patient/Observation.write', 'system/Patient.write'] },
+                requests: [
+                    {
+                        operation: 'create',
+                        resourceType: 'Patient',
+                        id: 'new',
+                        resource: { ...validPatient, id: undefined },
+                        fullUrl: 'urn:uuid:1',
+                    },
+                    {
+                        operation: 'create',
+                        resourceType: 'Observation',
+                        id: 'obs',
+                        resource: { ...validPatientObservation, subject: { reference: 'urn:uuid:1' } },
+                        fullUrl: 'urn:uuid:2',
+                    },
+                ],
+            }),
+        ).rejects.toThrowError(deniedEntry(1));
+    });
+
+    test('conditional creates and updates must be limited to the references of the requestor', async () => {
+        const conditionalCreate: ConditionalBatchReadWriteRequest = {
+            operation: 'create',
+            resourceType: 'Observation',
+            id: 'obs',
+            resource: validPatientObservation,
+            ifNoneExist: 'identifier=123',
+        };
+        const conditionalUpdate = (url: string) => ({
+            operation: <const>'update',
+            resourceType: 'Observation',
+            id: 'obs',
+            resource: validPatientObservation,
+            url,
+        });
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [conditionalUpdate(`Observation?identifier=123&patient=${patientId}`)],
+            }),
+        ).resolves.toBeUndefined();
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [conditionalUpdate('Observation?identifier=123')],
+            }),
+        ).rejects.toThrowError(deniedEntry(0));
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [conditionalCreate],
+            }),
+        ).rejects.toThrowError(deniedEntry(0));
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: { ...baseAccessNoScopes, scopes: ['system/*.*'] },
+                requests: [conditionalUpdate('Observation?identifier=123')],
+            }),
+        ).resolves.toBeUndefined();
+    });
+
+    test('patches and deletes without a resource body', async () => {
+        const patch = (resourceType: string, resourceId: string): BatchReadWriteRequest => ({
+            operation: 'patch',
+            resourceType,
+            id: resourceId,
+            resource: [{ op: 'remove', path: '/telecom' }],
+        });
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [patch('Patient', id)],
+            }),
+        ).resolves.toBeUndefined();
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: patientUserIdentity,
+                requests: [patch('Patient', id), patch('Observation', 'obs')],
+            }),
+        ).rejects.toThrowError(deniedEntry(1));
+        await expect(
+            authZHandler.isBundleRequestAuthorized({
+                userIdentity: { ...baseAccessNoScopes, scopes: ['system/*.*'] },
+                requests: [{ operation: 'delete', resourceType: 'Observation', id: 'obs', resource: undefined }],
+            }),
+        ).resolves.toBeUndefined();
+    });
+});
+
 describe('getAllowedResourceTypesForOperation', () => {
     const authZConfigWithSearchTypeScope = baseAuthZConfig();
     authZConfigWithSearchTypeScope.scopeRule.user.read = ['search-type'];
@@ -1598,6 +4276,20 @@ describe('getAllowedResourceTypesForOperation', () => {
             expectedAllowedResources,
         );
     });
+
+    test('R5 handler returns the R5 resource types for wildcard scopes', async () => {
+        const r5Handler: SMARTHandler = new SMARTHandler(authZConfigWithSearchTypeScope, apiUrl, '5.0.0');
+        const request: AllowedResourceTypesForOperationRequest = {
+            userIdentity: {
+                scopes: ['user/*.read'],
+            },
+            operation: 'search-type',
+        };
+
+        const allowedResources = await r5Handler.getAllowedResourceTypesForOperation(request);
+        expect(allowedResources).toContain('ActorDefinition');
+        expect(allowedResources).not.toContain('MedicinalProduct');
+    });
 });
 
 describe('getSearchFilterBasedOnIdentity', () => {
@@ -1846,4 +4538,103 @@ describe('getSearchFilterBasedOnIdentity', () => {
             expectedFilter,
         );
     });
+    test('SMART v2 scope with query parameters', async () => {
+        // BUILD
+        const userIdentity = {
+            ...baseAccessNoScopes,
+            scopes: ['patient/Observation.rs?subject=Patient/1', 'system/Observation.rs?subject=Patient/1'],
+            usableScopes: ['patient/Observation.rs?subject=Patient/1', 'system/Observation.rs?subject=Patient/1'],
+            patientLaunchContext: patientFhirResource,
+        };
+        const request: GetSearchFilterBasedOnIdentityRequest = {
+            userIdentity,
+            operation: 'search-type',
+            resourceType: 'Observation',
+        };
+
+        // OPERATE, CHECK
+        const expectedFilter = [
+            {
+                key: '_references',
+                logicalOperator: 'AND',
+                comparisonOperator: '==',
+                value: ['Patient/1'],
+            },
+        ];
+        await expect(authZHandler.getSearchFilterBasedOnIdentity(request)).resolves.toEqual(expectedFilter);
+
+        userIdentity.usableScopes = ['patient/Observation.rs?subject=Patient/1'];
+        await expect(authZHandler.getSearchFilterBasedOnIdentity(request)).resolves.toEqual([
+            ...expectedFilter,
+            {
+                key: '_references',
+                logicalOperator: 'OR',
+                comparisonOperator: '==',
+                value: [patientIdentity, patientId],
+            },
+        ]);
+    });
+    test('Patient & encounter context identity', async () => {
+        // BUILD
+        const userIdentity = {
+            ...baseAccessNoScopes,
+            scopes: ['patient/*.*'],
+            usableScopes: ['patient/*.*'],
+            patientLaunchContext: patientFhirResource,
+            encounterLaunchContext: getFhirResource('Encounter/enc-1', apiUrl),
+        };
+        const patientReferenceFilter = {
+            key: '_references',
+            logicalOperator: 'OR',
+            comparisonOperator: '==',
+            value: [patientIdentity, patientId],
+        };
+
+        // OPERATE, CHECK
+        await expect(
+            authZHandler.getSearchFilterBasedOnIdentity({
+                userIdentity,
+                operation: 'search-type',
+                resourceType: 'Observation',
+            }),
+        ).resolves.toEqual([
+            patientReferenceFilter,
+            {
+                key: '_references',
+                logicalOperator: 'AND',
+                comparisonOperator: '==',
+                value: [`${apiUrl}/Encounter/enc-1`, 'Encounter/enc-1'],
+            },
+        ]);
+        await expect(
+            authZHandler.getSearchFilterBasedOnIdentity({
+                userIdentity,
+                operation: 'search-type',
+                resourceType: 'Encounter',
+            }),
+        ).resolves.toEqual([
+            patientReferenceFilter,
+            {
+                key: 'id',
+                logicalOperator: 'AND',
+                comparisonOperator: '==',
+                value: ['enc-1'],
+            },
+        ]);
+        await expect(
+            authZHandler.getSearchFilterBasedOnIdentity({
+                userIdentity,
+                operation: 'search-type',
+                resourceType: 'Patient',
+            }),
+        ).resolves.toEqual([
+            patientReferenceFilter,
+            {
+                key: 'id',
+                logicalOperator: 'OR',
+                comparisonOperator: '==',
+                value: [id],
+            },
+        ]);
+    });
 });
@@ -12,38 +12,199 @@ import {
     WriteRequestAuthorizedRequest,
     AccessBulkDataJobRequest,
     BatchReadWriteRequest,
-    BASE_R4_RESOURCES,
-    FhirVersion,
-    BASE_STU3_RESOURCES,
     GetSearchFilterBasedOnIdentityRequest,
     SearchFilter,
     clone,
+    KeyValueMap,
+    SystemOperation,
+    TypeOperation,
 } from 'fhir-works-on-aws-interface';
 import get from 'lodash/get';
 import { JwksClient } from 'jwks-rsa';
-import { SMARTConfig, UserIdentity } from './smartConfig';
+import { getFhirVersionDefinition, SupportedFhirVersion } from './fhirVersionHelper';
+import {
+    AuthorizationAuditEvent,
+    AuthorizationCheck,
+    FhirContextItem,
+    JtiReplayStore,
+    FhirResource,
+    IntrospectionOptions,
+    RevocationEntry,
+    ScopeRule,
+    SMARTConfig,
+    TrustedIssuer,
+    UserIdentity,
+} from './smartConfig';
 import {
     convertScopeToSmartScope,
     filterOutUnusableScope,
+    getScopeQueryParamSearchFilters,
+    getNamedOperation,
     getScopes,
-    getValidOperationsForScopeTypeAndAccessType,
+    getValidOperationsForSmartScope,
+    isResourceWithinScopeConstraints,
     isScopeSufficient,
     SEARCH_OPERATIONS,
 } from './smartScopeHelper';
 import {
+    canReferenceResourceType,
     getFhirResource,
     getFhirUser,
     getJwksClient,
+    getResourceReferencesMatrix,
+    getUnverifiedClaims,
+    getUnverifiedIssuer,
     verifyJwtToken,
     introspectJwtToken,
-    hasAccessToResource,
+    getResourceAccessRule,
     hasSystemAccess,
     isFhirUserAdmin,
+    ResourceAccessRule,
 } from './smartAuthorizationHelper';
+import {
+    buildSmartConfiguration,
+    SmartConfigurationDocument,
+    validateSmartConfigEndpoints,
+} from './smartDiscoveryHelper';
+import { AuthorizationTrace, explainScopes, ExplainRequest, getReferenceTrace, ResourceTrace } from './explainHelper';
+import { getGroupExportClientId, isGroupAllowedForClient, isGroupWithinPopulation } from './groupExportHelper';
+import { evaluateConsents, getConsentActions, getConsentPatient } from './consentHelper';
+import {
+    ConditionalBatchReadWriteRequest,
+    getBundleReferenceTargets,
+    isConditionWithinReferences,
+    parseConditionalUrl,
+    resolveBundleReferences,
+} from './bundleHelper';
+import { getBreakTheGlassAccess, isBreakTheGlassActive, isBreakTheGlassGranted } from './breakTheGlassHelper';
+import { applyJsonPatch, getReassignedIdentities, getWriteCondition, getWriteTarget } from './writeGuardHelper';
+import {
+    getPurposesOfUse,
+    getResourceTypesAllowedForPurposesOfUse,
+    getUnknownPurposesOfUse,
+    isRequestAllowedForPurposesOfUse,
+    isResourceAllowedForPurposesOfUse,
+} from './purposeOfUseHelper';
+import { isAccessTokenWithinAccessWindow } from './accessWindowHelper';
+import {
+    DEFAULT_LOGOUT_TOKEN_MAX_AGE_SECONDS,
+    getBackChannelLogoutEntry,
+    TokenRevocationList,
+} from './revocationHelper';
+import { getRedaction, isWithheldBySecurityLabel, Redaction, redactResource } from './redactionHelper';
+import { DEFAULT_ALLOWED_ALGORITHMS, validateAllowedAlgorithms } from './jwkHelper';
+import { createInMemoryJtiReplayStore, TokenCache } from './tokenCacheHelper';
+import {
+    DEFAULT_DPOP_MAX_PROOF_AGE_SECONDS,
+    getSenderConstraintMode,
+    verifyCertificateBinding,
+    verifyDPoPProof,
+} from './senderConstraintHelper';
+import { emitAuditEvent, getAuditIdentity, getGrantingScopes } from './auditHelper';
 import getComponentLogger from './loggerBuilder';
 
 const logger = getComponentLogger();
 
+/**
+ * SMART launch context for an encounter is typically just the logical id of the Encounter
+ */
+function getEncounterLaunchContext(encounterContextClaim: string, fhirServiceBaseUrl: string) {
+    const encounterLaunchContext = getFhirResource(
+        encounterContextClaim.includes('/') ? encounterContextClaim : `Encounter/${encounterContextClaim}`,
+        fhirServiceBaseUrl,
+    );
+    if (encounterLaunchContext.resourceType !== 'Encounter') {
+        throw new UnauthorizedError('Encounter launch context is in the incorrect format');
+    }
+    return encounterLaunchContext;
+}
+
+/**
+ * SMART v2.0.0 sent `fhirContext` as an array of references, later versions send objects
+ */
+function getFhirContext(fhirContextClaim: any): FhirContextItem[] {
+    if (!Array.isArray(fhirContextClaim)) {
+        throw new UnauthorizedError('fhirContext launch context is in the incorrect format');
+    }
+    return fhirContextClaim.map((item: any) => (typeof item === 'string' ? { reference: item } : item));
+}
+
+/**
+ * Settings used to verify the access_tokens of an authorization server
+ */
+interface IssuerSettings {
+    issuer: string;
+    expectedAudValue: string | RegExp;
+    fhirUserClaimPath: string;
+    launchContextPathPrefix: string;
+    scopeKey: string;
+    scopeRule: ScopeRule;
+    tokenIntrospection?: IntrospectionOptions;
+    jwksClient?: JwksClient;
+    allowedAlgorithms: string[];
+}
+
+/**
+ * @returns the claims of the access_token with its launch context and scopes
+ */
+function getUserIdentity(
+    decodedToken: any,
+    { fhirUserClaimPath, launchContextPathPrefix, issuer }: IssuerSettings,
+    scopes: string[],
+    usableScopes: string[],
+    fhirServiceBaseUrl: string,
+): UserIdentity {
+    const userIdentity: UserIdentity = clone(decodedToken);
+    const fhirUserClaim = get(decodedToken, fhirUserClaimPath);
+    const patientContextClaim = get(decodedToken, `${launchContextPathPrefix}patient`);
+    const encounterContextClaim = get(decodedToken, `${launchContextPathPrefix}encounter`);
+    const fhirContextClaim = get(decodedToken, `${launchContextPathPrefix}fhirContext`);
+    const intentClaim = get(decodedToken, `${launchContextPathPrefix}intent`);
+    if (fhirUserClaim && usableScopes.some((scope) => scope.startsWith('user/'))) {
+        userIdentity.fhirUserObject = getFhirUser(fhirUserClaim);
+    }
+    if (patientContextClaim && usableScopes.some((scope) => scope.startsWith('patient/'))) {
+        userIdentity.patientLaunchContext = getFhirResource(patientContextClaim, fhirServiceBaseUrl);
+        if (encounterContextClaim) {
+            userIdentity.encounterLaunchContext = getEncounterLaunchContext(encounterContextClaim, fhirServiceBaseUrl);
+        }
+    }
+    if (fhirContextClaim) {
+        userIdentity.fhirContext = getFhirContext(fhirContextClaim);
+    }
+    if (intentClaim) {
+        userIdentity.launchIntent = intentClaim;
+    }
+    userIdentity.scopes = scopes;
+    userIdentity.usableScopes = usableScopes;
+    userIdentity.issuer = issuer;
+    // only the handler grants break-the-glass access and sets the purpose of use, never a claim of the same name
+    delete userIdentity.breakTheGlass;
+    delete userIdentity.purposeOfUse;
+    return userIdentity;
+}
+
+/**
+ * @returns the settings of the trusted issuer, defaulting to the ones of the SMARTConfig
+ */
+function getIssuerSettings(config: SMARTConfig, trustedIssuer?: TrustedIssuer): IssuerSettings {
+    const settings = trustedIssuer ?? { ...config, issuer: config.expectedIssValue };
+    return {
+        issuer: settings.issuer,
+        expectedAudValue: settings.expectedAudValue ?? config.expectedAudValue,
+        fhirUserClaimPath: settings.fhirUserClaimPath ?? config.fhirUserClaimPath,
+        launchContextPathPrefix: settings.launchContextPathPrefix ?? config.launchContextPathPrefix,
+        scopeKey: settings.scopeKey ?? config.scopeKey,
+        scopeRule: settings.scopeRule ?? config.scopeRule,
+        tokenIntrospection: settings.tokenIntrospection,
+        jwksClient:
+            settings.jwksEndpoint && !settings.tokenIntrospection
+                ? getJwksClient(settings.jwksEndpoint, settings.jwksHeaders)
+                : undefined,
+        allowedAlgorithms: settings.allowedAlgorithms ?? config.allowedAlgorithms ?? DEFAULT_ALLOWED_ALGORITHMS,
+    };
+}
+
 // eslint-disable-next-line import/prefer-default-export
 export class SMARTHandler implements Authorization {
     /**
@@ -62,13 +223,30 @@ export class SMARTHandler implements Authorization {
 
     private readonly apiUrl: string;
 
-    private readonly fhirVersion: FhirVersion;
+    private readonly fhirVersion: SupportedFhirVersion;
 
     private readonly isUserScopeAllowedForSystemExport: boolean;
 
-    private readonly jwksClient?: JwksClient;
+    private readonly defaultIssuer: IssuerSettings;
+
+    private readonly trustedIssuers: Map<string, IssuerSettings> = new Map();
+
+    private readonly tokenCache?: TokenCache;
+
+    private readonly revocationList?: TokenRevocationList;
+
+    private readonly dpopReplayStore: JtiReplayStore;
+
+    private readonly logoutTokenReplayStore?: JtiReplayStore;
+
+    private readonly relatedIdentitiesCache: WeakMap<KeyValueMap, Promise<FhirResource[]>> = new WeakMap();
+
+    private readonly consentsCache: WeakMap<KeyValueMap, Map<string, Promise<any[]>>> = new WeakMap();
 
     /**
+     * @param config only its version and endpoints are checked here; it is not validated against the published schema,
+     * which `loadSmartConfig` does, so a config built in code should have its declarative part checked with
+     * `validateSmartConfig`
      * @param apiUrl URL of this FHIR service. Will be used to determine if a requestor is from this FHIR server or not
      * when the request does not include a fhirServiceBaseUrl
      * @param adminAccessTypes a fhirUser from these resourceTypes they will be able to READ & WRITE without having to meet the reference criteria
@@ -77,7 +255,7 @@ export class SMARTHandler implements Authorization {
     constructor(
         config: SMARTConfig,
         apiUrl: string,
-        fhirVersion: FhirVersion,
+        fhirVersion: SupportedFhirVersion,
         adminAccessTypes = ['Practitioner'],
         bulkDataAccessTypes = ['Practitioner'],
         isUserScopeAllowedForSystemExport = false,
@@ -85,54 +263,135 @@ export class SMARTHandler implements Authorization {
         if (config.version !== this.version) {
             throw Error('Authorization configuration version does not match handler version');
         }
+        validateSmartConfigEndpoints(config);
+        if (config.referenceResolution === 'compartment') {
+            // fail fast if the compartment references are not available for this FHIR version
+            getResourceReferencesMatrix(fhirVersion, config.referenceResolution);
+        }
         this.config = config;
         this.apiUrl = apiUrl;
         this.fhirVersion = fhirVersion;
         this.adminAccessTypes = adminAccessTypes;
         this.bulkDataAccessTypes = bulkDataAccessTypes;
         this.isUserScopeAllowedForSystemExport = isUserScopeAllowedForSystemExport;
-        if (this.config.jwksEndpoint && !this.config.tokenIntrospection) {
-            this.jwksClient = getJwksClient(this.config.jwksEndpoint, this.config.jwksHeaders);
+        validateAllowedAlgorithms(config.allowedAlgorithms, 'allowedAlgorithms');
+        this.defaultIssuer = getIssuerSettings(config);
+        (config.trustedIssuers ?? []).forEach((trustedIssuer, i) => {
+            if (!trustedIssuer.jwksEndpoint && !trustedIssuer.tokenIntrospection) {
+                throw new Error(
+                    `Authorization configuration 'trustedIssuers[${i}]' must have either 'tokenIntrospection' or 'jwksEndpoint'`,
+                );
+            }
+            if (trustedIssuer.issuer === config.expectedIssValue || this.trustedIssuers.has(trustedIssuer.issuer)) {
+                throw new Error(`Authorization configuration 'trustedIssuers[${i}].issuer' is already trusted`);
+            }
+            validateAllowedAlgorithms(trustedIssuer.allowedAlgorithms, `trustedIssuers[${i}].allowedAlgorithms`);
+            this.trustedIssuers.set(trustedIssuer.issuer, getIssuerSettings(config, trustedIssuer));
+        });
+        validateAllowedAlgorithms(config.dpop?.allowedAlgorithms, 'dpop.allowedAlgorithms');
+        if (this.config.tokenCache) {
+            this.tokenCache = new TokenCache(this.config.tokenCache);
+        }
+        if (this.config.revocation) {
+            this.revocationList = new TokenRevocationList(this.config.revocation, config.expectedIssValue);
+            this.logoutTokenReplayStore =
+                this.config.revocation.logoutTokenReplayStore ?? createInMemoryJtiReplayStore();
         }
+        this.dpopReplayStore = this.config.dpop?.replayStore ?? createInMemoryJtiReplayStore();
     }
 
     async verifyAccessToken(request: VerifyAccessTokenRequest): Promise<UserIdentity> {
-        let decodedToken: any;
-        if (this.config.tokenIntrospection) {
-            decodedToken = await introspectJwtToken(
-                request.accessToken,
-                this.config.expectedAudValue,
-                this.config.expectedIssValue,
-                this.config.tokenIntrospection,
-            );
-        } else if (this.jwksClient) {
-            decodedToken = await verifyJwtToken(
-                request.accessToken,
-                this.config.expectedAudValue,
-                this.config.expectedIssValue,
-                this.jwksClient,
-            );
-        } else {
+        const auditRequest = {
+            check: <AuthorizationCheck>'verifyAccessToken',
+            operation: request.operation,
+            resourceType: request.resourceType,
+            resourceId: request.id,
+        };
+        const issuerSettings = this.getIssuerSettingsForToken(request.accessToken);
+        if (!issuerSettings) {
+            logger.warn('access_token has an untrusted `iss`');
+            await this.audit({ ...auditRequest, outcome: 'deny', rule: 'untrusted-issuer' });
+            throw new UnauthorizedError('Invalid access token');
+        }
+        if (!issuerSettings.tokenIntrospection && !issuerSettings.jwksClient) {
             throw Error(
                 `Authorization configuration not properly set up. Either 'tokenIntrospection' or 'jwksEndpoint' must be present`,
             );
         }
+        const { expectedAudValue, issuer, fhirUserClaimPath, launchContextPathPrefix, scopeKey, scopeRule } =
+            issuerSettings;
+        // revoked access_tokens are rejected before being introspected or verified, using their unverified claims
+        const unverifiedClaims = getUnverifiedClaims(request.accessToken);
+        const earlyRevocationRule = unverifiedClaims ? await this.getRevocationDenyRule(unverifiedClaims) : undefined;
+        if (earlyRevocationRule) {
+            // the claims are not verified so they are not recorded
+            await this.audit({ ...auditRequest, outcome: 'deny', rule: earlyRevocationRule });
+            throw new UnauthorizedError('Invalid access token');
+        }
+        let decodedToken: any;
+        try {
+            if (issuerSettings.tokenIntrospection) {
+                decodedToken = await introspectJwtToken(
+                    request.accessToken,
+                    expectedAudValue,
+                    issuer,
+                    issuerSettings.tokenIntrospection,
+                    this.tokenCache,
+                );
+            } else {
+                decodedToken = await verifyJwtToken(
+                    request.accessToken,
+                    expectedAudValue,
+                    issuer,
+                    issuerSettings.jwksClient!,
+                    this.tokenCache,
+                    issuerSettings.allowedAlgorithms,
+                );
+            }
+        } catch (e) {
+            // the claims of a token that failed verification cannot be trusted so they are not recorded
+            await this.audit({ ...auditRequest, outcome: 'deny', rule: 'invalid-token' });
+            throw e;
+        }
+        // the claims of an introspected access_token, i.e. an opaque one, are only known once introspected
+        const revocationRule =
+            issuerSettings.tokenIntrospection || !unverifiedClaims
+                ? await this.getRevocationDenyRule(decodedToken)
+                : undefined;
+        if (revocationRule) {
+            await this.audit({
+                ...auditRequest,
+                ...getAuditIdentity(decodedToken),
+                outcome: 'deny',
+                rule: revocationRule,
+            });
+            throw new UnauthorizedError('Invalid access token');
+        }
 
-        const fhirUserClaim = get(decodedToken, this.config.fhirUserClaimPath);
-        const patientContextClaim = get(decodedToken, `${this.config.launchContextPathPrefix}patient`);
+        const fhirUserClaim = get(decodedToken, fhirUserClaimPath);
+        const patientContextClaim = get(decodedToken, `${launchContextPathPrefix}patient`);
         const fhirServiceBaseUrl = request.fhirServiceBaseUrl ?? this.apiUrl;
+        const auditIdentity = {
+            ...getAuditIdentity(decodedToken),
+            fhirUser: fhirUserClaim,
+            patient: patientContextClaim,
+        };
 
         // get just the scopes that apply to this request
-        const scopes = getScopes(decodedToken[this.config.scopeKey]);
+        const scopes = getScopes(decodedToken[scopeKey]);
+        const namedOperation = request.bulkDataAuth
+            ? undefined
+            : getNamedOperation(request.requestContext?.url, getFhirVersionDefinition(this.fhirVersion).resourceTypes);
         const usableScopes = filterOutUnusableScope(
             scopes,
-            this.config.scopeRule,
+            scopeRule,
             request.operation,
             this.isUserScopeAllowedForSystemExport,
             request.resourceType,
             request.bulkDataAuth,
             patientContextClaim,
             fhirUserClaim,
+            namedOperation,
         );
         if (!usableScopes.length) {
             logger.warn('User supplied scopes are insufficient', {
@@ -140,13 +399,36 @@ export class SMARTHandler implements Authorization {
                 operation: request.operation,
                 resourceType: request.resourceType,
             });
+            await this.audit({
+                ...auditRequest,
+                ...auditIdentity,
+                outcome: 'deny',
+                rule: 'insufficient-scope',
+                scopes,
+            });
             throw new UnauthorizedError('access_token does not have permission for requested operation');
         }
-        const userIdentity: UserIdentity = clone(decodedToken);
+        await this.verifySenderConstraints(request, decodedToken, usableScopes, { ...auditRequest, ...auditIdentity });
+        const claimRestrictionRule = this.getClaimRestrictionDenyRule(
+            decodedToken,
+            request.operation,
+            request.resourceType,
+        );
+        if (claimRestrictionRule) {
+            await this.audit({
+                ...auditRequest,
+                ...auditIdentity,
+                outcome: 'deny',
+                rule: claimRestrictionRule,
+                scopes: usableScopes,
+            });
+            throw new UnauthorizedError('User does not have permission for requested operation');
+        }
 
         if (request.bulkDataAuth) {
-            if (!userIdentity.sub) {
+            if (!decodedToken.sub) {
                 logger.error('A JWT token is without a `sub` claim; we cannot process the bulk action without one.');
+                await this.audit({ ...auditRequest, ...auditIdentity, outcome: 'deny', rule: 'bulk-data-missing-sub' });
                 throw new UnauthorizedError('User does not have permission for requested operation');
             }
             if (
@@ -160,22 +442,300 @@ export class SMARTHandler implements Authorization {
                     fhirUser.hostname !== fhirServiceBaseUrl ||
                     !this.bulkDataAccessTypes.includes(fhirUser.resourceType)
                 ) {
+                    await this.audit({
+                        ...auditRequest,
+                        ...auditIdentity,
+                        outcome: 'deny',
+                        rule: 'bulk-data-access-type',
+                        scopes: usableScopes,
+                    });
+                    throw new UnauthorizedError('User does not have permission for requested operation');
+                }
+            }
+            if (
+                this.config.groupExport &&
+                request.bulkDataAuth.exportType === 'group' &&
+                request.bulkDataAuth.operation === 'initiate-export'
+            ) {
+                const rule = await this.getGroupExportDenyRule(decodedToken, request, fhirServiceBaseUrl);
+                if (rule) {
+                    await this.audit({
+                        ...auditRequest,
+                        ...auditIdentity,
+                        outcome: 'deny',
+                        rule,
+                        scopes: usableScopes,
+                    });
                     throw new UnauthorizedError('User does not have permission for requested operation');
                 }
             }
         }
 
-        if (fhirUserClaim && usableScopes.some((scope) => scope.startsWith('user/'))) {
-            userIdentity.fhirUserObject = getFhirUser(fhirUserClaim);
+        const userIdentity = getUserIdentity(decodedToken, issuerSettings, scopes, usableScopes, fhirServiceBaseUrl);
+        try {
+            this.addClaimGrants(userIdentity, decodedToken, fhirServiceBaseUrl);
+        } catch (e) {
+            await this.audit({
+                ...auditRequest,
+                ...auditIdentity,
+                outcome: 'deny',
+                rule: 'break-the-glass-missing-reason',
+                scopes: usableScopes,
+            });
+            throw e;
         }
-        if (patientContextClaim && usableScopes.some((scope) => scope.startsWith('patient/'))) {
-            userIdentity.patientLaunchContext = getFhirResource(patientContextClaim, fhirServiceBaseUrl);
+        if (namedOperation?.level === 'instance') {
+            const decision = await this.getNamedOperationInstanceDecision(
+                userIdentity,
+                namedOperation.resourceType!,
+                namedOperation.id!,
+                request.operation,
+                fhirServiceBaseUrl,
+                await this.getRelatedIdentities(userIdentity, fhirServiceBaseUrl, {
+                    ...auditRequest,
+                    ...getAuditIdentity(userIdentity),
+                }),
+            );
+            if (decision.outcome !== 'allow') {
+                await this.audit({
+                    ...auditRequest,
+                    ...getAuditIdentity(userIdentity),
+                    ...decision,
+                });
+                throw new UnauthorizedError('User does not have permission for requested operation');
+            }
         }
-        userIdentity.scopes = scopes;
-        userIdentity.usableScopes = usableScopes;
+        await this.audit({
+            ...auditRequest,
+            ...getAuditIdentity(userIdentity),
+            outcome: 'allow',
+            rule: userIdentity.breakTheGlass ? 'break-the-glass' : 'scope',
+            scopes: usableScopes,
+        });
         return userIdentity;
     }
 
+    /**
+     * Revokes the access_tokens matching the entry; they are rejected by `verifyAccessToken` from then on
+     * @throws Error when `revocation` is not configured, the entry has no `issuer` while `trustedIssuers` are configured
+     * or the entry cannot be stored
+     */
+    async revokeTokens(entry: RevocationEntry): Promise<void> {
+        if (!this.revocationList) {
+            throw new Error(`Authorization configuration 'revocation' must be present to revoke access_tokens`);
+        }
+        if (entry.issuer === undefined && this.trustedIssuers.size > 0) {
+            // defaulting to `expectedIssValue` would silently leave the access_tokens of the trusted issuers valid
+            throw new Error(`A revocation requires an 'issuer' when 'trustedIssuers' are configured`);
+        }
+        await this.revocationList.revoke(entry);
+    }
+
+    /**
+     * Handles an OpenID back-channel logout by revoking the access_tokens of the session, or of the subject when the
+     * logout token has no `sid`. The logout token is verified with the `jwksEndpoint` of its issuer, must be recent and
+     * can only be used once
+     * @throws UnauthorizedError when the logout token is invalid, stale or replayed
+     */
+    async handleBackChannelLogout(logoutToken: string): Promise<void> {
+        if (!this.revocationList) {
+            throw new Error(`Authorization configuration 'revocation' must be present to handle back-channel logouts`);
+        }
+        const issuerSettings = this.getIssuerSettingsForToken(logoutToken);
+        if (!issuerSettings?.jwksClient) {
+            logger.warn('logout token is not from a trusted issuer with a `jwksEndpoint`');
+            throw new UnauthorizedError('Invalid logout token');
+        }
+        let logoutClaims: any;
+        try {
+            logoutClaims = await verifyJwtToken(
+                logoutToken,
+                this.config.revocation!.logoutTokenAudience ?? issuerSettings.expectedAudValue,
+                issuerSettings.issuer,
+                issuerSettings.jwksClient,
+                undefined,
+                issuerSettings.allowedAlgorithms,
+            );
+        } catch (e) {
+            throw new UnauthorizedError('Invalid logout token');
+        }
+        const maxAgeSeconds = this.config.revocation!.logoutTokenMaxAgeSeconds ?? DEFAULT_LOGOUT_TOKEN_MAX_AGE_SECONDS;
+        const entry = getBackChannelLogoutEntry(logoutClaims, maxAgeSeconds);
+        // the stale logout tokens are rejected above, so their `jti` only needs to be kept as long as they are not
+        if (!(await this.logoutTokenReplayStore!.add(`${logoutClaims.iss}:${logoutClaims.jti}`, 2 * maxAgeSeconds))) {
+            logger.warn('logout token was already used');
+            throw new UnauthorizedError('Invalid logout token');
+        }
+        await this.revocationList.revoke(entry);
+    }
+
+    /**
+     * The endpoints it needs are only required at construction once one of them is configured, so a config without any
+     * of them is reported here
+     * @returns the `.well-known/smart-configuration` discovery document describing what this server supports
+     * @throws Error if the config does not have the endpoints the discovery document needs
+     */
+    getSmartConfiguration(): SmartConfigurationDocument {
+        try {
+            return buildSmartConfiguration(this.config, this.isUserScopeAllowedForSystemExport);
+        } catch (e) {
+            logger.error('The SMART configuration cannot be served from this authorization configuration', e);
+            throw new Error(`The SMART configuration cannot be served: ${(<Error>e).message}`);
+        }
+    }
+
+    /**
+     * Dry-runs the authorization of a request, i.e. to find out why a token is rejected. The claims are trusted as given:
+     * the access_token, its sender constraints and its `jti` are not checked and no audit event is emitted
+     * @returns which scopes are usable, how the resource or each Bundle entry was decided and the final verdict
+     */
+    async explain(request: ExplainRequest): Promise<AuthorizationTrace> {
+        const { claims, operation, resourceType, bulkDataAuth } = request;
+        const fhirServiceBaseUrl = request.fhirServiceBaseUrl ?? this.apiUrl;
+        const issuerSettings = this.getIssuerSettingsForIssuer(claims.iss);
+        if (!issuerSettings) {
+            return { scopes: [], usableScopes: [], resources: [], verdict: 'deny', rule: 'untrusted-issuer' };
+        }
+        const { fhirUserClaimPath, launchContextPathPrefix, scopeKey, scopeRule } = issuerSettings;
+        const scopes = getScopes(claims[scopeKey]);
+        const namedOperation = bulkDataAuth
+            ? undefined
+            : getNamedOperation(request.url, getFhirVersionDefinition(this.fhirVersion).resourceTypes);
+        const scopeTraces = explainScopes(
+            scopes,
+            scopeRule,
+            operation,
+            this.isUserScopeAllowedForSystemExport,
+            resourceType,
+            bulkDataAuth,
+            get(claims, `${launchContextPathPrefix}patient`),
+            get(claims, fhirUserClaimPath),
+            namedOperation,
+        );
+        const usableScopes = scopeTraces.filter((scopeTrace) => scopeTrace.usable).map(({ scope }) => scope);
+        const trace = { scopes: scopeTraces, usableScopes, resources: [] };
+        if (!usableScopes.length) {
+            return { ...trace, verdict: 'deny', rule: 'insufficient-scope' };
+        }
+        const claimRestrictionRule = this.getClaimRestrictionDenyRule(claims, operation, resourceType);
+        if (claimRestrictionRule) {
+            return { ...trace, verdict: 'deny', rule: claimRestrictionRule };
+        }
+
+        const userIdentity = getUserIdentity(claims, issuerSettings, scopes, usableScopes, fhirServiceBaseUrl);
+        try {
+            this.addClaimGrants(userIdentity, claims, fhirServiceBaseUrl);
+        } catch (e) {
+            return { ...trace, verdict: 'deny', rule: 'break-the-glass-missing-reason' };
+        }
+        let relatedIdentities: FhirResource[];
+        try {
+            relatedIdentities = await this.getRelatedIdentities(userIdentity, fhirServiceBaseUrl);
+        } catch (e) {
+            return { ...trace, verdict: 'deny', rule: 'related-identities-unavailable' };
+        }
+        const identities = {
+            fhirUser: userIdentity.fhirUserObject,
+            patient: userIdentity.patientLaunchContext,
+            related: relatedIdentities,
+        };
+        const toResourceTrace = (
+            decision: Pick<AuthorizationAuditEvent, 'outcome' | 'rule'> | undefined,
+            resource: any,
+        ): Pick<ResourceTrace, 'outcome' | 'rule' | 'identity' | 'referencePath'> => {
+            if (!decision) {
+                return { outcome: 'deferred' };
+            }
+            return {
+                outcome: decision.outcome,
+                rule: decision.rule,
+                ...(decision.outcome === 'allow'
+                    ? getReferenceTrace(
+                          decision.rule,
+                          resource,
+                          identities,
+                          fhirServiceBaseUrl,
+                          this.fhirVersion,
+                          this.config.referenceResolution,
+                      )
+                    : {}),
+            };
+        };
+
+        const resources: ResourceTrace[] = [];
+        if (namedOperation?.level === 'instance') {
+            const instance = { resourceType: namedOperation.resourceType, id: namedOperation.id };
+            const decision = await this.getNamedOperationInstanceDecision(
+                userIdentity,
+                namedOperation.resourceType!,
+                namedOperation.id!,
+                operation,
+                fhirServiceBaseUrl,
+                relatedIdentities,
+            );
+            resources.push({
+                operation,
+                resourceType: instance.resourceType,
+                resourceId: instance.id,
+                ...toResourceTrace(decision, instance),
+            });
+        }
+        if (request.resource) {
+            const decision = await this.getResourceDecision(
+                userIdentity,
+                request.resource,
+                operation,
+                fhirServiceBaseUrl,
+                relatedIdentities,
+                getRedaction(this.config.redaction, userIdentity),
+            );
+            resources.push({
+                operation,
+                resourceType: request.resource.resourceType,
+                resourceId: request.resource.id,
+                ...toResourceTrace(decision, request.resource),
+            });
+        }
+        if (request.requests) {
+            const bundleIdentity = { ...userIdentity, usableScopes: this.getContextualScopes(userIdentity) };
+            const referenceTargets = getBundleReferenceTargets(request.requests, fhirServiceBaseUrl);
+            for (let i = 0; i < request.requests.length; i += 1) {
+                const req = request.requests[i];
+                const entry = {
+                    bundleEntryIndex: i,
+                    operation: req.operation,
+                    resourceType: req.resourceType,
+                    resourceId: req.id,
+                };
+                if (!this.hasBundleEntryScope(bundleIdentity.usableScopes, scopeRule, req)) {
+                    resources.push({ ...entry, outcome: 'deny', rule: 'insufficient-scope' });
+                } else {
+                    // eslint-disable-next-line no-await-in-loop
+                    const decision = await this.getBundleEntryDecision(
+                        bundleIdentity,
+                        req,
+                        fhirServiceBaseUrl,
+                        relatedIdentities,
+                        referenceTargets,
+                    );
+                    resources.push({
+                        ...entry,
+                        ...toResourceTrace(
+                            decision,
+                            req.resource?.resourceType
+                                ? resolveBundleReferences(req.resource, referenceTargets)
+                                : { resourceType: req.resourceType, id: req.id },
+                        ),
+                    });
+                }
+            }
+        }
+        const denial = resources.find((resourceTrace) => resourceTrace.outcome === 'deny');
+        return denial
+            ? { ...trace, resources, verdict: 'deny', rule: denial.rule! }
+            : { ...trace, resources, verdict: 'allow', rule: userIdentity.breakTheGlass ? 'break-the-glass' : 'scope' };
+    }
+
     // eslint-disable-next-line class-methods-use-this, @typescript-eslint/no-unused-vars
     async isAccessBulkDataJobAllowed(request: AccessBulkDataJobRequest): Promise<void> {
         if (request.userIdentity.sub !== request.jobOwnerId) {
@@ -183,29 +743,150 @@ export class SMARTHandler implements Authorization {
         }
     }
 
+    /**
+     * Adds the purposes of use and the break-the-glass access of the access_token to the userIdentity
+     * @throws UnauthorizedError when the access_token requests break-the-glass access without a reason
+     */
+    private addClaimGrants(userIdentity: KeyValueMap, decodedToken: any, fhirServiceBaseUrl: string): void {
+        if (this.config.purposeOfUse) {
+            // eslint-disable-next-line no-param-reassign
+            userIdentity.purposeOfUse = getPurposesOfUse(decodedToken, this.config.purposeOfUse);
+        }
+        if (this.config.breakTheGlass) {
+            const breakTheGlass = getBreakTheGlassAccess(
+                decodedToken,
+                this.config.breakTheGlass,
+                userIdentity.fhirUserObject,
+                fhirServiceBaseUrl,
+            );
+            if (breakTheGlass) {
+                // eslint-disable-next-line no-param-reassign
+                userIdentity.breakTheGlass = breakTheGlass;
+            }
+        }
+    }
+
+    /**
+     * The revocation list is checked on every request, the access_token may have been revoked after it was cached
+     * @returns the audit rule when the access_token is revoked or the revocation list cannot be read
+     */
+    private async getRevocationDenyRule(decodedToken: any): Promise<string | undefined> {
+        if (!this.revocationList) {
+            return undefined;
+        }
+        try {
+            return (await this.revocationList.isRevoked(decodedToken)) ? 'revoked' : undefined;
+        } catch (e) {
+            logger.error('Unable to read the revocation list');
+            return 'revocation-unavailable';
+        }
+    }
+
+    /**
+     * @returns the audit rule when the access window or the purpose of use of the access_token does not allow the request
+     */
+    private getClaimRestrictionDenyRule(
+        decodedToken: any,
+        operation: TypeOperation | SystemOperation,
+        resourceType?: string,
+    ): string | undefined {
+        if (this.config.accessWindow && !isAccessTokenWithinAccessWindow(decodedToken, this.config.accessWindow)) {
+            return 'access-window';
+        }
+        if (this.config.purposeOfUse) {
+            const unknownPurposesOfUse = getUnknownPurposesOfUse(decodedToken, this.config.purposeOfUse);
+            if (unknownPurposesOfUse.length > 0) {
+                logger.warn('The access_token has purposes of use that are not configured', { unknownPurposesOfUse });
+                return 'purpose-of-use';
+            }
+            const purposesOfUse = getPurposesOfUse(decodedToken, this.config.purposeOfUse);
+            if (
+                (this.config.purposeOfUse.required && purposesOfUse.length === 0) ||
+                !isRequestAllowedForPurposesOfUse(purposesOfUse, this.config.purposeOfUse, operation, resourceType)
+            ) {
+                logger.warn('The purpose of use of the access_token does not allow the request', { purposesOfUse });
+                return 'purpose-of-use';
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * The Group id is read from the request URL, i.e. `Group/123/$export`
+     * @returns the audit rule when the client may not export the Group
+     */
+    private async getGroupExportDenyRule(
+        decodedToken: any,
+        request: VerifyAccessTokenRequest,
+        fhirServiceBaseUrl: string,
+    ): Promise<string | undefined> {
+        const options = this.config.groupExport!;
+        const namedOperation = getNamedOperation(
+            request.requestContext?.url,
+            getFhirVersionDefinition(this.fhirVersion).resourceTypes,
+        );
+        if (namedOperation?.level !== 'instance' || namedOperation.resourceType !== 'Group') {
+            logger.warn('Group export request without a Group id');
+            return 'group-export';
+        }
+        const clientId = getGroupExportClientId(decodedToken, options);
+        if (!isGroupAllowedForClient(clientId, namedOperation.id!, options)) {
+            return 'group-export';
+        }
+        if (options.population) {
+            if (!clientId) {
+                return 'group-export';
+            }
+            try {
+                const [members, population] = await Promise.all([
+                    options.population.getGroupMembers(namedOperation.id!, fhirServiceBaseUrl),
+                    options.population.getAllowedPopulation(clientId, fhirServiceBaseUrl),
+                ]);
+                if (!isGroupWithinPopulation(members, population)) {
+                    return 'group-export-population';
+                }
+            } catch (e) {
+                logger.error('Unable to look up the members or the population of the Group export');
+                return 'group-export-unavailable';
+            }
+        }
+        return undefined;
+    }
+
     async getSearchFilterBasedOnIdentity(request: GetSearchFilterBasedOnIdentityRequest): Promise<SearchFilter[]> {
         const references: Set<string> = new Set();
         const ids: Set<string> = new Set();
-        const { fhirUserObject, patientLaunchContext, usableScopes } = request.userIdentity;
+        const { fhirUserObject, patientLaunchContext, encounterLaunchContext, usableScopes } = request.userIdentity;
         const fhirServiceBaseUrl = request.fhirServiceBaseUrl ?? this.apiUrl;
+        // SMART v2 scopes constrained by query parameters limit the search regardless of who is searching
+        const scopeFilters = getScopeQueryParamSearchFilters(usableScopes, request.resourceType);
 
         if (hasSystemAccess(usableScopes, '')) {
-            return [];
+            return scopeFilters;
         }
 
         if (fhirUserObject) {
-            const { hostname, resourceType, id } = fhirUserObject;
-            if (isFhirUserAdmin(fhirUserObject, this.adminAccessTypes, fhirServiceBaseUrl)) {
-                // if an admin do not add limiting search filters
-                return [];
-            }
-            references.add(`${hostname}/${resourceType}/${id}`);
-            if (hostname === fhirServiceBaseUrl) {
-                references.add(`${resourceType}/${id}`);
-            }
-            if (request.resourceType && request.resourceType === resourceType) {
-                ids.add(id);
+            if (
+                isFhirUserAdmin(fhirUserObject, this.adminAccessTypes, fhirServiceBaseUrl) ||
+                isBreakTheGlassActive(request.userIdentity)
+            ) {
+                // if an admin or breaking the glass do not add limiting search filters
+                return scopeFilters;
             }
+            const relatedIdentities = await this.getRelatedIdentities(request.userIdentity, fhirServiceBaseUrl, {
+                check: 'getSearchFilterBasedOnIdentity',
+                ...getAuditIdentity(request.userIdentity),
+                resourceType: request.resourceType,
+            });
+            [fhirUserObject, ...relatedIdentities].forEach((identity) => {
+                references.add(`${identity.hostname}/${identity.resourceType}/${identity.id}`);
+                if (identity.hostname === fhirServiceBaseUrl) {
+                    references.add(`${identity.resourceType}/${identity.id}`);
+                }
+                if (request.resourceType && request.resourceType === identity.resourceType) {
+                    ids.add(identity.id);
+                }
+            });
         }
 
         if (patientLaunchContext) {
@@ -220,7 +901,7 @@ export class SMARTHandler implements Authorization {
         }
 
         // Create a SearchFilter to limit access to only resources that are referring to the requesting user and/or context
-        const filters: SearchFilter[] = [];
+        const filters: SearchFilter[] = [...scopeFilters];
         if (references.size > 0) {
             filters.push({
                 key: '_references',
@@ -237,74 +918,383 @@ export class SMARTHandler implements Authorization {
                 logicalOperator: 'OR',
             });
         }
+        // The encounter context only restricts the patient launch context, so it cannot be applied when a fhirUser is also searching
+        if (encounterLaunchContext && patientLaunchContext && !fhirUserObject && request.resourceType) {
+            filters.push(
+                ...this.getEncounterSearchFilters(encounterLaunchContext, request.resourceType, fhirServiceBaseUrl),
+            );
+        }
 
         return filters;
     }
 
+    private getEncounterSearchFilters(
+        encounterLaunchContext: FhirResource,
+        resourceType: string,
+        fhirServiceBaseUrl: string,
+    ): SearchFilter[] {
+        const { hostname, id } = encounterLaunchContext;
+        if (resourceType === encounterLaunchContext.resourceType) {
+            return [{ key: 'id', value: [id], comparisonOperator: '==', logicalOperator: 'AND' }];
+        }
+        if (
+            !canReferenceResourceType(
+                resourceType,
+                encounterLaunchContext.resourceType,
+                this.fhirVersion,
+                this.config.referenceResolution,
+            )
+        ) {
+            return [];
+        }
+        const references = [`${hostname}/${encounterLaunchContext.resourceType}/${id}`];
+        if (hostname === fhirServiceBaseUrl) {
+            references.push(`${encounterLaunchContext.resourceType}/${id}`);
+        }
+        return [{ key: '_references', value: references, comparisonOperator: '==', logicalOperator: 'AND' }];
+    }
+
     async isBundleRequestAuthorized(request: AuthorizationBundleRequest): Promise<void> {
-        const { scopes, fhirUserObject, patientLaunchContext } = request.userIdentity;
-        const usableScopes: string[] = scopes.filter(
-            (scope: string) =>
-                (patientLaunchContext && scope.startsWith('patient/')) ||
-                (fhirUserObject && scope.startsWith('user/')) ||
-                scope.startsWith('system/'),
-        );
+        const usableScopes = this.getContextualScopes(request.userIdentity);
+        const auditIdentity = getAuditIdentity(request.userIdentity);
+        const scopeRule = this.getScopeRule(request.userIdentity);
 
         // Are the scopes the request have good enough for every entry in the bundle?
-        request.requests.forEach((req: BatchReadWriteRequest) => {
-            if (
-                !usableScopes.some((scope: string) =>
-                    isScopeSufficient(
-                        scope,
-                        this.config.scopeRule,
-                        req.operation,
-                        this.isUserScopeAllowedForSystemExport,
-                        req.resourceType,
-                    ),
-                )
-            ) {
-                logger.error('User supplied scopes are insufficient', {
-                    usableScopes,
+        const unauthorizedIndex = request.requests.findIndex(
+            (req: BatchReadWriteRequest) => !this.hasBundleEntryScope(usableScopes, scopeRule, req),
+        );
+        if (unauthorizedIndex !== -1) {
+            const unauthorizedRequest = request.requests[unauthorizedIndex];
+            logger.error('User supplied scopes are insufficient', {
+                usableScopes,
+                operation: unauthorizedRequest.operation,
+                resourceType: unauthorizedRequest.resourceType,
+                bundleEntryIndex: unauthorizedIndex,
+            });
+            await this.audit({
+                check: 'isBundleRequestAuthorized',
+                ...auditIdentity,
+                operation: unauthorizedRequest.operation,
+                resourceType: unauthorizedRequest.resourceType,
+                resourceId: unauthorizedRequest.id,
+                bundleEntryIndex: unauthorizedIndex,
+                outcome: 'deny',
+                rule: 'insufficient-scope',
+                scopes: usableScopes,
+            });
+            throw new UnauthorizedError(
+                `An entry within the Bundle is not authorized: Bundle.entry[${unauthorizedIndex}]`,
+            );
+        }
+
+        // Ensure the requestor has access to the resource of each entry
+        const fhirServiceBaseUrl = request.fhirServiceBaseUrl ?? this.apiUrl;
+        const relatedIdentities = await this.getRelatedIdentities(request.userIdentity, fhirServiceBaseUrl, {
+            check: 'isBundleRequestAuthorized',
+            ...auditIdentity,
+        });
+        const userIdentity = { ...request.userIdentity, usableScopes };
+        const referenceTargets = getBundleReferenceTargets(request.requests, fhirServiceBaseUrl);
+        for (let i = 0; i < request.requests.length; i += 1) {
+            const req = request.requests[i];
+            // eslint-disable-next-line no-await-in-loop
+            const decision = await this.getBundleEntryDecision(
+                userIdentity,
+                req,
+                fhirServiceBaseUrl,
+                relatedIdentities,
+                referenceTargets,
+            );
+            if (decision?.outcome === 'deny') {
+                logger.warn('Bundle entry is not authorized', {
+                    operation: req.operation,
+                    resourceType: req.resourceType,
+                    bundleEntryIndex: i,
+                    rule: decision.rule,
+                });
+                // eslint-disable-next-line no-await-in-loop
+                await this.audit({
+                    check: 'isBundleRequestAuthorized',
+                    ...auditIdentity,
                     operation: req.operation,
                     resourceType: req.resourceType,
+                    resourceId: req.id,
+                    bundleEntryIndex: i,
+                    ...decision,
                 });
-                throw new UnauthorizedError('An entry within the Bundle is not authorized');
+                throw new UnauthorizedError(`An entry within the Bundle is not authorized: Bundle.entry[${i}]`);
             }
+        }
+        await this.audit({
+            check: 'isBundleRequestAuthorized',
+            ...auditIdentity,
+            outcome: 'allow',
+            rule: 'scope',
+            scopes: usableScopes,
         });
+    }
 
-        // Ensure the requestor has access to write this request
-        const authWritePromises: Promise<void>[] = request.requests.map((req) => {
-            if (['create', 'update', 'patch', 'delete'].includes(req.operation)) {
-                return this.isWriteRequestAuthorized(<WriteRequestAuthorizedRequest>{
-                    userIdentity: { ...request.userIdentity, usableScopes },
-                    operation: req.operation,
-                    resourceBody: req.resource,
-                    fhirServiceBaseUrl: request.fhirServiceBaseUrl,
-                });
+    private hasBundleEntryScope(usableScopes: string[], scopeRule: ScopeRule, req: BatchReadWriteRequest): boolean {
+        return usableScopes.some((scope: string) =>
+            isScopeSufficient(
+                scope,
+                scopeRule,
+                req.operation,
+                this.isUserScopeAllowedForSystemExport,
+                req.resourceType,
+            ),
+        );
+    }
+
+    /**
+     * - reads are checked by id when the requestor has identities of the resourceType, the other reads on the stored
+     *   resource when `readResource` is configured; they are denied without it
+     * - conditional creates & updates must only match resources the requestor is referenced by
+     * - the references of the written resources to other entries are resolved before being checked
+     * - patches & deletes without a resource body are checked by id
+     * - updates & patches are checked like `isWriteRequestAuthorized` when `writeGuard` is configured
+     * @returns undefined if the entry is checked later
+     */
+    private async getBundleEntryDecision(
+        userIdentity: KeyValueMap,
+        req: ConditionalBatchReadWriteRequest,
+        fhirServiceBaseUrl: string,
+        relatedIdentities: FhirResource[],
+        referenceTargets: Map<string, string>,
+    ): Promise<Pick<AuthorizationAuditEvent, 'outcome' | 'rule' | 'scopes'> | undefined> {
+        const { usableScopes } = userIdentity;
+        if (
+            !isRequestAllowedForPurposesOfUse(
+                userIdentity.purposeOfUse,
+                this.config.purposeOfUse,
+                req.operation,
+                req.resourceType,
+            )
+        ) {
+            return { outcome: 'deny', rule: 'purpose-of-use', scopes: usableScopes };
+        }
+        const idDecision = this.getDecisionById(
+            userIdentity,
+            req.resourceType,
+            req.id,
+            req.operation,
+            fhirServiceBaseUrl,
+            relatedIdentities,
+        );
+        if (['read', 'vread'].includes(req.operation)) {
+            if (!idDecision && !this.config.readResource) {
+                // the response of the entry is not known to be checked, so the entry cannot be deferred
+                return { outcome: 'deny', rule: 'no-reference', scopes: usableScopes };
             }
-            return Promise.resolve();
+            return (
+                idDecision ??
+                this.getStoredResourceDecision(
+                    userIdentity,
+                    req.resourceType,
+                    req.id,
+                    req.operation,
+                    fhirServiceBaseUrl,
+                    relatedIdentities,
+                )
+            );
+        }
+        if (!['create', 'update', 'patch', 'delete'].includes(req.operation)) {
+            return undefined;
+        }
+
+        const condition = req.operation === 'create' ? req.ifNoneExist : req.url;
+        const conditionDecision =
+            condition !== undefined
+                ? this.getConditionDecision(
+                      userIdentity,
+                      req.resourceType,
+                      req.operation,
+                      condition,
+                      fhirServiceBaseUrl,
+                      relatedIdentities,
+                  )
+                : undefined;
+        if (conditionDecision) {
+            return conditionDecision;
+        }
+
+        const resource =
+            typeof req.resource === 'object' && req.resource !== null && req.resource.resourceType
+                ? resolveBundleReferences(req.resource, referenceTargets)
+                : req.resource;
+        if (this.config.writeGuard && (req.operation === 'update' || req.operation === 'patch')) {
+            // the condition was checked above
+            return this.getGuardedWriteDecision(
+                userIdentity,
+                req.operation,
+                resource,
+                req.id ? { resourceType: req.resourceType, id: req.id } : undefined,
+                undefined,
+                fhirServiceBaseUrl,
+                relatedIdentities,
+            );
+        }
+        if (typeof req.resource !== 'object' || req.resource === null || !req.resource.resourceType) {
+            // there is no resource body to check, i.e. a JSON patch
+            return idDecision ?? { outcome: 'deny', rule: 'no-resource-body', scopes: usableScopes };
+        }
+        return this.getResourceDecision(userIdentity, resource, req.operation, fhirServiceBaseUrl, relatedIdentities);
+    }
+
+    /**
+     * Unless the requestor has system or admin access, a conditional create, update or patch must only match resources
+     * the requestor is referenced by
+     * @returns undefined if the condition is allowed
+     */
+    private getConditionDecision(
+        userIdentity: KeyValueMap,
+        resourceType: string,
+        operation: TypeOperation | SystemOperation,
+        condition: string,
+        fhirServiceBaseUrl: string,
+        relatedIdentities: FhirResource[],
+    ): Pick<AuthorizationAuditEvent, 'outcome' | 'rule' | 'scopes'> | undefined {
+        const { fhirUserObject, patientLaunchContext, usableScopes } = userIdentity;
+        if (
+            hasSystemAccess(usableScopes, resourceType) ||
+            (fhirUserObject && isFhirUserAdmin(fhirUserObject, this.adminAccessTypes, fhirServiceBaseUrl)) ||
+            isBreakTheGlassGranted(userIdentity, operation, this.config.breakTheGlass)
+        ) {
+            return undefined;
+        }
+        const searchParams = parseConditionalUrl(condition, resourceType);
+        const identities: FhirResource[] = [fhirUserObject, patientLaunchContext, ...relatedIdentities].filter(Boolean);
+        return searchParams &&
+            isConditionWithinReferences(
+                searchParams,
+                resourceType,
+                identities,
+                fhirServiceBaseUrl,
+                this.fhirVersion,
+                this.config.referenceResolution,
+            )
+            ? undefined
+            : { outcome: 'deny', rule: 'conditional-url', scopes: usableScopes };
+    }
+
+    /**
+     * Only the resources of the resourceTypes of the requestor identities can be checked by id
+     * @returns undefined if the id alone does not decide
+     */
+    private getDecisionById(
+        userIdentity: KeyValueMap,
+        resourceType: string,
+        id: string,
+        operation: TypeOperation | SystemOperation,
+        fhirServiceBaseUrl: string,
+        relatedIdentities: FhirResource[],
+    ): Pick<AuthorizationAuditEvent, 'outcome' | 'rule' | 'scopes'> | undefined {
+        const { fhirUserObject, patientLaunchContext, usableScopes } = userIdentity;
+        const allow = (rule: ResourceAccessRule) => ({
+            outcome: <const>'allow',
+            rule,
+            scopes: getGrantingScopes(usableScopes, rule, resourceType),
         });
+        if (hasSystemAccess(usableScopes, resourceType)) {
+            return allow('system-scope');
+        }
+        if (fhirUserObject && isFhirUserAdmin(fhirUserObject, this.adminAccessTypes, fhirServiceBaseUrl)) {
+            return allow('admin');
+        }
+        const identities: [ResourceAccessRule, FhirResource | undefined][] = [
+            ['fhir-user-reference', fhirUserObject],
+            ['patient-context-reference', patientLaunchContext],
+            ...relatedIdentities.map((identity): [ResourceAccessRule, FhirResource] => [
+                'related-identity-reference',
+                identity,
+            ]),
+        ];
+        const identitiesOfType = identities.filter(
+            ([, identity]) => identity?.resourceType === resourceType && identity.hostname === fhirServiceBaseUrl,
+        );
+        const match = identitiesOfType.find(([, identity]) => identity!.id === id);
+        if (match) {
+            return allow(match[0]);
+        }
+        if (isBreakTheGlassGranted(userIdentity, operation, this.config.breakTheGlass)) {
+            return allow('break-the-glass');
+        }
+        return identitiesOfType.length > 0
+            ? { outcome: 'deny', rule: 'no-reference', scopes: usableScopes }
+            : undefined;
+    }
 
-        try {
-            await Promise.all(authWritePromises);
-        } catch (e) {
-            throw new UnauthorizedError('An entry within the Bundle is not authorized');
+    /**
+     * @returns the scopes of the token whose scope type has its context, i.e. the `patient` scopes when there is a
+     * patient launch context
+     */
+    // eslint-disable-next-line class-methods-use-this
+    private getContextualScopes(userIdentity: KeyValueMap): string[] {
+        const { scopes, fhirUserObject, patientLaunchContext } = userIdentity;
+        return (scopes ?? []).filter(
+            (scope: string) =>
+                (patientLaunchContext && scope.startsWith('patient/')) ||
+                (fhirUserObject && scope.startsWith('user/')) ||
+                scope.startsWith('system/'),
+        );
+    }
+
+    /**
+     * The usable scopes are only the ones of the requested resourceType, the resources of other types returned with it
+     * are checked against the scopes of the token for their own resourceType
+     * @returns the scopes granting read access to the resourceType
+     */
+    private getScopesForResourceType(userIdentity: KeyValueMap, resourceType: string | undefined): string[] {
+        if (typeof resourceType !== 'string') {
+            return [];
         }
+        const scopeRule = this.getScopeRule(userIdentity);
+        return this.getContextualScopes(userIdentity).filter((scope) =>
+            isScopeSufficient(scope, scopeRule, 'read', this.isUserScopeAllowedForSystemExport, resourceType),
+        );
+    }
+
+    /**
+     * Contained resources have no identity of their own, so they are only checked against the scopes for their resourceType
+     * @returns a copy of the resource without the contained resources the scopes do not permit; the resource itself if
+     * they are all permitted
+     */
+    private removeUnpermittedContainedResources(userIdentity: KeyValueMap, resource: any): any {
+        if (!Array.isArray(resource?.contained) || resource.contained.length === 0) {
+            return resource;
+        }
+        const contained = resource.contained.filter((containedResource: any) => {
+            const scopes = this.getScopesForResourceType(userIdentity, containedResource?.resourceType);
+            return scopes.length > 0 && isResourceWithinScopeConstraints(scopes, containedResource);
+        });
+        if (contained.length === resource.contained.length) {
+            return resource;
+        }
+        const permittedResource = { ...resource, contained };
+        if (contained.length === 0) {
+            delete permittedResource.contained;
+        }
+        return permittedResource;
     }
 
     async getAllowedResourceTypesForOperation(request: AllowedResourceTypesForOperationRequest): Promise<string[]> {
+        const { purposeOfUse } = request.userIdentity;
+        if (!isRequestAllowedForPurposesOfUse(purposeOfUse, this.config.purposeOfUse, request.operation)) {
+            return [];
+        }
         let allowedResources: string[] = [];
-        const allResourceTypes: string[] = this.fhirVersion === '4.0.1' ? BASE_R4_RESOURCES : BASE_STU3_RESOURCES;
+        const allResourceTypes: string[] = getResourceTypesAllowedForPurposesOfUse(
+            purposeOfUse,
+            this.config.purposeOfUse,
+            getFhirVersionDefinition(this.fhirVersion).resourceTypes,
+        );
+        const scopeRule = this.getScopeRule(request.userIdentity);
         for (let i = 0; i < request.userIdentity.scopes.length; i += 1) {
             const scope = request.userIdentity.scopes[i];
             try {
                 // We only get allowedResourceTypes for ClinicalSmartScope
                 const clinicalSmartScope = convertScopeToSmartScope(scope);
-                const validOperations = getValidOperationsForScopeTypeAndAccessType(
-                    clinicalSmartScope.scopeType,
-                    clinicalSmartScope.accessType,
-                    this.config.scopeRule,
-                );
+                const validOperations = getValidOperationsForSmartScope(clinicalSmartScope, scopeRule);
                 if (validOperations.includes(request.operation)) {
                     const scopeResourceType = clinicalSmartScope.resourceType;
                     if (scopeResourceType === '*') {
@@ -323,66 +1313,545 @@ export class SMARTHandler implements Authorization {
     }
 
     async authorizeAndFilterReadResponse(request: ReadResponseAuthorizedRequest): Promise<any> {
-        const { fhirUserObject, patientLaunchContext, usableScopes } = request.userIdentity;
+        const { usableScopes } = request.userIdentity;
         const fhirServiceBaseUrl = request.fhirServiceBaseUrl ?? this.apiUrl;
+        const auditIdentity = getAuditIdentity(request.userIdentity);
+        const relatedIdentities = await this.getRelatedIdentities(request.userIdentity, fhirServiceBaseUrl, {
+            check: 'authorizeAndFilterReadResponse',
+            ...auditIdentity,
+            operation: request.operation,
+        });
+
+        const redaction = getRedaction(this.config.redaction, request.userIdentity);
 
         const { operation, readResponse } = request;
+        const toResponseResource = (resource: any) => {
+            const permittedResource = this.removeUnpermittedContainedResources(request.userIdentity, resource);
+            return redaction ? redactResource(permittedResource, redaction) : permittedResource;
+        };
         // If request is a search treat the readResponse as a bundle
         if (SEARCH_OPERATIONS.includes(operation)) {
-            const entries: any[] = (readResponse.entry ?? []).filter((entry: { resource: any }) =>
-                hasAccessToResource(
-                    fhirUserObject,
-                    patientLaunchContext,
-                    entry.resource,
-                    usableScopes,
-                    this.adminAccessTypes,
-                    fhirServiceBaseUrl,
-                    this.fhirVersion,
-                ),
+            const responseEntries: any[] = readResponse.entry ?? [];
+            const decisions: Pick<AuthorizationAuditEvent, 'outcome'>[] = await Promise.all(
+                responseEntries.map((entry) => {
+                    if (entry.search?.mode !== 'include') {
+                        return this.getResourceDecision(
+                            request.userIdentity,
+                            entry.resource,
+                            operation,
+                            fhirServiceBaseUrl,
+                            relatedIdentities,
+                            redaction,
+                        );
+                    }
+                    // the scopes of the search are for the searched resourceType, the included resources need their own
+                    const includeScopes = this.getScopesForResourceType(
+                        request.userIdentity,
+                        entry.resource?.resourceType,
+                    );
+                    return includeScopes.length
+                        ? this.getResourceDecision(
+                              request.userIdentity,
+                              entry.resource,
+                              'read',
+                              fhirServiceBaseUrl,
+                              relatedIdentities,
+                              redaction,
+                              includeScopes,
+                          )
+                        : { outcome: <const>'deny', rule: 'insufficient-scope' };
+                }),
             );
+            const isMatch = (entry: any) => (entry.search?.mode ?? 'match') === 'match';
+            const entries: any[] = responseEntries
+                .filter((entry, i) => decisions[i].outcome === 'allow')
+                .map((entry) => ({ ...entry, resource: toResponseResource(entry.resource) }));
+            // `total` is the number of matches, included resources are not counted
             let numTotal: number = readResponse.total;
             if (!numTotal) {
-                numTotal = entries.length;
+                numTotal = entries.filter(isMatch).length;
             } else {
-                numTotal -= readResponse.entry.length - entries.length;
+                numTotal -= responseEntries.filter(isMatch).length - entries.filter(isMatch).length;
             }
+            await this.audit({
+                check: 'authorizeAndFilterReadResponse',
+                ...auditIdentity,
+                operation,
+                outcome: 'allow',
+                rule: 'search-results-filtered',
+                scopes: usableScopes,
+            });
             return { ...readResponse, entry: entries, total: numTotal };
         }
         // If request is != search treat the readResponse as just a resource
-        if (
-            hasAccessToResource(
-                fhirUserObject,
-                patientLaunchContext,
-                readResponse,
-                usableScopes,
-                this.adminAccessTypes,
-                fhirServiceBaseUrl,
-                this.fhirVersion,
-            )
-        ) {
-            return readResponse;
+        const decision = await this.getResourceDecision(
+            request.userIdentity,
+            readResponse,
+            operation,
+            fhirServiceBaseUrl,
+            relatedIdentities,
+            redaction,
+        );
+        await this.audit({
+            check: 'authorizeAndFilterReadResponse',
+            ...auditIdentity,
+            operation,
+            resourceType: readResponse.resourceType,
+            resourceId: readResponse.id,
+            ...decision,
+        });
+        if (decision.outcome === 'allow') {
+            return toResponseResource(readResponse);
         }
 
         throw new UnauthorizedError('User does not have permission for requested resource');
     }
 
     async isWriteRequestAuthorized(request: WriteRequestAuthorizedRequest): Promise<void> {
-        const { fhirUserObject, patientLaunchContext, usableScopes } = request.userIdentity;
         const fhirServiceBaseUrl = request.fhirServiceBaseUrl ?? this.apiUrl;
-        if (
-            hasAccessToResource(
+        const relatedIdentities = await this.getRelatedIdentities(request.userIdentity, fhirServiceBaseUrl, {
+            check: 'isWriteRequestAuthorized',
+            ...getAuditIdentity(request.userIdentity),
+            operation: request.operation,
+            resourceType: request.resourceBody?.resourceType,
+        });
+        const isGuarded = this.config.writeGuard && (request.operation === 'update' || request.operation === 'patch');
+        const { resourceTypes } = getFhirVersionDefinition(this.fhirVersion);
+        const target = isGuarded ? getWriteTarget(request, resourceTypes) : undefined;
+        const condition = isGuarded && !target ? getWriteCondition(request, resourceTypes) : undefined;
+        const decision = isGuarded
+            ? await this.getGuardedWriteDecision(
+                  request.userIdentity,
+                  request.operation,
+                  request.resourceBody,
+                  target,
+                  condition,
+                  fhirServiceBaseUrl,
+                  relatedIdentities,
+              )
+            : await this.getResourceDecision(
+                  request.userIdentity,
+                  request.resourceBody,
+                  request.operation,
+                  fhirServiceBaseUrl,
+                  relatedIdentities,
+              );
+        await this.audit({
+            check: 'isWriteRequestAuthorized',
+            ...getAuditIdentity(request.userIdentity),
+            operation: request.operation,
+            resourceType: target?.resourceType ?? condition?.split('?')[0] ?? request.resourceBody.resourceType,
+            resourceId: target?.id ?? request.resourceBody.id,
+            ...decision,
+        });
+        if (decision.outcome === 'allow') {
+            return;
+        }
+
+        throw new UnauthorizedError('User does not have permission for requested operation');
+    }
+
+    /**
+     * The requestor must have access to both the stored version of the resource and its updated version, i.e. the stored
+     * version with the JSON Patch of a patch request applied, and may not move it into or out of their compartment.
+     * The resource a conditional update matches cannot be read by id, so its condition must only match resources the
+     * requestor is referenced by
+     * @param resourceBody the updated resource or the JSON Patch
+     * @param condition of a request without target, i.e. `Observation?identifier=123`
+     */
+    private async getGuardedWriteDecision(
+        userIdentity: KeyValueMap,
+        operation: TypeOperation,
+        resourceBody: any,
+        target: { resourceType: string; id: string } | undefined,
+        condition: string | undefined,
+        fhirServiceBaseUrl: string,
+        relatedIdentities: FhirResource[],
+    ): Promise<Pick<AuthorizationAuditEvent, 'outcome' | 'rule' | 'scopes'>> {
+        const deny = (rule: string) => ({ outcome: <const>'deny', rule, scopes: userIdentity.usableScopes });
+        if (condition !== undefined) {
+            const conditionDecision = this.getConditionDecision(
+                userIdentity,
+                condition.split('?')[0],
+                operation,
+                condition,
+                fhirServiceBaseUrl,
+                relatedIdentities,
+            );
+            if (conditionDecision) {
+                return conditionDecision;
+            }
+        }
+        let storedResource: any;
+        if (target) {
+            try {
+                storedResource = await this.config.writeGuard!.readResource(
+                    target.resourceType,
+                    target.id,
+                    fhirServiceBaseUrl,
+                );
+            } catch (e) {
+                logger.error('Unable to read the stored version of the resource');
+                return deny('stored-resource-unavailable');
+            }
+        }
+        if (!storedResource) {
+            // an update of a resource that does not exist creates it
+            return operation === 'update' && !Array.isArray(resourceBody)
+                ? this.getResourceDecision(userIdentity, resourceBody, operation, fhirServiceBaseUrl, relatedIdentities)
+                : deny('stored-resource-missing');
+        }
+        let updatedResource = resourceBody;
+        if (Array.isArray(resourceBody)) {
+            try {
+                updatedResource = applyJsonPatch(storedResource, resourceBody);
+            } catch (e) {
+                logger.warn('The JSON Patch cannot be applied', { message: (e as any).message });
+                return deny('invalid-patch');
+            }
+        }
+        if (updatedResource?.resourceType !== storedResource.resourceType || updatedResource.id !== storedResource.id) {
+            return deny('stored-resource-mismatch');
+        }
+        const storedDecision = await this.getResourceDecision(
+            userIdentity,
+            storedResource,
+            operation,
+            fhirServiceBaseUrl,
+            relatedIdentities,
+        );
+        if (storedDecision.outcome !== 'allow') {
+            return storedDecision;
+        }
+        const decision = await this.getResourceDecision(
+            userIdentity,
+            updatedResource,
+            operation,
+            fhirServiceBaseUrl,
+            relatedIdentities,
+        );
+        if (decision.outcome !== 'allow' || decision.rule === 'system-scope' || decision.rule === 'admin') {
+            return decision;
+        }
+        const { fhirUserObject, patientLaunchContext } = userIdentity;
+        const identities = [fhirUserObject, patientLaunchContext, ...relatedIdentities].filter(
+            (identity) => identity !== undefined,
+        );
+        const reassignedIdentities = getReassignedIdentities(
+            storedResource,
+            updatedResource,
+            identities,
+            fhirServiceBaseUrl,
+            this.fhirVersion,
+            this.config.referenceResolution,
+        );
+        return reassignedIdentities.length > 0 ? deny('ownership-change') : decision;
+    }
+
+    /**
+     * The scopes grant a named operation, the requestor must still be allowed to access its instance. Without
+     * `readResource` only the instances the id alone decides can be checked; an instance that does not exist fails the
+     * operation on its own
+     */
+    private async getNamedOperationInstanceDecision(
+        userIdentity: KeyValueMap,
+        resourceType: string,
+        id: string,
+        operation: TypeOperation | SystemOperation,
+        fhirServiceBaseUrl: string,
+        relatedIdentities: FhirResource[],
+    ): Promise<Pick<AuthorizationAuditEvent, 'outcome' | 'rule' | 'scopes'>> {
+        const { usableScopes } = userIdentity;
+        const decision =
+            this.getDecisionById(userIdentity, resourceType, id, operation, fhirServiceBaseUrl, relatedIdentities) ??
+            (await this.getStoredResourceDecision(
+                userIdentity,
+                resourceType,
+                id,
+                operation,
+                fhirServiceBaseUrl,
+                relatedIdentities,
+            ));
+        if (decision) {
+            return decision;
+        }
+        return this.config.readResource
+            ? { outcome: 'allow', rule: 'stored-resource-missing', scopes: usableScopes }
+            : { outcome: 'deny', rule: 'no-reference', scopes: usableScopes };
+    }
+
+    /**
+     * Reads the stored resource with `readResource` to check it
+     * @returns undefined if there is no `readResource` or the resource does not exist
+     */
+    private async getStoredResourceDecision(
+        userIdentity: KeyValueMap,
+        resourceType: string,
+        id: string,
+        operation: TypeOperation | SystemOperation,
+        fhirServiceBaseUrl: string,
+        relatedIdentities: FhirResource[],
+    ): Promise<Pick<AuthorizationAuditEvent, 'outcome' | 'rule' | 'scopes'> | undefined> {
+        if (!this.config.readResource) {
+            return undefined;
+        }
+        let storedResource: any;
+        try {
+            storedResource = await this.config.readResource(resourceType, id, fhirServiceBaseUrl);
+        } catch (e) {
+            logger.error('Unable to read the stored version of the resource');
+            return { outcome: 'deny', rule: 'stored-resource-unavailable', scopes: userIdentity.usableScopes };
+        }
+        return storedResource
+            ? this.getResourceDecision(userIdentity, storedResource, operation, fhirServiceBaseUrl, relatedIdentities)
+            : undefined;
+    }
+
+    /**
+     * @returns if the requestor has access to the resource, the rule that decided it and the scopes it relied on
+     */
+    private async getResourceDecision(
+        userIdentity: KeyValueMap,
+        resource: any,
+        operation: TypeOperation | SystemOperation,
+        fhirServiceBaseUrl: string,
+        relatedIdentities: FhirResource[],
+        redaction?: Redaction,
+        usableScopes: string[] = userIdentity.usableScopes,
+    ): Promise<Pick<AuthorizationAuditEvent, 'outcome' | 'rule' | 'scopes'>> {
+        const { fhirUserObject, patientLaunchContext, encounterLaunchContext } = userIdentity;
+        const rule =
+            getResourceAccessRule(
                 fhirUserObject,
                 patientLaunchContext,
-                request.resourceBody,
+                resource,
                 usableScopes,
                 this.adminAccessTypes,
                 fhirServiceBaseUrl,
                 this.fhirVersion,
-            )
+                encounterLaunchContext,
+                this.config.referenceResolution,
+                relatedIdentities,
+            ) ??
+            (isBreakTheGlassGranted(userIdentity, operation, this.config.breakTheGlass)
+                ? 'break-the-glass'
+                : undefined);
+        if (!rule) {
+            return { outcome: 'deny', rule: 'no-reference', scopes: usableScopes };
+        }
+        if (!isResourceWithinScopeConstraints(usableScopes, resource)) {
+            return { outcome: 'deny', rule: 'scope-constraint', scopes: usableScopes };
+        }
+        if (!isResourceAllowedForPurposesOfUse(userIdentity.purposeOfUse, this.config.purposeOfUse, resource)) {
+            return { outcome: 'deny', rule: 'purpose-of-use', scopes: usableScopes };
+        }
+        if (redaction && isWithheldBySecurityLabel(resource, redaction)) {
+            return { outcome: 'deny', rule: 'security-label', scopes: usableScopes };
+        }
+        const consentRule = await this.getConsentDenyRule(userIdentity, resource, operation, fhirServiceBaseUrl);
+        if (consentRule) {
+            return { outcome: 'deny', rule: consentRule, scopes: usableScopes };
+        }
+        return { outcome: 'allow', rule, scopes: getGrantingScopes(usableScopes, rule, resource.resourceType) };
+    }
+
+    /**
+     * Patients are not restricted by their own Consents, whether they are the fhirUser or use an app launched in their
+     * patient context with `patient` scopes and no fhirUser
+     * @returns the audit rule when the Consents of the patient the resource belongs to deny the operation
+     */
+    private async getConsentDenyRule(
+        userIdentity: KeyValueMap,
+        resource: any,
+        operation: TypeOperation | SystemOperation,
+        fhirServiceBaseUrl: string,
+    ): Promise<string | undefined> {
+        const { consent } = this.config;
+        const patient = consent ? getConsentPatient(resource, fhirServiceBaseUrl) : undefined;
+        const { fhirUserObject, patientLaunchContext, usableScopes } = userIdentity;
+        const isPatient = (identity?: FhirResource) =>
+            identity?.resourceType === 'Patient' &&
+            identity.id === patient!.id &&
+            identity.hostname === patient!.hostname;
+        if (
+            !consent ||
+            !patient ||
+            isPatient(fhirUserObject) ||
+            (!fhirUserObject &&
+                isPatient(patientLaunchContext) &&
+                (usableScopes ?? []).some((scope: string) => scope.startsWith('patient/')))
         ) {
-            return;
+            return undefined;
+        }
+        let consents: any[];
+        try {
+            consents = await this.getConsents(userIdentity, patient, fhirServiceBaseUrl);
+        } catch (e) {
+            logger.error('Unable to look up the Consents of the patient');
+            return 'consent-unavailable';
         }
+        const decision =
+            evaluateConsents(consents, resource, {
+                actors: fhirUserObject ? [fhirUserObject] : [],
+                actions: getConsentActions(operation),
+                fhirServiceBaseUrl,
+            }) ??
+            consent.defaultDecision ??
+            'permit';
+        return decision === 'deny' ? 'consent' : undefined;
+    }
 
-        throw new UnauthorizedError('User does not have permission for requested operation');
+    /**
+     * Like the related identities, the Consents of a patient are looked up once per request
+     */
+    private getConsents(userIdentity: KeyValueMap, patient: FhirResource, fhirServiceBaseUrl: string): Promise<any[]> {
+        let consentsByPatient = this.consentsCache.get(userIdentity);
+        if (!consentsByPatient) {
+            consentsByPatient = new Map();
+            this.consentsCache.set(userIdentity, consentsByPatient);
+        }
+        const key = `${patient.hostname}/${patient.resourceType}/${patient.id}`;
+        let consents = consentsByPatient.get(key);
+        if (!consents) {
+            consents = this.config.consent!.getConsents(patient, fhirServiceBaseUrl);
+            consentsByPatient.set(key, consents);
+        }
+        return consents;
+    }
+
+    /**
+     * The unverified `iss` only selects the settings used to verify the access_token
+     * @returns undefined if the access_token is from an untrusted issuer
+     */
+    private getIssuerSettingsForToken(accessToken: string): IssuerSettings | undefined {
+        if (this.trustedIssuers.size === 0) {
+            return this.defaultIssuer;
+        }
+        return this.getIssuerSettingsForIssuer(getUnverifiedIssuer(accessToken));
+    }
+
+    private getIssuerSettingsForIssuer(iss: string | undefined): IssuerSettings | undefined {
+        if (this.trustedIssuers.size === 0) {
+            return this.defaultIssuer;
+        }
+        if (iss === undefined || iss === this.defaultIssuer.issuer) {
+            // tokens without `iss` fail the verification with the default settings
+            return this.defaultIssuer;
+        }
+        return this.trustedIssuers.get(iss);
+    }
+
+    private getScopeRule(userIdentity: KeyValueMap): ScopeRule {
+        return (this.trustedIssuers.get(userIdentity.issuer) ?? this.defaultIssuer).scopeRule;
+    }
+
+    private async audit(event: Omit<AuthorizationAuditEvent, 'timestamp'>): Promise<void> {
+        await emitAuditEvent(this.config.auditEventSink, event);
+    }
+
+    /**
+     * Checks the `cnf` binding of the access_token with the `dpop` & `mtls` modes that apply to the usable scopes
+     * @throws UnauthorizedError when the requestor does not prove possession of the key or certificate the token is bound to
+     */
+    private async verifySenderConstraints(
+        request: VerifyAccessTokenRequest,
+        decodedToken: any,
+        usableScopes: string[],
+        auditEvent: Omit<AuthorizationAuditEvent, 'timestamp' | 'outcome' | 'rule'>,
+    ): Promise<void> {
+        const dpopMode = getSenderConstraintMode(usableScopes, this.config.dpop);
+        const mtlsMode = getSenderConstraintMode(usableScopes, this.config.mtls);
+        const jkt = decodedToken.cnf?.jkt;
+        const x5tS256 = decodedToken.cnf?.['x5t#S256'];
+        const deny = async (rule: string, error: Error) => {
+            await this.audit({ ...auditEvent, outcome: 'deny', rule, scopes: usableScopes });
+            throw error;
+        };
+
+        if ((dpopMode === 'required' && !jkt) || (mtlsMode === 'required' && !x5tS256)) {
+            logger.warn('access_token is not sender-constrained', { dpopMode, mtlsMode });
+            await deny('sender-constraint-required', new UnauthorizedError('access_token must be sender-constrained'));
+        }
+        if (dpopMode !== 'off' && jkt) {
+            try {
+                const { verb, url, headers } = request.requestContext ?? <any>{};
+                const dpopHeader = Object.keys(headers ?? {}).find((name) => name.toLowerCase() === 'dpop');
+                const proof = dpopHeader ? headers[dpopHeader] : undefined;
+                if (typeof proof !== 'string' || !verb || !url) {
+                    throw new UnauthorizedError('Invalid DPoP proof');
+                }
+                await verifyDPoPProof(proof, {
+                    accessToken: request.accessToken,
+                    method: verb,
+                    url,
+                    baseUrl: request.fhirServiceBaseUrl ?? this.apiUrl,
+                    jkt,
+                    allowedAlgorithms:
+                        this.config.dpop?.allowedAlgorithms ??
+                        this.config.allowedAlgorithms ??
+                        DEFAULT_ALLOWED_ALGORITHMS,
+                    maxProofAgeSeconds: this.config.dpop?.maxProofAgeSeconds ?? DEFAULT_DPOP_MAX_PROOF_AGE_SECONDS,
+                    replayStore: this.dpopReplayStore,
+                });
+            } catch (e) {
+                await deny('invalid-dpop-proof', e as Error);
+            }
+        }
+        if (mtlsMode !== 'off' && x5tS256) {
+            try {
+                verifyCertificateBinding(x5tS256, request.requestContext?.contextInfo?.clientCertificateThumbprint);
+            } catch (e) {
+                logger.warn('access_token is not bound to the client certificate');
+                await deny('certificate-binding-mismatch', e as Error);
+            }
+        }
+    }
+
+    /**
+     * The userIdentity returned by `verifyAccessToken` is shared by all the authorization calls of a request,
+     * so it is used as the cache key to resolve the related identities once per request
+     * @returns the identities the fhirUser acts on behalf of; empty if no `relatedIdentityResolver` is configured
+     */
+    /**
+     * The related identities are resolved once per userIdentity; a failed resolution is not cached so the next request
+     * resolves them again
+     * @param auditEvent of the check the identities are needed for, the failure is audited as a deny; not audited when absent
+     * @throws UnauthorizedError when the related identities cannot be resolved
+     */
+    private async getRelatedIdentities(
+        userIdentity: KeyValueMap,
+        fhirServiceBaseUrl: string,
+        auditEvent?: Omit<AuthorizationAuditEvent, 'timestamp' | 'outcome' | 'rule'>,
+    ): Promise<FhirResource[]> {
+        const { fhirUserObject } = userIdentity;
+        if (
+            !this.config.relatedIdentityResolver ||
+            !fhirUserObject ||
+            isFhirUserAdmin(fhirUserObject, this.adminAccessTypes, fhirServiceBaseUrl)
+        ) {
+            return [];
+        }
+        let relatedIdentities = this.relatedIdentitiesCache.get(userIdentity);
+        if (!relatedIdentities) {
+            relatedIdentities = this.config.relatedIdentityResolver(fhirUserObject, fhirServiceBaseUrl);
+            this.relatedIdentitiesCache.set(userIdentity, relatedIdentities);
+        }
+        try {
+            return await relatedIdentities;
+        } catch (e) {
+            if (this.relatedIdentitiesCache.get(userIdentity) === relatedIdentities) {
+                this.relatedIdentitiesCache.delete(userIdentity);
+            }
+            logger.error('Unable to resolve the related identities of the fhirUser', { message: (e as any)?.message });
+            if (auditEvent) {
+                await this.audit({
+                    ...auditEvent,
+                    outcome: 'deny',
+                    rule: 'related-identities-unavailable',
+                    scopes: userIdentity.usableScopes,
+                });
+            }
+            throw new UnauthorizedError('User does not have permission for requested operation');
+        }
     }
 }
@@ -2,7 +2,7 @@
  *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
  *  SPDX-License-Identifier: Apache-2.0
  */
-import { BulkDataAuth, ExportType } from 'fhir-works-on-aws-interface';
+import { BulkDataAuth, ExportType, UnauthorizedError } from 'fhir-works-on-aws-interface';
 import { ScopeRule, ScopeType } from './smartConfig';
 import {
     isScopeSufficient,
@@ -10,6 +10,10 @@ import {
     filterOutUnusableScope,
     getScopes,
     getValidOperationsForScopeTypeAndAccessType,
+    getValidOperationsForSmartScope,
+    isResourceWithinScopeConstraints,
+    getScopeQueryParamSearchFilters,
+    getNamedOperation,
 } from './smartScopeHelper';
 
 const emptyScopeRule = (): ScopeRule => ({
@@ -131,6 +135,45 @@ describe.each(isScopeSufficientCases)('ScopeType: %s: isScopeSufficient', (scope
 
         expect(isScopeSufficient(`${scopeType}/*.*`, clonedScopeRule, 'transaction', false)).toEqual(false);
     });
+    test('SMART v2 scope is sufficient to read Observation', () => {
+        const clonedScopeRule = emptyScopeRule();
+        clonedScopeRule[scopeType].read = ['read', 'search-type'];
+
+        expect(isScopeSufficient(`${scopeType}/Observation.rs`, clonedScopeRule, 'read', false, 'Observation')).toEqual(
+            true,
+        );
+        expect(
+            isScopeSufficient(
+                `${scopeType}/Observation.rs?category=laboratory`,
+                clonedScopeRule,
+                'search-type',
+                false,
+                'Observation',
+            ),
+        ).toEqual(true);
+    });
+
+    test('SMART v2 scope is NOT sufficient to read Observation because permission `r` is missing', () => {
+        const clonedScopeRule = emptyScopeRule();
+        clonedScopeRule[scopeType].read = ['read', 'search-type'];
+
+        expect(isScopeSufficient(`${scopeType}/Observation.s`, clonedScopeRule, 'read', false, 'Observation')).toEqual(
+            false,
+        );
+    });
+
+    test('SMART v2 scope is NOT sufficient to update Observation because permission `u` is missing', () => {
+        const clonedScopeRule = emptyScopeRule();
+        clonedScopeRule[scopeType].write = ['create', 'update'];
+
+        expect(
+            isScopeSufficient(`${scopeType}/Observation.cd`, clonedScopeRule, 'update', false, 'Observation'),
+        ).toEqual(false);
+        expect(
+            isScopeSufficient(`${scopeType}/Observation.cd`, clonedScopeRule, 'create', false, 'Observation'),
+        ).toEqual(true);
+    });
+
     test('invalid scope', () => {
         const clonedScopeRule = emptyScopeRule();
         clonedScopeRule[scopeType].read = ['read'];
@@ -251,6 +294,232 @@ describe.each(isScopeSufficientCases)('ScopeType: %s: isScopeSufficient', (scope
                 },
             );
         });
+
+        test('scope is sufficient for `patient` initiate-export when the scope rule declares `$export` on Patient', () => {
+            const clonedScopeRule = emptyScopeRule();
+            clonedScopeRule[scopeType].read = ['read'];
+            const bulkDataAuth: BulkDataAuth = { operation: 'initiate-export', exportType: 'patient' };
+            expect(
+                isScopeSufficient(`${scopeType}/*.read`, clonedScopeRule, 'read', true, undefined, bulkDataAuth),
+            ).toEqual(false);
+
+            clonedScopeRule[scopeType].operations = {
+                read: [{ name: '$export', levels: ['type'], resourceTypes: ['Patient'] }],
+            };
+            expect(
+                isScopeSufficient(`${scopeType}/*.read`, clonedScopeRule, 'read', false, undefined, bulkDataAuth),
+            ).toEqual(scopeType !== 'patient');
+            expect(
+                isScopeSufficient(`${scopeType}/Patient.read`, clonedScopeRule, 'read', false, undefined, bulkDataAuth),
+            ).toEqual(scopeType !== 'patient');
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Observation.read`,
+                    clonedScopeRule,
+                    'read',
+                    false,
+                    undefined,
+                    bulkDataAuth,
+                ),
+            ).toEqual(false);
+            expect(
+                isScopeSufficient(`${scopeType}/*.read`, clonedScopeRule, 'read', false, undefined, {
+                    operation: 'get-status-export',
+                    exportType: 'patient',
+                }),
+            ).toEqual(scopeType !== 'patient');
+        });
+    });
+
+    describe('named operations', () => {
+        const scopeRuleWithOperations = (): ScopeRule => {
+            const clonedScopeRule = emptyScopeRule();
+            clonedScopeRule[scopeType].operations = {
+                read: [
+                    { name: '$everything', levels: ['instance'], resourceTypes: ['Patient'] },
+                    { name: '$meta', levels: ['system', 'type', 'instance'] },
+                ],
+                write: [{ name: '$meta-add', levels: ['instance'] }],
+            };
+            return clonedScopeRule;
+        };
+
+        test('scope is sufficient when the scope rule declares the operation at the requested level', () => {
+            const everything = {
+                name: '$everything',
+                level: <const>'instance',
+                resourceType: 'Patient',
+                id: '1',
+            };
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Patient.read`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    everything,
+                ),
+            ).toEqual(true);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/*.rs`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    everything,
+                ),
+            ).toEqual(true);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Patient.read`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    { ...everything, level: 'type', id: undefined },
+                ),
+            ).toEqual(false);
+        });
+
+        test('scope is NOT sufficient for operations of other resourceTypes or access types', () => {
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Observation.read`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    { name: '$everything', level: 'instance', resourceType: 'Patient', id: '1' },
+                ),
+            ).toEqual(false);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Encounter.read`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    { name: '$everything', level: 'instance', resourceType: 'Encounter', id: '1' },
+                ),
+            ).toEqual(false);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Observation.read`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    { name: '$meta-add', level: 'instance', resourceType: 'Observation', id: '1' },
+                ),
+            ).toEqual(false);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Observation.cu`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    { name: '$meta-add', level: 'instance', resourceType: 'Observation', id: '1' },
+                ),
+            ).toEqual(true);
+        });
+
+        test('the permissions of SMART v2 scopes must grant the interaction the operation amounts to', () => {
+            const metaAdd = { name: '$meta-add', level: <const>'instance', resourceType: 'Observation', id: '1' };
+            const everything = { name: '$everything', level: <const>'instance', resourceType: 'Patient', id: '1' };
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Observation.cd`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    metaAdd,
+                ),
+            ).toEqual(false);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Patient.s`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    everything,
+                ),
+            ).toEqual(false);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Observation.s`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    { name: '$meta', level: 'type', resourceType: 'Observation' },
+                ),
+            ).toEqual(true);
+        });
+
+        test('system level operations need a scope for all resourceTypes', () => {
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/Observation.read`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    { name: '$meta', level: 'system' },
+                ),
+            ).toEqual(false);
+            expect(
+                isScopeSufficient(
+                    `${scopeType}/*.read`,
+                    scopeRuleWithOperations(),
+                    'read',
+                    false,
+                    undefined,
+                    undefined,
+                    {
+                        name: '$meta',
+                        level: 'system',
+                    },
+                ),
+            ).toEqual(true);
+        });
+    });
+});
+
+describe('getNamedOperation', () => {
+    const resourceTypes = ['Patient', 'Observation'];
+    test.each([
+        ['https://fhir.server.com/dev/$meta', { name: '$meta', level: 'system' }],
+        ['/Patient/$export', { name: '$export', level: 'type', resourceType: 'Patient' }],
+        [
+            'https://fhir.server.com/dev/Patient/1/$everything?_count=10',
+            { name: '$everything', level: 'instance', resourceType: 'Patient', id: '1' },
+        ],
+        ['Observation/1/$meta-add', { name: '$meta-add', level: 'instance', resourceType: 'Observation', id: '1' }],
+    ])('%s', (url, namedOperation) => {
+        expect(getNamedOperation(url, resourceTypes)).toEqual(namedOperation);
+    });
+
+    test('requests without a named operation', () => {
+        expect(getNamedOperation(undefined, resourceTypes)).toBeUndefined();
+        expect(getNamedOperation('/Patient/1', resourceTypes)).toBeUndefined();
+        expect(getNamedOperation('/Patient?name=$everything', resourceTypes)).toBeUndefined();
+        expect(getNamedOperation('/Patient/1/_history/2', resourceTypes)).toBeUndefined();
     });
 });
 
@@ -409,6 +678,26 @@ describe('filterOutUnusableScope', () => {
             ),
         ).toEqual(['system/DocumentReference.read', 'system/Patient.read']);
     });
+
+    test('filter scopes with query parameters that cannot limit a search', () => {
+        const clonedScopeRule = emptyScopeRule();
+        clonedScopeRule.patient.read = ['read', 'search-type'];
+        const scopes = ['patient/Observation.rs?category=laboratory', 'patient/Observation.rs?patient=Patient/1'];
+        expect(
+            filterOutUnusableScope(
+                scopes,
+                clonedScopeRule,
+                'search-type',
+                false,
+                'Observation',
+                undefined,
+                'launchPatient',
+            ),
+        ).toEqual(['patient/Observation.rs?patient=Patient/1']);
+        expect(
+            filterOutUnusableScope(scopes, clonedScopeRule, 'read', false, 'Observation', undefined, 'launchPatient'),
+        ).toEqual(scopes);
+    });
 });
 
 describe('getValidOperationsForScopeTypeAndAccessType', () => {
@@ -433,6 +722,151 @@ describe('getValidOperationsForScopeTypeAndAccessType', () => {
     });
 });
 
+describe('getValidOperationsForSmartScope', () => {
+    const clonedScopeRule = emptyScopeRule();
+    clonedScopeRule.user = {
+        read: ['read', 'vread', 'search-type'],
+        write: ['create', 'update', 'patch', 'delete'],
+    };
+    test('v1 scope', () => {
+        const validOperations = getValidOperationsForSmartScope(
+            { scopeType: 'user', resourceType: '*', accessType: 'read' },
+            clonedScopeRule,
+        );
+        expect(validOperations).toEqual(['read', 'vread', 'search-type']);
+    });
+
+    test('v2 scope', () => {
+        const validOperations = getValidOperationsForSmartScope(
+            { scopeType: 'user', resourceType: '*', accessType: '*', permissions: ['r', 'u'] },
+            clonedScopeRule,
+        );
+        expect(validOperations).toEqual(['read', 'vread', 'update', 'patch']);
+    });
+});
+
+describe('isResourceWithinScopeConstraints', () => {
+    const laboratoryObservation = {
+        resourceType: 'Observation',
+        id: '1',
+        category: [
+            {
+                coding: [
+                    {
+                        system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+                        code: 'laboratory',
+                    },
+                ],
+            },
+        ],
+        status: 'final',
+        subject: { reference: 'Patient/1' },
+    };
+    test('no scopes for the resourceType', () => {
+        expect(isResourceWithinScopeConstraints(['patient/Condition.rs?category=x'], laboratoryObservation)).toEqual(
+            true,
+        );
+    });
+    test('unconstrained scope', () => {
+        expect(
+            isResourceWithinScopeConstraints(
+                ['patient/Observation.rs?category=vital-signs', 'patient/*.rs'],
+                laboratoryObservation,
+            ),
+        ).toEqual(true);
+    });
+    test.each([
+        ['category=laboratory', true],
+        ['category=http://terminology.hl7.org/CodeSystem/observation-category|laboratory', true],
+        ['category=vital-signs,laboratory', true],
+        ['category=laboratory&status=final', true],
+        ['category=vital-signs', false],
+        ['category=laboratory&status=amended', false],
+        ['category:not=vital-signs', false],
+        ['patient=Patient/1', true],
+        ['subject=Patient/1', true],
+        ['patient=Patient/2', false],
+    ])('constrained scope: %p', (queryParams, expected) => {
+        expect(
+            isResourceWithinScopeConstraints([`patient/Observation.rs?${queryParams}`], laboratoryObservation),
+        ).toEqual(expected);
+    });
+});
+
+describe('getScopeQueryParamSearchFilters', () => {
+    test('no resourceType', () => {
+        expect(getScopeQueryParamSearchFilters(['patient/Observation.rs?category=laboratory'])).toEqual([]);
+    });
+    test('unconstrained scope', () => {
+        expect(
+            getScopeQueryParamSearchFilters(
+                ['patient/Observation.rs?category=laboratory', 'patient/Observation.rs'],
+                'Observation',
+            ),
+        ).toEqual([]);
+    });
+    test('single constrained scope', () => {
+        expect(
+            getScopeQueryParamSearchFilters(
+                ['patient/Observation.rs?patient=Patient/1,Patient/2&subject=Group/3', 'patient/Patient.rs'],
+                'Observation',
+            ),
+        ).toEqual([
+            {
+                key: '_references',
+                value: ['Patient/1', 'Patient/2'],
+                comparisonOperator: '==',
+                logicalOperator: 'AND',
+            },
+            {
+                key: '_references',
+                value: ['Group/3'],
+                comparisonOperator: '==',
+                logicalOperator: 'AND',
+            },
+        ]);
+    });
+    test.each([
+        [['patient/Observation.rs?patient=Patient/1&category=laboratory']],
+        [['patient/Observation.rs?patient=Patient/1', 'patient/Observation.rs?subject:Patient=1']],
+    ])('ERROR: token, modified or chained parameters cannot limit the search: %p', (scopes) => {
+        expect(() => getScopeQueryParamSearchFilters(scopes, 'Observation')).toThrowError(UnauthorizedError);
+    });
+    test('several scopes constraining the same parameter', () => {
+        expect(
+            getScopeQueryParamSearchFilters(
+                ['patient/Observation.rs?subject=Patient/1', 'user/Observation.rs?subject=Group/2,Patient/1'],
+                'Observation',
+            ),
+        ).toEqual([
+            {
+                key: '_references',
+                value: ['Patient/1', 'Group/2'],
+                comparisonOperator: '==',
+                logicalOperator: 'AND',
+            },
+        ]);
+    });
+    test('several scopes constraining different parameters', () => {
+        expect(
+            getScopeQueryParamSearchFilters(
+                [
+                    'patient/Observation.rs?patient=Patient/1&subject=Group/2',
+                    'patient/Observation.rs?subject=Patient/3',
+                ],
+                'Observation',
+            ),
+        ).toEqual([
+            {
+                key: '_references',
+                value: ['Patient/1', 'Group/2', 'Patient/3'],
+                comparisonOperator: '==',
+                logicalOperator: 'AND',
+            },
+        ]);
+    });
+});
+
 describe('convertScopeToSmartScope', () => {
     test('launchScope', () => {
         const scope = 'launch/encounter';
@@ -456,4 +890,32 @@ describe('convertScopeToSmartScope', () => {
             scopeType: 'patient',
         });
     });
+    test('SMART v2 clinicalScope', () => {
+        const scope = 'patient/Observation.rs';
+        expect(convertScopeToSmartScope(scope)).toEqual({
+            accessType: 'read',
+            resourceType: 'Observation',
+            scopeType: 'patient',
+            permissions: ['r', 's'],
+        });
+    });
+    test('SMART v2 clinicalScope with query parameters', () => {
+        const scope = 'user/Observation.cruds?category=laboratory&status=final';
+        expect(convertScopeToSmartScope(scope)).toEqual({
+            accessType: '*',
+            resourceType: 'Observation',
+            scopeType: 'user',
+            permissions: ['c', 'r', 'u', 'd', 's'],
+            queryParams: [
+                { name: 'category', value: 'laboratory' },
+                { name: 'status', value: 'final' },
+            ],
+        });
+    });
+    test('query parameters on a SMART v1 clinicalScope', () => {
+        const scope = 'user/Observation.read?category=laboratory';
+        expect(() => {
+            convertScopeToSmartScope(scope);
+        }).toThrowError(new Error('Not a SmartScope'));
+    });
 });
@@ -2,8 +2,26 @@
  *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
  *  SPDX-License-Identifier: Apache-2.0
  */
-import { BulkDataAuth, SystemOperation, TypeOperation } from 'fhir-works-on-aws-interface';
-import { AccessModifier, ClinicalSmartScope, ScopeRule, ScopeType } from './smartConfig';
+import {
+    BulkDataAuth,
+    SearchFilter,
+    SystemOperation,
+    TypeOperation,
+    UnauthorizedError,
+} from 'fhir-works-on-aws-interface';
+import get from 'lodash/get';
+import {
+    AccessModifier,
+    ClinicalSmartScope,
+    OperationLevel,
+    ScopePermission,
+    ScopeQueryParam,
+    ScopeRule,
+    ScopeType,
+} from './smartConfig';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
 
 export const SEARCH_OPERATIONS: (TypeOperation | SystemOperation)[] = [
     'search-type',
@@ -14,18 +32,60 @@ export const SEARCH_OPERATIONS: (TypeOperation | SystemOperation)[] = [
 ];
 
 export const FHIR_SCOPE_REGEX =
-    /^(?<scopeType>patient|user|system)\/(?<scopeResourceType>[A-Z][a-zA-Z]+|\*)\.(?<accessType>read|write|\*)$/;
+    /^(?<scopeType>patient|user|system)\/(?<scopeResourceType>[A-Z][a-zA-Z]+|\*)\.(?<accessType>read|write|\*|(?=[cruds])c?r?u?d?s?)(\?(?<queryParams>\S+))?$/;
+
+/**
+ * The operations each SMART v2 permission may grant. The operations actually granted are further limited by the `ScopeRule`
+ */
+export const PERMISSION_OPERATIONS: Record<ScopePermission, (TypeOperation | SystemOperation)[]> = {
+    c: ['create', 'transaction', 'batch'],
+    r: ['read', 'vread', 'history-instance', 'transaction', 'batch'],
+    u: ['update', 'patch', 'transaction', 'batch'],
+    d: ['delete', 'transaction', 'batch'],
+    s: ['search-type', 'search-system', 'history-type', 'history-system', 'transaction', 'batch'],
+};
+
+function getAccessTypeForPermissions(permissions: ScopePermission[]): AccessModifier {
+    const hasRead = permissions.some((permission) => ['r', 's'].includes(permission));
+    const hasWrite = permissions.some((permission) => ['c', 'u', 'd'].includes(permission));
+    if (hasRead && hasWrite) {
+        return '*';
+    }
+    return hasRead ? 'read' : 'write';
+}
 
 export function convertScopeToSmartScope(scope: string): ClinicalSmartScope {
     const matchClinicalScope = scope.match(FHIR_SCOPE_REGEX);
     if (matchClinicalScope) {
-        const { scopeType, scopeResourceType, accessType } = matchClinicalScope.groups!;
+        const { scopeType, scopeResourceType, accessType, queryParams } = matchClinicalScope.groups!;
+
+        if (['read', 'write', '*'].includes(accessType)) {
+            // query parameters are only defined for SMART v2 scopes
+            if (queryParams) {
+                throw new Error('Not a SmartScope');
+            }
+            return {
+                scopeType: <ScopeType>scopeType,
+                resourceType: scopeResourceType,
+                accessType: <AccessModifier>accessType,
+            };
+        }
 
-        return {
+        const permissions = <ScopePermission[]>accessType.split('');
+        const smartScope: ClinicalSmartScope = {
             scopeType: <ScopeType>scopeType,
             resourceType: scopeResourceType,
-            accessType: <AccessModifier>accessType,
+            accessType: getAccessTypeForPermissions(permissions),
+            permissions,
         };
+        if (queryParams) {
+            const parsedQueryParams: ScopeQueryParam[] = [];
+            new URLSearchParams(queryParams).forEach((value, name) => {
+                parsedQueryParams.push({ name, value });
+            });
+            smartScope.queryParams = parsedQueryParams;
+        }
+        return smartScope;
     }
 
     throw new Error('Not a SmartScope');
@@ -46,6 +106,23 @@ export function getValidOperationsForScopeTypeAndAccessType(
     return validOperations;
 }
 
+/**
+ * Same as `getValidOperationsForScopeTypeAndAccessType` but also takes the SMART v2 permissions of the scope into account
+ */
+export function getValidOperationsForSmartScope(
+    smartScope: ClinicalSmartScope,
+    scopeRule: ScopeRule,
+): (TypeOperation | SystemOperation)[] {
+    const { scopeType, accessType, permissions } = smartScope;
+    const validOperations = getValidOperationsForScopeTypeAndAccessType(scopeType, accessType, scopeRule);
+    if (!permissions) {
+        return validOperations;
+    }
+    return validOperations.filter((operation) =>
+        permissions.some((permission) => PERMISSION_OPERATIONS[permission].includes(operation)),
+    );
+}
+
 function getValidOperationsForScope(
     smartScope: ClinicalSmartScope,
     scopeRule: ScopeRule,
@@ -53,10 +130,10 @@ function getValidOperationsForScope(
     reqResourceType?: string,
 ): (TypeOperation | SystemOperation)[] {
     let validOperations: (TypeOperation | SystemOperation)[] = [];
-    const { scopeType, resourceType, accessType } = smartScope;
+    const { resourceType } = smartScope;
     if (reqResourceType) {
         if (resourceType === '*' || resourceType === reqResourceType || reqOperation === 'search-type') {
-            validOperations = getValidOperationsForScopeTypeAndAccessType(scopeType, accessType, scopeRule);
+            validOperations = getValidOperationsForSmartScope(smartScope, scopeRule);
         }
     }
     // 'search-system' and 'history-system' request operation requires '*' for scopeResourceType
@@ -64,12 +141,113 @@ function getValidOperationsForScope(
         (['search-system', 'history-system'].includes(reqOperation) && resourceType === '*') ||
         ['transaction', 'batch'].includes(reqOperation)
     ) {
-        validOperations = getValidOperationsForScopeTypeAndAccessType(scopeType, accessType, scopeRule);
+        validOperations = getValidOperationsForSmartScope(smartScope, scopeRule);
     }
 
     return validOperations;
 }
 
+/**
+ * Named operation a request invokes, i.e. `$everything` at the `instance` level of `Patient/123`
+ */
+export interface NamedOperation {
+    name: string;
+    level: OperationLevel;
+    resourceType?: string;
+    id?: string;
+}
+
+/**
+ * Interaction a named operation amounts to, so that it is granted by the same SMART v2 permission: a read operation is a
+ * read at the instance level and a search otherwise, a write operation is an update at the instance level and a create
+ * otherwise
+ */
+function getNamedOperationInteraction(
+    accessType: 'read' | 'write',
+    level: OperationLevel,
+): TypeOperation | SystemOperation {
+    if (accessType === 'read') {
+        if (level === 'instance') {
+            return 'read';
+        }
+        return level === 'type' ? 'search-type' : 'search-system';
+    }
+    return level === 'instance' ? 'update' : 'create';
+}
+
+/**
+ * @returns true if the scope type & access type of the scope declare the operation and the scope is for the
+ * resourceType of the operation. The permissions of SMART v2 scopes must also grant the interaction the operation
+ * amounts to, i.e. `patient/Observation.c` cannot invoke `Observation/123/$meta-add`
+ */
+export function isSmartScopeSufficientForOperation(
+    smartScope: ClinicalSmartScope,
+    scopeRule: ScopeRule,
+    operation: NamedOperation,
+): boolean {
+    const { scopeType, accessType, resourceType, permissions } = smartScope;
+    if (
+        operation.level === 'system'
+            ? resourceType !== '*'
+            : resourceType !== '*' && resourceType !== operation.resourceType
+    ) {
+        return false;
+    }
+    const { operations } = scopeRule[scopeType];
+    const isGrantedByPermissions = (operationAccessType: 'read' | 'write') => {
+        const interaction = getNamedOperationInteraction(operationAccessType, operation.level);
+        return (
+            !permissions || permissions.some((permission) => PERMISSION_OPERATIONS[permission].includes(interaction))
+        );
+    };
+    const accessRules = [
+        ...((accessType === '*' || accessType === 'read') && isGrantedByPermissions('read')
+            ? operations?.read ?? []
+            : []),
+        ...((accessType === '*' || accessType === 'write') && isGrantedByPermissions('write')
+            ? operations?.write ?? []
+            : []),
+    ];
+    return accessRules.some(
+        (accessRule) =>
+            accessRule.name === operation.name &&
+            accessRule.levels.includes(operation.level) &&
+            (operation.level === 'system' ||
+                !accessRule.resourceTypes ||
+                accessRule.resourceTypes.includes(operation.resourceType!)),
+    );
+}
+
+/**
+ * The operation is the last segment of the URL path, i.e. `/Patient/123/$everything`
+ * @param resourceTypes resourceTypes of the FHIR version, to tell them apart from the segments of the base URL
+ * @returns undefined if the request does not invoke a named operation
+ */
+export function getNamedOperation(url: string | undefined, resourceTypes: string[]): NamedOperation | undefined {
+    if (!url) {
+        return undefined;
+    }
+    let pathname: string;
+    try {
+        pathname = new URL(url, 'https://localhost').pathname;
+    } catch (e) {
+        return undefined;
+    }
+    const segments = pathname.split('/').filter((segment) => segment !== '');
+    const name = segments[segments.length - 1];
+    if (!name || !/^\$[A-Za-z][A-Za-z0-9-]*$/.test(name)) {
+        return undefined;
+    }
+    const [previous, beforePrevious] = [segments[segments.length - 2], segments[segments.length - 3]];
+    if (resourceTypes.includes(previous)) {
+        return { name, level: 'type', resourceType: previous };
+    }
+    if (previous && resourceTypes.includes(beforePrevious)) {
+        return { name, level: 'instance', resourceType: beforePrevious, id: previous };
+    }
+    return { name, level: 'system' };
+}
+
 export function getScopes(scopes: string | string[]): string[] {
     if (Array.isArray(scopes)) {
         return scopes;
@@ -80,16 +258,28 @@ export function getScopes(scopes: string | string[]): string[] {
     return [];
 }
 
+/**
+ * The export is not limited to the patient in context, so `patient` scopes never grant it
+ */
+function isSmartScopeSufficientForPatientExport(smartScope: ClinicalSmartScope, scopeRule: ScopeRule): boolean {
+    return (
+        smartScope.scopeType !== 'patient' &&
+        isSmartScopeSufficientForOperation(smartScope, scopeRule, {
+            name: '$export',
+            level: 'type',
+            resourceType: 'Patient',
+        })
+    );
+}
+
 function isSmartScopeSufficientForBulkDataAccess(
     bulkDataAuth: BulkDataAuth,
     smartScope: ClinicalSmartScope,
     scopeRule: ScopeRule,
     isUserScopeAllowedForSystemExport: boolean,
 ) {
-    const { scopeType, accessType, resourceType } = smartScope;
-    const hasReadPermissions = getValidOperationsForScopeTypeAndAccessType(scopeType, accessType, scopeRule).includes(
-        'read',
-    );
+    const { scopeType, resourceType } = smartScope;
+    const hasReadPermissions = getValidOperationsForSmartScope(smartScope, scopeRule).includes('read');
     const hasSufficientScopeType = isUserScopeAllowedForSystemExport
         ? ['system', 'user'].includes(scopeType)
         : ['system'].includes(scopeType);
@@ -99,13 +289,15 @@ function isSmartScopeSufficientForBulkDataAccess(
             bulkDataRequestHasCorrectScope = hasSufficientScopeType && resourceType === '*' && hasReadPermissions;
         } else if (bulkDataAuth.exportType === 'group') {
             bulkDataRequestHasCorrectScope = ['system'].includes(scopeType) && hasReadPermissions;
+        } else if (bulkDataAuth.exportType === 'patient') {
+            bulkDataRequestHasCorrectScope = isSmartScopeSufficientForPatientExport(smartScope, scopeRule);
         }
         return bulkDataRequestHasCorrectScope;
     }
     return (
         ['get-status-export', 'cancel-export'].includes(bulkDataAuth.operation) &&
-        hasSufficientScopeType &&
-        hasReadPermissions
+        ((hasSufficientScopeType && hasReadPermissions) ||
+            isSmartScopeSufficientForPatientExport(smartScope, scopeRule))
     );
 }
 
@@ -116,11 +308,13 @@ export function isScopeSufficient(
     isUserScopeAllowedForSystemExport: boolean,
     reqResourceType?: string,
     bulkDataAuth?: BulkDataAuth,
+    namedOperation?: NamedOperation,
 ): boolean {
     try {
-        console.log('isScopeSufficient', scope, reqOperation, reqResourceType, bulkDataAuth);
         const smartScope = convertScopeToSmartScope(scope);
-        console.log('isScopeSufficient', smartScope);
+        if (namedOperation) {
+            return isSmartScopeSufficientForOperation(smartScope, scopeRule, namedOperation);
+        }
         if (bulkDataAuth) {
             return isSmartScopeSufficientForBulkDataAccess(
                 bulkDataAuth,
@@ -143,6 +337,91 @@ export function isScopeSufficient(
     return false;
 }
 
+const RELATIVE_REFERENCE_REGEX = /^[A-Z][a-zA-Z]+\/[A-Za-z0-9\-.]{1,64}$/;
+
+/**
+ * Only the reference parameters, i.e. `patient=Patient/123`, have a field in the stored documents a search filter can
+ * apply to: `_references`
+ * @returns the parameter as a search filter; undefined if it cannot be translated
+ */
+function toReferenceSearchFilter({ name, value }: ScopeQueryParam): SearchFilter | undefined {
+    const values = value.split(',');
+    if (name.includes(':') || name.includes('.') || !values.every((v) => RELATIVE_REFERENCE_REGEX.test(v))) {
+        return undefined;
+    }
+    return { key: '_references', value: values, comparisonOperator: '==', logicalOperator: 'AND' };
+}
+
+/**
+ * - not-a-clinical-scope: i.e. `openid`, `launch` or `fhirUser`
+ * - missing-fhir-user: `user` scopes need the `fhirUser` claim
+ * - missing-patient-context: `patient` scopes need the patient launch context
+ * - wrong-resource-type: the scope is for another resourceType
+ * - wrong-operation: the scope rule does not grant the operation to the scope
+ * - unsupported-query-parameter: searches cannot use a scope constrained by query parameters that cannot be sent as
+ *   search filters, since the search would not be limited by them
+ */
+export type ScopeDiscardReason =
+    | 'not-a-clinical-scope'
+    | 'missing-fhir-user'
+    | 'missing-patient-context'
+    | 'wrong-resource-type'
+    | 'wrong-operation'
+    | 'unsupported-query-parameter';
+
+/**
+ * @returns why the scope cannot be used for the request; undefined if it can
+ */
+export function getScopeDiscardReason(
+    scope: string,
+    scopeRule: ScopeRule,
+    reqOperation: TypeOperation | SystemOperation,
+    isUserScopeAllowedForSystemExport: boolean,
+    reqResourceType?: string,
+    bulkDataAuth?: BulkDataAuth,
+    patientContext?: string,
+    fhirUser?: string,
+    namedOperation?: NamedOperation,
+): ScopeDiscardReason | undefined {
+    let smartScope: ClinicalSmartScope;
+    try {
+        smartScope = convertScopeToSmartScope(scope);
+    } catch (e) {
+        return 'not-a-clinical-scope';
+    }
+    if (smartScope.scopeType === 'user' && !fhirUser) {
+        return 'missing-fhir-user';
+    }
+    if (smartScope.scopeType === 'patient' && !patientContext) {
+        return 'missing-patient-context';
+    }
+    if (
+        isScopeSufficient(
+            scope,
+            scopeRule,
+            reqOperation,
+            isUserScopeAllowedForSystemExport,
+            reqResourceType,
+            bulkDataAuth,
+            namedOperation,
+        )
+    ) {
+        const isSearch = !namedOperation && !bulkDataAuth && SEARCH_OPERATIONS.includes(reqOperation);
+        if (isSearch && smartScope.queryParams?.some((queryParam) => !toReferenceSearchFilter(queryParam))) {
+            return 'unsupported-query-parameter';
+        }
+        return undefined;
+    }
+    const targetResourceType = namedOperation ? namedOperation.resourceType : reqResourceType;
+    const isOtherResourceType =
+        !bulkDataAuth &&
+        targetResourceType !== undefined &&
+        targetResourceType !== '' &&
+        smartScope.resourceType !== '*' &&
+        smartScope.resourceType !== targetResourceType;
+    return isOtherResourceType ? 'wrong-resource-type' : 'wrong-operation';
+}
+
 /**
  * Remove scopes that do not have the required information to be useful or unused scopes. For example:
  * - Without the `fhirUser` claim the 'user' scopes cannot be validated
@@ -158,19 +437,144 @@ export function filterOutUnusableScope(
     bulkDataAuth?: BulkDataAuth,
     patientContext?: string,
     fhirUser?: string,
+    namedOperation?: NamedOperation,
 ): string[] {
     return scopes.filter(
         (scope: string) =>
-            ((patientContext && scope.startsWith('patient/')) ||
-                (fhirUser && scope.startsWith('user/')) ||
-                scope.startsWith('system/')) &&
-            isScopeSufficient(
+            getScopeDiscardReason(
                 scope,
                 scopeRule,
                 reqOperation,
                 isUserScopeAllowedForSystemExport,
                 reqResourceType,
                 bulkDataAuth,
-            ),
+                patientContext,
+                fhirUser,
+                namedOperation,
+            ) === undefined,
+    );
+}
+
+function kebabToCamelCase(value: string): string {
+    return value.replace(/-([a-z])/g, (_match, letter: string) => letter.toUpperCase());
+}
+
+/**
+ * Collects the values an element can be matched on in the same way a FHIR token/reference/string search would,
+ * i.e. a CodeableConcept yields `code`, `system|code` and `|code` for each of its codings
+ */
+function getSearchableValues(element: any): string[] {
+    if (element === undefined || element === null) {
+        return [];
+    }
+    if (Array.isArray(element)) {
+        return element.flatMap((x) => getSearchableValues(x));
+    }
+    if (typeof element !== 'object') {
+        return [String(element)];
+    }
+    if (Array.isArray(element.coding)) {
+        return getSearchableValues(element.coding);
+    }
+    const values: string[] = [];
+    if (element.reference) {
+        values.push(element.reference);
+    }
+    const code = element.code ?? element.value;
+    if (code !== undefined) {
+        values.push(String(code), `${element.system ?? ''}|${code}`);
+    }
+    if (element.system) {
+        values.push(`${element.system}|`);
+    }
+    return values;
+}
+
+/**
+ * Elements of the search parameters whose name is not the name of the element
+ */
+const QUERY_PARAM_ELEMENTS: { [name: string]: string[] } = {
+    patient: ['patient', 'subject'],
+};
+
+/**
+ * Checks a resource against the query parameters of a SMART v2 scope. Only simple parameters whose name matches the element
+ * name (e.g. `category`, `clinical-status`) and `patient` are supported; anything else, such as search modifiers or
+ * chained parameters, cannot be checked and does not match.
+ */
+export function doesResourceMatchQueryParams(resource: any, queryParams: ScopeQueryParam[]): boolean {
+    return queryParams.every(({ name, value }) => {
+        if (name.includes(':') || name.includes('.')) {
+            logger.warn('Scope query parameter is not supported, the resource does not match it', { name });
+            return false;
+        }
+        const elements = QUERY_PARAM_ELEMENTS[name] ?? [kebabToCamelCase(name)];
+        const resourceValues = elements.flatMap((element) => getSearchableValues(get(resource, element)));
+        return value.split(',').some((expectedValue) => resourceValues.includes(expectedValue));
+    });
+}
+
+function getApplicableSmartScopes(scopes: string[], resourceType: string): ClinicalSmartScope[] {
+    const smartScopes: ClinicalSmartScope[] = [];
+    scopes.forEach((scope) => {
+        try {
+            const smartScope = convertScopeToSmartScope(scope);
+            if (smartScope.resourceType === '*' || smartScope.resourceType === resourceType) {
+                smartScopes.push(smartScope);
+            }
+        } catch (e) {
+            // Caused by trying to convert non-SmartScope to SmartScope, for example converting non-SMART scope 'openid'
+        }
+    });
+    return smartScopes;
+}
+
+/**
+ * SMART v2 scopes may be constrained by query parameters, i.e. `patient/Observation.rs?category=laboratory`.
+ * A resource is within the constraints if one of the scopes for its resourceType is not constrained or if the resource
+ * matches all the query parameters of one of the constrained scopes.
+ * @param usableScopes this should be usableScope set from the `verifyAccessToken` method
+ */
+export function isResourceWithinScopeConstraints(usableScopes: string[], resource: any): boolean {
+    const applicableScopes = getApplicableSmartScopes(usableScopes, resource.resourceType);
+    if (!applicableScopes.length) {
+        return true;
+    }
+    return applicableScopes.some(
+        (smartScope) => !smartScope.queryParams || doesResourceMatchQueryParams(resource, smartScope.queryParams),
     );
 }
+
+/**
+ * Translates the query parameters of SMART v2 scopes into search filters.
+ * The filters only narrow the search, the results are still checked by `isResourceWithinScopeConstraints` when the
+ * search response is authorized. Only reference parameters can be translated, the scopes with other parameters are not
+ * usable for searches (see `getScopeDiscardReason`).
+ * SearchFilters can only express a single set of ANDed parameters. When several constrained scopes apply, the search is
+ * limited to the resources referencing any of the references of their parameters
+ * @throws UnauthorizedError if one of the scopes has a parameter that cannot be translated
+ * @param usableScopes this should be usableScope set from the `verifyAccessToken` method
+ */
+export function getScopeQueryParamSearchFilters(usableScopes: string[], resourceType?: string): SearchFilter[] {
+    if (!resourceType) {
+        return [];
+    }
+    const applicableScopes = getApplicableSmartScopes(usableScopes, resourceType);
+    if (!applicableScopes.length || applicableScopes.some((smartScope) => !smartScope.queryParams)) {
+        return [];
+    }
+    const filters = applicableScopes.map((smartScope) =>
+        smartScope.queryParams!.map((queryParam) => {
+            const filter = toReferenceSearchFilter(queryParam);
+            if (!filter) {
+                throw new UnauthorizedError('Scope query parameters cannot limit the search');
+            }
+            return filter;
+        }),
+    );
+    if (filters.length === 1) {
+        return filters[0];
+    }
+    const values = filters.flat().flatMap((filter) => filter.value);
+    return [{ key: '_references', value: [...new Set(values)], comparisonOperator: '==', logicalOperator: 'AND' }];
+}
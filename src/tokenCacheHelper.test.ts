@@ -0,0 +1,119 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { createInMemoryJtiReplayStore, createInMemoryTokenCacheStore, TokenCache } from './tokenCacheHelper';
+import { TokenCacheStore } from './smartConfig';
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+describe('createInMemoryTokenCacheStore', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('entries expire after their TTL', async () => {
+        jest.useFakeTimers('modern');
+        const store = createInMemoryTokenCacheStore();
+        await store.set('key', { active: false }, 10);
+        await expect(store.get('key')).resolves.toEqual({ active: false });
+
+        jest.advanceTimersByTime(10 * 1000);
+        await expect(store.get('key')).resolves.toBeUndefined();
+    });
+
+    test('least recently used entry is evicted when full', async () => {
+        const store = createInMemoryTokenCacheStore(2);
+        await store.set('a', { active: false }, 60);
+        await store.set('b', { active: false }, 60);
+        await store.get('a');
+        await store.set('c', { active: false }, 60);
+
+        await expect(store.get('a')).resolves.toBeDefined();
+        await expect(store.get('b')).resolves.toBeUndefined();
+        await expect(store.get('c')).resolves.toBeDefined();
+    });
+});
+
+describe('createInMemoryJtiReplayStore', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('key can be added again once expired', async () => {
+        jest.useFakeTimers('modern');
+        const store = createInMemoryJtiReplayStore();
+        await expect(store.add('jti', 10)).resolves.toBe(true);
+        await expect(store.add('jti', 10)).resolves.toBe(false);
+
+        jest.advanceTimersByTime(10 * 1000);
+        await expect(store.add('jti', 10)).resolves.toBe(true);
+    });
+
+    test('oldest key is evicted when full', async () => {
+        const store = createInMemoryJtiReplayStore(2);
+        await store.add('a', 60);
+        await store.add('b', 60);
+        await store.add('c', 60);
+        await expect(store.add('a', 60)).resolves.toBe(true);
+        await expect(store.add('c', 60)).resolves.toBe(false);
+    });
+});
+
+describe('TokenCache', () => {
+    const getStore = () => ({
+        get: jest.fn(),
+        set: jest.fn(),
+    });
+    const token = 'header.payload.signature';
+
+    test('keys are hashes of the token', async () => {
+        const store = getStore();
+        await new TokenCache({ store }).setInactive(token);
+
+        const [key] = store.set.mock.calls[0];
+        expect(key).toEqual(TokenCache.getKey(token));
+        expect(key).toMatch(/^[0-9a-f]{64}$/);
+        expect(JSON.stringify(store.set.mock.calls)).not.toContain(token);
+    });
+
+    test.each([
+        ['max TTL', { exp: nowInSeconds() + 3600 }, undefined, undefined, 300],
+        ['token exp', { exp: nowInSeconds() + 30 }, undefined, undefined, 30],
+        ['introspection exp', { exp: nowInSeconds() + 3600 }, nowInSeconds() + 20, undefined, 20],
+        ['introspection max TTL', { exp: nowInSeconds() + 3600 }, undefined, 60, 60],
+    ])('active token TTL is the earliest of the %s', async (_name, decodedToken, expiresAt, maxTtl, expectedTtl) => {
+        const store = getStore();
+        await new TokenCache({ store }).setActive(token, decodedToken, expiresAt, maxTtl);
+
+        expect(store.set).toHaveBeenCalledWith(expect.any(String), { active: true, decodedToken }, expectedTtl);
+    });
+
+    test('expired token is not cached', async () => {
+        const store = getStore();
+        await new TokenCache({ store }).setActive(token, { exp: nowInSeconds() - 1 });
+        expect(store.set).not.toHaveBeenCalled();
+    });
+
+    test('negative TTL', async () => {
+        const store = getStore();
+        await new TokenCache({ store, negativeTtlSeconds: 5 }).setInactive(token);
+        expect(store.set).toHaveBeenCalledWith(expect.any(String), { active: false }, 5);
+    });
+
+    test('expired claims from a shared store are a miss', async () => {
+        const store = getStore();
+        store.get.mockResolvedValue({ active: true, decodedToken: { exp: nowInSeconds() - 1 } });
+        await expect(new TokenCache({ store }).get(token)).resolves.toBeUndefined();
+    });
+
+    test('store errors are cache misses', async () => {
+        const store: TokenCacheStore = {
+            get: () => Promise.reject(new Error('unavailable')),
+            set: () => Promise.reject(new Error('unavailable')),
+        };
+        const tokenCache = new TokenCache({ store });
+        await expect(tokenCache.get(token)).resolves.toBeUndefined();
+        await expect(tokenCache.setInactive(token)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,137 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { createHash } from 'crypto';
+import { JtiReplayStore, TokenCacheEntry, TokenCacheOptions, TokenCacheStore } from './smartConfig';
+import getComponentLogger from './loggerBuilder';
+
+const logger = getComponentLogger();
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_JTI_ENTRIES = 10000;
+const DEFAULT_MAX_TTL_SECONDS = 300;
+const DEFAULT_NEGATIVE_TTL_SECONDS = 10;
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Bounded in memory store; when full the least recently used entry is evicted
+ */
+export function createInMemoryTokenCacheStore(maxEntries: number = DEFAULT_MAX_ENTRIES): TokenCacheStore {
+    const entries: Map<string, { entry: TokenCacheEntry; expiresAt: number }> = new Map();
+    return {
+        async get(key: string): Promise<TokenCacheEntry | undefined> {
+            const cached = entries.get(key);
+            if (!cached) {
+                return undefined;
+            }
+            entries.delete(key);
+            if (cached.expiresAt <= Date.now()) {
+                return undefined;
+            }
+            // re-inserting keeps the Map in least recently used order
+            entries.set(key, cached);
+            return cached.entry;
+        },
+        async set(key: string, entry: TokenCacheEntry, ttlSeconds: number): Promise<void> {
+            entries.delete(key);
+            while (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, { entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+    };
+}
+
+/**
+ * Bounded in memory store; when full the oldest `jti` is evicted
+ */
+export function createInMemoryJtiReplayStore(maxEntries: number = DEFAULT_MAX_JTI_ENTRIES): JtiReplayStore {
+    const entries: Map<string, number> = new Map();
+    return {
+        async add(key: string, ttlSeconds: number): Promise<boolean> {
+            const expiresAt = entries.get(key);
+            if (expiresAt !== undefined && expiresAt > Date.now()) {
+                return false;
+            }
+            entries.delete(key);
+            while (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, Date.now() + ttlSeconds * 1000);
+            return true;
+        },
+    };
+}
+
+/**
+ * Caches the result of verifying or introspecting an access_token. Tokens are only stored as a SHA-256 hash.
+ * Store errors are logged and handled as cache misses so that an unavailable shared store does not fail the requests.
+ */
+export class TokenCache {
+    private readonly store: TokenCacheStore;
+
+    private readonly maxTtlSeconds: number;
+
+    private readonly negativeTtlSeconds: number;
+
+    constructor(options: TokenCacheOptions = {}) {
+        this.store = options.store ?? createInMemoryTokenCacheStore(options.maxEntries);
+        this.maxTtlSeconds = options.maxTtlSeconds ?? DEFAULT_MAX_TTL_SECONDS;
+        this.negativeTtlSeconds = options.negativeTtlSeconds ?? DEFAULT_NEGATIVE_TTL_SECONDS;
+    }
+
+    static getKey(token: string): string {
+        return createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * @returns the cached result; undefined if the token is not cached or its cached claims have expired
+     */
+    async get(token: string): Promise<TokenCacheEntry | undefined> {
+        let entry: TokenCacheEntry | undefined;
+        try {
+            entry = await this.store.get(TokenCache.getKey(token));
+        } catch (e) {
+            logger.warn('Unable to read from the token cache store');
+            return undefined;
+        }
+        if (entry?.active && typeof entry.decodedToken?.exp === 'number' && entry.decodedToken.exp <= nowInSeconds()) {
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Caches a valid token until the earliest of its `exp`, the `expiresAt` given and the max TTL
+     * @param expiresAt epoch seconds, i.e. the `exp` of the introspection response
+     * @param maxTtlSeconds overrides the max TTL of the cache
+     */
+    async setActive(token: string, decodedToken: any, expiresAt?: number, maxTtlSeconds?: number): Promise<void> {
+        const now = nowInSeconds();
+        const ttlSeconds = Math.min(
+            maxTtlSeconds ?? this.maxTtlSeconds,
+            typeof decodedToken.exp === 'number' ? decodedToken.exp - now : Infinity,
+            typeof expiresAt === 'number' ? expiresAt - now : Infinity,
+        );
+        if (ttlSeconds > 0) {
+            await this.set(token, { active: true, decodedToken }, ttlSeconds);
+        }
+    }
+
+    /**
+     * Caches an invalid token for the short negative TTL
+     */
+    async setInactive(token: string): Promise<void> {
+        await this.set(token, { active: false }, this.negativeTtlSeconds);
+    }
+
+    private async set(token: string, entry: TokenCacheEntry, ttlSeconds: number): Promise<void> {
+        try {
+            await this.store.set(TokenCache.getKey(token), entry, ttlSeconds);
+        } catch (e) {
+            logger.warn('Unable to write to the token cache store');
+        }
+    }
+}
@@ -0,0 +1,193 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import { WriteRequestAuthorizedRequest } from 'fhir-works-on-aws-interface';
+import {
+    applyJsonPatch,
+    createStoredResourceReader,
+    getReassignedIdentities,
+    getWriteCondition,
+    getWriteTarget,
+} from './writeGuardHelper';
+
+const fhirServiceBaseUrl = 'https://fhir.server.com/dev';
+const patient = (id: string) => ({ hostname: fhirServiceBaseUrl, resourceType: 'Patient', id });
+const practitioner = { hostname: fhirServiceBaseUrl, resourceType: 'Practitioner', id: 'practitioner' };
+const observation = {
+    resourceType: 'Observation',
+    id: 'obs',
+    status: 'final',
+    subject: { reference: 'Patient/me' },
+    performer: [{ reference: 'Practitioner/practitioner' }],
+};
+
+describe('getWriteTarget', () => {
+    const request = (url?: string, resourceBody: any = observation): WriteRequestAuthorizedRequest => ({
+        userIdentity: {},
+        operation: 'update',
+        resourceBody,
+        requestContext: url ? { url, hostname: 'fhir.server.com', headers: {}, contextInfo: {} } : undefined,
+    });
+    const resourceTypes = ['Observation', 'Patient'];
+
+    test('from the request URL', () => {
+        expect(getWriteTarget(request(`${fhirServiceBaseUrl}/Observation/123`), resourceTypes)).toEqual({
+            resourceType: 'Observation',
+            id: '123',
+        });
+        expect(getWriteTarget(request('/Observation/123?_format=json'), resourceTypes)).toEqual({
+            resourceType: 'Observation',
+            id: '123',
+        });
+        expect(getWriteTarget(request('/Observation'), resourceTypes)).toBeUndefined();
+        expect(getWriteTarget(request('/Unknown/123'), resourceTypes)).toBeUndefined();
+    });
+
+    test('from the body without a URL', () => {
+        expect(getWriteTarget(request(), resourceTypes)).toEqual({ resourceType: 'Observation', id: 'obs' });
+        expect(getWriteTarget(request(undefined, [{ op: 'remove', path: '/status' }]), resourceTypes)).toBeUndefined();
+    });
+});
+
+describe('getWriteCondition', () => {
+    const request = (url?: string): WriteRequestAuthorizedRequest => ({
+        userIdentity: {},
+        operation: 'update',
+        resourceBody: observation,
+        requestContext: url ? { url, hostname: 'fhir.server.com', headers: {}, contextInfo: {} } : undefined,
+    });
+    const resourceTypes = ['Observation', 'Patient'];
+
+    test('from a request URL without id', () => {
+        expect(getWriteCondition(request(`${fhirServiceBaseUrl}/Observation?identifier=123`), resourceTypes)).toEqual(
+            'Observation?identifier=123',
+        );
+        expect(getWriteCondition(request('/Observation?subject=Patient/me'), resourceTypes)).toEqual(
+            'Observation?subject=Patient/me',
+        );
+    });
+
+    test('not conditional', () => {
+        expect(getWriteCondition(request('/Observation/123?_format=json'), resourceTypes)).toBeUndefined();
+        expect(getWriteCondition(request('/Observation'), resourceTypes)).toBeUndefined();
+        expect(getWriteCondition(request('/Unknown?identifier=123'), resourceTypes)).toBeUndefined();
+        expect(getWriteCondition(request(), resourceTypes)).toBeUndefined();
+    });
+});
+
+describe('applyJsonPatch', () => {
+    test('add, remove & replace', () => {
+        expect(
+            applyJsonPatch(observation, [
+                { op: 'add', path: '/note', value: [{ text: 'first' }] },
+                { op: 'add', path: '/note/-', value: { text: 'last' } },
+                { op: 'add', path: '/note/0', value: { text: 'inserted' } },
+                { op: 'remove', path: '/performer' },
+                { op: 'replace', path: '/status', value: 'amended' },
+            ]),
+        ).toEqual({
+            resourceType: 'Observation',
+            id: 'obs',
+            status: 'amended',
+            subject: { reference: 'Patient/me' },
+            note: [{ text: 'inserted' }, { text: 'first' }, { text: 'last' }],
+        });
+    });
+
+    test('move, copy & test', () => {
+        expect(
+            applyJsonPatch(observation, [
+                { op: 'test', path: '/subject/reference', value: 'Patient/me' },
+                { op: 'copy', from: '/subject', path: '/focus' },
+                { op: 'move', from: '/performer/0', path: '/performer/-' },
+                { op: 'move', from: '/status', path: '/a~1b~0c' },
+            ]),
+        ).toEqual({
+            resourceType: 'Observation',
+            id: 'obs',
+            subject: { reference: 'Patient/me' },
+            focus: { reference: 'Patient/me' },
+            performer: [{ reference: 'Practitioner/practitioner' }],
+            'a/b~c': 'final',
+        });
+    });
+
+    test('the resource is not modified', () => {
+        const resource = JSON.parse(JSON.stringify(observation));
+        applyJsonPatch(resource, [{ op: 'replace', path: '/subject/reference', value: 'Patient/other' }]);
+        expect(resource).toEqual(observation);
+    });
+
+    test.each([
+        ['not an array', { op: 'remove', path: '/status' }, 'A JSON Patch must be an array of operations'],
+        ['unknown operation', [{ op: 'merge', path: '/status' }], 'merge is not a JSON Patch operation'],
+        ['invalid pointer', [{ op: 'remove', path: 'status' }], 'status is not a JSON Pointer'],
+        ['missing path', [{ op: 'replace', path: '/note/0/text', value: 'a' }], '/note/0/text does not exist'],
+        ['array index out of range', [{ op: 'add', path: '/performer/2', value: {} }], 'is not a valid array index'],
+        ['failed test', [{ op: 'test', path: '/status', value: 'amended' }], 'The test of /status failed'],
+        ['remove the resource', [{ op: 'remove', path: '' }], 'The whole resource cannot be removed'],
+        ['prototype', [{ op: 'add', path: '/__proto__/polluted', value: true }], 'is not a valid path'],
+        ['move into a child', [{ op: 'move', from: '/subject', path: '/subject/x' }], 'cannot be moved into'],
+    ])('%s', (_title, patch, message) => {
+        expect(() => applyJsonPatch(observation, patch)).toThrowError(message);
+    });
+});
+
+describe('getReassignedIdentities', () => {
+    const identities = [patient('me'), practitioner];
+
+    test('identities the resource is moved away from or given to', () => {
+        expect(
+            getReassignedIdentities(
+                observation,
+                { ...observation, subject: { reference: 'Patient/other' } },
+                identities,
+                fhirServiceBaseUrl,
+                '4.0.1',
+            ),
+        ).toEqual([patient('me')]);
+        expect(
+            getReassignedIdentities(
+                { ...observation, performer: [] },
+                observation,
+                identities,
+                fhirServiceBaseUrl,
+                '4.0.1',
+            ),
+        ).toEqual([practitioner]);
+    });
+
+    test('references within the same compartments', () => {
+        expect(
+            getReassignedIdentities(
+                observation,
+                {
+                    ...observation,
+                    status: 'amended',
+                    performer: [...observation.performer, { reference: 'Patient/me' }],
+                },
+                identities,
+                fhirServiceBaseUrl,
+                '4.0.1',
+            ),
+        ).toEqual([]);
+    });
+});
+
+describe('createStoredResourceReader', () => {
+    test('searches the resource by id', async () => {
+        const search = jest.fn().mockResolvedValue([observation]);
+        await expect(createStoredResourceReader(search)('Observation', 'obs', fhirServiceBaseUrl)).resolves.toEqual(
+            observation,
+        );
+        expect(search).toHaveBeenCalledWith('Observation', { _id: 'obs' });
+    });
+
+    test('resource that does not exist', async () => {
+        const search = jest.fn().mockResolvedValue([]);
+        await expect(
+            createStoredResourceReader(search)('Observation', 'obs', fhirServiceBaseUrl),
+        ).resolves.toBeUndefined();
+    });
+});
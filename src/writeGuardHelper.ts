@@ -0,0 +1,198 @@
+/*
+ *  Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *  SPDX-License-Identifier: Apache-2.0
+ */
+import cloneDeep from 'lodash/cloneDeep';
+import isEqual from 'lodash/isEqual';
+import { WriteRequestAuthorizedRequest } from 'fhir-works-on-aws-interface';
+import { FhirResource, FhirResourceSearch, ReferenceResolution, StoredResourceReader } from './smartConfig';
+import { hasReferenceToResource } from './smartAuthorizationHelper';
+import { SupportedFhirVersion } from './fhirVersionHelper';
+
+/**
+ * The resource is identified by the request URL, i.e. `Observation/123`, or by its body when there is no URL
+ * @returns the resourceType & id of the resource the update or patch request writes
+ */
+export function getWriteTarget(
+    request: WriteRequestAuthorizedRequest,
+    resourceTypes: string[],
+): { resourceType: string; id: string } | undefined {
+    const url = request.requestContext?.url;
+    if (url) {
+        let pathname: string;
+        try {
+            pathname = new URL(url, 'https://localhost').pathname;
+        } catch (e) {
+            return undefined;
+        }
+        const segments = pathname.split('/').filter((segment) => segment !== '');
+        const [resourceType, id] = segments.slice(-2);
+        return resourceTypes.includes(resourceType) && id ? { resourceType, id } : undefined;
+    }
+    const { resourceType, id } = request.resourceBody ?? {};
+    return typeof resourceType === 'string' && typeof id === 'string' ? { resourceType, id } : undefined;
+}
+
+/**
+ * @returns the condition of a conditional update or patch, i.e. `Observation?identifier=123` for a request URL without
+ * id such as `/Observation?identifier=123`; undefined if the request is not conditional
+ */
+export function getWriteCondition(request: WriteRequestAuthorizedRequest, resourceTypes: string[]): string | undefined {
+    const url = request.requestContext?.url;
+    if (!url) {
+        return undefined;
+    }
+    let parsedUrl: URL;
+    try {
+        parsedUrl = new URL(url, 'https://localhost');
+    } catch (e) {
+        return undefined;
+    }
+    const resourceType = parsedUrl.pathname
+        .split('/')
+        .filter((segment) => segment !== '')
+        .pop();
+    return resourceType && resourceTypes.includes(resourceType) && parsedUrl.search.length > 1
+        ? `${resourceType}${parsedUrl.search}`
+        : undefined;
+}
+
+function parsePointer(pointer: any): string[] {
+    if (pointer === '') {
+        return [];
+    }
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new Error(`${pointer} is not a JSON Pointer`);
+    }
+    const tokens = pointer
+        .substring(1)
+        .split('/')
+        .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (tokens.includes('__proto__')) {
+        throw new Error(`${pointer} is not a valid path`);
+    }
+    return tokens;
+}
+
+function getValue(document: any, tokens: string[], pointer: string): any {
+    return tokens.reduce((value, token) => {
+        if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, token)) {
+            return value[token];
+        }
+        throw new Error(`${pointer} does not exist`);
+    }, document);
+}
+
+function getArrayIndex(token: string, max: number, pointer: string): number {
+    if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max) {
+        throw new Error(`${pointer} is not a valid array index`);
+    }
+    return Number(token);
+}
+
+function addValue(document: any, tokens: string[], value: any, pointer: string): any {
+    if (tokens.length === 0) {
+        return value;
+    }
+    const parent = getValue(document, tokens.slice(0, -1), pointer);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(token === '-' ? parent.length : getArrayIndex(token, parent.length, pointer), 0, value);
+    } else if (parent !== null && typeof parent === 'object') {
+        parent[token] = value;
+    } else {
+        throw new Error(`${pointer} does not exist`);
+    }
+    return document;
+}
+
+function removeValue(document: any, tokens: string[], pointer: string): any {
+    if (tokens.length === 0) {
+        throw new Error('The whole resource cannot be removed');
+    }
+    const parent = getValue(document, tokens.slice(0, -1), pointer);
+    const token = tokens[tokens.length - 1];
+    getValue(parent, [token], pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(getArrayIndex(token, parent.length - 1, pointer), 1);
+    } else {
+        delete parent[token];
+    }
+    return document;
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a copy of the resource
+ * @returns the patched copy
+ * @throws Error when an operation is invalid, refers to a path that does not exist or a `test` fails
+ */
+export function applyJsonPatch(resource: any, patch: any): any {
+    if (!Array.isArray(patch)) {
+        throw new Error('A JSON Patch must be an array of operations');
+    }
+    return patch.reduce((document: any, operation: any) => {
+        const { op, path, from, value } = operation ?? {};
+        const tokens = parsePointer(path);
+        switch (op) {
+            case 'add':
+                return addValue(document, tokens, cloneDeep(value), path);
+            case 'remove':
+                return removeValue(document, tokens, path);
+            case 'replace':
+                return addValue(
+                    tokens.length ? removeValue(document, tokens, path) : document,
+                    tokens,
+                    cloneDeep(value),
+                    path,
+                );
+            case 'move': {
+                const fromTokens = parsePointer(from);
+                if (path.startsWith(`${from}/`)) {
+                    throw new Error(`${from} cannot be moved into one of its children`);
+                }
+                const moved = getValue(document, fromTokens, from);
+                return addValue(removeValue(document, fromTokens, from), tokens, moved, path);
+            }
+            case 'copy':
+                return addValue(document, tokens, cloneDeep(getValue(document, parsePointer(from), from)), path);
+            case 'test':
+                if (!isEqual(getValue(document, tokens, path), value)) {
+                    throw new Error(`The test of ${path} failed`);
+                }
+                return document;
+            default:
+                throw new Error(`${op} is not a JSON Patch operation`);
+        }
+    }, cloneDeep(resource));
+}
+
+/**
+ * A write moves the resource into the compartment of an identity when the updated resource references it and the stored
+ * one does not, and out of it in the opposite case
+ * @returns the identities whose compartment the resource is moved into or out of
+ */
+export function getReassignedIdentities(
+    storedResource: any,
+    updatedResource: any,
+    identities: FhirResource[],
+    fhirServiceBaseUrl: string,
+    fhirVersion: SupportedFhirVersion,
+    referenceResolution?: ReferenceResolution,
+): FhirResource[] {
+    return identities.filter(
+        (identity) =>
+            hasReferenceToResource(identity, storedResource, fhirServiceBaseUrl, fhirVersion, referenceResolution) !==
+            hasReferenceToResource(identity, updatedResource, fhirServiceBaseUrl, fhirVersion, referenceResolution),
+    );
+}
+
+/**
+ * Creates a reader that searches the resource by its `_id`
+ * @param search used to search the resource
+ */
+export function createStoredResourceReader(search: FhirResourceSearch): StoredResourceReader {
+    return async (resourceType: string, id: string): Promise<any | undefined> => {
+        const [resource] = await search(resourceType, { _id: id });
+        return resource;
+    };
+}